@@ -1,25 +1,734 @@
-import React, { useCallback, useEffect, useRef, useState } from 'react';
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useRef, useState } from 'react';
 import * as THREE from 'three';
-import { clampTimeScale, computeSimulationDelta } from './simulation-utils.js';
+import {
+  INTEGRATORS,
+  DEFAULT_FIXED_STEP,
+  DEFAULT_INTEGRATOR,
+  advanceFixedStepper,
+  clampTimeScale,
+  computeSimulationDelta,
+  createFixedStepper,
+} from './simulation-utils.js';
+import {
+  EARTH_RADIUS,
+  circularOrbitPeriod,
+  circularOrbitSpeed,
+  circularOrbitState,
+  eciToScene,
+} from './orbital-mechanics.js';
+import {
+  CHARGE_MODES,
+  MATERIALS,
+  MESH_SHAPE,
+  SHAPES,
+  TNT_JOULES_PER_KG,
+  computeAngularMomentum,
+  computeBreakupHistogram,
+  computeCenterOfMass,
+  computeEnergyBudget,
+  computeDebrisElements,
+  computeSpeedDistributions,
+  createRandomSource,
+  createScenario,
+  getScenarioState,
+  createShapeChunks,
+  explodeScenario,
+  interpolateChunkOrientation,
+  interpolateChunkPosition,
+  resolveDimensions,
+  shapeInfo,
+  interpolateGasPositions,
+  mergeRoot,
+  placeProjectile,
+  referenceOrbitPosition,
+  resetScenario,
+  stepScenario,
+  updateScenarioOptions,
+} from './physics-engine.js';
+import {
+  appendFrame,
+  clearRecording,
+  createRecording,
+  recordingDuration,
+  sampleRecording,
+} from './recording.js';
+import { MESH_FILE_TYPES, centerMesh, parseMeshFile } from './mesh-import.js';
+import { DEFAULT_BREAKUP_OPTIONS, MAX_BREAKUP_FRAGMENTS, SBM_BODY_TYPES, SBM_EVENTS } from './breakup-model.js';
+import { DEFAULT_GAS_OPTIONS, GAS_END_EXPANSION, gasDispersal, gasExpansion, tracerPositions } from './gas-dynamics.js';
+import { maxwellBoltzmannPdf } from './speed-distribution.js';
+import { captureConservationBaseline, computeConservationDiagnostics } from './conservation-diagnostics.js';
+import { decodeScenarioHash, encodeScenarioHash, parseScenario, scenarioToJSON } from './scenario-file.js';
+import {
+  EXPORT_FORMATS,
+  collectFragments,
+  collectRecordedFragments,
+  formatCell,
+  formatSnapshot,
+  inspectFragment,
+} from './fragment-export.js';
+import {
+  ARROW_QUANTITIES,
+  DEFAULT_TRAIL_OPTIONS,
+  OVERLAY_FRAMES,
+  buildTrails,
+  fragmentArrows,
+  overlayFrameVelocity,
+  trailVertexCount,
+} from './motion-overlays.js';
+import {
+  DEFAULT_RENDER_OPTIONS,
+  RENDER_FORMATS,
+  RENDER_RESOLUTIONS,
+  createZip,
+  frameFileName,
+  renderFrameCount,
+  renderFrameStep,
+} from './offline-render.js';
 
-const PHYS_SCALE = 14.43; // m/s per current sim velocity unit
+const REAL_G_EXPONENT = Math.log10(6.674e-11);
+const DEFAULT_MAX_CAMERA_DISTANCE = 200;
+const ORBIT_MAX_CAMERA_DISTANCE = 1e8;
+const ORBIT_TIME_WARPS = [1, 10, 100, 1000];
+const FRACTURE_MODES = [['lattice', 'Lattice'], ['voronoi', 'Voronoi'], ['sbm', 'NASA SBM']];
+const YIELD_UNITS = [['J', 'J'], ['kgTNT', 'kg TNT']];
+const DEFAULT_CAMERA_POSE = { offset: { x: 0, y: 0, z: 30 }, distance: 30, manual: false }; // offset from the CoM, m
+const SIMULATOR_EVENTS = { exploded: 'onExploded', reset: 'onReset', frame: 'onFrame', time: 'onTime' }; // event → prop
+const ENERGY_BUDGET_INTERVAL = 0.25; // s of wall time between energy panel refreshes
+const TIMELINE_INTERVAL = 0.1; // s of wall time between timeline refreshes
+const CHUNK_COLORS = [0x4488ff, 0x44ff88, 0xff4488, 0xffaa44, 0xaa44ff, 0x44ffff];
+const CLICK_TOLERANCE = 4; // px a press may move and still count as a click
+const HOVER_EMISSIVE = 0x333333; // glow of the fragment under the pointer
+const SELECTED_EMISSIVE = 0x886600; // glow of the inspected fragment
+const ARROW_COLORS = { velocity: 0x44ddff, momentum: 0xffdd44 };
+const ARROW_SCALE = 0.2; // longest fragment arrow, as a share of the camera distance
+const STARFIELD_SEED = 2718; // fixed so every page load, and every render, has the same sky
+const CENTRE = { x: 0, y: 0, z: 0 };
+// Projectile settings as the panel shows them; it comes in from azimuthDeg
+// (about y, from +x toward +z) and elevationDeg above the xz-plane
+const DEFAULT_IMPACT = {
+  enabled: false,
+  projectileMass: 100, // kg
+  speed: 3000, // m/s
+  azimuthDeg: 0,
+  elevationDeg: 0,
+  standoff: 10, // m
+  energyFraction: 0.3,
+};
 
-export default function AdvancedExplosionSimulator() {
+const DIMENSION_LABELS = {
+  edge: 'Edge (m)',
+  radius: 'Radius (m)',
+  height: 'Height (m)',
+  majorRadius: 'Major radius (m)',
+  minorRadius: 'Tube radius (m)',
+  scale: 'Scale (m per file unit)',
+};
+
+// Engine impact options (physics-engine.js) for the panel's settings
+function impactOptions({ azimuthDeg, elevationDeg, ...settings }) {
+  const azimuth = (azimuthDeg * Math.PI) / 180;
+  const elevation = (elevationDeg * Math.PI) / 180;
+  return {
+    ...settings,
+    direction: {
+      x: -Math.cos(elevation) * Math.cos(azimuth),
+      y: -Math.sin(elevation),
+      z: -Math.cos(elevation) * Math.sin(azimuth),
+    },
+  };
+}
+
+function formatMass(kg) {
+  if (kg >= 1e3) return `${(kg / 1e3).toLocaleString(undefined, { maximumFractionDigits: 2 })} t`;
+  return `${kg.toLocaleString(undefined, { maximumFractionDigits: 1 })} kg`;
+}
+
+const DEBRIS_COLUMNS = [
+  { key: 'id', label: '#', format: (v) => v },
+  { key: 'mass', label: 'm (kg)', format: (v) => v.toFixed(1) },
+  { key: 'semiMajorAxis', label: 'a (km)', format: (v) => (Number.isFinite(v) && v > 0 ? (v / 1000).toFixed(1) : '—') },
+  { key: 'eccentricity', label: 'e', format: (v) => v.toFixed(5) },
+  { key: 'inclination', label: 'i (°)', format: (v) => v.toFixed(3) },
+  { key: 'apogeeAltitude', label: 'Apo (km)', format: (v) => (Number.isFinite(v) ? (v / 1000).toFixed(1) : '∞') },
+  { key: 'perigeeAltitude', label: 'Peri (km)', format: (v) => (v / 1000).toFixed(1) },
+  { key: 'period', label: 'P (min)', format: (v) => (Number.isFinite(v) ? (v / 60).toFixed(2) : '∞') },
+];
+
+function formatEnergy(joules) {
+  const magnitude = Math.abs(joules);
+  if (magnitude >= 1e9) return `${(joules / 1e9).toFixed(2)} GJ`;
+  if (magnitude >= 1e6) return `${(joules / 1e6).toFixed(2)} MJ`;
+  if (magnitude >= 1e3) return `${(joules / 1e3).toFixed(2)} kJ`;
+  return `${joules.toFixed(1)} J`;
+}
+
+function vectorLength({ x, y, z }) {
+  return Math.sqrt(x * x + y * y + z * z);
+}
+
+function formatAngularMomentum(value) {
+  return `${value.toExponential(3)} kg·m²/s`;
+}
+
+// `data` is anything a Blob takes: text, bytes or another Blob
+function downloadFile(filename, data, mimeType) {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Best WebM codec this browser records, or null when it records none
+function webmMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+// Gabbard diagram: apogee (red) and perigee (blue) altitude of every bound
+// fragment against its orbital period, with the parent orbit as a cross.
+function GabbardDiagram({ rows, parentAltitudeKm, parentPeriodMin }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const margin = { left: 44, right: 8, top: 8, bottom: 26 };
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+
+    const bound = rows.filter((row) => row.bound);
+    const periods = bound.map((row) => row.period / 60).concat(parentPeriodMin);
+    const altitudes = bound
+      .flatMap((row) => [row.apogeeAltitude / 1000, row.perigeeAltitude / 1000])
+      .concat(parentAltitudeKm);
+
+    let minX = Math.min(...periods);
+    let maxX = Math.max(...periods);
+    let minY = Math.min(...altitudes);
+    let maxY = Math.max(...altitudes);
+    if (maxX - minX < 1e-3) { minX -= 0.5; maxX += 0.5; }
+    if (maxY - minY < 1e-3) { minY -= 5; maxY += 5; }
+    const padX = (maxX - minX) * 0.05;
+    const padY = (maxY - minY) * 0.05;
+    minX -= padX; maxX += padX; minY -= padY; maxY += padY;
+
+    const toX = (v) => margin.left + ((v - minX) / (maxX - minX)) * (width - margin.left - margin.right);
+    const toY = (v) => height - margin.bottom - ((v - minY) / (maxY - minY)) * (height - margin.top - margin.bottom);
+
+    // Axes and range labels
+    ctx.strokeStyle = '#4b5563';
+    ctx.beginPath();
+    ctx.moveTo(margin.left, margin.top);
+    ctx.lineTo(margin.left, height - margin.bottom);
+    ctx.lineTo(width - margin.right, height - margin.bottom);
+    ctx.stroke();
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '10px monospace';
+    ctx.fillText(minY.toFixed(0), 2, height - margin.bottom);
+    ctx.fillText(maxY.toFixed(0), 2, margin.top + 8);
+    ctx.fillText(minX.toFixed(1), margin.left, height - 12);
+    ctx.fillText(maxX.toFixed(1), width - margin.right - 30, height - 12);
+    ctx.fillText('period (min)', width / 2 - 30, height - 2);
+    ctx.fillText('km', 2, height / 2);
+
+    bound.forEach((row) => {
+      const x = toX(row.period / 60);
+      ctx.fillStyle = '#f87171';
+      ctx.fillRect(x - 1.5, toY(row.apogeeAltitude / 1000) - 1.5, 3, 3);
+      ctx.fillStyle = '#60a5fa';
+      ctx.fillRect(x - 1.5, toY(row.perigeeAltitude / 1000) - 1.5, 3, 3);
+    });
+
+    ctx.strokeStyle = '#ffffff';
+    const px = toX(parentPeriodMin);
+    const py = toY(parentAltitudeKm);
+    ctx.beginPath();
+    ctx.moveTo(px - 5, py);
+    ctx.lineTo(px + 5, py);
+    ctx.moveTo(px, py - 5);
+    ctx.lineTo(px, py + 5);
+    ctx.stroke();
+  }, [rows, parentAltitudeKm, parentPeriodMin]);
+
+  return <canvas ref={canvasRef} width={320} height={220} className="w-full rounded" />;
+}
+
+// Standard Breakup Model size distribution: fragment counts per Lc bin as
+// bars against the power law's expected counts, both on log axes.
+function BreakupSizeChart({ bins }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const margin = { left: 36, right: 8, top: 8, bottom: 26 };
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+
+    const values = bins.flatMap((bin) => [bin.count, bin.expected]).filter((v) => v > 0);
+    const maxY = Math.ceil(Math.log10(Math.max(1, ...values)) + 0.1);
+    const minY = Math.min(0, Math.floor(Math.log10(Math.min(1, ...values))));
+    const minX = Math.log10(bins[0].lower);
+    const maxX = Math.log10(bins[bins.length - 1].upper);
+    const toX = (length) => margin.left + ((Math.log10(length) - minX) / (maxX - minX)) * (width - margin.left - margin.right);
+    const toY = (count) => height - margin.bottom
+      - ((Math.log10(count) - minY) / (maxY - minY)) * (height - margin.top - margin.bottom);
+
+    ctx.strokeStyle = '#4b5563';
+    ctx.beginPath();
+    ctx.moveTo(margin.left, margin.top);
+    ctx.lineTo(margin.left, height - margin.bottom);
+    ctx.lineTo(width - margin.right, height - margin.bottom);
+    ctx.stroke();
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '10px monospace';
+    ctx.fillText(`1e${maxY}`, 2, margin.top + 8);
+    ctx.fillText(`1e${minY}`, 2, height - margin.bottom);
+    ctx.fillText(`${bins[0].lower.toPrecision(2)}`, margin.left, height - 12);
+    ctx.fillText(`${bins[bins.length - 1].upper.toPrecision(2)}`, width - margin.right - 30, height - 12);
+    ctx.fillText('Lc (m)', width / 2 - 15, height - 2);
+
+    ctx.fillStyle = '#60a5fa';
+    bins.forEach((bin) => {
+      if (bin.count === 0) return;
+      const x0 = toX(bin.lower) + 1;
+      const x1 = toX(bin.upper) - 1;
+      const y = toY(bin.count);
+      ctx.fillRect(x0, y, x1 - x0, height - margin.bottom - y);
+    });
+
+    ctx.strokeStyle = '#f87171';
+    ctx.beginPath();
+    bins.filter((bin) => bin.expected > 0).forEach((bin, i) => {
+      const x = toX(Math.sqrt(bin.lower * bin.upper));
+      const y = toY(Math.max(bin.expected, 10 ** minY));
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  }, [bins]);
+
+  return <canvas ref={canvasRef} width={320} height={160} className="w-full rounded" />;
+}
+
+// Speed histogram (bars, as a density) against the Maxwell-Boltzmann PDF at the
+// drawn scale (red) and at the fitted scale (dashed yellow)
+function SpeedHistogramChart({ distribution }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const margin = { left: 8, right: 8, top: 8, bottom: 26 };
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, width, height);
+
+    const { bins, scale, fitScale, maxSpeed } = distribution;
+    const curves = [[scale, '#f87171', []], [fitScale, '#facc15', [4, 3]]].filter(([a]) => a > 0);
+    const peak = Math.max(
+      ...bins.map((bin) => bin.density),
+      ...curves.map(([a]) => maxwellBoltzmannPdf(Math.SQRT2 * a, a))
+    ) * 1.05 || 1;
+    const toX = (speed) => margin.left + (speed / maxSpeed) * (width - margin.left - margin.right);
+    const toY = (density) => height - margin.bottom - (density / peak) * (height - margin.top - margin.bottom);
+
+    ctx.strokeStyle = '#4b5563';
+    ctx.beginPath();
+    ctx.moveTo(margin.left, height - margin.bottom);
+    ctx.lineTo(width - margin.right, height - margin.bottom);
+    ctx.stroke();
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '10px monospace';
+    ctx.fillText('0', margin.left, height - 12);
+    ctx.fillText(maxSpeed.toPrecision(3), width - margin.right - 36, height - 12);
+    ctx.fillText('speed (m/s)', width / 2 - 30, height - 2);
+
+    ctx.fillStyle = '#60a5fa';
+    bins.forEach((bin) => {
+      if (bin.density === 0) return;
+      const x0 = toX(bin.lower) + 0.5;
+      const x1 = toX(bin.upper) - 0.5;
+      const y = toY(bin.density);
+      ctx.fillRect(x0, y, x1 - x0, height - margin.bottom - y);
+    });
+
+    curves.forEach(([a, color, dash]) => {
+      ctx.strokeStyle = color;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      for (let i = 0; i <= 100; i++) {
+        const speed = (maxSpeed * i) / 100;
+        const y = toY(maxwellBoltzmannPdf(speed, a));
+        if (i === 0) ctx.moveTo(toX(speed), y);
+        else ctx.lineTo(toX(speed), y);
+      }
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+  }, [distribution]);
+
+  return <canvas ref={canvasRef} width={320} height={120} className="w-full rounded" />;
+}
+
+function DebrisElementTable({ rows }) {
+  const [sortKey, setSortKey] = useState('id');
+  const [sortAscending, setSortAscending] = useState(true);
+
+  const sorted = [...rows].sort((a, b) => {
+    const diff = a[sortKey] - b[sortKey];
+    const order = Number.isNaN(diff) ? 0 : diff;
+    return sortAscending ? order : -order;
+  });
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setSortAscending((prev) => !prev);
+    } else {
+      setSortKey(key);
+      setSortAscending(true);
+    }
+  };
+
+  return (
+    <table className="debris-table w-full text-xs">
+      <thead>
+        <tr>
+          {DEBRIS_COLUMNS.map((column) => (
+            <th key={column.key} onClick={() => handleSort(column.key)} className="cursor-pointer">
+              {column.label}
+              {sortKey === column.key ? (sortAscending ? ' ▲' : ' ▼') : ''}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {sorted.map((row) => (
+          <tr key={row.id} className={row.perigeeAltitude < 0 ? 'text-red-300' : ''}>
+            {DEBRIS_COLUMNS.map((column) => (
+              <td key={column.key}>{column.format(row[column.key])}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function formatVector({ x, y, z }, digits = 2) {
+  return `(${x.toFixed(digits)}, ${y.toFixed(digits)}, ${z.toFixed(digits)})`;
+}
+
+const CONSERVATION_FORMATS = {
+  momentum: (v) => `${vectorLength(v).toExponential(3)} kg·m/s`,
+  centerOfMass: (v) => `${formatVector(v)} m`,
+  centerOfMassVelocity: (v) => `${formatVector(v)} m/s`,
+  energy: formatEnergy,
+  angularMomentum: (v) => formatAngularMomentum(vectorLength(v)),
+  spin: (v) => formatAngularMomentum(vectorLength(v)),
+};
+
+// Live conservation readout. The render loop hands each frame's diagnostics
+// to feedRef, so only this panel re-renders at frame rate.
+function ConservationHud({ feedRef }) {
+  const [state, setState] = useState(null);
+
+  useEffect(() => {
+    feedRef.current = (diagnostics, baseline) => setState(diagnostics ? { diagnostics, baseline } : null);
+    return () => {
+      feedRef.current = null;
+    };
+  }, [feedRef]);
+
+  if (!state) return null;
+  const { diagnostics, baseline } = state;
+  const drifting = diagnostics.rows.filter((row) => row.alarm);
+
+  return (
+    <div className={`absolute bg-gray-900 bg-opacity-90 text-white p-2 rounded-lg shadow-lg font-mono text-xs conservation-hud${
+      diagnostics.alarm ? ' border border-red-500' : ''
+    }`}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-semibold text-blue-400">Conservation</span>
+        <span className="text-gray-400">t = {diagnostics.time.toFixed(2)} s</span>
+      </div>
+      <table className="debris-table w-full">
+        <thead>
+          <tr>
+            <th>Quantity</th>
+            <th>Now</th>
+            <th>Pre-blast</th>
+            <th>Drift</th>
+          </tr>
+        </thead>
+        <tbody>
+          {diagnostics.rows.map((row) => {
+            const format = CONSERVATION_FORMATS[row.key];
+            return (
+              <tr key={row.key} className={row.alarm ? 'text-red-300' : row.conserved ? '' : 'text-gray-400'}>
+                <td>{row.label}</td>
+                <td>{format(row.value)}</td>
+                <td>{format(row.reference)}</td>
+                <td title={`tolerance ${row.tolerance.toExponential(0)}`}>{row.drift.toExponential(1)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {drifting.length > 0 && (
+        <div className="mt-1 p-2 rounded bg-red-900/40 text-red-100">
+          ⚠ Drift above tolerance: {drifting.map((row) => row.label).join(', ')}
+        </div>
+      )}
+      {diagnostics.external && (
+        <p className="text-gray-400 mt-1">
+          Tidal forces are external in orbital mode; only the spin, which they never torque, is expected to hold
+        </p>
+      )}
+      {diagnostics.dissipative && !diagnostics.external && (
+        <p className="text-gray-400 mt-1">
+          {diagnostics.impact ? 'Impact' : 'Collisions on'}: energy may fall ({formatEnergy(diagnostics.energyChange)} so far) but not rise
+        </p>
+      )}
+      {diagnostics.impact && (
+        <p className="text-gray-400 mt-1">
+          {diagnostics.impact.struck
+            ? `Struck at ${(diagnostics.impact.time * 1000).toFixed(2)} ms: ${formatMass(diagnostics.impact.coupledMass)} in the plug, ${
+              formatEnergy(diagnostics.impact.energy)} of ${formatEnergy(diagnostics.impact.collisionEnergy)} kept as motion`
+            : Number.isFinite(diagnostics.impact.time)
+              ? `Contact due at ${(diagnostics.impact.time * 1000).toFixed(2)} ms`
+              : 'The projectile misses the target'}
+        </p>
+      )}
+      {baseline.drawnMomentum && !diagnostics.impact && (
+        <p className="text-gray-400 mt-1">
+          Blast draw {CONSERVATION_FORMATS.momentum(baseline.drawnMomentum)}, corrected by{' '}
+          {formatVector(baseline.momentumCorrection, 3)} m/s
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Readout of a clicked fragment (fragment-export.js inspectFragment), with
+// the switch that moves the camera from the CoM onto it
+function FragmentInspector({ fragment, following, onFollow, onClose }) {
+  const { id, frame, pieces, mass, velocity, speed, kineticEnergy, distance, cell } = fragment;
+  return (
+    <div className="absolute bg-gray-900 bg-opacity-90 text-white p-2 rounded-lg shadow-lg font-mono text-xs fragment-inspector">
+      <div className="flex items-center justify-between mb-1">
+        <span className="font-semibold text-blue-400">Fragment {id}</span>
+        <button
+          onClick={onClose}
+          className="bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs"
+          title="Close the inspector"
+        >
+          ✕
+        </button>
+      </div>
+      <table className="debris-table w-full">
+        <tbody>
+          <tr>
+            <td>Mass</td>
+            <td>{formatMass(mass)}</td>
+          </tr>
+          <tr>
+            <td>Velocity ({frame})</td>
+            <td>{formatVector(velocity)} m/s</td>
+          </tr>
+          <tr>
+            <td>Speed</td>
+            <td>{speed.toFixed(2)} m/s</td>
+          </tr>
+          <tr>
+            <td>Kinetic energy</td>
+            <td>{formatEnergy(kineticEnergy)}</td>
+          </tr>
+          <tr>
+            <td>From CoM</td>
+            <td>{distance.toFixed(2)} m</td>
+          </tr>
+          <tr>
+            <td>Cell</td>
+            <td>{formatCell(cell)}</td>
+          </tr>
+          {pieces.length > 1 && (
+            <tr>
+              <td>Merged pieces</td>
+              <td>{pieces.join(' ')}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+      <button
+        onClick={() => onFollow(!following)}
+        className={`w-full mt-2 text-white py-1 rounded text-xs ${
+          following ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+        }`}
+      >
+        {following ? '🎯 Back to CoM' : '🎥 Ride along'}
+      </button>
+    </div>
+  );
+}
+
+// Self-contained simulator; any number can share a page. Props:
+// - initialScenario: a scenario-file.js document loaded on mount
+// - urlHash: open shared links from the page's hash and write new ones there;
+//   turn it off when several simulators share a page
+// - className: classes for the outer element; it sets the viewport size and
+//   must stay positioned (relative) for the overlaid panels
+// - onExploded, onReset, onFrame, onTime: event callbacks (see emit)
+// The ref handle (useImperativeHandle below) drives the simulator, reads its
+// state and subscribes to the same events.
+const AdvancedExplosionSimulator = forwardRef(function AdvancedExplosionSimulator({
+  initialScenario = null,
+  urlHash = true,
+  className = 'relative w-full h-screen bg-black overflow-hidden',
+  onExploded,
+  onReset,
+  onFrame,
+  onTime,
+}, ref) {
   const mountRef = useRef(null);
+  const controlsRef = useRef(null); // scene handlers, set while the scene is mounted
   const [selectedShape, setSelectedShape] = useState('sphere');
+  const [shapeDimensions, setShapeDimensions] = useState(() => Object.fromEntries(
+    Object.entries({ ...SHAPES, mesh: MESH_SHAPE }).map(([name, shape]) => [name, { ...shape.dimensions }])
+  ));
+  const [importedMesh, setImportedMesh] = useState(null); // { name, mesh } from mesh-import.js
+  const [importError, setImportError] = useState(null);
+  const [material, setMaterial] = useState('aluminium');
+  const [density, setDensity] = useState(MATERIALS.aluminium.density); // kg/m³
+  const [objectMass, setObjectMass] = useState(0);
+  const [pieceCount, setPieceCount] = useState(0);
+  const [fracture, setFracture] = useState('lattice');
+  const [fragmentCount, setFragmentCount] = useState(60);
+  const [clustering, setClustering] = useState(0);
+  const [breakup, setBreakup] = useState(DEFAULT_BREAKUP_OPTIONS);
+  const [breakupHistogram, setBreakupHistogram] = useState(null);
+  const [detonationPoint, setDetonationPoint] = useState(CENTRE); // m, object frame
+  const [chargeMode, setChargeMode] = useState('isotropic');
+  const [coneAngleDeg, setConeAngleDeg] = useState(30);
+  const [impact, setImpact] = useState(DEFAULT_IMPACT);
   const [comVelocity, setComVelocity] = useState({ x: 0, y: 0, z: 0 });
-  const [explosionSpeed, setExplosionSpeed] = useState(10);
+  const [explosionEnergy, setExplosionEnergy] = useState(1e9); // J
+  const [yieldUnit, setYieldUnit] = useState('J');
+  const [gasEnergyFraction, setGasEnergyFraction] = useState(1);
+  const [gasMassPercent, setGasMassPercent] = useState(null); // of the chunk mass; null is the TNT equivalent
+  const [gasDragCoefficient, setGasDragCoefficient] = useState(DEFAULT_GAS_OPTIONS.dragCoefficient);
+  const [energyBudget, setEnergyBudget] = useState(null);
+  const [angularMomentum, setAngularMomentum] = useState(null);
+  const [showSpeedChart, setShowSpeedChart] = useState(false);
+  const [speedMassWeighted, setSpeedMassWeighted] = useState(false);
+  const [speedDistributions, setSpeedDistributions] = useState(null);
+  const [showConservationHud, setShowConservationHud] = useState(true);
+  const [showTrails, setShowTrails] = useState(false);
+  const [trailDuration, setTrailDuration] = useState(DEFAULT_TRAIL_OPTIONS.duration); // s
+  const [overlayFrame, setOverlayFrame] = useState('com');
+  const [arrowQuantity, setArrowQuantity] = useState(null); // null hides the arrows
+  const [arrowSum, setArrowSum] = useState(null); // magnitude of the summed arrow
   const [isExploded, setIsExploded] = useState(false);
   const [randomSeed, setRandomSeed] = useState(12345);
   const [useRandomSeed, setUseRandomSeed] = useState(false);
   const [enableGas, setEnableGas] = useState(true);
   const [frameIsCoM, setFrameIsCoM] = useState(true);
   const [followCameraStatus, setFollowCameraStatus] = useState(true);
+  const [inspectedFragment, setInspectedFragment] = useState(null); // inspectFragment() of the clicked fragment
+  const [followingFragment, setFollowingFragment] = useState(false);
   const [timeScale, setTimeScale] = useState(1);
   const [isPlaying, setIsPlaying] = useState(true);
+  const [integrator, setIntegrator] = useState(DEFAULT_INTEGRATOR);
+  const [enableGravity, setEnableGravity] = useState(false);
+  const [gravityExponent, setGravityExponent] = useState(1); // log10 of G in m³/(kg·s²)
+  const [softeningLength, setSofteningLength] = useState(0.5);
+  const [orbitalMode, setOrbitalMode] = useState(false);
+  const [orbitAltitudeKm, setOrbitAltitudeKm] = useState(400);
+  const [orbitInclinationDeg, setOrbitInclinationDeg] = useState(51.6);
+  const [orbitTimeWarp, setOrbitTimeWarp] = useState(1);
+  const [showDebrisPanel, setShowDebrisPanel] = useState(false);
+  const [debrisElements, setDebrisElements] = useState([]);
+  const [enableCollisions, setEnableCollisions] = useState(false);
+  const [restitution, setRestitution] = useState(0.5);
+  const [enableMerging, setEnableMerging] = useState(false);
+  const [mergeSpeed, setMergeSpeed] = useState(5);
+  const [mergeCount, setMergeCount] = useState(0);
+  const [timeline, setTimeline] = useState({ duration: 0, time: 0, replaying: false });
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exportEpoch, setExportEpoch] = useState(() => `${new Date().toISOString().slice(0, 19)}Z`); // UTC at orbit clock zero
+  const [loadedScenario, setLoadedScenario] = useState(null); // settings waiting for the scene to rebuild
+  const [scenarioStatus, setScenarioStatus] = useState(null); // { message, error }
+  const [renderOptions, setRenderOptions] = useState(DEFAULT_RENDER_OPTIONS);
+  const [renderProgress, setRenderProgress] = useState(null); // share of frames done while rendering
+  const [renderStatus, setRenderStatus] = useState(null); // { message, error }
 
   const timeScaleRef = useRef(timeScale);
   const isPlayingRef = useRef(isPlaying);
+  const integratorRef = useRef(integrator);
+  const speedChartRef = useRef({ show: showSpeedChart, massWeighted: speedMassWeighted });
+  const overlaySettingsRef = useRef({ trails: showTrails, trailDuration, frame: overlayFrame, arrows: arrowQuantity });
+  const conservationFeedRef = useRef(null);
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onExploded, onReset, onFrame, onTime };
+  const listenersRef = useRef(Object.fromEntries(Object.keys(SIMULATOR_EVENTS).map((event) => [event, new Set()])));
+
+  // Events: 'exploded' (scenario state at detonation), 'reset', 'frame' (every
+  // rendered frame: shown time, whether exploded and replaying) and 'time'
+  // (timeline changes: duration, time, replaying)
+  const emit = useCallback((event, detail) => {
+    const callback = callbacksRef.current[SIMULATOR_EVENTS[event]];
+    if (callback) callback(detail);
+    listenersRef.current[event].forEach((listener) => listener(detail));
+  }, []);
+  const bodySettingsRef = useRef({
+    dimensions: shapeDimensions,
+    density,
+    fracture,
+    fragmentCount,
+    clustering,
+    breakup,
+    impact: impactOptions(impact),
+  });
+  const importedMeshRef = useRef(null);
+  const explosionSettingsRef = useRef({
+    explosionEnergy,
+    gasEnergyFraction,
+    gasMassFraction: gasMassPercent === null ? null : gasMassPercent / 100,
+    gasDragCoefficient,
+    seed: randomSeed,
+    useSeed: useRandomSeed,
+    enableGas,
+    detonationPoint,
+    charge: { mode: chargeMode, coneAngleDeg },
+  });
+  const gravitySettingsRef = useRef({
+    enabled: enableGravity,
+    gravitationalConstant: Math.pow(10, gravityExponent),
+    softening: softeningLength,
+  });
+  const collisionSettingsRef = useRef({
+    enabled: enableCollisions,
+    restitution,
+    mergeSpeed: enableMerging ? mergeSpeed : 0,
+  });
+  const orbitSettingsRef = useRef({
+    enabled: orbitalMode,
+    altitudeKm: orbitAltitudeKm,
+    inclinationDeg: orbitInclinationDeg,
+    timeWarp: orbitTimeWarp,
+  });
 
   useEffect(() => {
     timeScaleRef.current = timeScale;
@@ -29,9 +738,119 @@ export default function AdvancedExplosionSimulator() {
     isPlayingRef.current = isPlaying;
   }, [isPlaying]);
 
+  useEffect(() => {
+    integratorRef.current = integrator;
+  }, [integrator]);
+
+  useEffect(() => {
+    overlaySettingsRef.current = { trails: showTrails, trailDuration, frame: overlayFrame, arrows: arrowQuantity };
+    if (!arrowQuantity) {
+      setArrowSum(null);
+    }
+  }, [showTrails, trailDuration, overlayFrame, arrowQuantity]);
+
+  // The loop refreshes the open chart with the energy panel; refresh now on a toggle
+  useEffect(() => {
+    speedChartRef.current = { show: showSpeedChart, massWeighted: speedMassWeighted };
+    if (showSpeedChart && controlsRef.current?.analyzeSpeeds) {
+      setSpeedDistributions(controlsRef.current.analyzeSpeeds({ massWeighted: speedMassWeighted }));
+    }
+  }, [showSpeedChart, speedMassWeighted, isExploded]);
+
+  // Rebuild the object when its size, material, fracture or projectile changes
+  useEffect(() => {
+    bodySettingsRef.current = {
+      dimensions: shapeDimensions,
+      density,
+      fracture,
+      fragmentCount,
+      clustering,
+      breakup,
+      impact: impactOptions(impact),
+    };
+    if (controlsRef.current?.rebuildObject) {
+      controlsRef.current.rebuildObject();
+    }
+  }, [shapeDimensions, density, fracture, fragmentCount, clustering, breakup, impact]);
+
+  // Switch to a freshly imported mesh
+  useEffect(() => {
+    importedMeshRef.current = importedMesh ? importedMesh.mesh : null;
+    if (importedMesh && controlsRef.current?.changeShape) {
+      controlsRef.current.changeShape('mesh');
+    }
+  }, [importedMesh]);
+
+  useEffect(() => {
+    explosionSettingsRef.current = {
+      explosionEnergy,
+      gasEnergyFraction,
+      gasMassFraction: gasMassPercent === null ? null : gasMassPercent / 100,
+      gasDragCoefficient,
+      seed: randomSeed,
+      useSeed: useRandomSeed,
+      enableGas,
+      detonationPoint,
+      charge: { mode: chargeMode, coneAngleDeg },
+    };
+  }, [
+    explosionEnergy,
+    gasEnergyFraction,
+    gasMassPercent,
+    gasDragCoefficient,
+    randomSeed,
+    useRandomSeed,
+    enableGas,
+    detonationPoint,
+    chargeMode,
+    coneAngleDeg,
+  ]);
+
+  // Voronoi sites and breakup fragments come from the seed, so a new seed means new fragments
+  useEffect(() => {
+    if (bodySettingsRef.current.fracture !== 'lattice' && controlsRef.current?.rebuildObject) {
+      controlsRef.current.rebuildObject();
+    }
+  }, [randomSeed, useRandomSeed]);
+
+  // Move the charge marker; clustered Voronoi sites follow the charge
+  useEffect(() => {
+    if (controlsRef.current?.setDetonationPoint) {
+      controlsRef.current.setDetonationPoint(detonationPoint);
+    }
+    const { fracture: fractureMode, clustering: siteClustering } = bodySettingsRef.current;
+    if (fractureMode === 'voronoi' && siteClustering > 0 && controlsRef.current?.rebuildObject) {
+      controlsRef.current.rebuildObject();
+    }
+  }, [detonationPoint]);
+
+  useEffect(() => {
+    gravitySettingsRef.current = {
+      enabled: enableGravity,
+      gravitationalConstant: Math.pow(10, gravityExponent),
+      softening: softeningLength,
+    };
+  }, [enableGravity, gravityExponent, softeningLength]);
+
+  useEffect(() => {
+    collisionSettingsRef.current = {
+      enabled: enableCollisions,
+      restitution,
+      mergeSpeed: enableMerging ? mergeSpeed : 0,
+    };
+  }, [enableCollisions, restitution, enableMerging, mergeSpeed]);
+
+  useEffect(() => {
+    orbitSettingsRef.current = {
+      enabled: orbitalMode,
+      altitudeKm: orbitAltitudeKm,
+      inclinationDeg: orbitInclinationDeg,
+      timeWarp: orbitTimeWarp,
+    };
+  }, [orbitalMode, orbitAltitudeKm, orbitInclinationDeg, orbitTimeWarp]);
+
   const applyTimeScale = useCallback((value) => {
-    const numeric = Number(value);
-    const sanitized = clampTimeScale(Number.isFinite(numeric) ? numeric : 0);
+    const sanitized = clampTimeScale(Number(value));
     timeScaleRef.current = sanitized;
     setTimeScale(sanitized);
   }, []);
@@ -46,34 +865,55 @@ export default function AdvancedExplosionSimulator() {
 
   // Sync React comVelocity state with Three.js scene
   useEffect(() => {
-    if (window.simulatorControls?.updateVelocity) {
-      window.simulatorControls.updateVelocity(comVelocity.x, comVelocity.y, comVelocity.z);
+    if (controlsRef.current?.updateVelocity) {
+      controlsRef.current.updateVelocity(comVelocity.x, comVelocity.y, comVelocity.z);
     }
   }, [comVelocity]);
 
   // Sync camera lock setting with Three.js
   useEffect(() => {
-    if (window.simulatorControls?.setCameraLock) {
-      window.simulatorControls.setCameraLock(frameIsCoM);
+    if (controlsRef.current?.setCameraLock) {
+      controlsRef.current.setCameraLock(frameIsCoM);
     }
   }, [frameIsCoM]);
 
+  // Rebuild the central body and reference orbit when the orbit changes
+  useEffect(() => {
+    if (controlsRef.current?.setOrbit) {
+      controlsRef.current.setOrbit({
+        enabled: orbitalMode,
+        altitudeKm: orbitAltitudeKm,
+        inclinationDeg: orbitInclinationDeg,
+      });
+    }
+  }, [orbitalMode, orbitAltitudeKm, orbitInclinationDeg]);
+
+  // Rebuild from a loaded scenario once the effects above have passed its
+  // settings to the refs
+  useEffect(() => {
+    if (!loadedScenario || !controlsRef.current) return;
+    controlsRef.current.changeShape(loadedScenario.shape);
+    controlsRef.current.setCameraPose(loadedScenario.camera);
+  }, [loadedScenario]);
+
   useEffect(() => {
-    if (!mountRef.current) return;
+    const mount = mountRef.current;
+    if (!mount) return;
 
-    // Scene setup
+    // Scene setup, sized to this simulator's element rather than the window
     const scene = new THREE.Scene();
     const camera = new THREE.PerspectiveCamera(
       75,
-      window.innerWidth / window.innerHeight,
+      (mount.clientWidth || 1) / (mount.clientHeight || 1),
       0.1,
       1000
     );
     camera.position.set(0, 0, 30);
 
-    const renderer = new THREE.WebGLRenderer({ antialias: true });
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    mountRef.current.appendChild(renderer.domElement);
+    // Logarithmic depth keeps metre-sized chunks and a true-scale planet in one depth range
+    const renderer = new THREE.WebGLRenderer({ antialias: true, logarithmicDepthBuffer: true });
+    renderer.setSize(mount.clientWidth, mount.clientHeight);
+    mount.appendChild(renderer.domElement);
 
     const createStarfieldTexture = () => {
       const size = 1024;
@@ -95,12 +935,13 @@ export default function AdvancedExplosionSimulator() {
       ctx.fillStyle = gradient;
       ctx.fillRect(0, 0, size, size);
 
+      const random = createRandomSource(STARFIELD_SEED, true);
       const starCount = 2000;
       for (let i = 0; i < starCount; i++) {
-        const x = Math.random() * size;
-        const y = Math.random() * size;
-        const brightness = Math.random();
-        const radius = Math.random() * 1.2 + 0.2;
+        const x = random() * size;
+        const y = random() * size;
+        const brightness = random();
+        const radius = random() * 1.2 + 0.2;
         ctx.beginPath();
         ctx.fillStyle = `rgba(${200 + brightness * 55}, ${200 + brightness * 55}, 255, ${0.5 + brightness * 0.5})`;
         ctx.arc(x, y, radius, 0, Math.PI * 2);
@@ -129,492 +970,137 @@ export default function AdvancedExplosionSimulator() {
     // Velocity vector arrow
     let velocityArrow = null;
 
-    // Seeded random number generator (LCG)
-    class SeededRandom {
-      constructor(seed) {
-        this.seed = seed;
-      }
-      
-      next() {
-        this.seed = (this.seed * 1664525 + 1013904223) % 4294967296;
-        return this.seed / 4294967296;
-      }
-      
-      reset(seed) {
-        this.seed = seed;
-      }
-    }
-    
-    let rng = new SeededRandom(randomSeed);
-
-    // Maxwell-Boltzmann velocity distribution (simplified)
-    function maxwellBoltzmannSpeed(temperature) {
-      // Box-Muller transform for normal distribution
-      const u1 = useRandomSeed ? rng.next() : Math.random();
-      const u2 = useRandomSeed ? rng.next() : Math.random();
-      const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
-      
-      const u3 = useRandomSeed ? rng.next() : Math.random();
-      const u4 = useRandomSeed ? rng.next() : Math.random();
-      const z2 = Math.sqrt(-2 * Math.log(u3)) * Math.cos(2 * Math.PI * u4);
-      
-      // Speed from 3D Maxwell-Boltzmann
-      const speed = Math.sqrt(z0 * z0 + z1 * z1 + z2 * z2) * temperature;
-      return speed;
-    }
-
-    // Create shape chunks - ACTUAL geometric pieces that compose the shape
-    function createShapeChunks(shapeType) {
-      const chunks = [];
-      const colors = [0x4488ff, 0x44ff88, 0xff4488, 0xffaa44, 0xaa44ff, 0x44ffff];
-
-      switch (shapeType) {
-        case 'cube': {
-          // Break cube into 6x6x6 = 216 smaller cubes that perfectly tile
-          const divisions = 6;
-          const totalSize = 8;
-          const pieceSize = totalSize / divisions;
-          const offset = -totalSize / 2 + pieceSize / 2;
-          
-          for (let x = 0; x < divisions; x++) {
-            for (let y = 0; y < divisions; y++) {
-              for (let z = 0; z < divisions; z++) {
-                const geometry = new THREE.BoxGeometry(pieceSize * 0.98, pieceSize * 0.98, pieceSize * 0.98);
-                const material = new THREE.MeshPhongMaterial({
-                  color: colors[(x + y + z) % colors.length],
-                  shininess: 30,
-                });
-                const mesh = new THREE.Mesh(geometry, material);
-                
-                const posX = offset + x * pieceSize;
-                const posY = offset + y * pieceSize;
-                const posZ = offset + z * pieceSize;
-                
-                mesh.position.set(posX, posY, posZ);
-                
-                // Calculate mass from bounding box volume
-                const bbox = new THREE.Box3().setFromObject(mesh);
-                const size = new THREE.Vector3();
-                bbox.getSize(size);
-                const approxVolume = size.x * size.y * size.z;
-                const density = 1.0; // arbitrary units
-                const calculatedMass = approxVolume * density;
-                
-                chunks.push({
-                  mesh,
-                  initialPos: new THREE.Vector3(posX, posY, posZ),
-                  mass: calculatedMass,
-                  velocity: new THREE.Vector3(0, 0, 0),
-                });
-              }
-            }
-          }
-          break;
-        }
-
-        case 'sphere': {
-          // Break sphere into 72 wedge pieces (like an orange)
-          const radius = 5;
-          const latSegments = 6; // vertical divisions
-          const lonSegments = 12; // horizontal divisions
-          
-          for (let lat = 0; lat < latSegments; lat++) {
-            const phi1 = (lat / latSegments) * Math.PI;
-            const phi2 = ((lat + 1) / latSegments) * Math.PI;
-            
-            for (let lon = 0; lon < lonSegments; lon++) {
-              const theta1 = (lon / lonSegments) * Math.PI * 2;
-              const theta2 = ((lon + 1) / lonSegments) * Math.PI * 2;
-              
-              // Create a wedge piece
-              const geometry = new THREE.BufferGeometry();
-              const vertices = [];
-              const indices = [];
-              
-              // Center point for this wedge
-              const centerPhi = (phi1 + phi2) / 2;
-              const centerTheta = (theta1 + theta2) / 2;
-              
-              // Create simplified wedge (8 vertices forming a rough piece)
-              const r1 = radius * 0.98;
-              const r2 = radius * 0.5;
-              
-              // Outer layer (4 corners)
-              vertices.push(
-                r1 * Math.sin(phi1) * Math.cos(theta1), r1 * Math.cos(phi1), r1 * Math.sin(phi1) * Math.sin(theta1),
-                r1 * Math.sin(phi1) * Math.cos(theta2), r1 * Math.cos(phi1), r1 * Math.sin(phi1) * Math.sin(theta2),
-                r1 * Math.sin(phi2) * Math.cos(theta1), r1 * Math.cos(phi2), r1 * Math.sin(phi2) * Math.sin(theta1),
-                r1 * Math.sin(phi2) * Math.cos(theta2), r1 * Math.cos(phi2), r1 * Math.sin(phi2) * Math.sin(theta2)
-              );
-              
-              // Inner layer (4 corners)
-              vertices.push(
-                r2 * Math.sin(phi1) * Math.cos(theta1), r2 * Math.cos(phi1), r2 * Math.sin(phi1) * Math.sin(theta1),
-                r2 * Math.sin(phi1) * Math.cos(theta2), r2 * Math.cos(phi1), r2 * Math.sin(phi1) * Math.sin(theta2),
-                r2 * Math.sin(phi2) * Math.cos(theta1), r2 * Math.cos(phi2), r2 * Math.sin(phi2) * Math.sin(theta1),
-                r2 * Math.sin(phi2) * Math.cos(theta2), r2 * Math.cos(phi2), r2 * Math.sin(phi2) * Math.sin(theta2)
-              );
-              
-              // Create faces
-              const faces = [
-                [0,2,3], [0,3,1], // outer
-                [4,5,7], [4,7,6], // inner
-                [0,1,5], [0,5,4], // side 1
-                [2,6,7], [2,7,3], // side 2
-                [0,4,6], [0,6,2], // side 3
-                [1,3,7], [1,7,5], // side 4
-              ];
-              
-              faces.forEach(face => {
-                indices.push(face[0], face[1], face[2]);
-              });
-              
-              geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-              geometry.setIndex(indices);
-              geometry.computeVertexNormals();
-              
-              const centroidX = r1 * 0.65 * Math.sin(centerPhi) * Math.cos(centerTheta);
-              const centroidY = r1 * 0.65 * Math.cos(centerPhi);
-              const centroidZ = r1 * 0.65 * Math.sin(centerPhi) * Math.sin(centerTheta);
-              
-              // Translate geometry so it's centered at origin
-              geometry.translate(-centroidX, -centroidY, -centroidZ);
-              
-              const material = new THREE.MeshPhongMaterial({
-                color: colors[(lat + lon) % colors.length],
-                shininess: 30,
-              });
-              const mesh = new THREE.Mesh(geometry, material);
-              
-              // Set mesh position so geometry appears in correct location
-              mesh.position.set(centroidX, centroidY, centroidZ);
-              
-              // Calculate mass from bounding box volume
-              const bbox = new THREE.Box3().setFromObject(mesh);
-              const size = new THREE.Vector3();
-              bbox.getSize(size);
-              const approxVolume = size.x * size.y * size.z;
-              const density = 1.0;
-              const calculatedMass = approxVolume * density;
-              
-              chunks.push({
-                mesh,
-                initialPos: new THREE.Vector3(centroidX, centroidY, centroidZ),
-                mass: calculatedMass,
-                velocity: new THREE.Vector3(0, 0, 0),
-              });
-            }
-          }
-          break;
-        }
-
-        case 'cone': {
-          // Break cone into 60 pieces (10 vertical layers × 6 radial segments)
-          const height = 10;
-          const baseRadius = 5;
-          const layers = 10;
-          const segments = 6;
-          
-          for (let layer = 0; layer < layers; layer++) {
-            const y1 = -height / 2 + (layer / layers) * height;
-            const y2 = -height / 2 + ((layer + 1) / layers) * height;
-            const r1 = baseRadius * (1 - layer / layers);
-            const r2 = baseRadius * (1 - (layer + 1) / layers);
-            
-            for (let seg = 0; seg < segments; seg++) {
-              const theta1 = (seg / segments) * Math.PI * 2;
-              const theta2 = ((seg + 1) / segments) * Math.PI * 2;
-              
-              // Create frustum segment
-              const geometry = new THREE.BufferGeometry();
-              const vertices = [];
-              const indices = [];
-              
-              // Bottom ring
-              vertices.push(
-                r1 * Math.cos(theta1), y1, r1 * Math.sin(theta1),
-                r1 * Math.cos(theta2), y1, r1 * Math.sin(theta2)
-              );
-              
-              // Top ring (smaller)
-              vertices.push(
-                r2 * Math.cos(theta1), y2, r2 * Math.sin(theta1),
-                r2 * Math.cos(theta2), y2, r2 * Math.sin(theta2)
-              );
-              
-              // Inner points (create thickness)
-              const innerScale = 0.8;
-              vertices.push(
-                r1 * innerScale * Math.cos(theta1), y1, r1 * innerScale * Math.sin(theta1),
-                r1 * innerScale * Math.cos(theta2), y1, r1 * innerScale * Math.sin(theta2),
-                r2 * innerScale * Math.cos(theta1), y2, r2 * innerScale * Math.sin(theta1),
-                r2 * innerScale * Math.cos(theta2), y2, r2 * innerScale * Math.sin(theta2)
-              );
-              
-              // Create faces
-              indices.push(
-                0,1,3, 0,3,2,  // outer
-                4,6,7, 4,7,5,  // inner
-                0,2,6, 0,6,4,  // side 1
-                1,5,7, 1,7,3,  // side 2
-              );
-              
-              geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-              geometry.setIndex(indices);
-              geometry.computeVertexNormals();
-              
-              const centerTheta = (theta1 + theta2) / 2;
-              const centerR = (r1 + r2) / 2;
-              const centerY = (y1 + y2) / 2;
-              
-              const posX = centerR * 0.9 * Math.cos(centerTheta);
-              const posY = centerY;
-              const posZ = centerR * 0.9 * Math.sin(centerTheta);
-              
-              // Translate geometry so it's centered at origin
-              geometry.translate(-posX, -posY, -posZ);
-              
-              const material = new THREE.MeshPhongMaterial({
-                color: colors[(layer + seg) % colors.length],
-                shininess: 30,
-              });
-              const mesh = new THREE.Mesh(geometry, material);
-              
-              // Set mesh position so geometry appears in correct location
-              mesh.position.set(posX, posY, posZ);
-              
-              // Calculate mass from bounding box volume
-              const bbox = new THREE.Box3().setFromObject(mesh);
-              const size = new THREE.Vector3();
-              bbox.getSize(size);
-              const approxVolume = size.x * size.y * size.z;
-              const density = 1.0;
-              const calculatedMass = approxVolume * density;
-              
-              chunks.push({
-                mesh,
-                initialPos: new THREE.Vector3(posX, posY, posZ),
-                mass: calculatedMass,
-                velocity: new THREE.Vector3(0, 0, 0),
-              });
-            }
-          }
-          break;
-        }
-
-        case 'cylinder': {
-          // Break cylinder into 80 pieces (10 layers × 8 radial segments)
-          const height = 10;
-          const radius = 4;
-          const layers = 10;
-          const segments = 8;
-          
-          for (let layer = 0; layer < layers; layer++) {
-            const y1 = -height / 2 + (layer / layers) * height;
-            const y2 = -height / 2 + ((layer + 1) / layers) * height;
-            
-            for (let seg = 0; seg < segments; seg++) {
-              const theta1 = (seg / segments) * Math.PI * 2;
-              const theta2 = ((seg + 1) / segments) * Math.PI * 2;
-              
-              // Create cylindrical segment
-              const geometry = new THREE.BufferGeometry();
-              const vertices = [];
-              const indices = [];
-              
-              const outerR = radius * 0.98;
-              const innerR = radius * 0.6;
-              
-              // Outer ring bottom
-              vertices.push(
-                outerR * Math.cos(theta1), y1, outerR * Math.sin(theta1),
-                outerR * Math.cos(theta2), y1, outerR * Math.sin(theta2)
-              );
-              
-              // Outer ring top
-              vertices.push(
-                outerR * Math.cos(theta1), y2, outerR * Math.sin(theta1),
-                outerR * Math.cos(theta2), y2, outerR * Math.sin(theta2)
-              );
-              
-              // Inner ring bottom
-              vertices.push(
-                innerR * Math.cos(theta1), y1, innerR * Math.sin(theta1),
-                innerR * Math.cos(theta2), y1, innerR * Math.sin(theta2)
-              );
-              
-              // Inner ring top
-              vertices.push(
-                innerR * Math.cos(theta1), y2, innerR * Math.sin(theta1),
-                innerR * Math.cos(theta2), y2, innerR * Math.sin(theta2)
-              );
-              
-              // Create faces
-              indices.push(
-                0,1,3, 0,3,2,  // outer surface
-                4,6,7, 4,7,5,  // inner surface
-                0,2,6, 0,6,4,  // side 1
-                1,5,7, 1,7,3,  // side 2
-                0,4,5, 0,5,1,  // bottom
-                2,3,7, 2,7,6,  // top
-              );
-              
-              geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-              geometry.setIndex(indices);
-              geometry.computeVertexNormals();
-              
-              const centerTheta = (theta1 + theta2) / 2;
-              const centerR = (outerR + innerR) / 2;
-              const centerY = (y1 + y2) / 2;
-              
-              const posX = centerR * Math.cos(centerTheta);
-              const posY = centerY;
-              const posZ = centerR * Math.sin(centerTheta);
-              
-              // Translate geometry so it's centered at origin
-              geometry.translate(-posX, -posY, -posZ);
-              
-              const material = new THREE.MeshPhongMaterial({
-                color: colors[(layer + seg) % colors.length],
-                shininess: 30,
-              });
-              const mesh = new THREE.Mesh(geometry, material);
-              
-              // Set mesh position so geometry appears in correct location
-              mesh.position.set(posX, posY, posZ);
-              
-              // Calculate mass from bounding box volume
-              const bbox = new THREE.Box3().setFromObject(mesh);
-              const size = new THREE.Vector3();
-              bbox.getSize(size);
-              const approxVolume = size.x * size.y * size.z;
-              const density = 1.0;
-              const calculatedMass = approxVolume * density;
-              
-              chunks.push({
-                mesh,
-                initialPos: new THREE.Vector3(posX, posY, posZ),
-                mass: calculatedMass,
-                velocity: new THREE.Vector3(0, 0, 0),
-              });
-            }
-          }
-          break;
-        }
-
-        case 'ring': {
-          // Break torus into 96 pieces (6 around minor × 16 around major)
-          // TorusGeometry is oriented in XZ plane (ring horizontal), so chunks must match
-          const majorRadius = 5;
-          const minorRadius = 1.5;
-          const majorSegments = 16;
-          const minorSegments = 6;
-          
-          for (let maj = 0; maj < majorSegments; maj++) {
-            const majorAngle1 = (maj / majorSegments) * Math.PI * 2;
-            const majorAngle2 = ((maj + 1) / majorSegments) * Math.PI * 2;
-            
-            for (let min = 0; min < minorSegments; min++) {
-              const minorAngle1 = (min / minorSegments) * Math.PI * 2;
-              const minorAngle2 = ((min + 1) / minorSegments) * Math.PI * 2;
-              
-              // Create torus segment
-              const geometry = new THREE.BufferGeometry();
-              const vertices = [];
-              const indices = [];
-              
-              // Generate vertices for this segment
-              // Torus in XZ plane: x = (R + r*cos(v)) * cos(u), y = r*sin(v), z = (R + r*cos(v)) * sin(u)
-              const angles = [
-                [majorAngle1, minorAngle1],
-                [majorAngle1, minorAngle2],
-                [majorAngle2, minorAngle1],
-                [majorAngle2, minorAngle2],
-              ];
-              
-              angles.forEach(([majA, minA]) => {
-                const x = (majorRadius + minorRadius * Math.cos(minA)) * Math.cos(majA);
-                const y = minorRadius * Math.sin(minA);
-                const z = (majorRadius + minorRadius * Math.cos(minA)) * Math.sin(majA);
-                vertices.push(x, y, z);
-                
-                // Inner vertices (create thickness)
-                const innerMinR = minorRadius * 0.6;
-                const x2 = (majorRadius + innerMinR * Math.cos(minA)) * Math.cos(majA);
-                const y2 = innerMinR * Math.sin(minA);
-                const z2 = (majorRadius + innerMinR * Math.cos(minA)) * Math.sin(majA);
-                vertices.push(x2, y2, z2);
-              });
-              
-              // Create faces (simplified)
-              indices.push(
-                0,2,4, 0,4,6,  // outer 1
-                1,5,3, 3,5,7,  // outer 2
-                0,1,3, 0,3,2,  // side 1
-                4,6,7, 4,7,5,  // side 2
-              );
-              
-              geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-              geometry.setIndex(indices);
-              geometry.computeVertexNormals();
-              
-              const centerMajorAngle = (majorAngle1 + majorAngle2) / 2;
-              const centerMinorAngle = (minorAngle1 + minorAngle2) / 2;
-              const centerX = (majorRadius + minorRadius * 0.8 * Math.cos(centerMinorAngle)) * Math.cos(centerMajorAngle);
-              const centerY = minorRadius * 0.8 * Math.sin(centerMinorAngle);
-              const centerZ = (majorRadius + minorRadius * 0.8 * Math.cos(centerMinorAngle)) * Math.sin(centerMajorAngle);
-              
-              // Translate geometry so it's centered at origin
-              geometry.translate(-centerX, -centerY, -centerZ);
-              
-              const material = new THREE.MeshPhongMaterial({
-                color: colors[(maj + min) % colors.length],
-                shininess: 30,
-              });
-              const mesh = new THREE.Mesh(geometry, material);
-              
-              // Set mesh position so geometry appears in correct location
-              mesh.position.set(centerX, centerY, centerZ);
-              
-              // Calculate mass from bounding box volume
-              const bbox = new THREE.Box3().setFromObject(mesh);
-              const size = new THREE.Vector3();
-              bbox.getSize(size);
-              const approxVolume = size.x * size.y * size.z;
-              const density = 1.0;
-              const calculatedMass = approxVolume * density;
-              
-              chunks.push({
-                mesh,
-                initialPos: new THREE.Vector3(centerX, centerY, centerZ),
-                mass: calculatedMass,
-                velocity: new THREE.Vector3(0, 0, 0),
-              });
-            }
-          }
-          break;
-        }
-      }
-
-      return chunks;
-    }
+    // Central body (orbital mode): planet and reference orbit, positioned relative
+    // to the reference point the local frame rides along with
+    let centralBody = null;
+    let debrisMarkers = null;
 
     // State
     let currentObject = null;
-    let explosionChunks = [];
-    let preCreatedChunks = []; // Store pre-created chunks
+    let scenario = null; // headless physics state (physics-engine.js)
+    let chunkMeshes = []; // indexed by engine chunk id
     let gasParticles = null;
     let centerOfMass = new THREE.Vector3(0, 0, 0);
     let comVel = new THREE.Vector3(0, 0, 0);
     let isMouseDragging = false;
     let previousMousePosition = { x: 0, y: 0 };
+    let mouseDownPosition = null; // where a possible click started
     let cameraDistance = 30;
     let targetCameraDistance = 100;
     let touchStartDistance = 0;
     let hasManuallyMovedCamera = false;
     let frameIsCoMSetting = frameIsCoM;
     let followCOMCamera = frameIsCoM;
+    let maxCameraDistance = DEFAULT_MAX_CAMERA_DISTANCE;
+    // The camera orbits and looks at cameraTarget: the centre of mass, or the
+    // selected fragment while riding along with it
+    const cameraTarget = new THREE.Vector3(0, 0, 0);
+    const previousCameraTarget = new THREE.Vector3(0, 0, 0);
+
+    // Fragment picking, by engine chunk id of any piece in the fragment
+    let hoveredPiece = null;
+    let selectedPiece = null;
+    let followSelected = false;
+    let highlightedMeshes = [];
+
+    // Recording of the current run. While `playhead` is set, the recorded run is
+    // shown on separate meshes that never merge and the live run waits.
+    const recording = createRecording();
+    let initialGas = null; // tracer offsets and colours at detonation; frames hold the cloud's centre and expansion
+    let playbackMeshes = [];
+    let playhead = null;
+    let conservationBaseline = null; // pre-explosion reference for the conservation HUD
+    let impactArrow = null; // the projectile's path to the aim point, until launch
+    let offlineRender = null; // { cancelled } while renderOffline drives the frames; input is ignored
+
+    // Trails and fragment arrows (motion-overlays.js), rebuilt every frame from
+    // where the pieces were last drawn
+    let trailHead = null; // { time, positions } of every piece
+    let trails = null;
+    let arrowShafts = null;
+    let arrowHeads = null;
+    const sumArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, 0xffffff);
+    sumArrow.visible = false;
+    scene.add(sumArrow);
+
+    // Charge marker, parented to the intact object so it hides with it
+    const raycaster = new THREE.Raycaster();
+    const detonationMarker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.3, 16, 8),
+      new THREE.MeshBasicMaterial({ color: 0xffaa44 })
+    );
+    const { x: markerX, y: markerY, z: markerZ } = explosionSettingsRef.current.detonationPoint;
+    detonationMarker.position.set(markerX, markerY, markerZ);
+
+    // Engine options owned by the scene; the rest come from the React refs
+    function currentScenarioOptions() {
+      return {
+        ...explosionSettingsRef.current,
+        frameIsCoM: frameIsCoMSetting,
+        comVelocity: { x: comVel.x, y: comVel.y, z: comVel.z },
+        gravity: gravitySettingsRef.current,
+        collisions: collisionSettingsRef.current,
+      };
+    }
+
+    // Mesh for an engine chunk descriptor; geometry is already centred on the chunk
+    function createChunkMesh(chunk) {
+      let geometry;
+      if (chunk.geometry.type === 'box') {
+        geometry = new THREE.BoxGeometry(...chunk.geometry.size);
+      } else {
+        geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(chunk.geometry.vertices, 3));
+        geometry.setIndex(chunk.geometry.indices);
+        geometry.computeVertexNormals();
+      }
+
+      const material = new THREE.MeshPhongMaterial({
+        color: CHUNK_COLORS[chunk.colorIndex % CHUNK_COLORS.length],
+        shininess: 30,
+      });
+      const mesh = new THREE.Mesh(geometry, material);
+      mesh.position.set(chunk.position.x, chunk.position.y, chunk.position.z);
+      mesh.userData.geometryShift = new THREE.Vector3();
+      mesh.userData.chunkId = chunk.id;
+      return mesh;
+    }
+
+    // Move the projectile to its launch point and draw its path to the aim point
+    function aimProjectile() {
+      if (impactArrow) {
+        scene.remove(impactArrow);
+        impactArrow.dispose();
+        impactArrow = null;
+      }
+      if (!scenario.projectile || scenario.exploded) return;
+      const start = placeProjectile(scenario);
+      scenario.chunks.forEach((chunk) => {
+        if (!chunk.cell.projectile) return;
+        const { x, y, z } = chunk.position;
+        chunkMeshes[chunk.id].position.set(x, y, z);
+      });
+      const { x, y, z } = scenario.options.detonationPoint;
+      const path = new THREE.Vector3(x - start.x, y - start.y, z - start.z);
+      const length = path.length();
+      impactArrow = new THREE.ArrowHelper(
+        path.normalize(),
+        new THREE.Vector3(start.x, start.y, start.z),
+        length,
+        0xffaa44,
+        Math.min(2, length * 0.2),
+        Math.min(1, length * 0.1)
+      );
+      scene.add(impactArrow);
+    }
+
+    function removeGasParticles() {
+      if (!gasParticles) return;
+      scene.remove(gasParticles);
+      gasParticles.geometry.dispose();
+      gasParticles.material.dispose();
+      gasParticles = null;
+    }
 
     // Create initial object
     function createObject(shapeType) {
@@ -622,21 +1108,19 @@ export default function AdvancedExplosionSimulator() {
       if (currentObject) {
         scene.remove(currentObject);
       }
-      explosionChunks.forEach(chunk => scene.remove(chunk.mesh));
-      explosionChunks = [];
-      
-      // Remove pre-created chunks from scene
-      preCreatedChunks.forEach(chunk => {
-        if (chunk.mesh.parent) {
-          scene.remove(chunk.mesh);
-        }
+
+      // Merged chunks hang off another chunk, so detach from whatever holds them
+      chunkMeshes.forEach((mesh) => {
+        mesh.removeFromParent();
+        mesh.geometry.dispose();
+        mesh.material.dispose();
       });
-      
-      // Remove gas particles
-      if (gasParticles) {
-        scene.remove(gasParticles);
-        gasParticles = null;
-      }
+      chunkMeshes = [];
+      selectFragment(null);
+      removeOverlays();
+
+      removeGasParticles();
+      clearPlayback();
 
       // Don't reset camera or CoM velocity when changing shapes anymore
 
@@ -645,36 +1129,81 @@ export default function AdvancedExplosionSimulator() {
         shininess: 30,
       });
 
+      const {
+        dimensions: allDimensions,
+        density: objectDensity,
+        fracture: fractureMode,
+        fragmentCount: fragmentTarget,
+        clustering: siteClustering,
+        breakup: breakupEvent,
+        impact: impactSettings,
+      } = bodySettingsRef.current;
+      const size = resolveDimensions(shapeType, allDimensions[shapeType]);
       let geometry;
       switch (shapeType) {
         case 'cube':
-          geometry = new THREE.BoxGeometry(8, 8, 8);
+          geometry = new THREE.BoxGeometry(size.edge, size.edge, size.edge);
           break;
         case 'sphere':
-          geometry = new THREE.SphereGeometry(5, 32, 32);
+          geometry = new THREE.SphereGeometry(size.radius, 32, 32);
           break;
         case 'cone':
-          geometry = new THREE.ConeGeometry(5, 10, 32);
+          geometry = new THREE.ConeGeometry(size.radius, size.height, 32);
           break;
         case 'cylinder':
-          geometry = new THREE.CylinderGeometry(4, 4, 10, 32);
+          geometry = new THREE.CylinderGeometry(size.radius, size.radius, size.height, 32);
           break;
         case 'ring':
-          geometry = new THREE.TorusGeometry(5, 1.5, 16, 32);
+          geometry = new THREE.TorusGeometry(size.majorRadius, size.minorRadius, 16, 32);
+          break;
+        case 'mesh': {
+          // Centred the same way the engine centres it before fracturing
+          const mesh = centerMesh(importedMeshRef.current, size.scale);
+          geometry = new THREE.BufferGeometry();
+          geometry.setAttribute('position', new THREE.Float32BufferAttribute(mesh.positions, 3));
+          geometry.setIndex(mesh.indices);
+          geometry.computeVertexNormals();
           break;
+        }
       }
 
       currentObject = new THREE.Mesh(geometry, material);
+      currentObject.add(detonationMarker);
       scene.add(currentObject);
-      
-      // Pre-create chunks (but don't add to scene yet)
-      preCreatedChunks = createShapeChunks(shapeType);
-      // Add chunks to scene but make them invisible
-      preCreatedChunks.forEach(chunk => {
-        chunk.mesh.visible = false;
-        scene.add(chunk.mesh);
+
+      // The parent orbit and its clock carry over to the new shape
+      const previous = scenario;
+      scenario = createScenario({
+        ...currentScenarioOptions(),
+        shape: shapeType,
+        dimensions: size,
+        density: objectDensity,
+        mesh: shapeType === 'mesh' ? importedMeshRef.current : null,
+        fracture: fractureMode,
+        fragmentCount: fragmentTarget,
+        clustering: siteClustering,
+        breakup: breakupEvent,
+        impact: impactSettings,
+        orbit: previous ? previous.options.orbit : undefined,
       });
-      
+      if (previous) {
+        scenario.orbitTime = previous.orbitTime;
+      }
+
+      // Pre-create chunk meshes, hidden until the explosion; a projectile waits in view
+      chunkMeshes = scenario.chunks.map((chunk) => {
+        const mesh = createChunkMesh(chunk);
+        mesh.visible = Boolean(chunk.cell.projectile);
+        scene.add(mesh);
+        return mesh;
+      });
+      aimProjectile();
+
+      setObjectMass(scenario.chunks.reduce((sum, chunk) => sum + chunk.mass, 0));
+      setPieceCount(scenario.chunks.length);
+      setBreakupHistogram(computeBreakupHistogram(scenario));
+      conservationBaseline = null;
+      conservationFeedRef.current?.(null);
       setIsExploded(false);
     }
 
@@ -710,219 +1239,607 @@ export default function AdvancedExplosionSimulator() {
       }
     }
 
-    // Explode object
-    function explodeObject() {
-      if (!currentObject || isExploded) return;
+    function disposeCentralBody() {
+      if (!centralBody) return;
+      scene.remove(centralBody);
+      centralBody.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+      centralBody = null;
+    }
+
+    function rebuildCentralBody() {
+      disposeCentralBody();
+      const { enabled, altitudeKm, inclinationDeg } = scenario.options.orbit;
+      if (!enabled) return;
 
-      // Reset RNG if using seed
-      if (useRandomSeed) {
-        rng.reset(randomSeed);
+      centralBody = new THREE.Group();
+
+      const planet = new THREE.Mesh(
+        new THREE.SphereGeometry(EARTH_RADIUS, 128, 64),
+        new THREE.MeshPhongMaterial({ color: 0x1e4d8c, emissive: 0x061426, shininess: 15 })
+      );
+      centralBody.add(planet);
+
+      // Reference orbit, drawn relative to the planet centre
+      const altitude = altitudeKm * 1000;
+      const period = circularOrbitPeriod(altitude);
+      const orbitPoints = [];
+      const samples = 256;
+      for (let i = 0; i <= samples; i++) {
+        const { position } = circularOrbitState(altitude, inclinationDeg, (i / samples) * period);
+        const p = eciToScene(position);
+        orbitPoints.push(new THREE.Vector3(p.x, p.y, p.z));
       }
+      const orbitLine = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(orbitPoints),
+        new THREE.LineBasicMaterial({ color: 0x66ccff, transparent: true, opacity: 0.5 })
+      );
+      centralBody.add(orbitLine);
 
-      followCOMCamera = frameIsCoMSetting;
-      setFollowCameraStatus(followCOMCamera && !hasManuallyMovedCamera);
+      scene.add(centralBody);
+      updateCentralBody();
+    }
 
-      // Hide the solid object
-      currentObject.visible = false;
-      
-      // Use pre-created chunks
-      explosionChunks = preCreatedChunks;
-      
-      // Make chunks visible and ensure they're at initial positions
-      explosionChunks.forEach(chunk => {
-        chunk.mesh.position.copy(chunk.initialPos);
-        chunk.mesh.rotation.set(0, 0, 0);
-        chunk.mesh.visible = true;
+    function updateCentralBody(orbitTime = scenario.orbitTime) {
+      if (!centralBody) return;
+      const reference = referenceOrbitPosition(scenario, orbitTime);
+      centralBody.position.set(-reference.x, -reference.y, -reference.z);
+    }
+
+    // Screen-space markers so metre-sized chunks stay visible at orbital zoom levels
+    function updateDebrisMarkers(points = scenario.activeChunks.map((chunk) => chunk.position)) {
+      const shouldShow = scenario.options.orbit.enabled && points.length > 0;
+      if (!shouldShow) {
+        removeDebrisMarkers();
+        return;
+      }
+
+      if (!debrisMarkers || debrisMarkers.geometry.attributes.position.count !== points.length) {
+        removeDebrisMarkers();
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(points.length * 3), 3));
+        debrisMarkers = new THREE.Points(
+          geometry,
+          new THREE.PointsMaterial({ color: 0xffcc66, size: 3, sizeAttenuation: false })
+        );
+        scene.add(debrisMarkers);
+      }
+
+      const positions = debrisMarkers.geometry.attributes.position.array;
+      points.forEach((point, i) => {
+        positions[i * 3] = point.x;
+        positions[i * 3 + 1] = point.y;
+        positions[i * 3 + 2] = point.z;
       });
+      debrisMarkers.geometry.attributes.position.needsUpdate = true;
+      debrisMarkers.geometry.computeBoundingSphere();
+    }
+
+    function removeDebrisMarkers() {
+      if (!debrisMarkers) return;
+      scene.remove(debrisMarkers);
+      debrisMarkers.geometry.dispose();
+      debrisMarkers.material.dispose();
+      debrisMarkers = null;
+    }
 
-      // Calculate total mass
-      const totalMass = explosionChunks.reduce((sum, chunk) => sum + chunk.mass, 0);
+    // Undo any merge bookkeeping so a mesh can be reused for the next explosion
+    function restoreChunkMesh(mesh) {
+      if (mesh.parent !== scene) {
+        scene.add(mesh);
+      }
+      const shift = mesh.userData.geometryShift;
+      if (shift.lengthSq() > 0) {
+        mesh.geometry.translate(shift.x, shift.y, shift.z);
+        shift.set(0, 0, 0);
+      }
+      mesh.rotation.set(0, 0, 0);
+    }
 
-      // Temperature parameter for Maxwell-Boltzmann
-      const temperature = explosionSpeed;
+    // The engine moved the survivor to the combined centre of mass. Shift its
+    // geometry (and anything already glued on) so nothing visibly jumps, then
+    // attach the absorbed mesh as a child so the merged body keeps its shape.
+    function applyMerge({ survivorId, absorbedId, survivorOffset, absorbedOffset }) {
+      const survivor = chunkMeshes[survivorId];
+      const absorbed = chunkMeshes[absorbedId];
+      // Glue at the orientations of the merge, not those last drawn
+      [[survivor, survivorId], [absorbed, absorbedId]].forEach(([mesh, id]) => {
+        const { x, y, z, w } = scenario.chunks[id].orientation;
+        mesh.quaternion.set(x, y, z, w);
+      });
+      const inverse = survivor.quaternion.clone().invert();
 
-      // Generate chunk velocities with Maxwell-Boltzmann distribution
-      const chunkVelocities = [];
-      for (let i = 0; i < explosionChunks.length; i++) {
-        const speed = maxwellBoltzmannSpeed(temperature);
-        const theta = (useRandomSeed ? rng.next() : Math.random()) * Math.PI * 2;
-        const phi = Math.acos(2 * (useRandomSeed ? rng.next() : Math.random()) - 1);
+      const localOffset = new THREE.Vector3(survivorOffset.x, survivorOffset.y, survivorOffset.z)
+        .applyQuaternion(inverse);
+      survivor.geometry.translate(localOffset.x, localOffset.y, localOffset.z);
+      survivor.userData.geometryShift.sub(localOffset);
+      survivor.children.forEach((child) => child.position.add(localOffset));
 
-        const vx = speed * Math.sin(phi) * Math.cos(theta);
-        const vy = speed * Math.sin(phi) * Math.sin(theta);
-        const vz = speed * Math.cos(phi);
+      survivor.add(absorbed);
+      absorbed.position.set(absorbedOffset.x, absorbedOffset.y, absorbedOffset.z).applyQuaternion(inverse);
+      absorbed.quaternion.premultiply(inverse);
+    }
 
-        chunkVelocities.push(new THREE.Vector3(vx, vy, vz));
+    function syncChunkMeshes(alpha) {
+      scenario.activeChunks.forEach((chunk) => {
+        const mesh = chunkMeshes[chunk.id];
+        const position = interpolateChunkPosition(chunk, alpha);
+        mesh.position.set(position.x, position.y, position.z);
+        const { x, y, z, w } = interpolateChunkOrientation(chunk, alpha);
+        mesh.quaternion.set(x, y, z, w);
+      });
+    }
+
+    function createGasParticles(gas) {
+      const gasColors = new Float32Array(gas.count * 3);
+      const whiteHotColor = new THREE.Color(0xffffff);
+      const color = new THREE.Color();
+      for (let i = 0; i < gas.count; i++) {
+        // Ultra-bright colors
+        const temp = gas.colorRolls[i * 2];
+        const brightnessRoll = gas.colorRolls[i * 2 + 1];
+        if (temp < 0.3) {
+          color.setHSL(0.08, 1, 0.88 + brightnessRoll * 0.12);
+        } else if (temp < 0.6) {
+          color.setHSL(0.12, 1, 0.9 + brightnessRoll * 0.1);
+        } else {
+          color.setHSL(0.02, 0.3, 0.98 + brightnessRoll * 0.02);
+        }
+        color.lerp(whiteHotColor, 0.25);
+        color.multiplyScalar(1.15);
+        gasColors[i * 3] = Math.min(1, Math.max(0, color.r));
+        gasColors[i * 3 + 1] = Math.min(1, Math.max(0, color.g));
+        gasColors[i * 3 + 2] = Math.min(1, Math.max(0, color.b));
       }
 
-      for (let i = 0; i < chunkVelocities.length; i++) {
-        chunkVelocities[i].multiplyScalar(PHYS_SCALE);
+      const gasGeometry = new THREE.BufferGeometry();
+      gasGeometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(gas.positions), 3));
+      gasGeometry.setAttribute('color', new THREE.Float32BufferAttribute(gasColors, 3));
+
+      const gasMaterial = new THREE.PointsMaterial({
+        size: 0.45,
+        vertexColors: true,
+        transparent: true,
+        opacity: 1.0,
+        blending: THREE.AdditiveBlending,
+      });
+
+      gasParticles = new THREE.Points(gasGeometry, gasMaterial);
+      scene.add(gasParticles);
+    }
+
+    function syncGasParticles(alpha) {
+      const { gas } = scenario;
+      // The engine drops the gas once it has dispersed
+      if (!gas) {
+        removeGasParticles();
+        return;
       }
+      if (!gasParticles) return;
 
-      // Generate gas if enabled
-      let gasVelocities = [];
-      let gasPositions = [];
-      let gasColors = [];
-      let gasCount = 0;
-      
-      if (enableGas) {
-        gasCount = 10000;
-        const gasTemperature = temperature * 2; // Gas is hotter
-        const whiteHotColor = new THREE.Color(0xffffff);
-
-        for (let i = 0; i < gasCount; i++) {
-          // Spawn gas from random chunk surface instead of origin
-          const randomChunkIdx = Math.floor((useRandomSeed ? rng.next() : Math.random()) * explosionChunks.length);
-          const chunkPos = explosionChunks[randomChunkIdx].initialPos;
-          
-          // Add small jitter around chunk position
-          const jitterScale = 0.5;
-          const jitterX = ((useRandomSeed ? rng.next() : Math.random()) - 0.5) * jitterScale;
-          const jitterY = ((useRandomSeed ? rng.next() : Math.random()) - 0.5) * jitterScale;
-          const jitterZ = ((useRandomSeed ? rng.next() : Math.random()) - 0.5) * jitterScale;
-          
-          gasPositions.push(
-            chunkPos.x + jitterX,
-            chunkPos.y + jitterY,
-            chunkPos.z + jitterZ
-          );
-
-          // Ultra-bright colors
-          const color = new THREE.Color();
-          const temp = useRandomSeed ? rng.next() : Math.random();
-          const brightnessRoll = useRandomSeed ? rng.next() : Math.random();
-          if (temp < 0.3) {
-            color.setHSL(0.08, 1, 0.88 + brightnessRoll * 0.12);
-          } else if (temp < 0.6) {
-            color.setHSL(0.12, 1, 0.9 + brightnessRoll * 0.1);
-          } else {
-            color.setHSL(0.02, 0.3, 0.98 + brightnessRoll * 0.02);
-          }
-          color.lerp(whiteHotColor, 0.25);
-          color.multiplyScalar(1.15);
-          color.r = Math.min(1, Math.max(0, color.r));
-          color.g = Math.min(1, Math.max(0, color.g));
-          color.b = Math.min(1, Math.max(0, color.b));
-          gasColors.push(color.r, color.g, color.b);
-          
-          // Gas velocities from Maxwell-Boltzmann
-          const speed = maxwellBoltzmannSpeed(gasTemperature);
-          const theta = (useRandomSeed ? rng.next() : Math.random()) * Math.PI * 2;
-          const phi = Math.acos(2 * (useRandomSeed ? rng.next() : Math.random()) - 1);
-          
-          const vx = speed * Math.sin(phi) * Math.cos(theta);
-          const vy = speed * Math.sin(phi) * Math.sin(theta);
-          const vz = speed * Math.cos(phi);
-          
-          gasVelocities.push(new THREE.Vector3(vx, vy, vz));
-        }
+      interpolateGasPositions(scenario, alpha, gasParticles.geometry.attributes.position.array);
+      gasParticles.geometry.attributes.position.needsUpdate = true;
+      fadeGasParticles(gasDispersal(gasExpansion(gas)));
+    }
+
+    // Fade out gas as it disperses
+    function fadeGasParticles(gasProgress) {
+      gasParticles.material.opacity = Math.max(0, 1.0 * (1 - gasProgress)); // Start at 1.0
+      gasParticles.material.size = 0.45 * (1 + gasProgress * 2); // Expand
+    }
+
+    // Store where every chunk's original geometry sits. Merged chunks hang off
+    // their survivor and survivors carry a geometry shift, so read the world
+    // matrices rather than the engine state.
+    const frameMatrix = new THREE.Matrix4();
+    const framePosition = new THREE.Vector3();
+    const frameQuaternion = new THREE.Quaternion();
+    const frameScale = new THREE.Vector3();
+    function recordFrame(time, force = false) {
+      scene.updateMatrixWorld();
+      const positions = new Float32Array(chunkMeshes.length * 3);
+      const quaternions = new Float32Array(chunkMeshes.length * 4);
+      const velocities = new Float32Array(chunkMeshes.length * 3);
+      chunkMeshes.forEach((mesh, id) => {
+        const shift = mesh.userData.geometryShift;
+        frameMatrix.makeTranslation(-shift.x, -shift.y, -shift.z).premultiply(mesh.matrixWorld);
+        frameMatrix.decompose(framePosition, frameQuaternion, frameScale);
+        framePosition.toArray(positions, id * 3);
+        frameQuaternion.toArray(quaternions, id * 4);
+        const { velocity } = mergeRoot(scenario, scenario.chunks[id]);
+        velocities[id * 3] = velocity.x;
+        velocities[id * 3 + 1] = velocity.y;
+        velocities[id * 3 + 2] = velocity.z;
+      });
+      trailHead = { time, positions };
+      const orbitTime = scenario.orbitTime - (scenario.time - time);
+      // Dispersed gas keeps its last centre so replays don't slide it back
+      const { gas } = scenario;
+      const lastFrame = recording.frames[recording.frames.length - 1];
+      const gasCenter = gas ? [gas.center.x, gas.center.y, gas.center.z] : (lastFrame ? lastFrame.gasCenter : [0, 0, 0]);
+      const gasScale = gas ? gasExpansion(gas) : GAS_END_EXPANSION;
+      appendFrame(recording, { time, orbitTime, positions, quaternions, velocities, gasCenter, gasScale }, force);
+    }
+
+    function enterPlayback(time) {
+      if (!scenario.exploded || recording.frames.length === 0) return;
+      if (playbackMeshes.length === 0) {
+        playbackMeshes = scenario.chunks.map((chunk) => {
+          const mesh = createChunkMesh(chunk);
+          scene.add(mesh);
+          return mesh;
+        });
       }
+      chunkMeshes.forEach((mesh) => {
+        mesh.visible = false;
+      });
+      playbackMeshes.forEach((mesh) => {
+        mesh.visible = true;
+      });
+      playhead = Math.max(0, Math.min(recordingDuration(recording), time));
+    }
 
-      for (let i = 0; i < gasVelocities.length; i++) {
-        gasVelocities[i].multiplyScalar(PHYS_SCALE);
+    function exitPlayback() {
+      if (playhead === null) return;
+      playhead = null;
+      playbackMeshes.forEach((mesh) => {
+        mesh.visible = false;
+      });
+      chunkMeshes.forEach((mesh) => {
+        mesh.visible = true;
+      });
+      removeGasParticles();
+      if (scenario.gas) {
+        createGasParticles(scenario.gas);
       }
+    }
 
-      // GLOBAL MOMENTUM CORRECTION
-      // Calculate total momentum from all particles (chunks + gas)
-      let totalMomentum = new THREE.Vector3(0, 0, 0);
-      
-      // Chunk contribution
-      explosionChunks.forEach((chunk, i) => {
-        totalMomentum.add(chunkVelocities[i].clone().multiplyScalar(chunk.mass));
+    function clearPlayback() {
+      playhead = null;
+      playbackMeshes.forEach((mesh) => {
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
       });
-      
-      // Gas contribution (assume gas particles have negligible mass compared to chunks)
-      const gasParticleMass = 0.001; // Very small mass per gas particle
-      gasVelocities.forEach(vel => {
-        totalMomentum.add(vel.clone().multiplyScalar(gasParticleMass));
+      playbackMeshes = [];
+      clearRecording(recording);
+      initialGas = null;
+      trailHead = null;
+      setTimeline({ duration: 0, time: 0, replaying: false });
+    }
+
+    function showPlaybackFrame(time) {
+      const sample = sampleRecording(recording, time);
+
+      centerOfMass.set(0, 0, 0);
+      let totalMass = 0;
+      playbackMeshes.forEach((mesh, id) => {
+        mesh.position.fromArray(sample.positions, id * 3);
+        mesh.quaternion.fromArray(sample.quaternions, id * 4);
+        const mass = scenario.chunks[id].baseMass;
+        centerOfMass.addScaledVector(mesh.position, mass);
+        totalMass += mass;
       });
-      
-      // Total system mass
-      const totalSystemMass = totalMass + gasCount * gasParticleMass;
-      
-      // Target momentum depends on selected frame:
-      // - CoM frame: Stay in CoM frame, target momentum = 0
-      // - Lab frame: CoM boosted, target momentum = CoM velocity × mass
-      const targetMomentum = frameIsCoMSetting
-        ? new THREE.Vector3(0, 0, 0)  // CoM frame
-        : comVel.clone().multiplyScalar(totalSystemMass);  // Lab frame
-      
-      // Global correction
-      const momentumCorrection = targetMomentum.sub(totalMomentum).divideScalar(totalSystemMass);
-      
-      // Apply correction and CoM boost to chunks
-      explosionChunks.forEach((chunk, i) => {
-        chunk.velocity = chunkVelocities[i].clone().add(momentumCorrection);
+      if (totalMass > 0) {
+        centerOfMass.divideScalar(totalMass);
+      }
+
+      if (initialGas && sample.gasScale < GAS_END_EXPANSION) {
+        if (!gasParticles) {
+          createGasParticles(initialGas);
+        }
+        const [x, y, z] = sample.gasCenter;
+        tracerPositions(initialGas.offsets, { x, y, z }, sample.gasScale, gasParticles.geometry.attributes.position.array);
+        gasParticles.geometry.attributes.position.needsUpdate = true;
+        fadeGasParticles(gasDispersal(sample.gasScale));
+      } else {
+        removeGasParticles();
+      }
+
+      trailHead = { time: sample.time, positions: sample.positions };
+      updateCentralBody(sample.orbitTime);
+      updateDebrisMarkers(playbackMeshes.map((mesh) => mesh.position));
+    }
+
+    function removeOverlays() {
+      [trails, arrowShafts, arrowHeads].forEach((object) => {
+        if (!object) return;
+        scene.remove(object);
+        object.geometry.dispose();
+        object.material.dispose();
       });
-      
-      // Debug: Log first chunk velocity to verify
-      if (explosionChunks.length > 0) {
-        console.log('Frame is CoM:', frameIsCoMSetting);
-        console.log('CoM Velocity:', comVel.x, comVel.y, comVel.z);
-        console.log('Momentum Correction:', momentumCorrection.x, momentumCorrection.y, momentumCorrection.z);
-        console.log('First chunk velocity:', explosionChunks[0].velocity.x, explosionChunks[0].velocity.y, explosionChunks[0].velocity.z);
-        if (frameIsCoMSetting) {
-          console.log('→ Staying in CoM frame (no boost)');
-        } else {
-          console.log('→ Lab frame with CoM boost of', comVel.x, 'm/s');
+      trails = null;
+      arrowShafts = null;
+      arrowHeads = null;
+      sumArrow.visible = false;
+    }
+
+    // Buffers for every piece of the current object. Trails fade to black and
+    // add up, so they dim out over any background.
+    function createOverlays() {
+      const count = scenario.chunks.length;
+      const vertices = trailVertexCount(count);
+      const trailGeometry = new THREE.BufferGeometry();
+      trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices * 3), 3));
+      trailGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertices * 3), 3));
+      trails = new THREE.LineSegments(trailGeometry, new THREE.LineBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+      }));
+      const color = new THREE.Color();
+      trails.userData.fades = new Float32Array(vertices);
+      trails.userData.colors = new Float32Array(count * 3);
+      scenario.chunks.forEach((chunk) => {
+        color.setHex(CHUNK_COLORS[chunk.colorIndex % CHUNK_COLORS.length]).toArray(trails.userData.colors, chunk.id * 3);
+      });
+
+      const shaftGeometry = new THREE.BufferGeometry();
+      shaftGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 6), 3));
+      arrowShafts = new THREE.LineSegments(shaftGeometry, new THREE.LineBasicMaterial());
+      // Unit cones with their tips at the origin, pointing along +y
+      const headGeometry = new THREE.ConeGeometry(0.5, 1, 8).translate(0, -0.5, 0);
+      arrowHeads = new THREE.InstancedMesh(headGeometry, new THREE.MeshBasicMaterial(), count);
+
+      [trails, arrowShafts, arrowHeads].forEach((object) => {
+        object.frustumCulled = false;
+        object.visible = false;
+        scene.add(object);
+      });
+    }
+
+    const arrowTip = new THREE.Vector3();
+    const arrowDirection = new THREE.Vector3();
+    const arrowQuaternion = new THREE.Quaternion();
+    const arrowSize = new THREE.Vector3();
+    const arrowMatrix = new THREE.Matrix4();
+    const arrowAxis = new THREE.Vector3(0, 1, 0);
+    let arrowSumMagnitude = null;
+
+    // Trails and arrows at the pieces as last drawn, live or replayed
+    function updateOverlays() {
+      const { trails: showTrails, trailDuration, frame, arrows } = overlaySettingsRef.current;
+      const active = scenario.exploded && trailHead !== null;
+      if (active && !trails) {
+        createOverlays();
+      }
+      arrowSumMagnitude = null;
+      if (!trails) return;
+      const frameVelocity = overlayFrameVelocity(frame, { ...scenario.options, frameVelocity: scenario.frameVelocity });
+
+      trails.visible = active && showTrails;
+      if (trails.visible) {
+        const { geometry } = trails;
+        const { fades, colors: pieceColors } = trails.userData;
+        const colors = geometry.attributes.color.array;
+        const written = buildTrails(recording, {
+          time: trailHead.time,
+          head: trailHead.positions,
+          frameVelocity,
+          duration: trailDuration,
+          maxPoints: DEFAULT_TRAIL_OPTIONS.maxPoints,
+        }, geometry.attributes.position.array, fades);
+        const perPiece = written / scenario.chunks.length;
+        for (let vertex = 0; vertex < written; vertex++) {
+          const piece = Math.floor(vertex / perPiece) * 3;
+          colors[vertex * 3] = pieceColors[piece] * fades[vertex];
+          colors[vertex * 3 + 1] = pieceColors[piece + 1] * fades[vertex];
+          colors[vertex * 3 + 2] = pieceColors[piece + 2] * fades[vertex];
         }
+        geometry.setDrawRange(0, written);
+        geometry.attributes.position.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
       }
-      
-      // Apply correction to gas and create gas particle system
-      if (enableGas) {
-        const gasGeometry = new THREE.BufferGeometry();
-        gasGeometry.setAttribute('position', new THREE.Float32BufferAttribute(gasPositions, 3));
-        gasGeometry.setAttribute('color', new THREE.Float32BufferAttribute(gasColors, 3));
-        
-        const gasMaterial = new THREE.PointsMaterial({
-          size: 0.45,
-          vertexColors: true,
-          transparent: true,
-          opacity: 1.0,
-          blending: THREE.AdditiveBlending,
-        });
 
-        gasParticles = new THREE.Points(gasGeometry, gasMaterial);
-        
-        // Store corrected velocities as flat array for gas
-        const flatGasVelocities = [];
-        gasVelocities.forEach(vel => {
-          vel.add(momentumCorrection);
-          flatGasVelocities.push(vel.x, vel.y, vel.z);
-        });
-        
-        gasParticles.userData.velocities = flatGasVelocities;
-        gasParticles.userData.age = 0;
-        gasParticles.userData.maxAge = 2.5;
-        
-        scene.add(gasParticles);
+      const showArrows = active && arrows !== null;
+      arrowShafts.visible = showArrows;
+      arrowHeads.visible = showArrows;
+      sumArrow.visible = showArrows;
+      if (!showArrows) return;
+
+      const fragments = currentFragments().fragments.map((fragment) => ({
+        ...fragment,
+        position: fragmentMesh(fragment.id).position,
+      }));
+      const { arrows: list, sum } = fragmentArrows(fragments, {
+        quantity: arrows,
+        frameVelocity,
+        center: centerOfMass,
+        maxLength: ARROW_SCALE * cameraDistance,
+      });
+      const shafts = arrowShafts.geometry.attributes.position.array;
+      list.forEach(({ origin, vector }, i) => {
+        arrowTip.set(origin.x + vector.x, origin.y + vector.y, origin.z + vector.z);
+        shafts.set([origin.x, origin.y, origin.z, arrowTip.x, arrowTip.y, arrowTip.z], i * 6);
+        arrowDirection.set(vector.x, vector.y, vector.z);
+        const head = 0.2 * arrowDirection.length();
+        arrowQuaternion.setFromUnitVectors(arrowAxis, arrowDirection.normalize());
+        arrowMatrix.compose(arrowTip, arrowQuaternion, arrowSize.set(head * 0.6, head, head * 0.6));
+        arrowHeads.setMatrixAt(i, arrowMatrix);
+      });
+      arrowShafts.geometry.setDrawRange(0, list.length * 2);
+      arrowShafts.geometry.attributes.position.needsUpdate = true;
+      arrowHeads.count = list.length;
+      arrowHeads.instanceMatrix.needsUpdate = true;
+      arrowShafts.material.color.setHex(ARROW_COLORS[arrows]);
+      arrowHeads.material.color.setHex(ARROW_COLORS[arrows]);
+
+      // The sum shares the fragments' scale but is drawn at most a camera
+      // distance long; the panel gives its size
+      arrowDirection.set(sum.vector.x, sum.vector.y, sum.vector.z);
+      const sumLength = Math.min(cameraDistance, arrowDirection.length());
+      sumArrow.visible = sumLength > 1e-3;
+      if (sumArrow.visible) {
+        sumArrow.position.copy(centerOfMass);
+        sumArrow.setDirection(arrowDirection.normalize());
+        sumArrow.setLength(sumLength, 0.2 * sumLength, 0.12 * sumLength);
       }
+      arrowSumMagnitude = sum.magnitude;
+    }
+
+    // Explode object
+    function explodeObject() {
+      if (!currentObject || scenario.exploded) return;
+
+      followCOMCamera = frameIsCoMSetting;
+      setFollowCameraStatus(followCOMCamera && !hasManuallyMovedCamera);
+
+      // Hide the solid object
+      currentObject.visible = false;
 
+      updateScenarioOptions(scenario, currentScenarioOptions());
+      conservationBaseline = captureConservationBaseline(scenario, explodeScenario(scenario));
+      aimProjectile();
+
+      // Make chunks visible at their initial positions
+      chunkMeshes.forEach((mesh, id) => {
+        const { position } = scenario.chunks[id];
+        restoreChunkMesh(mesh);
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.visible = true;
+      });
+
+      if (scenario.gas) {
+        createGasParticles(scenario.gas);
+        initialGas = {
+          count: scenario.gas.count,
+          offsets: scenario.gas.offsets,
+          colorRolls: scenario.gas.colorRolls,
+          positions: Float32Array.from(scenario.gas.positions),
+        };
+      }
+      recordFrame(0, true);
+
+      setMergeCount(0);
+      setEnergyBudget(computeEnergyBudget(scenario));
+      setAngularMomentum(computeAngularMomentum(scenario));
       setIsExploded(true);
+      setDebrisElements(computeDebrisElements(scenario, orbitSettingsRef.current));
+      emit('exploded', getScenarioState(scenario));
     }
 
     // Mouse controls
     const onMouseDown = (e) => {
+      if (offlineRender) return;
       if (e.button === 0) { // Left click
         isMouseDragging = true;
         hasManuallyMovedCamera = true;
         setFollowCameraStatus(false);
         previousMousePosition = { x: e.clientX, y: e.clientY };
+        mouseDownPosition = { x: e.clientX, y: e.clientY };
+      }
+    };
+
+    function castFromPointer(e) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      raycaster.setFromCamera(pointer, camera);
+    }
+
+    // A click (not a drag) on the intact object places the charge there
+    function pickDetonationPoint(e) {
+      if (!currentObject || !currentObject.visible) return;
+      castFromPointer(e);
+      const [hit] = raycaster.intersectObject(currentObject, false);
+      if (!hit) return;
+      const { x, y, z } = currentObject.worldToLocal(hit.point.clone());
+      setDetonationPoint({ x, y, z });
+    }
+
+    // Engine id of the piece under the pointer, or null. Only what is on show
+    // counts: the live chunks, or the recorded pieces while replaying.
+    function pieceUnderPointer(e) {
+      if (!scenario.exploded) return null;
+      const meshes = (playhead !== null ? playbackMeshes : chunkMeshes).filter((mesh) => mesh.visible);
+      castFromPointer(e);
+      const [hit] = raycaster.intersectObjects(meshes, false);
+      return hit ? hit.object.userData.chunkId : null;
+    }
+
+    // Mesh drawing the fragment that holds piece `id`; pieces merged into it hang off it
+    function fragmentMesh(id) {
+      if (playhead !== null) return playbackMeshes[id];
+      return chunkMeshes[mergeRoot(scenario, scenario.chunks[id]).id];
+    }
+
+    // Merges and replays change which mesh draws a fragment, so this runs every frame
+    function updateHighlights() {
+      highlightedMeshes.forEach((mesh) => mesh.material.emissive.setHex(0x000000));
+      highlightedMeshes = [];
+      [[hoveredPiece, HOVER_EMISSIVE], [selectedPiece, SELECTED_EMISSIVE]].forEach(([id, color]) => {
+        if (id === null) return;
+        fragmentMesh(id).traverse((mesh) => {
+          mesh.material.emissive.setHex(color);
+          highlightedMeshes.push(mesh);
+        });
+      });
+    }
+
+    // The replayed instant while scrubbing, otherwise the live state
+    function currentFragments() {
+      return playhead !== null
+        ? collectRecordedFragments(scenario, sampleRecording(recording, playhead))
+        : collectFragments(scenario);
+    }
+
+    function refreshInspector() {
+      if (selectedPiece === null) return;
+      setInspectedFragment(inspectFragment(currentFragments(), selectedPiece, centerOfMass));
+    }
+
+    function updateCameraTarget() {
+      cameraTarget.copy(followSelected ? fragmentMesh(selectedPiece).position : centerOfMass);
+    }
+
+    // Switching targets carries the camera along, so the view keeps its offset
+    function followFragment(follow) {
+      previousCameraTarget.copy(cameraTarget);
+      followSelected = follow && selectedPiece !== null;
+      updateCameraTarget();
+      camera.position.add(cameraTarget).sub(previousCameraTarget);
+      camera.lookAt(cameraTarget);
+      setFollowingFragment(followSelected);
+    }
+
+    // Inspect the fragment holding piece `id`; null closes the inspector. There
+    // is nothing to pick before the blast, and ids that name no piece are ignored.
+    function selectFragment(id) {
+      if (id !== null && !(scenario.exploded && Number.isInteger(id) && scenario.chunks[id])) return;
+      selectedPiece = id;
+      if (id === null) {
+        hoveredPiece = null;
+        if (followSelected) {
+          followFragment(false);
+        }
+        setInspectedFragment(null);
+      } else {
+        refreshInspector();
       }
-    };
+    }
 
     const onMouseMove = (e) => {
-      if (!isMouseDragging) return;
+      if (offlineRender) return;
+      if (!isMouseDragging) {
+        hoveredPiece = pieceUnderPointer(e);
+        renderer.domElement.style.cursor = hoveredPiece === null ? '' : 'pointer';
+        return;
+      }
 
       const deltaX = e.clientX - previousMousePosition.x;
       const deltaY = e.clientY - previousMousePosition.y;
 
-      // Rotate camera around center of mass
+      // Rotate camera around its target
       const sensitivity = 0.005;
       const radius = cameraDistance;
       
       // Spherical coordinates
-      const offset = camera.position.clone().sub(centerOfMass);
+      const offset = camera.position.clone().sub(cameraTarget);
       let theta = Math.atan2(offset.x, offset.z);
       let phi = Math.acos(offset.y / radius);
       
@@ -930,21 +1847,38 @@ export default function AdvancedExplosionSimulator() {
       phi -= deltaY * sensitivity;
       phi = Math.max(0.1, Math.min(Math.PI - 0.1, phi));
       
-      camera.position.x = centerOfMass.x + radius * Math.sin(phi) * Math.sin(theta);
-      camera.position.y = centerOfMass.y + radius * Math.cos(phi);
-      camera.position.z = centerOfMass.z + radius * Math.sin(phi) * Math.cos(theta);
+      camera.position.x = cameraTarget.x + radius * Math.sin(phi) * Math.sin(theta);
+      camera.position.y = cameraTarget.y + radius * Math.cos(phi);
+      camera.position.z = cameraTarget.z + radius * Math.sin(phi) * Math.cos(theta);
       
-      camera.lookAt(centerOfMass);
+      camera.lookAt(cameraTarget);
 
       previousMousePosition = { x: e.clientX, y: e.clientY };
     };
 
-    const onMouseUp = () => {
+    // A click inspects the fragment under it once the object has broken up
+    const onMouseUp = (e) => {
       isMouseDragging = false;
+      if (
+        e.type === 'mouseup'
+        && mouseDownPosition
+        && Math.hypot(e.clientX - mouseDownPosition.x, e.clientY - mouseDownPosition.y) <= CLICK_TOLERANCE
+      ) {
+        if (scenario.exploded) {
+          selectFragment(pieceUnderPointer(e));
+        } else {
+          pickDetonationPoint(e);
+        }
+      }
+      if (e.type === 'mouseleave') {
+        hoveredPiece = null;
+      }
+      mouseDownPosition = null;
     };
 
     const onWheel = (e) => {
       e.preventDefault();
+      if (offlineRender) return;
 
       hasManuallyMovedCamera = true;
       setFollowCameraStatus(false);
@@ -954,7 +1888,7 @@ export default function AdvancedExplosionSimulator() {
       const delta = e.deltaY;
       
       targetCameraDistance += delta * zoomSpeed * targetCameraDistance;
-      targetCameraDistance = Math.max(5, Math.min(200, targetCameraDistance));
+      targetCameraDistance = Math.max(5, Math.min(maxCameraDistance, targetCameraDistance));
     };
 
     // Helper function to get distance between two touch points
@@ -965,6 +1899,7 @@ export default function AdvancedExplosionSimulator() {
     };
 
     const onTouchStart = (e) => {
+      if (offlineRender) return;
       hasManuallyMovedCamera = true;
       setFollowCameraStatus(false);
 
@@ -983,13 +1918,14 @@ export default function AdvancedExplosionSimulator() {
 
     const onTouchMove = (e) => {
       e.preventDefault();
+      if (offlineRender) return;
       
       if (e.touches.length === 2) {
         // Pinch zoom
         const currentDistance = getTouchDistance(e.touches);
         if (touchStartDistance > 0) {
           const zoomFactor = currentDistance / touchStartDistance;
-          targetCameraDistance = Math.max(5, Math.min(200, cameraDistance / zoomFactor));
+          targetCameraDistance = Math.max(5, Math.min(maxCameraDistance, cameraDistance / zoomFactor));
         }
         touchStartDistance = currentDistance;
       } else if (e.touches.length === 1 && isMouseDragging) {
@@ -997,12 +1933,12 @@ export default function AdvancedExplosionSimulator() {
         const deltaX = e.touches[0].clientX - previousMousePosition.x;
         const deltaY = e.touches[0].clientY - previousMousePosition.y;
 
-        // Rotate camera around center of mass
+        // Rotate camera around its target
         const sensitivity = 0.005;
         const radius = cameraDistance;
         
         // Spherical coordinates
-        const offset = camera.position.clone().sub(centerOfMass);
+        const offset = camera.position.clone().sub(cameraTarget);
         let theta = Math.atan2(offset.x, offset.z);
         let phi = Math.acos(offset.y / radius);
         
@@ -1010,11 +1946,11 @@ export default function AdvancedExplosionSimulator() {
         phi -= deltaY * sensitivity;
         phi = Math.max(0.1, Math.min(Math.PI - 0.1, phi));
         
-        camera.position.x = centerOfMass.x + radius * Math.sin(phi) * Math.sin(theta);
-        camera.position.y = centerOfMass.y + radius * Math.cos(phi);
-        camera.position.z = centerOfMass.z + radius * Math.sin(phi) * Math.cos(theta);
+        camera.position.x = cameraTarget.x + radius * Math.sin(phi) * Math.sin(theta);
+        camera.position.y = cameraTarget.y + radius * Math.cos(phi);
+        camera.position.z = cameraTarget.z + radius * Math.sin(phi) * Math.cos(theta);
         
-        camera.lookAt(centerOfMass);
+        camera.lookAt(cameraTarget);
 
         previousMousePosition = { 
           x: e.touches[0].clientX, 
@@ -1041,88 +1977,138 @@ export default function AdvancedExplosionSimulator() {
     renderer.domElement.addEventListener('touchmove', onTouchMove, { passive: false });
     renderer.domElement.addEventListener('touchend', onTouchEnd);
 
-    // Handle window resize
-    const onWindowResize = () => {
-      camera.aspect = window.innerWidth / window.innerHeight;
+    // Follow the element's size, which the window or a dashboard layout sets
+    const onResize = () => {
+      const { clientWidth: width, clientHeight: height } = mount;
+      if (width === 0 || height === 0 || offlineRender) return;
+      camera.aspect = width / height;
       camera.updateProjectionMatrix();
-      renderer.setSize(window.innerWidth, window.innerHeight);
+      renderer.setSize(width, height);
     };
-    window.addEventListener('resize', onWindowResize);
+    const resizeObserver = new ResizeObserver(onResize);
+    resizeObserver.observe(mount);
 
     // Animation loop
     const clock = new THREE.Clock();
-    const animate = () => {
-      requestAnimationFrame(animate);
+    const stepper = createFixedStepper();
+    let energyBudgetTimer = 0;
+    let timelineTimer = 0;
+    let animationFrame = null;
+    let lastTimeline = null; // last one sent with a 'time' event
 
-      const rawDelta = clock.getDelta();
-      const simulationDelta = computeSimulationDelta(
-        rawDelta,
-        timeScaleRef.current,
-        isPlayingRef.current
-      );
+    // One frame: `rawDelta` s of wall time drive the camera and panels,
+    // `simulationDelta` s of simulated time (negative replays) the run
+    function advanceFrame(rawDelta, simulationDelta, frameStepper) {
       const cameraLerpDelta = Math.min(rawDelta, 0.1);
 
-      // Update center of mass
-      if (explosionChunks.length > 0) {
-        const totalMass = explosionChunks.reduce((sum, c) => sum + c.mass, 0);
-        centerOfMass.set(0, 0, 0);
-        
-        explosionChunks.forEach(chunk => {
-          centerOfMass.add(chunk.mesh.position.clone().multiplyScalar(chunk.mass));
-        });
-        centerOfMass.divideScalar(totalMass);
+      // Orbital mode warps simulated time so whole revolutions fit in a session
+      const timeWarp = scenario.options.orbit.enabled ? orbitSettingsRef.current.timeWarp : 1;
+      const physicsDelta = simulationDelta * timeWarp;
+
+      // Negative time scales play the recording backwards
+      if (playhead === null && simulationDelta < 0) {
+        enterPlayback(recordingDuration(recording));
+      }
 
-        // Update chunks
-        explosionChunks.forEach(chunk => {
-          // Update position (constant velocity, no forces)
-          chunk.mesh.position.add(chunk.velocity.clone().multiplyScalar(simulationDelta));
+      if (playhead !== null) {
+        const duration = recordingDuration(recording);
+        playhead = Math.max(0, Math.min(duration, playhead + physicsDelta));
+        if (simulationDelta > 0 && playhead >= duration) {
+          // Caught up with the live run
+          exitPlayback();
+        } else {
+          showPlaybackFrame(playhead);
+        }
+      }
 
-          // Add rotation for visual effect
-          chunk.mesh.rotation.x += chunk.velocity.length() * simulationDelta * 0.1;
-          chunk.mesh.rotation.y += chunk.velocity.length() * simulationDelta * 0.15;
+      if (playhead === null) {
+        updateScenarioOptions(scenario, {
+          integrator: integratorRef.current,
+          gravity: gravitySettingsRef.current,
+          collisions: collisionSettingsRef.current,
         });
-        
-        // Update gas particles
-        if (gasParticles) {
-          gasParticles.userData.age += simulationDelta;
-          const positions = gasParticles.geometry.attributes.position.array;
-          const velocities = gasParticles.userData.velocities;
-
-          for (let i = 0; i < positions.length; i += 3) {
-            positions[i] += velocities[i] * simulationDelta * 10;
-            positions[i + 1] += velocities[i + 1] * simulationDelta * 10;
-            positions[i + 2] += velocities[i + 2] * simulationDelta * 10;
-          }
-          
-          gasParticles.geometry.attributes.position.needsUpdate = true;
-          
-          // Fade out gas over time
-          const gasProgress = gasParticles.userData.age / gasParticles.userData.maxAge;
-          gasParticles.material.opacity = Math.max(0, 1.0 * (1 - gasProgress)); // Start at 1.0
-          gasParticles.material.size = 0.45 * (1 + gasProgress * 2); // Expand
-          
-          // Remove gas when fully faded
-          if (gasProgress >= 1) {
-            scene.remove(gasParticles);
-            gasParticles.geometry.dispose();
-            gasParticles.material.dispose();
-            gasParticles = null;
+
+        // Fixed steps keep results independent of frame rate; the leftover
+        // fraction of a step interpolates what is drawn
+        const { steps, alpha } = advanceFixedStepper(frameStepper, simulationDelta);
+        let merged = false;
+        for (let i = 0; i < steps; i++) {
+          const { merges } = stepScenario(scenario, frameStepper.fixedStep * timeWarp);
+          merges.forEach(applyMerge);
+          merged = merged || merges.length > 0;
+        }
+        if (merged) {
+          setMergeCount(scenario.mergedCount);
+        }
+
+        if (scenario.exploded) {
+          syncChunkMeshes(alpha);
+          syncGasParticles(alpha);
+          recordFrame(scenario.time - (1 - alpha) * scenario.lastStep);
+        }
+
+        energyBudgetTimer += rawDelta;
+        if (scenario.exploded && energyBudgetTimer >= ENERGY_BUDGET_INTERVAL) {
+          energyBudgetTimer = 0;
+          setEnergyBudget(computeEnergyBudget(scenario));
+          setAngularMomentum(computeAngularMomentum(scenario));
+          if (speedChartRef.current.show) {
+            setSpeedDistributions(computeSpeedDistributions(scenario, { massWeighted: speedChartRef.current.massWeighted }));
           }
         }
-      } else if (currentObject) {
-        centerOfMass.set(0, 0, 0);
-        // Keep intact object static (no rotation)
+
+        // Update center of mass (the intact object sits at the origin)
+        const com = computeCenterOfMass(scenario);
+        centerOfMass.set(com.x, com.y, com.z);
+
+        if (conservationBaseline && conservationFeedRef.current) {
+          conservationFeedRef.current(computeConservationDiagnostics(scenario, conservationBaseline), conservationBaseline);
+        }
+
+        updateCentralBody();
+        updateDebrisMarkers();
+      }
+
+      timelineTimer += rawDelta;
+      if (timelineTimer >= TIMELINE_INTERVAL) {
+        timelineTimer = 0;
+        const duration = recordingDuration(recording);
+        const replaying = playhead !== null;
+        const time = replaying ? playhead : duration;
+        setTimeline((prev) => (
+          prev.duration === duration && prev.time === time && prev.replaying === replaying
+            ? prev
+            : { duration, time, replaying }
+        ));
+        if (!lastTimeline || lastTimeline.duration !== duration || lastTimeline.time !== time || lastTimeline.replaying !== replaying) {
+          lastTimeline = { duration, time, replaying };
+          emit('time', lastTimeline);
+        }
+        refreshInspector();
+        if (overlaySettingsRef.current.arrows) {
+          setArrowSum(arrowSumMagnitude);
+        }
+      }
+      updateHighlights();
+      updateOverlays();
+
+      // A followed fragment carries the camera with it, manual or not
+      previousCameraTarget.copy(cameraTarget);
+      updateCameraTarget();
+      if (followSelected) {
+        camera.position.add(cameraTarget).sub(previousCameraTarget);
+        camera.lookAt(cameraTarget);
       }
 
-      // Update camera to follow CoM (only if not manually controlled)
+      // Update camera to follow its target (only if not manually controlled)
       if (
-        followCOMCamera &&
+        (followCOMCamera || followSelected) &&
         !hasManuallyMovedCamera &&
         !isMouseDragging
       ) {
-        const targetPos = centerOfMass.clone().add(new THREE.Vector3(0, 5, cameraDistance));
+        const targetPos = cameraTarget.clone().add(new THREE.Vector3(0, 5, cameraDistance));
         camera.position.lerp(targetPos, cameraLerpDelta * 2);
-        camera.lookAt(centerOfMass);
+        camera.lookAt(cameraTarget);
       } else {
         // In lab frame or after manual input, keep camera in world coordinates.
       }
@@ -1132,14 +2118,33 @@ export default function AdvancedExplosionSimulator() {
       
       // Update camera distance while maintaining direction (only if manually moved)
       if (hasManuallyMovedCamera && Math.abs(cameraDistance - targetCameraDistance) > 0.01) {
-        const direction = camera.position.clone().sub(centerOfMass).normalize();
-        camera.position.copy(centerOfMass).add(direction.multiplyScalar(cameraDistance));
+        const direction = camera.position.clone().sub(cameraTarget).normalize();
+        camera.position.copy(cameraTarget).add(direction.multiplyScalar(cameraDistance));
       }
 
       // Always update velocity arrow
       updateVelocityArrow();
 
       renderer.render(scene, camera);
+      emit('frame', {
+        time: playhead !== null ? playhead : scenario.time,
+        exploded: scenario.exploded,
+        replaying: playhead !== null,
+      });
+    }
+
+    const animate = () => {
+      animationFrame = requestAnimationFrame(animate);
+      // An offline render drives the frames itself
+      if (offlineRender) return;
+
+      const rawDelta = clock.getDelta();
+      const simulationDelta = computeSimulationDelta(
+        rawDelta,
+        timeScaleRef.current,
+        isPlayingRef.current
+      );
+      advanceFrame(rawDelta, simulationDelta, stepper);
     };
 
     animate();
@@ -1155,28 +2160,34 @@ export default function AdvancedExplosionSimulator() {
       if (currentObject) {
         currentObject.visible = true;
       }
-      
+
       // Reset all chunks to their initial positions and hide them
-      preCreatedChunks.forEach(chunk => {
-        chunk.mesh.position.copy(chunk.initialPos);
-        chunk.mesh.rotation.set(0, 0, 0);
-        chunk.mesh.visible = false;
+      selectFragment(null);
+      resetScenario(scenario);
+      conservationBaseline = null;
+      conservationFeedRef.current?.(null);
+      chunkMeshes.forEach((mesh, id) => {
+        const { position, cell } = scenario.chunks[id];
+        restoreChunkMesh(mesh);
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.visible = Boolean(cell.projectile);
       });
-      explosionChunks = [];
-      
-      // Remove gas particles
-      if (gasParticles) {
-        scene.remove(gasParticles);
-        gasParticles.geometry.dispose();
-        gasParticles.material.dispose();
-        gasParticles = null;
-      }
-      
+      aimProjectile();
+
+      removeGasParticles();
+      clearPlayback();
+
       // Reset center of mass
       centerOfMass.set(0, 0, 0);
       
       // Keep camera position and CoM velocity as they are
       setIsExploded(false);
+      setDebrisElements([]);
+      setMergeCount(0);
+      setEnergyBudget(null);
+      setAngularMomentum(null);
+      setSpeedDistributions(null);
+      emit('reset', getScenarioState(scenario));
     };
 
     const handleResetCamera = () => {
@@ -1184,6 +2195,28 @@ export default function AdvancedExplosionSimulator() {
       cameraDistance = 30;
       targetCameraDistance = 30;
       camera.position.set(0, 0, 30);
+      camera.lookAt(cameraTarget);
+      setFollowCameraStatus(followCOMCamera && !hasManuallyMovedCamera);
+    };
+
+    // Camera pose relative to the centre of mass it orbits
+    const handleGetCameraPose = () => ({
+      offset: {
+        x: camera.position.x - centerOfMass.x,
+        y: camera.position.y - centerOfMass.y,
+        z: camera.position.z - centerOfMass.z,
+      },
+      distance: targetCameraDistance,
+      manual: hasManuallyMovedCamera,
+    });
+
+    const handleSetCameraPose = ({ offset, distance, manual }) => {
+      hasManuallyMovedCamera = manual;
+      targetCameraDistance = Math.max(5, Math.min(maxCameraDistance, distance));
+      cameraDistance = targetCameraDistance;
+      if (offset.x !== 0 || offset.y !== 0 || offset.z !== 0) {
+        camera.position.copy(centerOfMass).add(new THREE.Vector3(offset.x, offset.y, offset.z));
+      }
       camera.lookAt(centerOfMass);
       setFollowCameraStatus(followCOMCamera && !hasManuallyMovedCamera);
     };
@@ -1202,6 +2235,24 @@ export default function AdvancedExplosionSimulator() {
       // Don't reset comVel or camera anymore
     };
 
+    const handleRebuildObject = () => {
+      createObject(scenario.options.shape);
+      centerOfMass.set(0, 0, 0);
+      setDebrisElements([]);
+      setMergeCount(0);
+      setEnergyBudget(null);
+      setAngularMomentum(null);
+      setSpeedDistributions(null);
+    };
+
+    // Jump to a recorded instant; the live run resumes once playback reaches the end
+    const handleSeek = (time) => {
+      enterPlayback(time);
+      if (playhead !== null) {
+        showPlaybackFrame(playhead);
+      }
+    };
+
     const handleVelocityChange = (x, y, z) => {
       comVel.set(x, y, z);
     };
@@ -1212,20 +2263,144 @@ export default function AdvancedExplosionSimulator() {
       setFollowCameraStatus(followCOMCamera && !hasManuallyMovedCamera);
     };
 
+    // The charge marker doubles as a projectile's aim point
+    const handleDetonationPointChange = ({ x, y, z }) => {
+      detonationMarker.position.set(x, y, z);
+      updateScenarioOptions(scenario, { detonationPoint: { x, y, z } });
+      aimProjectile();
+    };
+
+    const handleOrbitChange = ({ enabled, altitudeKm, inclinationDeg }) => {
+      updateScenarioOptions(scenario, { orbit: { enabled, altitudeKm, inclinationDeg } });
+      rebuildCentralBody();
+
+      gridHelper.visible = !enabled;
+      maxCameraDistance = enabled ? ORBIT_MAX_CAMERA_DISTANCE : DEFAULT_MAX_CAMERA_DISTANCE;
+      targetCameraDistance = Math.min(targetCameraDistance, maxCameraDistance);
+      camera.far = enabled ? ORBIT_MAX_CAMERA_DISTANCE * 10 : 1000;
+      camera.updateProjectionMatrix();
+    };
+
+    // Offline render: restart the run from the intact object, then for every
+    // output frame step the simulation a fixed dt, render at the requested
+    // size and capture the canvas. Panels, camera follow and overlays advance
+    // by the same dt, so a seeded run gives the same frames every time.
+    // MediaRecorder stamps frames by wall time, so WebM frames are paced at
+    // the output rate; PNG frames go as fast as they render. Resolves to the
+    // file as a Blob.
+    const handleRenderOffline = async ({ format, width, height, fps, duration, speed }, onProgress = () => {}) => {
+      if (offlineRender) {
+        throw new Error('A render is already running');
+      }
+      if (format === 'webm' && !webmMimeType()) {
+        throw new Error('This browser cannot record WebM');
+      }
+      const job = { cancelled: false };
+      offlineRender = job;
+      const canvas = renderer.domElement;
+      const count = renderFrameCount({ fps, duration });
+      const step = renderFrameStep({ fps, speed });
+      const frameStepper = createFixedStepper(DEFAULT_FIXED_STEP, Infinity);
+      let track = null;
+      let recorder = null;
+      try {
+        handleReset();
+        renderer.setSize(width, height, false);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+
+        const frames = [];
+        const videoParts = [];
+        let stopped = null;
+        if (format === 'webm') {
+          const stream = canvas.captureStream(0);
+          [track] = stream.getVideoTracks();
+          recorder = new MediaRecorder(stream, { mimeType: webmMimeType() });
+          recorder.ondataavailable = (e) => videoParts.push(e.data);
+          stopped = new Promise((resolve) => {
+            recorder.onstop = resolve;
+          });
+          recorder.start();
+        }
+
+        explodeObject();
+        for (let i = 0; i < count; i++) {
+          if (job.cancelled) {
+            throw new Error('Render cancelled');
+          }
+          const delta = i === 0 ? 0 : 1 / fps;
+          advanceFrame(delta, i === 0 ? 0 : step, frameStepper);
+          // Capture before yielding: the drawing buffer is cleared once shown
+          if (format === 'webm') {
+            track.requestFrame();
+            await new Promise((resolve) => setTimeout(resolve, 1000 / fps));
+          } else {
+            const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+            frames.push({ name: frameFileName(i, count), data: new Uint8Array(await blob.arrayBuffer()) });
+          }
+          onProgress((i + 1) / count);
+        }
+
+        if (format === 'webm') {
+          recorder.stop();
+          await stopped;
+          return new Blob(videoParts, { type: RENDER_FORMATS.webm.mimeType });
+        }
+        return new Blob(createZip(frames), { type: RENDER_FORMATS.png.mimeType });
+      } finally {
+        if (recorder && recorder.state !== 'inactive') {
+          recorder.stop();
+        }
+        if (track) {
+          track.stop();
+        }
+        offlineRender = null;
+        onResize();
+        clock.getDelta(); // the render's wall time is not live time
+      }
+    };
+
+    handleOrbitChange(orbitSettingsRef.current);
+
     // Expose functions to React
-    window.simulatorControls = {
-      explode: handleExplode,
-      reset: handleReset,
+    // Controls that restart or move the run wait out an offline render
+    const unlessRendering = (handler) => (...args) => {
+      if (!offlineRender) handler(...args);
+    };
+
+    controlsRef.current = {
+      explode: unlessRendering(handleExplode),
+      reset: unlessRendering(handleReset),
       resetCamera: handleResetCamera,
+      getCameraPose: handleGetCameraPose,
+      setCameraPose: handleSetCameraPose,
       resetCoM: handleResetCoM,
-      changeShape: handleShapeChange,
+      changeShape: unlessRendering(handleShapeChange),
+      rebuildObject: unlessRendering(handleRebuildObject),
       updateVelocity: handleVelocityChange,
       setCameraLock: handleCameraLockChange,
+      setOrbit: handleOrbitChange,
+      setDetonationPoint: handleDetonationPointChange,
+      getState: () => getScenarioState(scenario),
+      analyzeDebris: () => computeDebrisElements(scenario, orbitSettingsRef.current),
+      analyzeSpeeds: (options) => computeSpeedDistributions(scenario, options),
+      seek: unlessRendering(handleSeek),
+      goLive: unlessRendering(exitPlayback),
+      collectFragments: currentFragments,
+      selectFragment,
+      followFragment,
+      renderOffline: handleRenderOffline,
+      cancelRender: () => {
+        if (offlineRender) {
+          offlineRender.cancelled = true;
+        }
+      },
     };
 
     // Cleanup
     return () => {
-      window.removeEventListener('resize', onWindowResize);
+      cancelAnimationFrame(animationFrame);
+      resizeObserver.disconnect();
       renderer.domElement.removeEventListener('mousedown', onMouseDown);
       renderer.domElement.removeEventListener('mousemove', onMouseMove);
       renderer.domElement.removeEventListener('mouseup', onMouseUp);
@@ -1235,66 +2410,354 @@ export default function AdvancedExplosionSimulator() {
       renderer.domElement.removeEventListener('touchmove', onTouchMove);
       renderer.domElement.removeEventListener('touchend', onTouchEnd);
       
-      explosionChunks.forEach((chunk) => {
-        if (chunk.mesh.geometry) chunk.mesh.geometry.dispose();
-        if (chunk.mesh.material) chunk.mesh.material.dispose();
+      chunkMeshes.forEach((mesh) => {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
       });
-      preCreatedChunks.forEach((chunk) => {
-        if (chunk.mesh.geometry) chunk.mesh.geometry.dispose();
-        if (chunk.mesh.material) chunk.mesh.material.dispose();
+      playbackMeshes.forEach((mesh) => {
+        mesh.geometry.dispose();
+        mesh.material.dispose();
       });
-      if (gasParticles) {
-        gasParticles.geometry.dispose();
-        gasParticles.material.dispose();
-      }
+      removeGasParticles();
       if (velocityArrow) {
         scene.remove(velocityArrow);
       }
+      if (impactArrow) {
+        impactArrow.dispose();
+      }
+      removeOverlays();
+      sumArrow.dispose();
+      disposeCentralBody();
+      removeDebrisMarkers();
+      detonationMarker.geometry.dispose();
+      detonationMarker.material.dispose();
       if (scene.background && typeof scene.background.dispose === 'function') {
         scene.background.dispose();
       }
 
-      mountRef.current?.removeChild(renderer.domElement);
+      mount.removeChild(renderer.domElement);
       renderer.dispose();
+      controlsRef.current = null;
     };
   }, []);
 
   const handleExplode = () => {
-    if (window.simulatorControls) {
-      window.simulatorControls.explode();
+    if (controlsRef.current) {
+      controlsRef.current.explode();
     }
   };
 
   const handleReset = () => {
     // Don't reset comVelocity state anymore
-    if (window.simulatorControls) {
-      window.simulatorControls.reset();
+    if (controlsRef.current) {
+      controlsRef.current.reset();
     }
   };
 
   const handleResetCamera = () => {
-    if (window.simulatorControls) {
-      window.simulatorControls.resetCamera();
+    if (controlsRef.current) {
+      controlsRef.current.resetCamera();
     }
   };
 
   const handleResetCoM = () => {
     setComVelocity({ x: 0, y: 0, z: 0 });
-    if (window.simulatorControls) {
-      window.simulatorControls.resetCoM();
+    if (controlsRef.current) {
+      controlsRef.current.resetCoM();
+    }
+  };
+
+  const handleSeek = (value) => {
+    const time = Number(value);
+    setTimeline((prev) => ({ ...prev, time, replaying: true }));
+    if (controlsRef.current) {
+      controlsRef.current.seek(time);
+    }
+  };
+
+  const handleGoLive = () => {
+    if (controlsRef.current) {
+      controlsRef.current.goLive();
+    }
+  };
+
+  const exportEpochValid = exportFormat !== 'oem' || !Number.isNaN(Date.parse(exportEpoch));
+
+  const handleExportFragments = () => {
+    if (!controlsRef.current) return;
+    const snapshot = controlsRef.current.collectFragments();
+    const text = formatSnapshot(exportFormat, snapshot, {
+      parentOrbit: { altitudeKm: orbitAltitudeKm, inclinationDeg: orbitInclinationDeg },
+      epoch: Date.parse(exportEpoch),
+    });
+    const { extension, mimeType } = EXPORT_FORMATS[exportFormat];
+    downloadFile(`fragments-t${snapshot.time.toFixed(2)}s.${extension}`, text, mimeType);
+  };
+
+  // Piece id of the fragment to inspect, or null to close the inspector
+  const handleSelectFragment = (id) => {
+    if (controlsRef.current) {
+      controlsRef.current.selectFragment(id);
+    }
+  };
+
+  const handleFollowFragment = (follow) => {
+    if (controlsRef.current) {
+      controlsRef.current.followFragment(follow);
+    }
+  };
+
+  // Render the run offline and download it; the seed makes it repeatable
+  const handleRender = async () => {
+    if (!controlsRef.current) return;
+    setRenderStatus(null);
+    setRenderProgress(0);
+    try {
+      const blob = await controlsRef.current.renderOffline(renderOptions, setRenderProgress);
+      const { format, width, height } = renderOptions;
+      const name = useRandomSeed ? `explosion-seed${randomSeed}` : 'explosion';
+      downloadFile(`${name}.${RENDER_FORMATS[format].extension}`, blob, blob.type);
+      setRenderStatus({ message: `Rendered ${renderFrameCount(renderOptions)} frames at ${width}×${height}`, error: false });
+    } catch (error) {
+      setRenderStatus({ message: error.message, error: true });
+    } finally {
+      setRenderProgress(null);
+    }
+  };
+
+  const handleCancelRender = () => {
+    if (controlsRef.current) {
+      controlsRef.current.cancelRender();
+    }
+  };
+
+  const updateRenderOptions = (changes) => setRenderOptions((prev) => ({ ...prev, ...changes }));
+
+  const handleRefreshDebris = () => {
+    if (controlsRef.current) {
+      setDebrisElements(controlsRef.current.analyzeDebris());
+    }
+  };
+
+  const handleMeshFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ''; // so the same file can be picked again
+    if (!file) return;
+    try {
+      const mesh = parseMeshFile(file.name, await file.arrayBuffer());
+      // Fracture once up front so an open or empty mesh is reported here
+      createShapeChunks('mesh', shapeDimensions.mesh, density, { mesh });
+      setImportError(null);
+      setSelectedShape('mesh');
+      setImportedMesh({ name: file.name, mesh });
+    } catch (error) {
+      setImportError(error.message);
     }
   };
 
   const handleShapeChange = (shape) => {
     setSelectedShape(shape);
     // Don't reset comVelocity anymore
-    if (window.simulatorControls) {
-      window.simulatorControls.changeShape(shape);
+    if (controlsRef.current) {
+      controlsRef.current.changeShape(shape);
+    }
+  };
+
+  // Settings saved with a scenario (scenario-file.js), each with its setter
+  const scenarioFields = {
+    shape: [selectedShape, setSelectedShape],
+    shapeDimensions: [shapeDimensions, setShapeDimensions],
+    material: [material, setMaterial],
+    density: [density, setDensity],
+    fracture: [fracture, setFracture],
+    fragmentCount: [fragmentCount, setFragmentCount],
+    clustering: [clustering, setClustering],
+    breakup: [breakup, setBreakup],
+    detonationPoint: [detonationPoint, setDetonationPoint],
+    chargeMode: [chargeMode, setChargeMode],
+    coneAngleDeg: [coneAngleDeg, setConeAngleDeg],
+    impact: [impact, setImpact],
+    comVelocity: [comVelocity, setComVelocity],
+    explosionEnergy: [explosionEnergy, setExplosionEnergy],
+    yieldUnit: [yieldUnit, setYieldUnit],
+    gasEnergyFraction: [gasEnergyFraction, setGasEnergyFraction],
+    gasMassPercent: [gasMassPercent, setGasMassPercent],
+    gasDragCoefficient: [gasDragCoefficient, setGasDragCoefficient],
+    seed: [randomSeed, setRandomSeed],
+    useSeed: [useRandomSeed, setUseRandomSeed],
+    enableGas: [enableGas, setEnableGas],
+    frameIsCoM: [frameIsCoM, setFrameIsCoM],
+    timeScale: [timeScale, applyTimeScale],
+    integrator: [integrator, setIntegrator],
+    enableGravity: [enableGravity, setEnableGravity],
+    gravityExponent: [gravityExponent, setGravityExponent],
+    softeningLength: [softeningLength, setSofteningLength],
+    orbitalMode: [orbitalMode, setOrbitalMode],
+    orbitAltitudeKm: [orbitAltitudeKm, setOrbitAltitudeKm],
+    orbitInclinationDeg: [orbitInclinationDeg, setOrbitInclinationDeg],
+    orbitTimeWarp: [orbitTimeWarp, setOrbitTimeWarp],
+    enableCollisions: [enableCollisions, setEnableCollisions],
+    restitution: [restitution, setRestitution],
+    enableMerging: [enableMerging, setEnableMerging],
+    mergeSpeed: [mergeSpeed, setMergeSpeed],
+  };
+
+  const currentScenarioSettings = () => ({
+    ...Object.fromEntries(Object.entries(scenarioFields).map(([key, [value]]) => [key, value])),
+    camera: controlsRef.current ? controlsRef.current.getCameraPose() : DEFAULT_CAMERA_POSE,
+  });
+
+  // Load a scenario document or JSON text over the current settings; returns
+  // the fields that could not be used
+  const applyScenario = (input) => {
+    const { settings, mesh, ignored } = parseScenario(input, currentScenarioSettings(), {
+      choices: {
+        shape: [...Object.keys(SHAPES), 'mesh'],
+        material: [...Object.keys(MATERIALS), null],
+        fracture: FRACTURE_MODES.map(([mode]) => mode),
+        'breakup.event': Object.keys(SBM_EVENTS),
+        'breakup.bodyType': Object.keys(SBM_BODY_TYPES),
+        chargeMode: Object.keys(CHARGE_MODES),
+        yieldUnit: YIELD_UNITS.map(([unit]) => unit),
+        integrator: Object.keys(INTEGRATORS),
+        orbitTimeWarp: ORBIT_TIME_WARPS,
+      },
+    });
+    if (mesh) {
+      createShapeChunks('mesh', settings.shapeDimensions.mesh, settings.density, { mesh });
+      setImportError(null);
+      setImportedMesh({ name: mesh.name, mesh });
+    } else if (settings.shape === 'mesh' && !importedMesh) {
+      // Links never carry the mesh; keep the current shape until one is imported
+      settings.shape = selectedShape;
+      ignored.push('shape');
+    }
+
+    if (controlsRef.current) {
+      controlsRef.current.reset();
+    }
+    Object.entries(scenarioFields).forEach(([key, [, set]]) => set(settings[key]));
+    setLoadedScenario(settings);
+    return ignored;
+  };
+
+  const reportLoadedScenario = (source, ignored) => {
+    setScenarioStatus({
+      message: ignored.length > 0 ? `Loaded ${source}; kept current ${ignored.join(', ')}` : `Loaded ${source}`,
+      error: false,
+    });
+  };
+
+  const handleCopyScenarioLink = async () => {
+    const hash = encodeScenarioHash(currentScenarioSettings());
+    if (urlHash) {
+      window.history.replaceState(null, '', hash);
+    }
+    const note = selectedShape === 'mesh' ? '; links leave out the imported mesh, save a file to include it' : '';
+    try {
+      await navigator.clipboard.writeText(`${window.location.href.split('#')[0]}${hash}`);
+      setScenarioStatus({ message: `Link copied${note}`, error: false });
+    } catch (error) {
+      setScenarioStatus(urlHash
+        ? { message: `Link is in the address bar${note}`, error: false }
+        : { message: 'Could not copy the link', error: true });
+    }
+  };
+
+  const handleSaveScenario = () => {
+    const mesh = selectedShape === 'mesh' && importedMesh ? { name: importedMesh.name, ...importedMesh.mesh } : null;
+    downloadFile('scenario.json', scenarioToJSON(currentScenarioSettings(), { mesh }), 'application/json');
+  };
+
+  const handleScenarioFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    try {
+      reportLoadedScenario(file.name, applyScenario(await file.text()));
+    } catch (error) {
+      setScenarioStatus({ message: error.message, error: true });
     }
   };
 
+  // The hash listener outlives renders, so it loads through a ref to the
+  // latest applyScenario
+  const applyScenarioRef = useRef(applyScenario);
+  applyScenarioRef.current = applyScenario;
+
+  // Start from a shared link if there is one, otherwise from initialScenario,
+  // and open links pasted later
+  useEffect(() => {
+    const load = (source, scenarioDocument) => {
+      try {
+        reportLoadedScenario(source, applyScenarioRef.current(scenarioDocument));
+      } catch (error) {
+        setScenarioStatus({ message: error.message, error: true });
+      }
+    };
+    const loadFromHash = () => {
+      let shared = null;
+      try {
+        shared = decodeScenarioHash(window.location.hash);
+      } catch (error) {
+        setScenarioStatus({ message: error.message, error: true });
+      }
+      if (shared) {
+        load('link', shared);
+      }
+      return shared !== null;
+    };
+
+    const linked = urlHash && loadFromHash();
+    if (!linked && initialScenario) {
+      load('initial scenario', initialScenario);
+    }
+    if (!urlHash) return undefined;
+    window.addEventListener('hashchange', loadFromHash);
+    return () => window.removeEventListener('hashchange', loadFromHash);
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    explode: handleExplode,
+    reset: handleReset,
+    resetCamera: handleResetCamera,
+    resetCoM: handleResetCoM,
+    changeShape: handleShapeChange,
+    setVelocity: ({ x, y, z }) => setComVelocity({ x, y, z }),
+    setCameraLock: setFrameIsCoM,
+    setTimeScale: applyTimeScale,
+    setPlaying: (playing) => {
+      isPlayingRef.current = playing;
+      setIsPlaying(playing);
+    },
+    seek: handleSeek,
+    goLive: handleGoLive,
+    selectFragment: handleSelectFragment,
+    followFragment: handleFollowFragment,
+    // Resolves to the rendered file as a Blob (see offline-render.js for the options)
+    renderOffline: (options = {}, onProgress) => (
+      controlsRef.current
+        ? controlsRef.current.renderOffline({ ...DEFAULT_RENDER_OPTIONS, ...options }, onProgress)
+        : Promise.reject(new Error('The simulator is not mounted'))
+    ),
+    cancelRender: handleCancelRender,
+    // Plain-data snapshot of the live run (physics-engine.js getScenarioState)
+    getState: () => (controlsRef.current ? controlsRef.current.getState() : null),
+    getSettings: currentScenarioSettings,
+    loadScenario: applyScenario,
+    // Subscribe to an event (see emit); returns the unsubscribe function
+    on: (event, listener) => {
+      const listeners = listenersRef.current[event];
+      if (!listeners) {
+        throw new Error(`Unknown simulator event: ${event}`);
+      }
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  }));
+
   return (
-    <div className="relative w-full h-screen bg-black overflow-hidden">
+    <div className={className}>
       <div ref={mountRef} className="w-full h-full" />
       
       {/* Control Panel */}
@@ -1304,33 +2767,394 @@ export default function AdvancedExplosionSimulator() {
         <div className="mb-3">
           <label className="block mb-1 font-semibold">Shape:</label>
           <div className="flex flex-wrap gap-2">
-            {[
-              { name: 'cube', pieces: 216 },
-              { name: 'sphere', pieces: 72 },
-              { name: 'cone', pieces: 60 },
-              { name: 'cylinder', pieces: 80 },
-              { name: 'ring', pieces: 96 }
-            ].map(shape => (
+            {Object.entries(SHAPES).map(([name, shape]) => (
+              <button
+                key={name}
+                onClick={() => handleShapeChange(name)}
+                className={`px-3 py-1 rounded ${
+                  selectedShape === name 
+                    ? 'bg-blue-600 text-white' 
+                    : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+                title={`${shape.pieces} pieces`}
+              >
+                {name}
+              </button>
+            ))}
+            {importedMesh && (
+              <button
+                onClick={() => handleShapeChange('mesh')}
+                className={`px-3 py-1 rounded ${
+                  selectedShape === 'mesh' ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+                title={importedMesh.name}
+              >
+                mesh
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            {fracture !== 'lattice'
+              ? `${selectedShape === 'mesh' ? importedMesh.name : selectedShape}: ${pieceCount} ${
+                fracture === 'voronoi' ? 'Voronoi pieces' : 'breakup fragments'
+              }`
+              : selectedShape === 'mesh'
+                ? `${importedMesh.name}: ${pieceCount} voxel pieces`
+                : shapeInfo(selectedShape).description}
+          </p>
+          <label className="text-xs text-gray-400 block mt-2">Import model ({MESH_FILE_TYPES.join(', ')}):</label>
+          <input
+            type="file"
+            accept={MESH_FILE_TYPES.join(',')}
+            onChange={handleMeshFile}
+            className="w-full text-xs mt-1"
+          />
+          {importError && <p className="text-xs text-red-300 mt-1">{importError}</p>}
+        </div>
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="block font-semibold">Fracture:</label>
+          <div className="flex gap-1 mt-1">
+            {FRACTURE_MODES.map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setFracture(mode)}
+                className={`flex-1 py-1 px-2 rounded text-xs ${
+                  fracture === mode ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {fracture === 'voronoi' && (
+            <>
+              <label className="text-xs text-gray-400 block mt-2">Fragments: {fragmentCount}</label>
+              <input
+                type="range"
+                min="5"
+                max="150"
+                step="5"
+                value={fragmentCount}
+                onChange={(e) => setFragmentCount(parseInt(e.target.value, 10))}
+                className="w-full"
+              />
+              <label className="text-xs text-gray-400 block mt-1">
+                Clustering toward detonation: {clustering.toFixed(2)}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={clustering}
+                onChange={(e) => setClustering(parseFloat(e.target.value))}
+                className="w-full"
+              />
+              <p className="text-xs text-gray-400 mt-1">
+                Solid convex cells; each mass is its exact volume × density. Cells follow the random seed.
+              </p>
+            </>
+          )}
+          {fracture === 'sbm' && (
+            <>
+              {[SBM_EVENTS, SBM_BODY_TYPES].map((choices, row) => (
+                <div key={row} className="flex gap-1 mt-2">
+                  {Object.entries(choices).map(([value, label]) => {
+                    const key = row === 0 ? 'event' : 'bodyType';
+                    return (
+                      <button
+                        key={value}
+                        onClick={() => setBreakup((prev) => ({ ...prev, [key]: value }))}
+                        className={`flex-1 py-1 px-2 rounded text-xs ${
+                          breakup[key] === value ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    );
+                  })}
+                </div>
+              ))}
+              <label className="text-xs text-gray-400 block mt-2">
+                Smallest fragment: {(breakup.minLength * 100).toPrecision(3)} cm
+              </label>
+              <input
+                type="range"
+                min="-2"
+                max="0"
+                step="0.05"
+                value={Math.log10(breakup.minLength)}
+                onChange={(e) => {
+                  const minLength = Math.pow(10, parseFloat(e.target.value));
+                  setBreakup((prev) => ({ ...prev, minLength }));
+                }}
+                className="w-full"
+              />
+              {breakup.event === 'explosion' ? (
+                <>
+                  <label className="text-xs text-gray-400 block mt-1">Scaling factor S: {breakup.scale.toFixed(1)}</label>
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="2"
+                    step="0.1"
+                    value={breakup.scale}
+                    onChange={(e) => {
+                      const scale = parseFloat(e.target.value);
+                      setBreakup((prev) => ({ ...prev, scale }));
+                    }}
+                    className="w-full"
+                  />
+                </>
+              ) : (
+                <div className="flex gap-1 mt-1">
+                  {[['projectileMass', 'Projectile (kg)', 1], ['impactSpeed', 'Impact (km/s)', 1000]].map(([key, label, unit]) => (
+                    <div key={key} className="flex-1">
+                      <label className="text-xs text-gray-400">{label}</label>
+                      <input
+                        type="number"
+                        min="0.001"
+                        step="any"
+                        value={breakup[key] / unit}
+                        onChange={(e) => {
+                          const value = parseFloat(e.target.value);
+                          if (!(value > 0)) return;
+                          setBreakup((prev) => ({ ...prev, [key]: value * unit }));
+                        }}
+                        className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-gray-400 mt-1">
+                Delta-Vs come from the model, isotropic about each fragment; the yield only drives the gas.
+              </p>
+              {breakupHistogram && (
+                <>
+                  <div className="mt-2">
+                    <BreakupSizeChart bins={breakupHistogram.bins} />
+                  </div>
+                  <p className="text-xs text-gray-400 mt-1">
+                    {breakupHistogram.fragmentCount} fragments (bars) against N(&gt;Lc) = {
+                      breakupHistogram.powerLaw.coefficient.toPrecision(3)
+                    } Lc^-{breakupHistogram.powerLaw.exponent} (line)
+                    {breakup.event === 'collision' && (breakupHistogram.powerLaw.catastrophic ? ', catastrophic' : ', cratering')};
+                    remnant {formatMass(breakupHistogram.remnantMass)}.
+                    {breakupHistogram.minLength > breakup.minLength * (1 + 1e-9) && (
+                      ` Smallest size raised to ${(breakupHistogram.minLength * 100).toPrecision(3)} cm`
+                      + ` to stay under ${MAX_BREAKUP_FRAGMENTS} fragments.`
+                    )}
+                  </p>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="block font-semibold">Charge:</label>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {Object.entries(CHARGE_MODES).map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setChargeMode(mode)}
+                className={`flex-1 py-1 px-2 rounded text-xs ${
+                  chargeMode === mode ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {chargeMode === 'cone' && (
+            <>
+              <label className="text-xs text-gray-400 block mt-2">Cone half-angle: {coneAngleDeg}°</label>
+              <input
+                type="range"
+                min="5"
+                max="80"
+                step="1"
+                value={coneAngleDeg}
+                onChange={(e) => setConeAngleDeg(parseInt(e.target.value, 10))}
+                className="w-full"
+              />
+            </>
+          )}
+          <div className="flex items-center justify-between gap-2 mt-2 text-xs text-gray-300">
+            <span className="font-mono">
+              ({detonationPoint.x.toFixed(2)}, {detonationPoint.y.toFixed(2)}, {detonationPoint.z.toFixed(2)}) m
+            </span>
+            <button
+              onClick={() => setDetonationPoint(CENTRE)}
+              className="py-1 px-2 rounded bg-gray-700 hover:bg-gray-600"
+            >
+              Centre
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            Click the object to place the charge. Directional charges throw nearby fragments hardest, away from it;
+            with a yield they shape only the share not given to the gas.
+          </p>
+        </div>
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={impact.enabled}
+              onChange={(e) => setImpact((prev) => ({ ...prev, enabled: e.target.checked }))}
+              className="w-4 h-4"
+            />
+            <span className="font-semibold">Projectile Impact</span>
+          </label>
+          {impact.enabled ? (
+            <>
+              <label className="text-xs text-gray-400 block mt-2">Projectile: {formatMass(impact.projectileMass)}</label>
+              <input
+                type="range"
+                min="-1"
+                max="4"
+                step="0.05"
+                value={Math.log10(impact.projectileMass)}
+                onChange={(e) => {
+                  const projectileMass = Math.pow(10, parseFloat(e.target.value));
+                  setImpact((prev) => ({ ...prev, projectileMass }));
+                }}
+                className="w-full"
+              />
+              <label className="text-xs text-gray-400 block mt-1">Impact speed: {(impact.speed / 1000).toFixed(2)} km/s</label>
+              <input
+                type="range"
+                min="1"
+                max="4.3"
+                step="0.05"
+                value={Math.log10(impact.speed)}
+                onChange={(e) => {
+                  const speed = Math.pow(10, parseFloat(e.target.value));
+                  setImpact((prev) => ({ ...prev, speed }));
+                }}
+                className="w-full"
+              />
+              <label className="text-xs text-gray-400 block mt-1">
+                Comes from: azimuth {impact.azimuthDeg}°, elevation {impact.elevationDeg}°
+              </label>
+              {[['azimuthDeg', -180, 180], ['elevationDeg', -85, 85]].map(([key, min, max]) => (
+                <input
+                  key={key}
+                  type="range"
+                  min={min}
+                  max={max}
+                  step="5"
+                  value={impact[key]}
+                  onChange={(e) => {
+                    const degrees = parseInt(e.target.value, 10);
+                    setImpact((prev) => ({ ...prev, [key]: degrees }));
+                  }}
+                  className="w-full"
+                />
+              ))}
+              <label className="text-xs text-gray-400 block mt-1">Standoff: {impact.standoff} m</label>
+              <input
+                type="range"
+                min="1"
+                max="50"
+                step="1"
+                value={impact.standoff}
+                onChange={(e) => {
+                  const standoff = parseInt(e.target.value, 10);
+                  setImpact((prev) => ({ ...prev, standoff }));
+                }}
+                className="w-full"
+              />
+              {fracture !== 'sbm' && (
+                <>
+                  <label className="text-xs text-gray-400 block mt-1">
+                    Kept as fragment motion: {(impact.energyFraction * 100).toFixed(0)}% of the collision energy
+                  </label>
+                  <input
+                    type="range"
+                    min="0.05"
+                    max="1"
+                    step="0.05"
+                    value={impact.energyFraction}
+                    onChange={(e) => {
+                      const energyFraction = parseFloat(e.target.value);
+                      setImpact((prev) => ({ ...prev, energyFraction }));
+                    }}
+                    className="w-full"
+                  />
+                </>
+              )}
+              <p className="text-xs text-gray-400 mt-1">
+                An aluminium sphere fired at the marker; the charge settings are unused. On contact both break up: the
+                pieces near the impact point move off with the projectile as one plug, and the pair's CoM keeps its
+                momentum. {fracture === 'sbm' ? 'Breakup fragments follow the SBM collision model for this projectile. ' : ''}
+                Slow the time scale to watch it fly in.
+              </p>
+            </>
+          ) : (
+            <p className="text-xs text-gray-400 mt-1">Off: the charge breaks the object up</p>
+          )}
+        </div>
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="block font-semibold">Dimensions &amp; Material:</label>
+          <div className="flex gap-1 mt-1">
+            {Object.entries(shapeDimensions[selectedShape]).map(([key, value]) => (
+              <div key={key} className="flex-1">
+                <label className="text-xs text-gray-400">{DIMENSION_LABELS[key]}</label>
+                <input
+                  type="number"
+                  min={key === 'scale' ? '0.0001' : '0.01'}
+                  step={key === 'scale' ? 'any' : '0.1'}
+                  value={value}
+                  onChange={(e) => {
+                    const metres = parseFloat(e.target.value);
+                    if (!(metres > 0)) return;
+                    setShapeDimensions((prev) => ({
+                      ...prev,
+                      [selectedShape]: { ...prev[selectedShape], [key]: metres },
+                    }));
+                  }}
+                  className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-1 mt-2">
+            {Object.entries(MATERIALS).map(([name, preset]) => (
               <button
-                key={shape.name}
-                onClick={() => handleShapeChange(shape.name)}
-                className={`px-3 py-1 rounded ${
-                  selectedShape === shape.name 
-                    ? 'bg-blue-600 text-white' 
-                    : 'bg-gray-700 hover:bg-gray-600'
+                key={name}
+                onClick={() => {
+                  setMaterial(name);
+                  setDensity(preset.density);
+                }}
+                className={`py-1 px-2 rounded text-xs ${
+                  material === name ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
                 }`}
-                title={`${shape.pieces} pieces`}
               >
-                {shape.name}
+                {preset.label}
               </button>
             ))}
           </div>
+          <label className="text-xs text-gray-400 block mt-2">Density (kg/m³)</label>
+          <input
+            type="number"
+            min="1"
+            step="10"
+            value={density}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (!(value > 0)) return;
+              setMaterial(null);
+              setDensity(value);
+            }}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white"
+          />
           <p className="text-xs text-gray-400 mt-1">
-            {selectedShape === 'cube' && '216 cubic pieces (6×6×6)'}
-            {selectedShape === 'sphere' && '72 wedge pieces (6 lat × 12 lon)'}
-            {selectedShape === 'cone' && '60 frustum segments (10 layers × 6 radial)'}
-            {selectedShape === 'cylinder' && '80 cylindrical segments (10 layers × 8 radial)'}
-            {selectedShape === 'ring' && '96 torus segments (16 major × 6 minor)'}
+            ⚖️ Mass: {formatMass(objectMass)} ({formatMass(objectMass / pieceCount)} per chunk on average)
           </p>
         </div>
 
@@ -1345,10 +3169,138 @@ export default function AdvancedExplosionSimulator() {
             <span className="font-semibold">Gas Escape</span>
           </label>
           <p className="text-xs text-gray-400 mt-1">
-            {enableGas ? '🔥 10k ultra-bright particles spawned from surface (2× faster)' : '❌ No gas particles'}
+            {enableGas ? '🔥 Expanding detonation products that drag the chunks, traced by 10k ultra-bright particles' : '❌ No gas'}
+          </p>
+        </div>
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="block font-semibold">Integrator:</label>
+          <div className="flex gap-1 mt-1">
+            {Object.entries(INTEGRATORS).map(([scheme, label]) => (
+              <button
+                key={scheme}
+                onClick={() => setIntegrator(scheme)}
+                className={`flex-1 py-1 px-2 rounded text-xs ${
+                  integrator === scheme ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            ⏱ Fixed {(DEFAULT_FIXED_STEP * 1000).toFixed(2)} ms steps, interpolated for display
           </p>
         </div>
 
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={enableGravity}
+              onChange={(e) => setEnableGravity(e.target.checked)}
+              className="w-4 h-4"
+            />
+            <span className="font-semibold">Self-Gravity</span>
+          </label>
+          {enableGravity ? (
+            <div className="mt-2">
+              <label className="text-xs text-gray-400">
+                G = {Math.pow(10, gravityExponent).toExponential(2)} m³/(kg·s²)
+              </label>
+              <input
+                type="range"
+                min="-11"
+                max="3"
+                step="any"
+                value={gravityExponent}
+                onChange={(e) => setGravityExponent(parseFloat(e.target.value))}
+                className="w-full"
+              />
+              <button
+                onClick={() => setGravityExponent(REAL_G_EXPONENT)}
+                className="w-full bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs mt-1"
+              >
+                Real G (6.674e-11)
+              </button>
+              <label className="text-xs text-gray-400 block mt-2">
+                Softening length: {softeningLength.toFixed(2)} m
+              </label>
+              <input
+                type="range"
+                min="0.05"
+                max="5"
+                step="0.05"
+                value={softeningLength}
+                onChange={(e) => setSofteningLength(parseFloat(e.target.value))}
+                className="w-full"
+              />
+              <p className="text-xs text-gray-400 mt-1">
+                🪐 Barnes–Hut tree; low blast intensity lets debris re-accrete
+              </p>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-400 mt-1">
+              ❌ Fragments coast ballistically
+            </p>
+          )}
+        </div>
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={enableCollisions}
+              onChange={(e) => setEnableCollisions(e.target.checked)}
+              className="w-4 h-4"
+            />
+            <span className="font-semibold">Fragment Collisions</span>
+          </label>
+          {enableCollisions ? (
+            <div className="mt-2">
+              <label className="text-xs text-gray-400 block">
+                Restitution: {restitution.toFixed(2)}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={restitution}
+                onChange={(e) => setRestitution(parseFloat(e.target.value))}
+                className="w-full"
+              />
+              <label className="flex items-center gap-2 cursor-pointer mt-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={enableMerging}
+                  onChange={(e) => setEnableMerging(e.target.checked)}
+                  className="w-4 h-4"
+                />
+                <span>Stick on impacts slower than {mergeSpeed.toFixed(1)} m/s</span>
+              </label>
+              {enableMerging && (
+                <input
+                  type="range"
+                  min="0.5"
+                  max="50"
+                  step="0.5"
+                  value={mergeSpeed}
+                  onChange={(e) => setMergeSpeed(parseFloat(e.target.value))}
+                  className="w-full"
+                />
+              )}
+              <p className="text-xs text-gray-400 mt-1">
+                💥 Bounding-sphere contacts, momentum conserving{mergeCount > 0 ? ` | ${mergeCount} merged` : ''}
+              </p>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-400 mt-1">
+              ❌ Fragments pass through one another
+            </p>
+          )}
+        </div>
+
         <div className="mb-3 p-2 bg-gray-800 rounded">
           <label className="flex items-center gap-2 cursor-pointer">
             <input
@@ -1364,6 +3316,80 @@ export default function AdvancedExplosionSimulator() {
           </p>
         </div>
 
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="block mb-1 font-semibold">Parent Orbit (Earth)</label>
+          <label className="text-xs text-gray-400 block">
+            Altitude: {orbitAltitudeKm.toFixed(0)} km
+          </label>
+          <input
+            type="range"
+            min="160"
+            max="2000"
+            step="10"
+            value={orbitAltitudeKm}
+            onChange={(e) => setOrbitAltitudeKm(parseFloat(e.target.value))}
+            className="w-full"
+          />
+          <label className="text-xs text-gray-400 block mt-2">
+            Inclination: {orbitInclinationDeg.toFixed(1)}°
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="180"
+            step="0.1"
+            value={orbitInclinationDeg}
+            onChange={(e) => setOrbitInclinationDeg(parseFloat(e.target.value))}
+            className="w-full"
+          />
+          <p className="text-xs text-gray-400 mt-1">
+            🌍 v = {circularOrbitSpeed(orbitAltitudeKm * 1000).toFixed(0)} m/s, period ={' '}
+            {(circularOrbitPeriod(orbitAltitudeKm * 1000) / 60).toFixed(1)} min
+          </p>
+
+          <label className="flex items-center gap-2 cursor-pointer mt-2">
+            <input
+              type="checkbox"
+              checked={orbitalMode}
+              onChange={(e) => setOrbitalMode(e.target.checked)}
+              className="w-4 h-4"
+            />
+            <span className="font-semibold">Orbital Mode</span>
+          </label>
+          {orbitalMode ? (
+            <div className="mt-2">
+              <label className="text-xs text-gray-400 block">Time warp:</label>
+              <div className="flex gap-1 mt-1">
+                {ORBIT_TIME_WARPS.map((warp) => (
+                  <button
+                    key={warp}
+                    onClick={() => setOrbitTimeWarp(warp)}
+                    className={`flex-1 py-1 px-2 rounded text-xs ${
+                      orbitTimeWarp === warp ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                    }`}
+                  >
+                    {warp}×
+                  </button>
+                ))}
+              </div>
+              <p className="text-xs text-gray-400 mt-1">
+                CoM velocity below is a Δv relative to the circular orbit
+              </p>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-400 mt-1">
+              ❌ Empty space; the orbit is only used for debris analysis
+            </p>
+          )}
+
+          <button
+            onClick={() => setShowDebrisPanel((prev) => !prev)}
+            className="w-full bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs mt-2"
+          >
+            📈 {showDebrisPanel ? 'Hide' : 'Show'} debris analysis
+          </button>
+        </div>
+
         <div className="mb-3">
           <label className="block mb-1 font-semibold">
             CoM Velocity - X axis: {comVelocity.x} m/s
@@ -1418,23 +3444,436 @@ export default function AdvancedExplosionSimulator() {
 
         <div className="mb-3">
           <label className="block mb-1 font-semibold">
-            Blast Intensity: {explosionSpeed.toFixed(1)}
+            Explosion Yield: {formatEnergy(explosionEnergy)}
+          </label>
+          <input
+            type="range"
+            min="3"
+            max="10"
+            step="0.05"
+            value={Math.max(3, Math.log10(explosionEnergy))}
+            onChange={(e) => setExplosionEnergy(Math.pow(10, parseFloat(e.target.value)))}
+            className="w-full"
+          />
+          <div className="flex gap-1 mt-1">
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={Number((yieldUnit === 'J' ? explosionEnergy : explosionEnergy / TNT_JOULES_PER_KG).toPrecision(4))}
+              onChange={(e) => {
+                // An empty or zero field is mid-edit, not a yield
+                const value = parseFloat(e.target.value);
+                if (!(value > 0)) return;
+                setExplosionEnergy(yieldUnit === 'J' ? value : value * TNT_JOULES_PER_KG);
+              }}
+              className="flex-1 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white"
+            />
+            {YIELD_UNITS.map(([unit, label]) => (
+              <button
+                key={unit}
+                onClick={() => setYieldUnit(unit)}
+                className={`py-1 px-2 rounded text-xs ${
+                  yieldUnit === unit ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            ≈ {(explosionEnergy / TNT_JOULES_PER_KG).toPrecision(3)} kg TNT of kinetic energy in the CoM frame
+          </p>
+          {enableGas && (
+            <>
+              <label className="text-xs text-gray-400 block mt-2">
+                Gas share: {(gasEnergyFraction * 100).toFixed(0)}%
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={gasEnergyFraction}
+                onChange={(e) => setGasEnergyFraction(parseFloat(e.target.value))}
+                className="w-full"
+              />
+              <p className="text-xs text-gray-400 mt-1">
+                {gasEnergyFraction < 1
+                  ? `The chunks are launched with the other ${((1 - gasEnergyFraction) * 100).toFixed(0)}% of the yield the instant it goes off; the gas share accelerates them over time.`
+                  : 'The chunks start at rest and the expanding gas accelerates them.'}
+              </p>
+              <div className="flex items-center justify-between mt-2">
+                <span className="text-xs text-gray-400">
+                  Gas mass: {gasMassPercent === null ? 'TNT equivalent' : `${gasMassPercent}% of the object`}
+                </span>
+                <div className="flex gap-1">
+                  {[['TNT', null], ['Set', 10]].map(([label, percent]) => (
+                    <button
+                      key={label}
+                      onClick={() => setGasMassPercent(percent)}
+                      className={`py-1 px-2 rounded text-xs ${
+                        (gasMassPercent === null) === (percent === null) ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {gasMassPercent !== null && (
+                <input
+                  type="range"
+                  min="1"
+                  max="50"
+                  step="1"
+                  value={gasMassPercent}
+                  onChange={(e) => setGasMassPercent(parseInt(e.target.value, 10))}
+                  className="w-full"
+                />
+              )}
+              <label className="text-xs text-gray-400 block mt-2">
+                Drag coefficient: {gasDragCoefficient.toExponential(0)}
+              </label>
+              <input
+                type="range"
+                min="0"
+                max="7"
+                step="0.5"
+                value={Math.log10(gasDragCoefficient)}
+                onChange={(e) => setGasDragCoefficient(Math.pow(10, parseFloat(e.target.value)))}
+                className="w-full"
+              />
+              <p className="text-xs text-gray-400 mt-1">
+                The gas share starts as pressure and reaches the chunks only through drag; heavier gas pushes harder.
+                Around 10⁶ the flow is locked to the chunks, which hem the gas in and take most of its energy; near 1
+                the gas slips past and disperses with most of it.
+              </p>
+            </>
+          )}
+        </div>
+
+        {energyBudget && (
+          <div className="mb-3 p-2 bg-gray-800 rounded">
+            <div className="flex items-center justify-between">
+              <label className="font-semibold">Energy Budget (CoM frame)</label>
+              <button
+                onClick={() => setShowConservationHud((prev) => !prev)}
+                className="bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs"
+              >
+                🧮 {showConservationHud ? 'Hide' : 'Show'} HUD
+              </button>
+            </div>
+            <div className="text-xs text-gray-300 mt-1">
+              <div className="flex justify-between"><span>Chunks KE</span><span>{formatEnergy(energyBudget.chunkKinetic)}</span></div>
+              <div className="flex justify-between text-gray-400">
+                <span>of which spin</span><span>{formatEnergy(energyBudget.spinKinetic)}</span>
+              </div>
+              <div className="flex justify-between"><span>Gas KE</span><span>{formatEnergy(energyBudget.gasKinetic)}</span></div>
+              <div className="flex justify-between"><span>Gas internal</span><span>{formatEnergy(energyBudget.gasInternal)}</span></div>
+              {enableGravity && (
+                <div className="flex justify-between"><span>Gravity ΔU</span><span>{formatEnergy(energyBudget.potentialChange)}</span></div>
+              )}
+              <div className="flex justify-between font-semibold"><span>Total</span><span>{formatEnergy(energyBudget.total)}</span></div>
+              {energyBudget.yield !== null && (
+                <div className="flex justify-between text-gray-400">
+                  <span>Dissipated / external</span><span>{formatEnergy(energyBudget.unaccounted)}</span>
+                </div>
+              )}
+            </div>
+            {angularMomentum && (
+              <div className="text-xs text-gray-300 mt-2">
+                <div className="flex justify-between font-semibold">
+                  <span>|L| total</span><span>{formatAngularMomentum(vectorLength(angularMomentum.total))}</span>
+                </div>
+                <div className="flex justify-between text-gray-400">
+                  <span>Orbital</span><span>{formatAngularMomentum(vectorLength(angularMomentum.orbital))}</span>
+                </div>
+                <div className="flex justify-between text-gray-400">
+                  <span>Spin</span><span>{formatAngularMomentum(vectorLength(angularMomentum.spin))}</span>
+                </div>
+                <div className="flex justify-between text-gray-400">
+                  <span>Gas</span><span>{formatAngularMomentum(vectorLength(angularMomentum.gas))}</span>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {isExploded && (
+          <div className="mb-3 p-2 bg-gray-800 rounded">
+            <div className="flex items-center justify-between">
+              <label className="font-semibold">Speed Distribution</label>
+              <button
+                onClick={() => setShowSpeedChart((prev) => !prev)}
+                className="bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs"
+              >
+                📊 {showSpeedChart ? 'Hide' : 'Show'}
+              </button>
+            </div>
+            {showSpeedChart && speedDistributions && (
+              <>
+                <label className="flex items-center gap-2 cursor-pointer text-xs mt-1">
+                  <input
+                    type="checkbox"
+                    checked={speedMassWeighted}
+                    onChange={(e) => setSpeedMassWeighted(e.target.checked)}
+                    className="w-4 h-4"
+                  />
+                  Weight chunks by mass
+                </label>
+                <div className="mt-2">
+                  <SpeedHistogramChart distribution={speedDistributions.chunks} />
+                  <p className="text-xs text-gray-400 mt-1">
+                    Chunks: {speedDistributions.chunks.count} in the CoM frame; released at a ={' '}
+                    {speedDistributions.chunks.scale.toPrecision(3)} m/s (red), fit a ={' '}
+                    {speedDistributions.chunks.fitScale.toPrecision(3)} m/s (dashed)
+                  </p>
+                </div>
+                {speedDistributions.gas && (
+                  <div className="mt-2">
+                    <SpeedHistogramChart distribution={speedDistributions.gas} />
+                    <p className="text-xs text-gray-400 mt-1">
+                      Gas flow: {speedDistributions.gas.count} tracers in the CoM frame, moving with the
+                      cloud&apos;s expansion; released at a = {speedDistributions.gas.scale.toPrecision(3)} m/s
+                      (red), fit a = {speedDistributions.gas.fitScale.toPrecision(3)} m/s (dashed)
+                    </p>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="block font-semibold">Trails &amp; Arrows</label>
+          <label className="flex items-center gap-2 cursor-pointer text-xs mt-1">
+            <input
+              type="checkbox"
+              checked={showTrails}
+              onChange={(e) => setShowTrails(e.target.checked)}
+              className="w-4 h-4"
+            />
+            Fading trails behind every piece
           </label>
+          {showTrails && (
+            <>
+              <label className="text-xs text-gray-400 block mt-1">Trail length: {trailDuration.toFixed(1)} s</label>
+              <input
+                type="range"
+                min="0.5"
+                max="30"
+                step="0.5"
+                value={trailDuration}
+                onChange={(e) => setTrailDuration(parseFloat(e.target.value))}
+                className="w-full"
+              />
+            </>
+          )}
+          <label className="text-xs text-gray-400 block mt-2">Fragment arrows</label>
+          <div className="flex gap-1 mt-1">
+            {[[null, 'Off'], ...Object.entries(ARROW_QUANTITIES)].map(([quantity, label]) => (
+              <button
+                key={label}
+                onClick={() => setArrowQuantity(quantity)}
+                className={`flex-1 py-1 px-2 rounded text-xs ${
+                  arrowQuantity === quantity ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <label className="text-xs text-gray-400 block mt-2">Drawn in the frame of</label>
+          <div className="flex gap-1 mt-1">
+            {Object.entries(OVERLAY_FRAMES).map(([frame, label]) => (
+              <button
+                key={frame}
+                onClick={() => setOverlayFrame(frame)}
+                className={`flex-1 py-1 px-2 rounded text-xs ${
+                  overlayFrame === frame ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {arrowQuantity && arrowSum !== null && (
+            <p className="text-xs text-gray-400 mt-1">
+              {arrowQuantity === 'momentum'
+                ? `Σp = ${arrowSum.toExponential(3)} kg·m/s`
+                : `CoM velocity ${arrowSum.toFixed(3)} m/s`}{' '}
+              (white arrow at the CoM)
+            </p>
+          )}
+        </div>
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="block font-semibold">Scenario</label>
+          <div className="flex gap-1 mt-1">
+            <button
+              onClick={handleCopyScenarioLink}
+              className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs"
+            >
+              🔗 Copy link
+            </button>
+            <button
+              onClick={handleSaveScenario}
+              className="flex-1 bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs"
+            >
+              💾 Save file
+            </button>
+          </div>
+          <label className="text-xs text-gray-400 block mt-2">Load scenario (.json):</label>
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleScenarioFile}
+            className="w-full text-xs mt-1"
+          />
+          {scenarioStatus && (
+            <p className={`text-xs mt-1 ${scenarioStatus.error ? 'text-red-300' : 'text-gray-400'}`}>{scenarioStatus.message}</p>
+          )}
+          {!useRandomSeed && (
+            <p className="text-xs text-gray-400 mt-1">Fix the random seed so a shared scenario explodes identically</p>
+          )}
+        </div>
+
+        {isExploded && (
+          <div className="mb-3 p-2 bg-gray-800 rounded">
+            <label className="block font-semibold">Export Fragments</label>
+            <div className="flex gap-1 mt-1">
+              {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  onClick={() => setExportFormat(format)}
+                  className={`flex-1 py-1 px-2 rounded text-xs ${
+                    exportFormat === format ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {exportFormat === 'oem' && (
+              <div className="mt-2">
+                <label className="text-xs text-gray-400">Epoch at orbit clock zero (UTC):</label>
+                <input
+                  type="text"
+                  value={exportEpoch}
+                  onChange={(e) => setExportEpoch(e.target.value)}
+                  className="w-full bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white mt-1 font-mono text-xs"
+                />
+                {!exportEpochValid && (
+                  <p className="text-xs text-red-300 mt-1">Use ISO 8601 UTC, e.g. 2026-01-01T00:00:00Z</p>
+                )}
+              </div>
+            )}
+            <button
+              onClick={handleExportFragments}
+              disabled={!exportEpochValid}
+              className={`w-full mt-2 bg-blue-600 hover:bg-blue-700 text-white py-1 rounded text-sm font-semibold ${
+                exportEpochValid ? '' : 'opacity-70'
+              }`}
+            >
+              ⬇ Download at t = {timeline.time.toFixed(2)} s
+            </button>
+            <p className="text-xs text-gray-400 mt-1">
+              {exportFormat === 'oem'
+                ? 'EME2000 states in km and km/s about the parent orbit, one segment per fragment.'
+                : 'Id, source cell, mass and state in the scene frame (m, m/s).'}
+              {' '}Scrub the timeline to export an earlier instant.
+            </p>
+          </div>
+        )}
+
+        <div className="mb-3 p-2 bg-gray-800 rounded">
+          <label className="block font-semibold">Offline Render</label>
+          <div className="flex gap-1 mt-1">
+            {Object.entries(RENDER_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => updateRenderOptions({ format })}
+                className={`flex-1 py-1 px-2 rounded text-xs ${
+                  renderOptions.format === format ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-1 mt-1">
+            {RENDER_RESOLUTIONS.map(([width, height]) => (
+              <button
+                key={height}
+                onClick={() => updateRenderOptions({ width, height })}
+                className={`flex-1 py-1 px-2 rounded text-xs ${
+                  renderOptions.height === height ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {height}p
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-1 mt-1">
+            {[24, 30, 60].map((fps) => (
+              <button
+                key={fps}
+                onClick={() => updateRenderOptions({ fps })}
+                className={`flex-1 py-1 px-2 rounded text-xs ${
+                  renderOptions.fps === fps ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {fps} fps
+              </button>
+            ))}
+          </div>
+          <label className="text-xs text-gray-400 block mt-2">Length: {renderOptions.duration} s</label>
           <input
             type="range"
             min="1"
             max="30"
-            step="0.5"
-            value={explosionSpeed}
-            onChange={(e) => setExplosionSpeed(parseFloat(e.target.value))}
+            step="1"
+            value={renderOptions.duration}
+            onChange={(e) => updateRenderOptions({ duration: parseInt(e.target.value, 10) })}
+            className="w-full"
+          />
+          <label className="text-xs text-gray-400 block mt-1">Speed: {renderOptions.speed.toFixed(2)}× real time</label>
+          <input
+            type="range"
+            min="0.05"
+            max="2"
+            step="0.05"
+            value={renderOptions.speed}
+            onChange={(e) => updateRenderOptions({ speed: parseFloat(e.target.value) })}
             className="w-full"
           />
+          {renderProgress === null ? (
+            <button
+              onClick={handleRender}
+              className="w-full mt-2 bg-blue-600 hover:bg-blue-700 text-white py-1 rounded text-sm font-semibold"
+            >
+              🎬 Render {renderFrameCount(renderOptions)} frames
+            </button>
+          ) : (
+            <div className="flex items-center gap-2 mt-2">
+              <span className="flex-1 text-xs text-gray-300">Rendering… {Math.round(renderProgress * 100)}%</span>
+              <button
+                onClick={handleCancelRender}
+                className="bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs"
+              >
+                Cancel
+              </button>
+            </div>
+          )}
           <p className="text-xs text-gray-400 mt-1">
-            Temperature parameter for velocity distribution
-          </p>
-          <p className="text-xs text-gray-400">
-            Gas thermal RMS ≈ {(50 * explosionSpeed).toFixed(0)} m/s
+            Restarts the run and steps {(renderFrameStep(renderOptions) * 1000).toFixed(1)} ms of simulated time per
+            frame, whatever the display's frame rate.
+            {useRandomSeed ? ' Same seed = same frames.' : ' Fix the random seed so renders repeat frame for frame.'}
           </p>
+          {renderStatus && (
+            <p className={`text-xs mt-1 ${renderStatus.error ? 'text-red-300' : 'text-gray-400'}`}>{renderStatus.message}</p>
+          )}
         </div>
 
         <div className="mb-3 p-2 bg-gray-800 rounded">
@@ -1478,7 +3917,7 @@ export default function AdvancedExplosionSimulator() {
                 : 'bg-red-600 hover:bg-red-700 text-white'
             }`}
           >
-            💥 EXPLODE
+            {impact.enabled ? '☄️ LAUNCH' : '💥 EXPLODE'}
           </button>
           <div className="grid grid-cols-3 gap-2">
             <button
@@ -1507,6 +3946,7 @@ export default function AdvancedExplosionSimulator() {
 
         <div className="mt-3 pt-3 border-t border-gray-700 text-xs text-gray-400">
           <p>🖱️ <strong>Drag</strong>: Rotate camera around CoM</p>
+          <p>🔍 <strong>Click a fragment</strong>: inspect its mass, velocity, energy and source cell, or ride along with it</p>
           <p>🖱️ <strong>Mouse wheel</strong>: Zoom in/out</p>
           <p>📱 <strong>Pinch</strong>: Zoom on mobile</p>
           <p>📍 <strong>CoM Frame</strong>: Toggle between CoM/Lab reference frames</p>
@@ -1514,14 +3954,74 @@ export default function AdvancedExplosionSimulator() {
           <p>📷 <strong>Camera</strong>: Reset camera to default view</p>
           <p>🎯 <strong>CoM</strong>: Clear CoM velocity</p>
           <p>🔴 <strong>Red arrow</strong>: CoM velocity vector</p>
+          <p>〰️ <strong>Trails &amp; Arrows</strong>: fading paths and per-fragment velocity or momentum, in the CoM or lab frame; in the CoM frame the momenta sum to zero</p>
           <p>✅ <strong>Global momentum conserved</strong> (chunks + gas)</p>
-          <p>📊 <strong>Maxwell-Boltzmann PDF</strong> for all particles</p>
-          <p>⚖️ <strong>Mass from geometry volume</strong> (realistic chunks)</p>
+          <p>🌀 <strong>Angular momentum conserved</strong>: orbital + spin + gas; fragments tumble freely under Euler's equations</p>
+          <p>⚡ <strong>Yield</strong>: set in J or kg TNT; the energy panel tracks where it goes</p>
+          <p>📊 <strong>Maxwell-Boltzmann PDF</strong>: chunk and gas flow speed histograms against their release and fitted curves</p>
+          <p>⚖️ <strong>Mass from geometry volume</strong>: dimensions in m, density in kg/m³</p>
           <p>🎨 <strong>Color-coded pieces</strong> show pre-fractured structure</p>
-          <p>🔥 <strong>Gas</strong>: 10k particles from surface, 2× faster</p>
+          <p>🔥 <strong>Gas</strong>: a pressure-driven sphere of detonation products that pushes chunks by drag, with a set share of the yield and mass</p>
+          <p>🪐 <strong>Self-gravity</strong>: optional mutual attraction between chunks</p>
+          <p>💥 <strong>Collisions</strong>: optional restitution and low-speed merging</p>
+          <p>🌍 <strong>Orbital mode</strong>: true-scale Earth, fragments under point-mass gravity</p>
+          <p>⏪ <strong>Timeline</strong>: scrub the recorded run; negative time scales play it backwards</p>
+          <p>⬇ <strong>Export</strong>: every fragment as CSV, JSON or CCSDS OEM</p>
+          <p>🎬 <strong>Offline Render</strong>: fixed-step PNG sequences (zipped) or WebM at any resolution, frame-identical for a seed</p>
+          <p>🛰️ <strong>Import</strong>: closed OBJ, STL or glTF models, fractured on a voxel grid</p>
+          <p>🧨 <strong>Charge</strong>: click the object to place it; off-centre, hemisphere and cone-jet modes aim the blast</p>
+          <p>☄️ <strong>Impact</strong>: a projectile fired at the marker breaks up with the object, sharing its momentum by where it hits</p>
+          <p>🧊 <strong>Voronoi</strong>: seeded convex fragments, optionally packed toward the detonation point</p>
+          <p>🛰️ <strong>NASA SBM</strong>: Standard Breakup Model sizes, A/M and delta-V for explosions or collisions</p>
+          <p>🔗 <strong>Scenario</strong>: share every setting and the camera as a link or a JSON file</p>
+          <p>🧮 <strong>Conservation HUD</strong>: momentum, CoM, energy and angular momentum against their pre-blast values, flagged red past tolerance</p>
         </div>
       </div>
 
+      {/* Debris Analysis */}
+      {showDebrisPanel && (
+        <div className="absolute top-4 right-4 bg-gray-900 bg-opacity-90 text-white p-4 rounded-lg shadow-lg font-mono text-sm debris-panel">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="font-bold text-blue-400">Debris Analysis</h2>
+            <button
+              onClick={handleRefreshDebris}
+              className="bg-gray-700 hover:bg-gray-600 text-white py-1 px-2 rounded text-xs"
+            >
+              ↻ Update
+            </button>
+          </div>
+          {debrisElements.length > 0 ? (
+            <>
+              <GabbardDiagram
+                rows={debrisElements}
+                parentAltitudeKm={orbitAltitudeKm}
+                parentPeriodMin={circularOrbitPeriod(orbitAltitudeKm * 1000) / 60}
+              />
+              <p className="text-xs text-gray-400 mt-1 mb-2">
+                🔴 apogee 🔵 perigee ✚ parent | {debrisElements.filter((row) => !row.bound).length} escaping,{' '}
+                {debrisElements.filter((row) => row.bound && row.perigeeAltitude < 0).length} re-entering
+              </p>
+              <DebrisElementTable rows={debrisElements} />
+            </>
+          ) : (
+            <p className="text-xs text-gray-400">Explode the object to compute fragment orbits.</p>
+          )}
+        </div>
+      )}
+
+      {/* Fragment Inspector */}
+      {inspectedFragment && (
+        <FragmentInspector
+          fragment={inspectedFragment}
+          following={followingFragment}
+          onFollow={handleFollowFragment}
+          onClose={() => handleSelectFragment(null)}
+        />
+      )}
+
+      {/* Conservation HUD */}
+      {showConservationHud && <ConservationHud feedRef={conservationFeedRef} />}
+
       {/* Time Controls */}
       <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 w-full max-w-xl px-4 time-controls">
         <div className="bg-gray-900/80 text-white px-4 py-3 rounded-lg shadow-lg backdrop-blur">
@@ -1542,7 +4042,7 @@ export default function AdvancedExplosionSimulator() {
               </div>
               <input
                 type="range"
-                min="0.005"
+                min="-2"
                 max="2"
                 step="0.005"
                 value={timeScale}
@@ -1550,8 +4050,9 @@ export default function AdvancedExplosionSimulator() {
                 className="w-full"
               />
               <div className="flex justify-between text-[10px] text-gray-500 mt-1">
-                <span>Slow</span>
-                <span>Fast</span>
+                <span>◀ Reverse</span>
+                <span>Stop</span>
+                <span>Forward ▶</span>
               </div>
             </div>
 
@@ -1562,8 +4063,41 @@ export default function AdvancedExplosionSimulator() {
               Reset 1×
             </button>
           </div>
+
+          {timeline.duration > 0 && (
+            <div className="mt-3">
+              <div className="flex items-center justify-between text-xs uppercase tracking-wide text-gray-400">
+                <span>{timeline.replaying ? '⏪ Replay' : '● Live'}</span>
+                <span className="font-mono">
+                  {timeline.time.toFixed(2)} / {timeline.duration.toFixed(2)} s
+                </span>
+              </div>
+              <div className="flex items-center gap-2">
+                <input
+                  type="range"
+                  min="0"
+                  max={timeline.duration}
+                  step="any"
+                  value={timeline.time}
+                  onChange={(e) => handleSeek(e.target.value)}
+                  className="flex-1"
+                />
+                <button
+                  onClick={handleGoLive}
+                  disabled={!timeline.replaying}
+                  className={`bg-gray-700 hover:bg-gray-600 text-white py-1 px-3 rounded text-xs ${
+                    timeline.replaying ? '' : 'opacity-70'
+                  }`}
+                >
+                  Live
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       </div>
     </div>
   );
-}
+});
+
+export default AdvancedExplosionSimulator;
@@ -0,0 +1,219 @@
+// NASA EVOLVE 4.0 Standard Breakup Model (Johnson et al. 2001, Krisko 2011).
+// Fragments are drawn by characteristic length Lc (m, the mean of three
+// orthogonal extents) from a power law N(>Lc), get an area-to-mass ratio A/M
+// (m²/kg) from the bimodal log-normal distribution for their size, and a
+// delta-V (m/s) log-normal in log10(A/M). Explosions and collisions use
+// different power laws and delta-V distributions.
+
+const SBM_EVENTS = {
+  explosion: 'Explosion',
+  collision: 'Collision',
+};
+
+const SBM_BODY_TYPES = {
+  spacecraft: 'Spacecraft',
+  rocketBody: 'Rocket body',
+};
+
+const CATASTROPHIC_ENERGY = 40000; // J/kg of target: 40 J/g marks a catastrophic collision
+const MAX_BREAKUP_FRAGMENTS = 1500; // the minimum size is raised to stay under this
+const SMALL_FRAGMENT_LENGTH = 0.08; // m, below this only the small-fragment A/M applies
+const LARGE_FRAGMENT_LENGTH = 0.11; // m, above this only the body-type A/M applies
+
+const DEFAULT_BREAKUP_OPTIONS = {
+  event: 'explosion', // see SBM_EVENTS
+  bodyType: 'spacecraft', // see SBM_BODY_TYPES; picks the large-fragment A/M distribution
+  minLength: 0.1, // m, smallest fragment generated
+  scale: 1, // explosion scaling factor S
+  projectileMass: 10, // kg, collisions only
+  impactSpeed: 10000, // m/s, collisions only
+};
+
+// Piecewise-linear in λ = log10(Lc): `low` below x0, `high` above x1
+function ramp(lambda, x0, low, x1, high) {
+  if (lambda <= x0) return low;
+  if (lambda >= x1) return high;
+  return low + ((high - low) * (lambda - x0)) / (x1 - x0);
+}
+
+function standardNormal(random) {
+  const u = 1 - random(); // (0, 1], so the log is finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Catastrophic when the projectile brings at least 40 J per gram of target.
+// Then the whole of both bodies breaks up; otherwise the mass parameter is
+// the projectile mass times the impact speed in km/s squared.
+function collisionMass(targetMass, projectileMass, impactSpeed) {
+  const specificEnergy = (0.5 * projectileMass * impactSpeed * impactSpeed) / targetMass;
+  const catastrophic = specificEnergy >= CATASTROPHIC_ENERGY;
+  const mass = catastrophic ? targetMass + projectileMass : projectileMass * (impactSpeed / 1000) ** 2;
+  return { catastrophic, mass };
+}
+
+// N(>Lc) = coefficient · Lc^-exponent, with Lc in m
+function breakupPowerLaw(options, parentMass) {
+  const { event, scale, projectileMass, impactSpeed } = { ...DEFAULT_BREAKUP_OPTIONS, ...options };
+  if (event === 'explosion') {
+    return { event, coefficient: 6 * scale, exponent: 1.6, catastrophic: true, mass: parentMass };
+  }
+  if (event === 'collision') {
+    const { catastrophic, mass } = collisionMass(parentMass, projectileMass, impactSpeed);
+    return { event, coefficient: 0.1 * mass ** 0.75, exponent: 1.71, catastrophic, mass };
+  }
+  throw new Error(`Unknown breakup event: ${event}`);
+}
+
+function cumulativeCount({ coefficient, exponent }, length) {
+  return coefficient * length ** -exponent;
+}
+
+// Fragments expected between two lengths
+function expectedCount(powerLaw, lower, upper) {
+  return cumulativeCount(powerLaw, lower) - cumulativeCount(powerLaw, upper);
+}
+
+// The requested minimum, raised if needed so at most maxFragments are expected
+// below maxLength
+function effectiveMinLength(powerLaw, requested, maxLength, maxFragments = MAX_BREAKUP_FRAGMENTS) {
+  const floor = ((maxFragments + cumulativeCount(powerLaw, maxLength)) / powerLaw.coefficient) ** (-1 / powerLaw.exponent);
+  return Math.min(maxLength, Math.max(requested, floor));
+}
+
+// Inverse-CDF draw from the power law truncated to minLength..maxLength
+function sampleCharacteristicLength({ exponent }, minLength, maxLength, random) {
+  const span = 1 - (minLength / maxLength) ** exponent;
+  return minLength * (1 - random() * span) ** (-1 / exponent);
+}
+
+// Average cross-sectional area, m²
+function crossSectionArea(length) {
+  return length < 0.00167 ? 0.540424 * length * length : 0.556945 * length ** 2.0047077;
+}
+
+function smallFragmentComponents(lambda) {
+  return [{
+    weight: 1,
+    mean: ramp(lambda, -1.75, -0.3, -1.25, -1.0),
+    sigma: lambda <= -3.5 ? 0.2 : 0.2 + 0.1333 * (lambda + 3.5),
+  }];
+}
+
+function largeFragmentComponents(lambda, bodyType) {
+  if (bodyType === 'rocketBody') {
+    const alpha = ramp(lambda, -1.4, 1, 0, 0.5);
+    return [
+      { weight: alpha, mean: ramp(lambda, -0.5, -0.45, 0, -0.9), sigma: 0.55 },
+      { weight: 1 - alpha, mean: -0.9, sigma: ramp(lambda, -1, 0.28, 0.1, 0.1) },
+    ];
+  }
+  if (bodyType === 'spacecraft') {
+    const alpha = ramp(lambda, -1.95, 0, 0.55, 1);
+    return [
+      { weight: alpha, mean: ramp(lambda, -1.1, -0.6, 0, -0.95), sigma: ramp(lambda, -1.3, 0.1, -0.3, 0.3) },
+      { weight: 1 - alpha, mean: ramp(lambda, -0.7, -1.2, -0.1, -2.0), sigma: ramp(lambda, -0.5, 0.5, -0.3, 0.3) },
+    ];
+  }
+  throw new Error(`Unknown body type: ${bodyType}`);
+}
+
+// Normal components { weight, mean, sigma } of log10(A/M) at length Lc.
+// Between 8 and 11 cm the small- and large-fragment distributions are blended
+// linearly in Lc.
+function areaToMassDistribution(length, bodyType = DEFAULT_BREAKUP_OPTIONS.bodyType) {
+  const lambda = Math.log10(length);
+  if (length <= SMALL_FRAGMENT_LENGTH) return smallFragmentComponents(lambda);
+  if (length >= LARGE_FRAGMENT_LENGTH) return largeFragmentComponents(lambda, bodyType);
+  const blend = (length - SMALL_FRAGMENT_LENGTH) / (LARGE_FRAGMENT_LENGTH - SMALL_FRAGMENT_LENGTH);
+  return [
+    ...smallFragmentComponents(lambda).map((c) => ({ ...c, weight: c.weight * (1 - blend) })),
+    ...largeFragmentComponents(lambda, bodyType).map((c) => ({ ...c, weight: c.weight * blend })),
+  ];
+}
+
+function sampleAreaToMass(length, bodyType, random) {
+  const components = areaToMassDistribution(length, bodyType);
+  let pick = random();
+  const component = components.find((c) => (pick -= c.weight) < 0) || components[components.length - 1];
+  return 10 ** (component.mean + component.sigma * standardNormal(random));
+}
+
+// Normal { mean, sigma } of log10(ΔV / (m/s)) given A/M
+function deltaVDistribution(areaToMass, event) {
+  const chi = Math.log10(areaToMass);
+  if (event === 'explosion') return { mean: 0.2 * chi + 1.85, sigma: 0.4 };
+  if (event === 'collision') return { mean: 0.9 * chi + 2.9, sigma: 0.4 };
+  throw new Error(`Unknown breakup event: ${event}`);
+}
+
+function sampleDeltaV(areaToMass, event, random) {
+  const { mean, sigma } = deltaVDistribution(areaToMass, event);
+  return 10 ** (mean + sigma * standardNormal(random));
+}
+
+// Fragments of a parent of parentMass (kg) and characteristic length maxLength
+// (m): { characteristicLength, areaToMass, area, mass }, smallest first. The
+// model doesn't conserve mass, so fragments that would take the total past
+// the parent (or, for a cratering collision, the ejecta mass) are dropped,
+// largest first; the rest of the parent is left to the caller as a remnant.
+function generateBreakup(options, parentMass, maxLength, random = Math.random) {
+  const settings = { ...DEFAULT_BREAKUP_OPTIONS, ...options };
+  const powerLaw = breakupPowerLaw(settings, parentMass);
+  const minLength = effectiveMinLength(powerLaw, settings.minLength, maxLength);
+  const count = Math.round(expectedCount(powerLaw, minLength, maxLength));
+  const budget = Math.min(parentMass, powerLaw.mass);
+
+  const drawn = [];
+  for (let i = 0; i < count; i++) {
+    const characteristicLength = sampleCharacteristicLength(powerLaw, minLength, maxLength, random);
+    const areaToMass = sampleAreaToMass(characteristicLength, settings.bodyType, random);
+    const area = crossSectionArea(characteristicLength);
+    drawn.push({ characteristicLength, areaToMass, area, mass: area / areaToMass });
+  }
+  drawn.sort((a, b) => a.characteristicLength - b.characteristicLength);
+
+  const fragments = [];
+  let mass = 0;
+  for (const fragment of drawn) {
+    if (mass + fragment.mass > budget) break;
+    mass += fragment.mass;
+    fragments.push(fragment);
+  }
+  return { powerLaw, minLength, maxLength, fragments, mass, droppedCount: drawn.length - fragments.length };
+}
+
+// Counts per logarithmic Lc bin against the power law's expectation
+function sizeHistogram(lengths, powerLaw, minLength, maxLength, binsPerDecade = 4) {
+  const binCount = Math.max(1, Math.ceil(Math.log10(maxLength / minLength) * binsPerDecade - 1e-9));
+  const bins = Array.from({ length: binCount }, (_, i) => {
+    const lower = minLength * 10 ** (i / binsPerDecade);
+    const upper = Math.min(maxLength, minLength * 10 ** ((i + 1) / binsPerDecade));
+    return { lower, upper, count: 0, expected: expectedCount(powerLaw, lower, upper) };
+  });
+  lengths.forEach((length) => {
+    const index = Math.floor(Math.log10(length / minLength) * binsPerDecade);
+    bins[Math.max(0, Math.min(binCount - 1, index))].count += 1;
+  });
+  return bins;
+}
+
+module.exports = {
+  SBM_EVENTS,
+  SBM_BODY_TYPES,
+  CATASTROPHIC_ENERGY,
+  MAX_BREAKUP_FRAGMENTS,
+  DEFAULT_BREAKUP_OPTIONS,
+  collisionMass,
+  breakupPowerLaw,
+  cumulativeCount,
+  expectedCount,
+  effectiveMinLength,
+  sampleCharacteristicLength,
+  crossSectionArea,
+  areaToMassDistribution,
+  sampleAreaToMass,
+  deltaVDistribution,
+  sampleDeltaV,
+  generateBreakup,
+  sizeHistogram,
+};
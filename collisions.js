@@ -0,0 +1,127 @@
+const DEFAULT_COLLISION_OPTIONS = {
+  restitution: 0.5,
+  mergeSpeed: 0,
+};
+
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`;
+}
+
+// Broad phase: sweep and prune along x over the bounding spheres.
+function findCandidatePairs(bodies) {
+  const order = bodies
+    .map((body, index) => ({ index, min: body.position.x - body.radius, max: body.position.x + body.radius }))
+    .sort((a, b) => a.min - b.min);
+
+  const pairs = [];
+  const active = [];
+  order.forEach((entry) => {
+    for (let i = active.length - 1; i >= 0; i--) {
+      if (active[i].max < entry.min) {
+        active.splice(i, 1);
+      }
+    }
+    active.forEach((other) => {
+      pairs.push(other.index < entry.index ? [other.index, entry.index] : [entry.index, other.index]);
+    });
+    active.push(entry);
+  });
+
+  return pairs;
+}
+
+// Narrow phase: bounding-sphere overlap. The normal points from a to b.
+function findContacts(bodies) {
+  const contacts = [];
+  findCandidatePairs(bodies).forEach(([a, b]) => {
+    const pa = bodies[a].position;
+    const pb = bodies[b].position;
+    const dx = pb.x - pa.x;
+    const dy = pb.y - pa.y;
+    const dz = pb.z - pa.z;
+    const distSq = dx * dx + dy * dy + dz * dz;
+    const reach = bodies[a].radius + bodies[b].radius;
+    if (distSq >= reach * reach) return;
+
+    const distance = Math.sqrt(distSq);
+    const normal = distance > 0
+      ? { x: dx / distance, y: dy / distance, z: dz / distance }
+      : { x: 1, y: 0, z: 0 };
+    contacts.push({ a, b, normal, penetration: reach - distance });
+  });
+  return contacts;
+}
+
+function relativeNormalSpeed(a, b, normal) {
+  return (b.velocity.x - a.velocity.x) * normal.x
+    + (b.velocity.y - a.velocity.y) * normal.y
+    + (b.velocity.z - a.velocity.z) * normal.z;
+}
+
+// Push overlapping bodies apart along the normal, split by inverse mass so the
+// centre of mass does not move.
+function separateBodies(a, b, contact) {
+  const totalInverseMass = 1 / a.mass + 1 / b.mass;
+  const shiftA = contact.penetration * (1 / a.mass) / totalInverseMass;
+  const shiftB = contact.penetration * (1 / b.mass) / totalInverseMass;
+  a.position.x -= contact.normal.x * shiftA;
+  a.position.y -= contact.normal.y * shiftA;
+  a.position.z -= contact.normal.z * shiftA;
+  b.position.x += contact.normal.x * shiftB;
+  b.position.y += contact.normal.y * shiftB;
+  b.position.z += contact.normal.z * shiftB;
+}
+
+// Resolve one contact in place. Returns 'separating' when the bodies already
+// move apart, 'merge' when the impact is slower than options.mergeSpeed (the
+// caller decides how to combine them), otherwise applies an impulse with the
+// given coefficient of restitution and returns 'bounce'. Equal and opposite
+// impulses leave the total momentum unchanged.
+function resolveContact(a, b, contact, options = {}) {
+  const { restitution, mergeSpeed } = { ...DEFAULT_COLLISION_OPTIONS, ...options };
+  const approachSpeed = relativeNormalSpeed(a, b, contact.normal);
+  if (approachSpeed >= 0) {
+    return 'separating';
+  }
+
+  if (mergeSpeed > 0 && -approachSpeed < mergeSpeed) {
+    return 'merge';
+  }
+
+  const e = Math.max(0, Math.min(1, restitution));
+  const impulse = (-(1 + e) * approachSpeed) / (1 / a.mass + 1 / b.mass);
+  a.velocity.x -= (impulse / a.mass) * contact.normal.x;
+  a.velocity.y -= (impulse / a.mass) * contact.normal.y;
+  a.velocity.z -= (impulse / a.mass) * contact.normal.z;
+  b.velocity.x += (impulse / b.mass) * contact.normal.x;
+  b.velocity.y += (impulse / b.mass) * contact.normal.y;
+  b.velocity.z += (impulse / b.mass) * contact.normal.z;
+  separateBodies(a, b, contact);
+  return 'bounce';
+}
+
+// Perfectly inelastic merge: combined mass at the common centre of mass moving
+// with the momentum-weighted velocity.
+function mergeBodies(a, b) {
+  const mass = a.mass + b.mass;
+  const weighted = (va, vb) => ({
+    x: (va.x * a.mass + vb.x * b.mass) / mass,
+    y: (va.y * a.mass + vb.y * b.mass) / mass,
+    z: (va.z * a.mass + vb.z * b.mass) / mass,
+  });
+  return {
+    mass,
+    position: weighted(a.position, b.position),
+    velocity: weighted(a.velocity, b.velocity),
+  };
+}
+
+module.exports = {
+  DEFAULT_COLLISION_OPTIONS,
+  pairKey,
+  findCandidatePairs,
+  findContacts,
+  resolveContact,
+  separateBodies,
+  mergeBodies,
+};
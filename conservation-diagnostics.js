@@ -0,0 +1,188 @@
+// Conservation checks for a run. A baseline is taken at detonation, when the
+// system (object plus charge) still has its pre-explosion momentum, angular
+// momentum, centre of mass and velocity, and the yield has just become kinetic
+// energy; or at a projectile's launch, when all the energy is the pair's
+// closing motion. Each quantity's drift from there is measured relative to a
+// natural scale of the blast, so one tolerance works for any object size or
+// yield.
+
+const {
+  computeTotalMass,
+  computeCenterOfMass,
+  computeTotalMomentum,
+  computeAngularMomentum,
+  computeEnergyBudget,
+} = require('./physics-engine.js');
+
+// Relative drifts above these raise an alarm
+const DEFAULT_TOLERANCES = {
+  momentum: 1e-6,
+  centerOfMass: 1e-6,
+  centerOfMassVelocity: 1e-6,
+  energy: 1e-3,
+  angularMomentum: 1e-6,
+  spin: 1e-6,
+};
+
+function vec(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+function length(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function difference(a, b) {
+  return vec(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Centre of mass of the intact object and its charge: every chunk at its
+// starting place and the detonation products at the detonation point
+function intactCenterOfMass(scenario) {
+  const center = vec();
+  let mass = 0;
+  const add = (position, m) => {
+    mass += m;
+    center.x += position.x * m;
+    center.y += position.y * m;
+    center.z += position.z * m;
+  };
+  scenario.chunks.forEach((chunk) => add(chunk.initialPosition, chunk.mass));
+  if (scenario.gas) add(scenario.options.detonationPoint, scenario.gas.mass);
+  return mass > 0 ? vec(center.x / mass, center.y / mass, center.z / mass) : center;
+}
+
+// Record the reference values right after explodeScenario; `blast` is its
+// return value. Momentum, angular momentum and the centre of mass are those
+// of the intact system, which moved as one at the frame velocity and so had no
+// angular momentum in that frame, so whatever the blast itself gets wrong
+// shows up as drift. A projectile's launch is its own pre-impact state.
+// momentumScale (Σ m |v - V|) and lengthScale (the farthest chunk from the
+// centre of mass) make the drifts dimensionless.
+function captureConservationBaseline(scenario, blast = null) {
+  const mass = computeTotalMass(scenario);
+  const centerOfMass = intactCenterOfMass(scenario);
+  const frame = scenario.frameVelocity;
+  let momentumScale = 0;
+  let lengthScale = 0;
+  scenario.activeChunks.forEach((chunk) => {
+    momentumScale += chunk.mass * length(difference(chunk.velocity, frame));
+    lengthScale = Math.max(lengthScale, length(difference(chunk.position, centerOfMass)) + chunk.radius);
+  });
+
+  return {
+    time: scenario.time,
+    mass,
+    momentum: vec(frame.x * mass, frame.y * mass, frame.z * mass),
+    centerOfMass,
+    centerOfMassVelocity: vec(frame.x, frame.y, frame.z),
+    energy: computeEnergyBudget(scenario).total,
+    angularMomentum: scenario.impact ? computeAngularMomentum(scenario).total : vec(),
+    spin: scenario.impact ? computeAngularMomentum(scenario).spin : vec(),
+    momentumScale: momentumScale || 1,
+    lengthScale: lengthScale || 1,
+    // What the raw draw carried and the shift that cancelled it
+    drawnMomentum: blast ? { ...blast.totalMomentum } : null,
+    momentumCorrection: blast ? { ...blast.momentumCorrection } : null,
+  };
+}
+
+// Current value, reference and relative drift of each conserved quantity.
+// In orbital mode tidal forces act from outside, so only the chunks' spin,
+// which they pull on through the centres and never torque, is expected to
+// hold; with collisions on, inelastic contacts and merges may only lose
+// energy and trade spin for orbital motion, as may a projectile's impact.
+// `alarm` is set when any expected-to-hold row exceeds its tolerance.
+function computeConservationDiagnostics(scenario, baseline, tolerances = {}) {
+  const limits = { ...DEFAULT_TOLERANCES, ...tolerances };
+  const external = scenario.options.orbit.enabled;
+  const dissipative = scenario.options.collisions.enabled || scenario.impact !== null;
+  const elapsed = scenario.time - baseline.time;
+
+  const momentum = computeTotalMomentum(scenario);
+  const velocity = vec(momentum.x / baseline.mass, momentum.y / baseline.mass, momentum.z / baseline.mass);
+  const expectedCenter = vec(
+    baseline.centerOfMass.x + baseline.centerOfMassVelocity.x * elapsed,
+    baseline.centerOfMass.y + baseline.centerOfMassVelocity.y * elapsed,
+    baseline.centerOfMass.z + baseline.centerOfMassVelocity.z * elapsed
+  );
+  const centerOfMass = computeCenterOfMass(scenario);
+  const { total: angularMomentum, spin } = computeAngularMomentum(scenario);
+  const energy = computeEnergyBudget(scenario).total;
+  const energyDrift = (energy - baseline.energy) / (Math.abs(baseline.energy) || 1);
+
+  const row = (key, label, value, reference, drift, conserved = !external) => ({
+    key,
+    label,
+    value,
+    reference,
+    drift,
+    tolerance: limits[key],
+    conserved,
+    alarm: conserved && drift > limits[key],
+  });
+
+  const rows = [
+    row(
+      'momentum',
+      'Momentum',
+      momentum,
+      baseline.momentum,
+      length(difference(momentum, baseline.momentum)) / baseline.momentumScale
+    ),
+    row(
+      'centerOfMass',
+      'CoM position',
+      centerOfMass,
+      expectedCenter,
+      length(difference(centerOfMass, expectedCenter)) / baseline.lengthScale
+    ),
+    row(
+      'centerOfMassVelocity',
+      'CoM velocity',
+      velocity,
+      baseline.centerOfMassVelocity,
+      (length(difference(velocity, baseline.centerOfMassVelocity)) * baseline.mass) / baseline.momentumScale
+    ),
+    // Losses are fine when contacts dissipate, so only gains are checked
+    row(
+      'energy',
+      'Energy',
+      energy,
+      baseline.energy,
+      dissipative ? Math.max(0, energyDrift) : Math.abs(energyDrift)
+    ),
+    row(
+      'angularMomentum',
+      'Angular momentum',
+      angularMomentum,
+      baseline.angularMomentum,
+      length(difference(angularMomentum, baseline.angularMomentum))
+        / (baseline.momentumScale * baseline.lengthScale)
+    ),
+    row(
+      'spin',
+      'Spin',
+      spin,
+      baseline.spin,
+      length(difference(spin, baseline.spin)) / (baseline.momentumScale * baseline.lengthScale),
+      !dissipative
+    ),
+  ];
+
+  return {
+    time: scenario.time,
+    external,
+    dissipative,
+    impact: scenario.impact ? { ...scenario.impact } : null,
+    energyChange: energy - baseline.energy,
+    rows,
+    alarm: rows.some((entry) => entry.alarm),
+  };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCES,
+  captureConservationBaseline,
+  computeConservationDiagnostics,
+};
@@ -0,0 +1,172 @@
+const { circularOrbitState, fragmentStateInOrbit } = require('./orbital-mechanics.js');
+const { mergeRoot } = require('./physics-engine.js');
+
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  oem: { label: 'CCSDS OEM', extension: 'oem', mimeType: 'text/plain' },
+};
+
+function copyVec(v) {
+  return { x: v.x, y: v.y, z: v.z };
+}
+
+function vecAt(array, index) {
+  return { x: array[index * 3], y: array[index * 3 + 1], z: array[index * 3 + 2] };
+}
+
+// Fragments as they are now: one row per active chunk, with the pieces merged
+// into it. Positions and velocities are in the scene frame, m and m/s.
+function collectFragments(scenario) {
+  const pieces = new Map(scenario.activeChunks.map((chunk) => [chunk.id, []]));
+  scenario.chunks.forEach((chunk) => {
+    const root = mergeRoot(scenario, chunk);
+    if (pieces.has(root.id)) {
+      pieces.get(root.id).push(chunk.id);
+    }
+  });
+
+  return {
+    frame: scenario.options.frameIsCoM ? 'CoM' : 'lab',
+    time: scenario.time,
+    orbitTime: scenario.orbitTime,
+    fragments: scenario.activeChunks.map((chunk) => ({
+      id: chunk.id,
+      cell: { ...chunk.cell },
+      pieces: pieces.get(chunk.id),
+      mass: chunk.mass,
+      position: copyVec(chunk.position),
+      velocity: copyVec(chunk.velocity),
+    })),
+  };
+}
+
+// Fragments at a recorded instant, from a sample with per-piece `positions`
+// and `velocities` (see recording.js). Merges are not recorded, so every
+// piece is its own row.
+function collectRecordedFragments(scenario, sample) {
+  return {
+    frame: scenario.options.frameIsCoM ? 'CoM' : 'lab',
+    time: sample.time,
+    orbitTime: sample.orbitTime,
+    fragments: scenario.chunks.map((chunk) => ({
+      id: chunk.id,
+      cell: { ...chunk.cell },
+      pieces: [chunk.id],
+      mass: chunk.baseMass,
+      position: vecAt(sample.positions, chunk.id),
+      velocity: vecAt(sample.velocities, chunk.id),
+    })),
+  };
+}
+
+// One fragment of a snapshot in detail: the row holding piece `pieceId`, with
+// its speed (m/s), kinetic energy (J) and distance (m) from `center`, usually
+// the centre of mass. Null when no row holds the piece.
+function inspectFragment(snapshot, pieceId, center) {
+  const fragment = snapshot.fragments.find(({ pieces }) => pieces.includes(pieceId));
+  if (!fragment) return null;
+  const { mass, position: p, velocity: v } = fragment;
+  const speed = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+  return {
+    ...fragment,
+    frame: snapshot.frame,
+    time: snapshot.time,
+    speed,
+    kineticEnergy: 0.5 * mass * speed * speed,
+    distance: Math.sqrt((p.x - center.x) ** 2 + (p.y - center.y) ** 2 + (p.z - center.z) ** 2),
+  };
+}
+
+// Lattice cell as "lat=2 lon=5"
+function formatCell(cell) {
+  return Object.entries(cell).map(([key, value]) => `${key}=${value}`).join(' ');
+}
+
+function toCSV(snapshot) {
+  const header = 'id,time_s,cell,pieces,mass_kg,x_m,y_m,z_m,vx_mps,vy_mps,vz_mps';
+  const rows = snapshot.fragments.map(({ id, cell, pieces, mass, position: p, velocity: v }) => [
+    id,
+    snapshot.time,
+    formatCell(cell),
+    pieces.join(' '),
+    mass,
+    p.x, p.y, p.z,
+    v.x, v.y, v.z,
+  ].join(','));
+  return [header, ...rows].join('\n') + '\n';
+}
+
+function toJSON(snapshot) {
+  return JSON.stringify({
+    ...snapshot,
+    units: { time: 's', mass: 'kg', position: 'm', velocity: 'm/s' },
+  }, null, 2);
+}
+
+// OEM epochs are UTC calendar dates without a zone designator
+function formatEpoch(ms) {
+  return new Date(ms).toISOString().replace('Z', '');
+}
+
+// CCSDS Orbit Ephemeris Message (KVN, version 2.0) with one segment per
+// fragment. The scene frame rides the parent's reference orbit, so each state
+// is the parent's ECI state at `orbitTime` plus the fragment's offset; the ECI
+// axes are reported as EME2000. `epoch` is the UTC instant (Date or ms) at
+// which the orbit clock read zero.
+function toOEM(snapshot, { parentOrbit, epoch, originator = 'EXPLOSION-SIM', objectId = 'FRAGMENT', creationDate = Date.now() }) {
+  const parent = circularOrbitState(parentOrbit.altitudeKm * 1000, parentOrbit.inclinationDeg, snapshot.orbitTime);
+  const stateEpoch = formatEpoch(new Date(epoch).getTime() + snapshot.orbitTime * 1000);
+  const km = (value, digits) => (value / 1000).toFixed(digits);
+
+  const lines = [
+    'CCSDS_OEM_VERS = 2.0',
+    `CREATION_DATE = ${formatEpoch(new Date(creationDate).getTime())}`,
+    `ORIGINATOR = ${originator}`,
+  ];
+  snapshot.fragments.forEach((fragment) => {
+    const { position: r, velocity: v } = fragmentStateInOrbit(fragment.position, fragment.velocity, parent);
+    const name = `${objectId}-${String(fragment.id).padStart(3, '0')}`;
+    lines.push(
+      '',
+      'META_START',
+      `OBJECT_NAME = ${name}`,
+      `OBJECT_ID = ${name}`,
+      'CENTER_NAME = EARTH',
+      'REF_FRAME = EME2000',
+      'TIME_SYSTEM = UTC',
+      `START_TIME = ${stateEpoch}`,
+      `STOP_TIME = ${stateEpoch}`,
+      'META_STOP',
+      '',
+      `COMMENT Cell ${formatCell(fragment.cell)}, pieces ${fragment.pieces.join(' ')}, mass ${fragment.mass.toFixed(3)} kg`,
+      [stateEpoch, km(r.x, 6), km(r.y, 6), km(r.z, 6), km(v.x, 9), km(v.y, 9), km(v.z, 9)].join(' ')
+    );
+  });
+  return lines.join('\n') + '\n';
+}
+
+function formatSnapshot(format, snapshot, options = {}) {
+  switch (format) {
+    case 'csv':
+      return toCSV(snapshot);
+    case 'json':
+      return toJSON(snapshot);
+    case 'oem':
+      return toOEM(snapshot, options);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  collectFragments,
+  collectRecordedFragments,
+  inspectFragment,
+  formatCell,
+  toCSV,
+  toJSON,
+  toOEM,
+  formatSnapshot,
+};
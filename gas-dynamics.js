@@ -0,0 +1,262 @@
+// Detonation products as a uniform sphere of ideal gas expanding homologously:
+// the flow velocity at offset r from the centre is v + Ṙ r / R. Internal
+// energy follows the adiabat E ∝ R^-3(γ-1) and drives the expansion, whose
+// kinetic energy is (3/10) M Ṙ². Bodies inside the sphere feel quadratic drag
+// towards the local flow and the gas takes the reaction, so momentum, energy
+// (drag heat goes back into the gas) and angular momentum are all conserved.
+
+const GAS_END_EXPANSION = 20; // R / R0 at which the products count as dispersed
+const MAX_EXPANSION_STEP = 0.02; // largest fractional growth of R per substep
+const MAX_GAS_SUBSTEPS = 2000;
+
+const DEFAULT_GAS_OPTIONS = {
+  gamma: 1.3, // adiabatic index of the products
+  // The fragments hem the products in until they vent, which drag through a
+  // thin uniform cloud only stands in for: at Cd ~ 1 the gas slips past heavy
+  // fragments and disperses with most of its energy. This coefficient locks
+  // the flow to them instead, so the gas hands most of its energy on, as a
+  // Gurney-style confined charge does.
+  dragCoefficient: 1e6,
+};
+
+function vec(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+function createGasCloud({ mass, energy, center, velocity, radius, ...options }) {
+  const { gamma, dragCoefficient } = { ...DEFAULT_GAS_OPTIONS, ...options };
+  return {
+    mass,
+    gamma,
+    dragCoefficient,
+    center: vec(center.x, center.y, center.z),
+    velocity: vec(velocity.x, velocity.y, velocity.z),
+    initialRadius: radius,
+    radius,
+    expansionRate: 0, // Ṙ, m/s
+    internalEnergy: energy,
+    spin: vec(), // angular momentum about the centre, picked up from drag
+  };
+}
+
+function expansionEnergy(gas) {
+  return 0.3 * gas.mass * gas.expansionRate * gas.expansionRate;
+}
+
+// Kinetic energy (bulk plus expansion) in a frame moving at `frame`
+function gasCloudKineticEnergy(gas, frame = vec()) {
+  const vx = gas.velocity.x - frame.x;
+  const vy = gas.velocity.y - frame.y;
+  const vz = gas.velocity.z - frame.z;
+  return 0.5 * gas.mass * (vx * vx + vy * vy + vz * vz) + expansionEnergy(gas);
+}
+
+function gasDensity(gas) {
+  return gas.mass / ((4 / 3) * Math.PI * gas.radius ** 3);
+}
+
+// R̈ = 5 P V / (M R) for the uniform sphere, with P V = (γ - 1) E
+function expansionAcceleration(gas) {
+  return (5 * (gas.gamma - 1) * gas.internalEnergy) / (gas.mass * gas.radius);
+}
+
+// Mean projected area of a convex body is a quarter of its surface area
+function projectedArea(geometry) {
+  if (geometry.type === 'box') {
+    const [a, b, c] = geometry.size;
+    return (a * b + b * c + c * a) / 2;
+  }
+  const { vertices, indices } = geometry;
+  let area = 0;
+  for (let t = 0; t < indices.length; t += 3) {
+    const [i, j, k] = [indices[t] * 3, indices[t + 1] * 3, indices[t + 2] * 3];
+    const u = [vertices[j] - vertices[i], vertices[j + 1] - vertices[i + 1], vertices[j + 2] - vertices[i + 2]];
+    const w = [vertices[k] - vertices[i], vertices[k + 1] - vertices[i + 1], vertices[k + 2] - vertices[i + 2]];
+    area += Math.hypot(u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]) / 2;
+  }
+  return area / 4;
+}
+
+// Energy change of the gas's own frame (internal plus expansion), taken from
+// or given to the internal energy first
+function addGasEnergy(gas, energy) {
+  gas.internalEnergy += energy;
+  if (gas.internalEnergy < 0) {
+    const expansion = Math.max(0, expansionEnergy(gas) + gas.internalEnergy);
+    gas.internalEnergy = 0;
+    gas.expansionRate = Math.sqrt(expansion / (0.3 * gas.mass));
+  }
+}
+
+// Quadratic drag over h seconds on the bodies inside the cloud, towards the
+// local flow v + Ṙ r / R. The drag is linearised about the current relative
+// speeds and solved implicitly together with the gas's reaction on its bulk
+// velocity and on Ṙ (a body at offset r pulls on the expansion with r / R of
+// its impulse, against the expansion's inertia 0.6 M), so heavy bodies load
+// the flow and slow its expansion instead of the light gas overshooting them.
+// Bodies need position, velocity, mass and dragArea (m²); velocities change
+// in place. The kinetic energy the drag dissipates goes back into the gas.
+function applyGasDrag(gas, bodies, h) {
+  const density = gasDensity(gas);
+  const { mass: gasMass, radius } = gas;
+  const expansionMass = 0.6 * gasMass;
+  const rate = gas.expansionRate;
+  const coupled = [];
+  let coupling = 0; // Σ c
+  const lever = vec(); // Σ c e, e = r / R
+  let leverSquare = 0; // Σ c |e|²
+  const bulkPull = vec(); // Σ c v
+  let expansionPull = 0; // Σ c e·v
+
+  bodies.forEach((body) => {
+    const dx = body.position.x - gas.center.x;
+    const dy = body.position.y - gas.center.y;
+    const dz = body.position.z - gas.center.z;
+    if (dx * dx + dy * dy + dz * dz >= radius * radius) return;
+
+    const { velocity: v, mass } = body;
+    const e = vec(dx / radius, dy / radius, dz / radius);
+    const wx = gas.velocity.x + rate * e.x - v.x;
+    const wy = gas.velocity.y + rate * e.y - v.y;
+    const wz = gas.velocity.z + rate * e.z - v.z;
+    const speed = Math.sqrt(wx * wx + wy * wy + wz * wz);
+    if (!(speed > 0)) return;
+    // Implicit step of m v' = m v + k (u' - v'): the body takes c (u' - v)
+    const k = 0.5 * density * gas.dragCoefficient * body.dragArea * speed * h;
+    const c = (k * mass) / (k + mass);
+    coupled.push({ body, e, c, offset: vec(dx, dy, dz) });
+    coupling += c;
+    lever.x += c * e.x;
+    lever.y += c * e.y;
+    lever.z += c * e.z;
+    leverSquare += c * (e.x * e.x + e.y * e.y + e.z * e.z);
+    bulkPull.x += c * v.x;
+    bulkPull.y += c * v.y;
+    bulkPull.z += c * v.z;
+    expansionPull += c * (e.x * v.x + e.y * v.y + e.z * v.z);
+  });
+  if (coupled.length === 0) return;
+
+  // (M + Σc) V' + (Σ c e) Ṙ' = M V + Σ c v
+  // (Σ c e)·V' + (0.6 M + Σ c |e|²) Ṙ' = 0.6 M Ṙ + Σ c e·v
+  const bulkInertia = gasMass + coupling;
+  const bulkRight = vec(
+    gasMass * gas.velocity.x + bulkPull.x,
+    gasMass * gas.velocity.y + bulkPull.y,
+    gasMass * gas.velocity.z + bulkPull.z
+  );
+  const leverDotRight = lever.x * bulkRight.x + lever.y * bulkRight.y + lever.z * bulkRight.z;
+  const leverLength = lever.x * lever.x + lever.y * lever.y + lever.z * lever.z;
+  const newRate = (expansionMass * rate + expansionPull - leverDotRight / bulkInertia)
+    / (expansionMass + leverSquare - leverLength / bulkInertia);
+  const newVelocity = vec(
+    (bulkRight.x - lever.x * newRate) / bulkInertia,
+    (bulkRight.y - lever.y * newRate) / bulkInertia,
+    (bulkRight.z - lever.z * newRate) / bulkInertia
+  );
+
+  let energyChange = 0.3 * gasMass * (newRate * newRate - rate * rate)
+    + 0.5 * gasMass * (
+      newVelocity.x ** 2 + newVelocity.y ** 2 + newVelocity.z ** 2
+      - gas.velocity.x ** 2 - gas.velocity.y ** 2 - gas.velocity.z ** 2
+    );
+  coupled.forEach(({ body, e, c, offset: d }) => {
+    const { velocity: v, mass } = body;
+    const px = c * (newVelocity.x + newRate * e.x - v.x);
+    const py = c * (newVelocity.y + newRate * e.y - v.y);
+    const pz = c * (newVelocity.z + newRate * e.z - v.z);
+    const before = v.x * v.x + v.y * v.y + v.z * v.z;
+    body.velocity = vec(v.x + px / mass, v.y + py / mass, v.z + pz / mass);
+    const after = body.velocity.x ** 2 + body.velocity.y ** 2 + body.velocity.z ** 2;
+    energyChange += 0.5 * mass * (after - before);
+    // The reaction acts on the gas at the body's position
+    gas.spin.x -= d.y * pz - d.z * py;
+    gas.spin.y -= d.z * px - d.x * pz;
+    gas.spin.z -= d.x * py - d.y * px;
+  });
+
+  gas.velocity = newVelocity;
+  gas.expansionRate = newRate;
+  addGasEnergy(gas, -energyChange);
+}
+
+// Advance the cloud and its drag on `bodies` by dt, in substeps that grow R by
+// at most MAX_EXPANSION_STEP. Each substep kicks Ṙ with the pressure, lets the
+// drag load it, drifts R at the loaded rate and moves the internal energy
+// along the adiabat. Whatever the pressure's work did not leave as kinetic
+// energy of the bodies, the bulk flow or the expansion was dissipated and goes
+// back in as heat, and Ṙ is then set so the cloud's own energy has changed by
+// exactly what the drag handed on. The centre drifts once, at the velocity the
+// step starts with, like bodies that are drifted before their drag is applied;
+// the centre of mass then moves exactly with the total momentum.
+function stepGasCloud(gas, bodies, dt) {
+  gas.center = vec(
+    gas.center.x + gas.velocity.x * dt,
+    gas.center.y + gas.velocity.y * dt,
+    gas.center.z + gas.velocity.z * dt
+  );
+  let remaining = dt;
+  for (let substep = 0; remaining > 0; substep++) {
+    const acceleration = expansionAcceleration(gas);
+    let h = remaining;
+    if (substep < MAX_GAS_SUBSTEPS - 1) {
+      const reach = MAX_EXPANSION_STEP * gas.radius;
+      if (gas.expansionRate > 0) h = Math.min(h, reach / gas.expansionRate);
+      if (acceleration > 0) h = Math.min(h, Math.sqrt((2 * reach) / acceleration));
+    }
+
+    const { internalEnergy, expansionRate: rate } = gas;
+    const ownEnergy = internalEnergy + expansionEnergy(gas);
+    gas.expansionRate += acceleration * h;
+    const kicked = gas.internalEnergy + expansionEnergy(gas);
+    applyGasDrag(gas, bodies, h);
+    const handedOn = kicked - gas.internalEnergy - expansionEnergy(gas);
+    const loadedRate = gas.expansionRate;
+    const work = 0.3 * gas.mass * acceleration * h * (rate + loadedRate);
+    const heat = Math.max(0, work - handedOn - 0.3 * gas.mass * (loadedRate * loadedRate - rate * rate));
+
+    const previousRadius = gas.radius;
+    gas.radius += Math.max(0, 0.5 * (rate + loadedRate)) * h;
+    const target = Math.max(0, ownEnergy - handedOn);
+    gas.internalEnergy = Math.min(
+      target,
+      internalEnergy * (previousRadius / gas.radius) ** (3 * (gas.gamma - 1)) + heat
+    );
+    gas.expansionRate = Math.sqrt((target - gas.internalEnergy) / (0.3 * gas.mass));
+    remaining -= h;
+  }
+}
+
+function gasExpansion(gas) {
+  return gas.radius / gas.initialRadius;
+}
+
+// 0 at detonation, 1 once the products have dispersed
+function gasDispersal(expansion) {
+  return Math.min(1, Math.max(0, Math.log(expansion) / Math.log(GAS_END_EXPANSION)));
+}
+
+// Tracer particles ride the homologous flow: centre + offset × R / R0
+function tracerPositions(offsets, center, expansion, out = new Float32Array(offsets.length)) {
+  for (let i = 0; i < offsets.length; i += 3) {
+    out[i] = center.x + offsets[i] * expansion;
+    out[i + 1] = center.y + offsets[i + 1] * expansion;
+    out[i + 2] = center.z + offsets[i + 2] * expansion;
+  }
+  return out;
+}
+
+module.exports = {
+  GAS_END_EXPANSION,
+  DEFAULT_GAS_OPTIONS,
+  createGasCloud,
+  gasCloudKineticEnergy,
+  gasDensity,
+  expansionAcceleration,
+  projectedArea,
+  applyGasDrag,
+  stepGasCloud,
+  gasExpansion,
+  gasDispersal,
+  tracerPositions,
+};
@@ -0,0 +1,320 @@
+const DEFAULT_GRAVITY_OPTIONS = {
+  gravitationalConstant: 1,
+  softening: 0.5,
+  openingAngle: 0.5,
+  directSumThreshold: 32,
+};
+
+// Below this half-size the octree stops subdividing and keeps a bucket of bodies,
+// so coincident fragments cannot recurse forever.
+const MIN_NODE_HALF_SIZE = 1e-6;
+
+function resolveGravityOptions(options = {}) {
+  const resolved = { ...DEFAULT_GRAVITY_OPTIONS, ...options };
+  resolved.gravitationalConstant = Number.isFinite(resolved.gravitationalConstant)
+    ? resolved.gravitationalConstant
+    : DEFAULT_GRAVITY_OPTIONS.gravitationalConstant;
+  resolved.softening = Math.max(0, Number(resolved.softening) || 0);
+  resolved.openingAngle = Math.max(0, Number(resolved.openingAngle) || 0);
+  return resolved;
+}
+
+function createNode(cx, cy, cz, halfSize) {
+  return {
+    cx,
+    cy,
+    cz,
+    halfSize,
+    mass: 0,
+    comX: 0,
+    comY: 0,
+    comZ: 0,
+    bodies: [],
+    children: null,
+  };
+}
+
+function octantIndex(node, x, y, z) {
+  return (x >= node.cx ? 1 : 0) | (y >= node.cy ? 2 : 0) | (z >= node.cz ? 4 : 0);
+}
+
+function subdivide(node) {
+  const h = node.halfSize / 2;
+  node.children = [];
+  for (let i = 0; i < 8; i++) {
+    node.children.push(createNode(
+      node.cx + (i & 1 ? h : -h),
+      node.cy + (i & 2 ? h : -h),
+      node.cz + (i & 4 ? h : -h),
+      h
+    ));
+  }
+}
+
+function insertBody(node, index, positions) {
+  const x = positions[index * 3];
+  const y = positions[index * 3 + 1];
+  const z = positions[index * 3 + 2];
+
+  let current = node;
+  while (current.children) {
+    current = current.children[octantIndex(current, x, y, z)];
+  }
+
+  if (current.bodies.length === 0 || current.halfSize <= MIN_NODE_HALF_SIZE) {
+    current.bodies.push(index);
+    return;
+  }
+
+  // Leaf already occupied: split it and push both bodies further down
+  const existing = current.bodies;
+  current.bodies = [];
+  subdivide(current);
+  existing.forEach((other) => insertBody(current, other, positions));
+  insertBody(current, index, positions);
+}
+
+function accumulateMass(node, positions, masses) {
+  let mass = 0;
+  let mx = 0;
+  let my = 0;
+  let mz = 0;
+
+  if (node.children) {
+    node.children.forEach((child) => {
+      accumulateMass(child, positions, masses);
+      mass += child.mass;
+      mx += child.comX * child.mass;
+      my += child.comY * child.mass;
+      mz += child.comZ * child.mass;
+    });
+  } else {
+    node.bodies.forEach((index) => {
+      const m = masses[index];
+      mass += m;
+      mx += positions[index * 3] * m;
+      my += positions[index * 3 + 1] * m;
+      mz += positions[index * 3 + 2] * m;
+    });
+  }
+
+  node.mass = mass;
+  if (mass > 0) {
+    node.comX = mx / mass;
+    node.comY = my / mass;
+    node.comZ = mz / mass;
+  } else {
+    node.comX = node.cx;
+    node.comY = node.cy;
+    node.comZ = node.cz;
+  }
+}
+
+function buildBarnesHutTree(positions, masses) {
+  const count = masses.length;
+  let minX = Infinity;
+  let minY = Infinity;
+  let minZ = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let maxZ = -Infinity;
+
+  for (let i = 0; i < count; i++) {
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    minZ = Math.min(minZ, z);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+    maxZ = Math.max(maxZ, z);
+  }
+
+  if (count === 0) {
+    return createNode(0, 0, 0, 1);
+  }
+
+  const halfSize = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 * 1.0001 + MIN_NODE_HALF_SIZE;
+  const root = createNode((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, halfSize);
+
+  for (let i = 0; i < count; i++) {
+    insertBody(root, i, positions);
+  }
+  accumulateMass(root, positions, masses);
+  return root;
+}
+
+function addPointAcceleration(out, offset, dx, dy, dz, mass, G, softeningSq) {
+  const distSq = dx * dx + dy * dy + dz * dz + softeningSq;
+  if (distSq === 0) return;
+  const invDist = 1 / Math.sqrt(distSq);
+  const factor = G * mass * invDist * invDist * invDist;
+  out[offset] += dx * factor;
+  out[offset + 1] += dy * factor;
+  out[offset + 2] += dz * factor;
+}
+
+function accumulateTreeAcceleration(node, index, positions, masses, G, softeningSq, thetaSq, out) {
+  if (node.mass === 0) return;
+
+  const offset = index * 3;
+  const x = positions[offset];
+  const y = positions[offset + 1];
+  const z = positions[offset + 2];
+
+  if (!node.children) {
+    node.bodies.forEach((other) => {
+      if (other === index) return;
+      addPointAcceleration(
+        out,
+        offset,
+        positions[other * 3] - x,
+        positions[other * 3 + 1] - y,
+        positions[other * 3 + 2] - z,
+        masses[other],
+        G,
+        softeningSq
+      );
+    });
+    return;
+  }
+
+  const dx = node.comX - x;
+  const dy = node.comY - y;
+  const dz = node.comZ - z;
+  const distSq = dx * dx + dy * dy + dz * dz;
+  const width = node.halfSize * 2;
+
+  // Opening criterion (s / d < theta); a node containing the body is always opened
+  if (width * width < thetaSq * distSq && !nodeContains(node, x, y, z)) {
+    addPointAcceleration(out, offset, dx, dy, dz, node.mass, G, softeningSq);
+    return;
+  }
+
+  node.children.forEach((child) => {
+    accumulateTreeAcceleration(child, index, positions, masses, G, softeningSq, thetaSq, out);
+  });
+}
+
+function nodeContains(node, x, y, z) {
+  return Math.abs(x - node.cx) <= node.halfSize
+    && Math.abs(y - node.cy) <= node.halfSize
+    && Math.abs(z - node.cz) <= node.halfSize;
+}
+
+function computeDirectGravity(positions, masses, options = {}, out) {
+  const { gravitationalConstant: G, softening } = resolveGravityOptions(options);
+  const count = masses.length;
+  const accelerations = out || new Float64Array(count * 3);
+  accelerations.fill(0);
+  const softeningSq = softening * softening;
+
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      const dx = positions[j * 3] - positions[i * 3];
+      const dy = positions[j * 3 + 1] - positions[i * 3 + 1];
+      const dz = positions[j * 3 + 2] - positions[i * 3 + 2];
+      const distSq = dx * dx + dy * dy + dz * dz + softeningSq;
+      if (distSq === 0) continue;
+      const invDist = 1 / Math.sqrt(distSq);
+      const invDist3 = G * invDist * invDist * invDist;
+      accelerations[i * 3] += dx * invDist3 * masses[j];
+      accelerations[i * 3 + 1] += dy * invDist3 * masses[j];
+      accelerations[i * 3 + 2] += dz * invDist3 * masses[j];
+      accelerations[j * 3] -= dx * invDist3 * masses[i];
+      accelerations[j * 3 + 1] -= dy * invDist3 * masses[i];
+      accelerations[j * 3 + 2] -= dz * invDist3 * masses[i];
+    }
+  }
+
+  return accelerations;
+}
+
+// Barnes-Hut forces are not pairwise symmetric, so the tree leaves a small net
+// force on the system. Removing the mass-weighted mean acceleration restores
+// sum(m * a) = 0, keeping the momentum set by explodeObject() exact.
+function removeNetForce(accelerations, masses) {
+  const count = masses.length;
+  let totalMass = 0;
+  let fx = 0;
+  let fy = 0;
+  let fz = 0;
+  for (let i = 0; i < count; i++) {
+    totalMass += masses[i];
+    fx += accelerations[i * 3] * masses[i];
+    fy += accelerations[i * 3 + 1] * masses[i];
+    fz += accelerations[i * 3 + 2] * masses[i];
+  }
+  if (totalMass <= 0) return accelerations;
+
+  fx /= totalMass;
+  fy /= totalMass;
+  fz /= totalMass;
+  for (let i = 0; i < count; i++) {
+    accelerations[i * 3] -= fx;
+    accelerations[i * 3 + 1] -= fy;
+    accelerations[i * 3 + 2] -= fz;
+  }
+  return accelerations;
+}
+
+function computeGravityAccelerations(positions, masses, options = {}, out) {
+  const resolved = resolveGravityOptions(options);
+  const count = masses.length;
+
+  if (count <= resolved.directSumThreshold || resolved.openingAngle === 0) {
+    return computeDirectGravity(positions, masses, resolved, out);
+  }
+
+  const accelerations = out || new Float64Array(count * 3);
+  accelerations.fill(0);
+  const root = buildBarnesHutTree(positions, masses);
+  const softeningSq = resolved.softening * resolved.softening;
+  const thetaSq = resolved.openingAngle * resolved.openingAngle;
+
+  for (let i = 0; i < count; i++) {
+    accumulateTreeAcceleration(
+      root,
+      i,
+      positions,
+      masses,
+      resolved.gravitationalConstant,
+      softeningSq,
+      thetaSq,
+      accelerations
+    );
+  }
+
+  return removeNetForce(accelerations, masses);
+}
+
+function computeGravitationalPotentialEnergy(positions, masses, options = {}) {
+  const { gravitationalConstant: G, softening } = resolveGravityOptions(options);
+  const count = masses.length;
+  const softeningSq = softening * softening;
+  let energy = 0;
+
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      const dx = positions[j * 3] - positions[i * 3];
+      const dy = positions[j * 3 + 1] - positions[i * 3 + 1];
+      const dz = positions[j * 3 + 2] - positions[i * 3 + 2];
+      const dist = Math.sqrt(dx * dx + dy * dy + dz * dz + softeningSq);
+      if (dist > 0) {
+        energy -= G * masses[i] * masses[j] / dist;
+      }
+    }
+  }
+
+  return energy;
+}
+
+module.exports = {
+  DEFAULT_GRAVITY_OPTIONS,
+  buildBarnesHutTree,
+  computeDirectGravity,
+  computeGravityAccelerations,
+  computeGravitationalPotentialEnergy,
+  removeNetForce,
+};
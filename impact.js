@@ -0,0 +1,197 @@
+// Hypervelocity impact of a projectile on a target, both made of chunks.
+// Contact is found by sweeping the projectile's bounding sphere along its
+// path against the target chunks'. At contact both bodies break up: the
+// projectile and the target chunks near the impact point share one plug
+// velocity that takes up the projectile's momentum, every chunk adds a
+// scatter velocity with no net momentum, and the total momentum and angular
+// momentum of the pair are kept exactly.
+
+const { invertMatrix3, pointInertia } = require('./rigid-body.js');
+
+const DEFAULT_ENERGY_FRACTION = 0.3; // share of the collision energy left as fragment motion
+
+function vec(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function cross(a, b) {
+  return vec(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+}
+
+function difference(a, b) {
+  return vec(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Radius (m) of a solid sphere of the given mass (kg) and density (kg/m³)
+function projectileRadius(mass, density) {
+  return Math.cbrt((3 * mass) / (4 * Math.PI * density));
+}
+
+// Earliest time at which a sphere moving in a straight line touches one of
+// `bodies` (also moving straight): { time, index }, or null if it misses them all
+function firstContact(projectile, bodies) {
+  let contact = null;
+  bodies.forEach((body, index) => {
+    const offset = difference(projectile.position, body.position);
+    const closing = difference(projectile.velocity, body.velocity);
+    const reach = projectile.radius + body.radius;
+    const c = dot(offset, offset) - reach * reach;
+    const b = 2 * dot(offset, closing);
+    const a = dot(closing, closing);
+    let time;
+    if (c <= 0) {
+      time = 0;
+    } else {
+      const discriminant = b * b - 4 * a * c;
+      if (b >= 0 || discriminant < 0) return;
+      time = (-b - Math.sqrt(discriminant)) / (2 * a);
+    }
+    if (!contact || time < contact.time) contact = { time, index };
+  });
+  return contact;
+}
+
+function totals(bodies, velocities) {
+  let mass = 0;
+  const momentum = vec();
+  const center = vec();
+  bodies.forEach((body, i) => {
+    mass += body.mass;
+    momentum.x += body.mass * velocities[i].x;
+    momentum.y += body.mass * velocities[i].y;
+    momentum.z += body.mass * velocities[i].z;
+    center.x += body.mass * body.position.x;
+    center.y += body.mass * body.position.y;
+    center.z += body.mass * body.position.z;
+  });
+  return {
+    mass,
+    momentum,
+    center: vec(center.x / mass, center.y / mass, center.z / mass),
+    velocity: vec(momentum.x / mass, momentum.y / mass, momentum.z / mass),
+  };
+}
+
+function angularMomentumAbout(bodies, velocities, center) {
+  return bodies.reduce((sum, body, i) => {
+    const l = cross(difference(body.position, center), velocities[i]);
+    return vec(sum.x + body.mass * l.x, sum.y + body.mass * l.y, sum.z + body.mass * l.z);
+  }, vec());
+}
+
+function kineticEnergy(bodies, velocities) {
+  return bodies.reduce((sum, body, i) => sum + 0.5 * body.mass * dot(velocities[i], velocities[i]), 0);
+}
+
+// Add the rigid rotation about `center` (the bodies' centre of mass) that
+// brings the velocities' angular momentum to `target`; it carries no momentum.
+// A whisker of isotropic inertia keeps collinear layouts invertible.
+function matchAngularMomentum(bodies, velocities, center, target) {
+  const inertia = bodies.reduce((sum, body) => {
+    const shift = pointInertia(body.mass, difference(body.position, center));
+    return sum.map((value, k) => value + shift[k]);
+  }, new Array(9).fill(0));
+  const floor = 1e-12 * (inertia[0] + inertia[4] + inertia[8]);
+  if (!(floor > 0)) return;
+  [0, 4, 8].forEach((k) => {
+    inertia[k] += floor;
+  });
+  const inverse = invertMatrix3(inertia);
+  const missing = difference(target, angularMomentumAbout(bodies, velocities, center));
+  const omega = vec(
+    inverse[0] * missing.x + inverse[1] * missing.y + inverse[2] * missing.z,
+    inverse[3] * missing.x + inverse[4] * missing.y + inverse[5] * missing.z,
+    inverse[6] * missing.x + inverse[7] * missing.y + inverse[8] * missing.z
+  );
+  bodies.forEach((body, i) => {
+    const spin = cross(omega, difference(body.position, center));
+    velocities[i] = vec(velocities[i].x + spin.x, velocities[i].y + spin.y, velocities[i].z + spin.z);
+  });
+}
+
+// Post-impact velocities of `bodies` ({ mass, position, velocity, projectile })
+// caught at the moment of contact. Projectile chunks and target chunks within
+// about couplingLength of `point` move off together as a plug, each target
+// chunk weighted by exp(-(d / couplingLength)²). `scatter` holds one drawn
+// velocity per body; it is stripped of momentum and angular momentum and
+// scaled so the fragments keep energyFraction of the collision energy
+// (½ μ v², the kinetic energy in the centre-of-mass frame), or taken as drawn
+// when energyFraction is null. Energy that can't be reached because the plug
+// alone keeps more is left at the plug's.
+function shareImpactMomentum(bodies, { point, couplingLength, scatter, energyFraction = DEFAULT_ENERGY_FRACTION }) {
+  const before = bodies.map((body) => body.velocity);
+  const system = totals(bodies, before);
+  const relative = (velocities) => velocities.map((v) => difference(v, system.velocity));
+  const collisionEnergy = kineticEnergy(bodies, relative(before));
+  const angularMomentum = angularMomentumAbout(bodies, relative(before), system.center);
+
+  const target = bodies.filter((body) => !body.projectile);
+  const targetVelocity = totals(target, target.map((body) => body.velocity)).velocity;
+  const weights = bodies.map((body) => {
+    if (body.projectile) return 1;
+    const offset = difference(body.position, point);
+    return Math.exp(-dot(offset, offset) / (couplingLength * couplingLength));
+  });
+  // Target chunks move at V + w (U - V) and the projectile at U, so the plug
+  // velocity U = (p_projectile + Σ w m V) / Σ w m keeps the total momentum
+  let coupledMass = 0;
+  const plugMomentum = vec();
+  bodies.forEach((body, i) => {
+    const v = body.projectile ? body.velocity : targetVelocity;
+    coupledMass += weights[i] * body.mass;
+    plugMomentum.x += weights[i] * body.mass * v.x;
+    plugMomentum.y += weights[i] * body.mass * v.y;
+    plugMomentum.z += weights[i] * body.mass * v.z;
+  });
+  const plug = vec(plugMomentum.x / coupledMass, plugMomentum.y / coupledMass, plugMomentum.z / coupledMass);
+
+  // Projectile chunks have weight one, so they move with the plug
+  const bulk = relative(weights.map((weight) => vec(
+    targetVelocity.x + weight * (plug.x - targetVelocity.x),
+    targetVelocity.y + weight * (plug.y - targetVelocity.y),
+    targetVelocity.z + weight * (plug.z - targetVelocity.z)
+  )));
+  matchAngularMomentum(bodies, bulk, system.center, angularMomentum);
+
+  const drawn = scatter.map((v) => vec(v.x, v.y, v.z));
+  const drift = totals(bodies, drawn).velocity;
+  const spread = drawn.map((v) => difference(v, drift));
+  matchAngularMomentum(bodies, spread, system.center, vec());
+
+  // E(λ) = E_bulk + λ Σ m bulk·spread + λ² E_spread
+  const bulkEnergy = kineticEnergy(bodies, bulk);
+  const spreadEnergy = kineticEnergy(bodies, spread);
+  const crossTerm = bodies.reduce((sum, body, i) => sum + body.mass * dot(bulk[i], spread[i]), 0);
+  let scatterScale = 1;
+  if (energyFraction !== null && energyFraction !== undefined) {
+    const shortfall = Math.max(0, energyFraction * collisionEnergy - bulkEnergy);
+    scatterScale = spreadEnergy > 0
+      ? (-crossTerm + Math.sqrt(crossTerm * crossTerm + 4 * spreadEnergy * shortfall)) / (2 * spreadEnergy)
+      : 0;
+  }
+
+  const velocities = bulk.map((v, i) => vec(
+    system.velocity.x + v.x + scatterScale * spread[i].x,
+    system.velocity.y + v.y + scatterScale * spread[i].y,
+    system.velocity.z + v.z + scatterScale * spread[i].z
+  ));
+  return {
+    velocities,
+    plugVelocity: plug,
+    coupledMass,
+    collisionEnergy,
+    energy: kineticEnergy(bodies, relative(velocities)),
+    scatterScale,
+  };
+}
+
+module.exports = {
+  DEFAULT_ENERGY_FRACTION,
+  projectileRadius,
+  firstContact,
+  shareImpactMomentum,
+};
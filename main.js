@@ -1,48 +1,112 @@
 const localModuleCache = new Map();
-let threeModulePromise;
-
-async function waitForLibraries() {
-  const required = ['React', 'ReactDOM', 'Babel'];
-  const start = Date.now();
-  const timeout = 30000;
-  while (required.some((name) => typeof window[name] === 'undefined')) {
-    if (Date.now() - start > timeout) {
-      throw new Error('Timed out after 30s while waiting for external libraries (React, ReactDOM, Babel).');
-    }
-    await new Promise((resolve) => setTimeout(resolve, 30));
+const localModuleSources = new Map();
+const LOCAL_MODULES = [
+  './simulation-utils.js',
+  './gravity.js',
+  './orbital-mechanics.js',
+  './collisions.js',
+  './mesh-import.js',
+  './voronoi-fracture.js',
+  './breakup-model.js',
+  './rigid-body.js',
+  './impact.js',
+  './speed-distribution.js',
+  './gas-dynamics.js',
+  './physics-engine.js',
+  './conservation-diagnostics.js',
+  './recording.js',
+  './motion-overlays.js',
+  './offline-render.js',
+  './fragment-export.js',
+  './scenario-file.js',
+];
+const VENDOR_LOADER = './vendor-loader.js';
+const LOAD_STATUS_TEXT = {
+  waiting: 'waiting',
+  loading: 'loading',
+  'failed-source': 'unavailable',
+  loaded: 'loaded',
+  failed: 'failed',
+  blocked: 'skipped, a library it needs failed',
+};
+
+// One line per library under the loading message
+function showLoadProgress({ name, label, status, source, attempt, attempts }, sourceKind) {
+  const list = document.getElementById('load-progress');
+  if (!list) return;
+  let item = Array.from(list.children).find((child) => child.dataset.dependency === name);
+  if (!item) {
+    item = document.createElement('li');
+    item.dataset.dependency = name;
+    list.appendChild(item);
+  }
+  item.dataset.status = status;
+  let text = `${label}: ${LOAD_STATUS_TEXT[status] || status}`;
+  if (source && status !== 'failed') {
+    text += ` ${status === 'loaded' ? 'from' : 'at'} ${sourceKind(source, window.location.origin)} ${source}`;
+    if (status === 'loading' && attempts > 1) text += ` (${attempt}/${attempts})`;
   }
+  item.textContent = text;
+}
+
+function loadScript({ global }, source) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = source;
+    script.crossOrigin = 'anonymous';
+    script.onload = () => {
+      if (typeof window[global] === 'undefined') {
+        script.remove();
+        reject(new Error(`did not define ${global}`));
+      } else {
+        resolve(window[global]);
+      }
+    };
+    script.onerror = () => {
+      script.remove();
+      reject(new Error('could not be fetched'));
+    };
+    document.head.appendChild(script);
+  });
 }
 
-async function loadThreeModule() {
-  if (!threeModulePromise) {
-    threeModulePromise = import('https://unpkg.com/three@0.160.0/build/three.module.js?module')
-      .then((module) => {
-        const namespace = {};
-        for (const key of Object.keys(module)) {
-          namespace[key] = module[key];
-        }
-        if ('default' in module) {
-          namespace.default = module.default;
-        }
-        if (!('default' in namespace)) {
-          namespace.default = module;
-        }
-        if (typeof window !== 'undefined') {
-          window.THREE = namespace;
-        }
-        return namespace;
-      })
-      .catch((error) => {
-        threeModulePromise = undefined;
-        throw error;
-      });
+async function loadModule(dependency, source) {
+  const module = await import(source);
+  const namespace = {};
+  for (const key of Object.keys(module)) {
+    namespace[key] = module[key];
   }
-  return threeModulePromise;
+  if ('default' in module) {
+    namespace.default = module.default;
+  }
+  if (!('default' in namespace)) {
+    namespace.default = module;
+  }
+  return namespace;
 }
 
-async function loadCommonJSModule(path) {
-  if (localModuleCache.has(path)) {
-    return localModuleCache.get(path);
+// React, ReactDOM, Babel and three.js, each from the import map, ./vendor or
+// the CDN (see vendor-loader.js), reporting progress as they come in
+async function loadLibraries() {
+  await fetchCommonJSSource(VENDOR_LOADER);
+  const { VENDOR_DEPENDENCIES, parseImportMap, sourceKind, loadDependencies } = requireLocalModule(VENDOR_LOADER);
+  const importMapElement = document.querySelector('script[type="importmap"]');
+  const importMap = parseImportMap(importMapElement ? importMapElement.textContent : '');
+  const report = (event) => showLoadProgress(event, sourceKind);
+  VENDOR_DEPENDENCIES.forEach(({ name, label }) => report({ name, label, status: 'waiting' }));
+
+  const libraries = await loadDependencies(VENDOR_DEPENDENCIES, {
+    importMap,
+    load: (dependency, source) => (dependency.type === 'module' ? loadModule(dependency, source) : loadScript(dependency, source)),
+    onProgress: report,
+  });
+  window.THREE = libraries.three;
+  return libraries;
+}
+
+async function fetchCommonJSSource(path) {
+  if (localModuleSources.has(path)) {
+    return localModuleSources.get(path);
   }
 
   const response = await fetch(path);
@@ -51,15 +115,30 @@ async function loadCommonJSModule(path) {
   }
 
   const source = await response.text();
+  localModuleSources.set(path, source);
+  return source;
+}
+
+// Local modules may require each other, so they are evaluated lazily on first
+// require once every source has been fetched.
+function requireLocalModule(path) {
+  if (localModuleCache.has(path)) {
+    return localModuleCache.get(path);
+  }
+  if (!localModuleSources.has(path)) {
+    throw new Error(`Cannot resolve module: ${path}`);
+  }
+
   const module = { exports: {} };
-  const fn = new Function('module', 'exports', source);
-  fn(module, module.exports);
+  localModuleCache.set(path, module.exports);
+  const fn = new Function('require', 'module', 'exports', localModuleSources.get(path));
+  fn(requireLocalModule, module, module.exports);
   localModuleCache.set(path, module.exports);
   return module.exports;
 }
 
 async function loadComponent() {
-  await waitForLibraries();
+  const libraries = await loadLibraries();
 
   const response = await fetch('./advanced-explosion.jsx');
   if (!response.ok) {
@@ -73,10 +152,7 @@ async function loadComponent() {
     sourceMaps: false,
   }).code;
 
-  const [three, simulationUtils] = await Promise.all([
-    loadThreeModule(),
-    loadCommonJSModule('./simulation-utils.js'),
-  ]);
+  await Promise.all(LOCAL_MODULES.map((path) => fetchCommonJSSource(path)));
 
   const module = { exports: {} };
   const require = (name) => {
@@ -84,11 +160,9 @@ async function loadComponent() {
       case 'react':
         return React;
       case 'three':
-        return three;
-      case './simulation-utils.js':
-        return simulationUtils;
+        return libraries.three;
       default:
-        throw new Error(`Cannot resolve module: ${name}`);
+        return requireLocalModule(name);
     }
   };
 
@@ -118,7 +192,7 @@ async function loadComponent() {
       rootElement.innerHTML = `<div class="max-w-xl mx-auto mt-20 bg-red-900/40 border border-red-500 text-red-100 p-6 rounded">` +
         `<h2 class="text-xl font-bold mb-2">Unable to load simulator</h2>` +
         `<p class="text-sm leading-relaxed">${error.message}</p>` +
-        `<p class="text-xs mt-3 opacity-70">Check your internet connection and make sure external CDNs are reachable.</p>` +
+        `<p class="text-xs mt-3 opacity-70">Without internet access, place the libraries under ./vendor or point an import map at them (see vendor-loader.js); otherwise make sure unpkg.com is reachable.</p>` +
         `</div>`;
     }
   }
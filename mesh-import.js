@@ -0,0 +1,398 @@
+// Triangle meshes from OBJ, STL and glTF files, and a voxel fracture that
+// turns a closed mesh into chunk descriptors for physics-engine.js. Meshes are
+// plain `{ positions, indices }` with flat xyz positions and triangle indices.
+
+const MESH_FILE_TYPES = ['.obj', '.stl', '.gltf', '.glb'];
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+const GLTF_TRIANGLES = 4;
+const GLTF_COMPONENTS = {
+  5121: { size: 1, read: (view, offset) => view.getUint8(offset) },
+  5123: { size: 2, read: (view, offset) => view.getUint16(offset, true) },
+  5125: { size: 4, read: (view, offset) => view.getUint32(offset, true) },
+  5126: { size: 4, read: (view, offset) => view.getFloat32(offset, true) },
+};
+const GLTF_TYPE_SIZES = { SCALAR: 1, VEC3: 3 };
+
+function decodeText(data) {
+  return typeof data === 'string' ? data : new TextDecoder().decode(data);
+}
+
+// Faces are fanned into triangles; texture and normal indices are ignored
+function parseOBJ(data) {
+  const positions = [];
+  const indices = [];
+  decodeText(data).split('\n').forEach((line) => {
+    const [keyword, ...fields] = line.trim().split(/\s+/);
+    if (keyword === 'v') {
+      positions.push(Number(fields[0]), Number(fields[1]), Number(fields[2]));
+    } else if (keyword === 'f') {
+      const vertexCount = positions.length / 3;
+      const face = fields.map((field) => {
+        const index = parseInt(field.split('/')[0], 10);
+        return index < 0 ? vertexCount + index : index - 1;
+      });
+      for (let i = 1; i < face.length - 1; i++) {
+        indices.push(face[0], face[i], face[i + 1]);
+      }
+    }
+  });
+  return validateMesh({ positions, indices }, 'OBJ');
+}
+
+// Binary STL is recognised by its header: the triangle count must fit in the
+// file (some exporters pad the end), and since some start it with "solid" too,
+// that only means ASCII when facets follow and the size is not an exact match
+function isBinarySTL(data) {
+  if (data.byteLength < 84) return false;
+  const size = 84 + new DataView(data).getUint32(80, true) * 50;
+  if (size === data.byteLength) return true;
+  if (size > data.byteLength) return false;
+  const head = decodeText(new Uint8Array(data, 0, Math.min(data.byteLength, 512)));
+  return !(/^\s*solid\b/.test(head) && /\b(facet|endsolid)\b/.test(head));
+}
+
+function parseSTL(data) {
+  if (typeof data !== 'string' && isBinarySTL(data)) {
+    const view = new DataView(data);
+    const triangleCount = view.getUint32(80, true);
+    const positions = new Array(triangleCount * 9);
+    for (let t = 0; t < triangleCount; t++) {
+      const offset = 84 + t * 50 + 12; // skip the facet normal
+      for (let k = 0; k < 9; k++) {
+        positions[t * 9 + k] = view.getFloat32(offset + k * 4, true);
+      }
+    }
+    const indices = Array.from({ length: triangleCount * 3 }, (_, i) => i);
+    return validateMesh({ positions, indices }, 'STL');
+  }
+
+  const text = decodeText(data);
+  const positions = [];
+  const vertexPattern = /vertex\s+(\S+)\s+(\S+)\s+(\S+)/g;
+  let match;
+  while ((match = vertexPattern.exec(text)) !== null) {
+    positions.push(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  const indices = Array.from({ length: positions.length / 3 }, (_, i) => i);
+  return validateMesh({ positions, indices }, 'STL');
+}
+
+function decodeBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+// Column-major 4×4 matrices, as glTF stores them
+function multiplyMatrices(a, b) {
+  const out = new Array(16).fill(0);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      for (let k = 0; k < 4; k++) {
+        out[col * 4 + row] += a[k * 4 + row] * b[col * 4 + k];
+      }
+    }
+  }
+  return out;
+}
+
+function nodeMatrix(node) {
+  if (node.matrix) return node.matrix;
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+    2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+    2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1,
+  ];
+}
+
+// glTF 2.0 (.gltf with embedded buffers, or .glb). Triangle primitives of every
+// node in the default scene are flattened into one mesh in scene space.
+function parseGLTF(data) {
+  let json;
+  let binaryChunk = null;
+  if (typeof data !== 'string' && data.byteLength >= 12 && new DataView(data).getUint32(0, true) === GLB_MAGIC) {
+    const view = new DataView(data);
+    let offset = 12;
+    while (offset < data.byteLength) {
+      const length = view.getUint32(offset, true);
+      const type = view.getUint32(offset + 4, true);
+      const chunk = data.slice(offset + 8, offset + 8 + length);
+      if (type === GLB_CHUNK_JSON) json = JSON.parse(decodeText(chunk));
+      if (type === GLB_CHUNK_BIN) binaryChunk = chunk;
+      offset += 8 + length;
+    }
+  } else {
+    json = JSON.parse(decodeText(data));
+  }
+  if (!json) {
+    throw new Error('glTF file has no JSON chunk');
+  }
+  if ((json.extensionsRequired || []).length > 0) {
+    throw new Error(`Unsupported glTF extensions: ${json.extensionsRequired.join(', ')}`);
+  }
+
+  const buffers = (json.buffers || []).map((buffer, i) => {
+    if (buffer.uri === undefined && i === 0 && binaryChunk) return binaryChunk;
+    const match = /^data:[^;]*;base64,(.*)$/.exec(buffer.uri || '');
+    if (!match) {
+      throw new Error('External glTF buffers are not supported; use .glb or embedded buffers');
+    }
+    return decodeBase64(match[1]);
+  });
+
+  const readAccessor = (index) => {
+    const accessor = json.accessors[index];
+    // Sparse accessors, and ones without a buffer view, are zero-filled with
+    // substitutions on top; neither is read here
+    if (accessor.sparse || accessor.bufferView === undefined) {
+      throw new Error(`Unsupported glTF accessor ${index}: sparse or zero-filled accessors (no buffer view) cannot be read`);
+    }
+    const bufferView = json.bufferViews[accessor.bufferView];
+    const component = GLTF_COMPONENTS[accessor.componentType];
+    const width = GLTF_TYPE_SIZES[accessor.type];
+    if (!component || !width) {
+      throw new Error(`Unsupported glTF accessor: ${accessor.type} of ${accessor.componentType}`);
+    }
+    const view = new DataView(buffers[bufferView.buffer]);
+    const stride = bufferView.byteStride || component.size * width;
+    const start = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+    const values = [];
+    for (let i = 0; i < accessor.count; i++) {
+      for (let k = 0; k < width; k++) {
+        values.push(component.read(view, start + i * stride + k * component.size));
+      }
+    }
+    return values;
+  };
+
+  const positions = [];
+  const indices = [];
+  const addMesh = (mesh, matrix) => {
+    mesh.primitives.forEach((primitive) => {
+      if ((primitive.mode ?? GLTF_TRIANGLES) !== GLTF_TRIANGLES || primitive.attributes.POSITION === undefined) return;
+      const base = positions.length / 3;
+      const local = readAccessor(primitive.attributes.POSITION);
+      for (let i = 0; i < local.length; i += 3) {
+        const [x, y, z] = [local[i], local[i + 1], local[i + 2]];
+        positions.push(
+          matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12],
+          matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13],
+          matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14]
+        );
+      }
+      const primitiveIndices = primitive.indices !== undefined
+        ? readAccessor(primitive.indices)
+        : Array.from({ length: local.length / 3 }, (_, i) => i);
+      primitiveIndices.forEach((index) => indices.push(base + index));
+    });
+  };
+
+  const visit = (nodeIndex, parentMatrix) => {
+    const node = json.nodes[nodeIndex];
+    const matrix = multiplyMatrices(parentMatrix, nodeMatrix(node));
+    if (node.mesh !== undefined) addMesh(json.meshes[node.mesh], matrix);
+    (node.children || []).forEach((child) => visit(child, matrix));
+  };
+
+  const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+  const scene = json.scenes && json.scenes[json.scene ?? 0];
+  if (scene) {
+    scene.nodes.forEach((node) => visit(node, identity));
+  } else {
+    (json.meshes || []).forEach((mesh) => addMesh(mesh, identity));
+  }
+  return validateMesh({ positions, indices }, 'glTF');
+}
+
+function validateMesh(mesh, format) {
+  const vertexCount = mesh.positions.length / 3;
+  if (mesh.indices.length < 3 || mesh.indices.some((index) => !(index >= 0 && index < vertexCount))) {
+    throw new Error(`${format} file has no usable triangles`);
+  }
+  if (mesh.positions.some((value) => !Number.isFinite(value))) {
+    throw new Error(`${format} file has invalid vertex coordinates`);
+  }
+  return mesh;
+}
+
+// Picks the parser from the file extension; `data` is the file's ArrayBuffer
+function parseMeshFile(fileName, data) {
+  const extension = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+  switch (extension) {
+    case '.obj':
+      return parseOBJ(data);
+    case '.stl':
+      return parseSTL(data);
+    case '.gltf':
+    case '.glb':
+      return parseGLTF(data);
+    default:
+      throw new Error(`Unsupported mesh file: ${fileName} (expected ${MESH_FILE_TYPES.join(', ')})`);
+  }
+}
+
+function triangleVertices({ positions, indices }, t) {
+  const [a, b, c] = [indices[t * 3] * 3, indices[t * 3 + 1] * 3, indices[t * 3 + 2] * 3];
+  return [
+    positions[a], positions[a + 1], positions[a + 2],
+    positions[b], positions[b + 1], positions[b + 2],
+    positions[c], positions[c + 1], positions[c + 2],
+  ];
+}
+
+function meshBounds({ positions }) {
+  const min = { x: Infinity, y: Infinity, z: Infinity };
+  const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+  for (let i = 0; i < positions.length; i += 3) {
+    min.x = Math.min(min.x, positions[i]);
+    min.y = Math.min(min.y, positions[i + 1]);
+    min.z = Math.min(min.z, positions[i + 2]);
+    max.x = Math.max(max.x, positions[i]);
+    max.y = Math.max(max.y, positions[i + 1]);
+    max.z = Math.max(max.z, positions[i + 2]);
+  }
+  return { min, max };
+}
+
+// Enclosed volume and its centroid from signed tetrahedra against the origin
+// (divergence theorem). Inward-facing windings give the same magnitude.
+function meshVolume(mesh) {
+  const triangleCount = mesh.indices.length / 3;
+  let volume = 0;
+  const centroid = { x: 0, y: 0, z: 0 };
+  for (let t = 0; t < triangleCount; t++) {
+    const [ax, ay, az, bx, by, bz, cx, cy, cz] = triangleVertices(mesh, t);
+    const signed = (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+    volume += signed;
+    centroid.x += (signed * (ax + bx + cx)) / 4;
+    centroid.y += (signed * (ay + by + cy)) / 4;
+    centroid.z += (signed * (az + bz + cz)) / 4;
+  }
+
+  if (Math.abs(volume) > 0) {
+    centroid.x /= volume;
+    centroid.y /= volume;
+    centroid.z /= volume;
+  } else {
+    const { min, max } = meshBounds(mesh);
+    centroid.x = (min.x + max.x) / 2;
+    centroid.y = (min.y + max.y) / 2;
+    centroid.z = (min.z + max.z) / 2;
+  }
+  return { volume: Math.abs(volume), centroid };
+}
+
+// Copy of the mesh with its volume centroid at the origin, scaled to metres
+function centerMesh(mesh, scale = 1) {
+  const { centroid } = meshVolume(mesh);
+  const positions = new Array(mesh.positions.length);
+  for (let i = 0; i < positions.length; i += 3) {
+    positions[i] = (mesh.positions[i] - centroid.x) * scale;
+    positions[i + 1] = (mesh.positions[i + 1] - centroid.y) * scale;
+    positions[i + 2] = (mesh.positions[i + 2] - centroid.z) * scale;
+  }
+  return { positions, indices: mesh.indices.slice() };
+}
+
+// Grid cells whose centres lie inside the mesh. One ray per row along +x; its
+// crossings with the surface, sorted, give inside/outside by parity. The rows
+// are nudged off the grid so rays don't graze shared edges and vertices.
+function insideCells(mesh, bounds, cellSize) {
+  const counts = ['x', 'y', 'z'].map((axis) => Math.max(1, Math.ceil((bounds.max[axis] - bounds.min[axis]) / cellSize)));
+  const origin = ['x', 'y', 'z'].map((axis, i) => (bounds.min[axis] + bounds.max[axis]) / 2 - (counts[i] * cellSize) / 2);
+  const triangleCount = mesh.indices.length / 3;
+  const triangles = Array.from({ length: triangleCount }, (_, t) => triangleVertices(mesh, t));
+  const cells = [];
+
+  for (let j = 0; j < counts[1]; j++) {
+    const centerY = origin[1] + (j + 0.5) * cellSize;
+    const y = centerY + cellSize * 1.234e-4;
+    for (let k = 0; k < counts[2]; k++) {
+      const centerZ = origin[2] + (k + 0.5) * cellSize;
+      const z = centerZ + cellSize * 2.345e-4;
+
+      const crossings = [];
+      triangles.forEach(([ax, ay, az, bx, by, bz, cx, cy, cz]) => {
+        // Barycentric coordinates of (y, z) in the triangle's projection onto the yz plane
+        const det = (by - ay) * (cz - az) - (bz - az) * (cy - ay);
+        if (det === 0) return;
+        const u = ((y - ay) * (cz - az) - (z - az) * (cy - ay)) / det;
+        const v = ((by - ay) * (z - az) - (bz - az) * (y - ay)) / det;
+        if (u < 0 || v < 0 || u + v > 1) return;
+        crossings.push(ax + u * (bx - ax) + v * (cx - ax));
+      });
+      crossings.sort((a, b) => a - b);
+
+      let crossed = 0;
+      for (let i = 0; i < counts[0]; i++) {
+        const x = origin[0] + (i + 0.5) * cellSize;
+        while (crossed < crossings.length && crossings[crossed] < x) crossed++;
+        if (crossed % 2 === 1) {
+          cells.push({ cell: { x: i, y: j, z: k }, position: { x, y: centerY, z: centerZ } });
+        }
+      }
+    }
+  }
+  return cells;
+}
+
+// Cells of a regular grid that fill a closed mesh, about `targetPieces` of
+// them. The grid is refined if thin parts leave too few cells inside.
+function voxelize(mesh, targetPieces) {
+  const { volume } = meshVolume(mesh);
+  if (!(volume > 0)) {
+    throw new Error('Mesh encloses no volume; it must be a closed surface');
+  }
+  const bounds = meshBounds(mesh);
+
+  let cellSize = Math.cbrt(volume / targetPieces);
+  let cells = [];
+  for (let attempt = 0; attempt < 4; attempt++) {
+    cells = insideCells(mesh, bounds, cellSize);
+    if (cells.length >= targetPieces / 2) break;
+    cellSize *= 0.75;
+  }
+  if (cells.length === 0) {
+    throw new Error('Mesh encloses no grid cells; it must be a closed surface');
+  }
+  return { volume, cellSize, cells };
+}
+
+// Fracture a closed mesh into roughly `targetPieces` cubes on a regular grid.
+// Each piece gets an equal share of the mesh volume, so masses add up to
+// volume × density.
+function voxelFracture(mesh, targetPieces) {
+  const { volume, cellSize, cells } = voxelize(mesh, targetPieces);
+  const side = cellSize * 0.98;
+  return cells.map(({ cell, position }) => ({
+    cell,
+    colorIndex: cell.x + cell.y + cell.z,
+    position,
+    volume: volume / cells.length,
+    radius: (side * Math.sqrt(3)) / 2,
+    geometry: { type: 'box', size: [side, side, side] },
+  }));
+}
+
+module.exports = {
+  MESH_FILE_TYPES,
+  parseOBJ,
+  parseSTL,
+  parseGLTF,
+  parseMeshFile,
+  meshBounds,
+  meshVolume,
+  centerMesh,
+  voxelize,
+  voxelFracture,
+};
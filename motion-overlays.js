@@ -0,0 +1,135 @@
+// Motion overlays: fading trails behind every piece, cut from a run's
+// recording (recording.js), and per-fragment velocity or momentum arrows with
+// their sum at the centre of mass. Both can be drawn in the CoM or the lab
+// frame, whichever frame the scene itself runs in. A past trail point is
+// shifted by how far the chosen frame has moved since, so trails end on their
+// pieces and show the motion relative to that frame; arrows subtract its
+// velocity, so in the CoM frame the momenta add up to zero.
+
+const { findFrameIndex } = require('./recording.js');
+
+const OVERLAY_FRAMES = { com: 'CoM', lab: 'Lab' };
+const ARROW_QUANTITIES = { velocity: 'Velocity', momentum: 'Momentum' };
+const DEFAULT_TRAIL_OPTIONS = {
+  duration: 2, // s of simulated time behind each piece
+  maxPoints: 60, // per trail, the piece included
+};
+
+function vec(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+// Velocity, in scene coordinates, of the frame overlays are drawn in. The
+// scene runs in the CoM frame or the lab frame (`frameIsCoM`); `comVelocity`
+// is the CoM's lab velocity and `frameVelocity` the CoM's velocity in the
+// scene (physics-engine.js scenario.frameVelocity).
+function overlayFrameVelocity(frame, { frameIsCoM, comVelocity, frameVelocity }) {
+  switch (frame) {
+    case 'com':
+      return vec(frameVelocity.x, frameVelocity.y, frameVelocity.z);
+    case 'lab':
+      return frameIsCoM ? vec(-comVelocity.x, -comVelocity.y, -comVelocity.z) : vec();
+    default:
+      throw new Error(`Unknown overlay frame: ${frame}`);
+  }
+}
+
+// Vertices needed by buildTrails for `count` pieces
+function trailVertexCount(count, maxPoints = DEFAULT_TRAIL_OPTIONS.maxPoints) {
+  return count * 2 * (maxPoints - 1);
+}
+
+// Write the trails ending at `time` into `positions` (xyz) and `fades` as line
+// segments, two vertices each. `head` holds the pieces' flat xyz positions at
+// `time`; older points come from recorded frames, thinned to maxPoints. A
+// vertex's fade runs from 1 at the piece to 0 at `duration` behind it.
+// Returns the number of vertices written.
+function buildTrails(recording, { time, head, frameVelocity: w, duration, maxPoints }, positions, fades) {
+  const { frames } = recording;
+  if (frames.length === 0) return 0;
+
+  const last = findFrameIndex(recording, time);
+  let first = findFrameIndex(recording, time - duration);
+  if (frames[first].time < time - duration) first += 1;
+  const picked = [];
+  if (frames[last].time <= time) {
+    const stride = Math.max(1, Math.ceil((last - first + 1) / (maxPoints - 1)));
+    for (let i = last; i >= first; i -= stride) {
+      picked.unshift(frames[i]);
+    }
+  }
+  if (picked.length === 0) return 0;
+
+  const count = head.length / 3;
+  let vertex = 0;
+  const write = (array, index, age) => {
+    const offset = vertex * 3;
+    positions[offset] = array[index] + w.x * age;
+    positions[offset + 1] = array[index + 1] + w.y * age;
+    positions[offset + 2] = array[index + 2] + w.z * age;
+    fades[vertex] = Math.max(0, 1 - age / duration);
+    vertex += 1;
+  };
+  for (let piece = 0; piece < count; piece++) {
+    const index = piece * 3;
+    for (let j = 0; j < picked.length; j++) {
+      const next = picked[j + 1];
+      write(picked[j].positions, index, time - picked[j].time);
+      if (next) {
+        write(next.positions, index, time - next.time);
+      } else {
+        write(head, index, 0);
+      }
+    }
+  }
+  return vertex;
+}
+
+// Arrows for `fragments` ({ mass, position, velocity }, as in fragment-export.js)
+// relative to a frame moving at `frameVelocity`: each fragment's velocity or
+// momentum, scaled so the longest is maxLength long, and their sum at `center`
+// on the same scale. A velocity sum is mass-weighted, the CoM velocity.
+function fragmentArrows(fragments, { quantity, frameVelocity: w, center, maxLength }) {
+  if (!ARROW_QUANTITIES[quantity]) {
+    throw new Error(`Unknown arrow quantity: ${quantity}`);
+  }
+  let totalMass = 0;
+  const momentum = vec();
+  const vectors = fragments.map(({ mass, velocity: v }) => {
+    const relative = vec(v.x - w.x, v.y - w.y, v.z - w.z);
+    totalMass += mass;
+    momentum.x += mass * relative.x;
+    momentum.y += mass * relative.y;
+    momentum.z += mass * relative.z;
+    return quantity === 'momentum'
+      ? vec(mass * relative.x, mass * relative.y, mass * relative.z)
+      : relative;
+  });
+  const magnitude = ({ x, y, z }) => Math.sqrt(x * x + y * y + z * z);
+  const largest = vectors.reduce((max, v) => Math.max(max, magnitude(v)), 0);
+  const scale = largest > 0 ? maxLength / largest : 0;
+
+  const sum = quantity === 'momentum' || totalMass === 0
+    ? momentum
+    : vec(momentum.x / totalMass, momentum.y / totalMass, momentum.z / totalMass);
+  const arrow = (origin, v) => ({
+    origin: vec(origin.x, origin.y, origin.z),
+    vector: vec(v.x * scale, v.y * scale, v.z * scale),
+    magnitude: magnitude(v),
+  });
+  return {
+    scale,
+    arrows: fragments.map((fragment, i) => arrow(fragment.position, vectors[i])),
+    sum: arrow(center, sum),
+  };
+}
+
+module.exports = {
+  OVERLAY_FRAMES,
+  ARROW_QUANTITIES,
+  DEFAULT_TRAIL_OPTIONS,
+  overlayFrameVelocity,
+  trailVertexCount,
+  buildTrails,
+  fragmentArrows,
+};
@@ -0,0 +1,132 @@
+// Offline rendering: the frame schedule for a render at a fixed rate and a
+// store-only ZIP writer for PNG sequences. Each output frame advances the
+// simulation by the same step whatever the display is doing, so a seeded run
+// renders the same frames every time.
+
+const RENDER_FORMATS = {
+  png: { label: 'PNG sequence (zip)', extension: 'zip', mimeType: 'application/zip' },
+  webm: { label: 'WebM', extension: 'webm', mimeType: 'video/webm' },
+};
+const RENDER_RESOLUTIONS = [[1280, 720], [1920, 1080], [2560, 1440], [3840, 2160]];
+const DEFAULT_RENDER_OPTIONS = {
+  format: 'png',
+  width: 1920,
+  height: 1080,
+  fps: 30,
+  duration: 5, // s of output
+  speed: 1, // simulated seconds per output second
+};
+const ZIP_LIMIT = 0xffffffff; // sizes and offsets without ZIP64
+const ZIP_MAX_ENTRIES = 0xffff;
+
+// Output frames for a render; frame i shows the run at i × speed / fps,
+// frame 0 the detonation
+function renderFrameCount({ fps, duration }) {
+  return Math.max(1, Math.round(fps * duration));
+}
+
+// Simulated seconds each output frame advances
+function renderFrameStep({ fps, speed }) {
+  return speed / fps;
+}
+
+// "frame-0042.png", padded so the files sort in order
+function frameFileName(index, count, extension = 'png') {
+  const digits = Math.max(4, String(count - 1).length);
+  return `frame-${String(index).padStart(digits, '0')}.${extension}`;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 (IEEE 802.3) of a byte array, as ZIP stores it
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ZIP archive of `files` ({ name, data: Uint8Array }) with every entry stored
+// as is, since PNGs are compressed already. Entries carry a fixed 1980-01-01
+// timestamp so the same files always make the same archive. Returns the
+// archive as a list of byte arrays, ready for a Blob, so the frames are not
+// copied into one buffer.
+function createZip(files) {
+  if (files.length > ZIP_MAX_ENTRIES) {
+    throw new Error(`A ZIP archive holds at most ${ZIP_MAX_ENTRIES} files`);
+  }
+  const encoder = new TextEncoder();
+  const date = (1 << 5) | 1; // DOS date: 1980-01-01
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const encodedName = encoder.encode(name);
+    const crc = crc32(data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed: 2.0
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, 0, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, encodedName.length, true);
+    local.setUint16(28, 0, true);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, 20, true); // made by: 2.0
+    header.setUint16(6, 20, true);
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, 0, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, data.length, true);
+    header.setUint32(24, data.length, true);
+    header.setUint16(28, encodedName.length, true);
+    header.setUint32(42, offset, true); // comment, disk and attribute fields stay zero
+
+    parts.push(new Uint8Array(local.buffer), encodedName, data);
+    central.push(new Uint8Array(header.buffer), encodedName);
+    offset += 30 + encodedName.length + data.length;
+    if (offset > ZIP_LIMIT) {
+      throw new Error('Frames too large for a ZIP archive; lower the resolution or duration');
+    }
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return [...parts, ...central, new Uint8Array(end.buffer)];
+}
+
+module.exports = {
+  RENDER_FORMATS,
+  RENDER_RESOLUTIONS,
+  DEFAULT_RENDER_OPTIONS,
+  renderFrameCount,
+  renderFrameStep,
+  frameFileName,
+  crc32,
+  createZip,
+};
@@ -0,0 +1,145 @@
+const EARTH_MU = 3.986004418e14; // m³/s²
+const EARTH_RADIUS = 6378137; // m (WGS-84 equatorial)
+
+function circularOrbitRadius(altitude, bodyRadius = EARTH_RADIUS) {
+  return bodyRadius + Math.max(0, altitude);
+}
+
+function circularOrbitSpeed(altitude, mu = EARTH_MU, bodyRadius = EARTH_RADIUS) {
+  return Math.sqrt(mu / circularOrbitRadius(altitude, bodyRadius));
+}
+
+function circularOrbitPeriod(altitude, mu = EARTH_MU, bodyRadius = EARTH_RADIUS) {
+  const radius = circularOrbitRadius(altitude, bodyRadius);
+  return 2 * Math.PI * Math.sqrt((radius * radius * radius) / mu);
+}
+
+// ECI state on a circular orbit with RAAN = 0, at argument of latitude
+// u = u0 + n t. Inclination is given in degrees.
+function circularOrbitState(altitude, inclinationDeg, time = 0, options = {}) {
+  const mu = options.mu ?? EARTH_MU;
+  const bodyRadius = options.bodyRadius ?? EARTH_RADIUS;
+  const radius = circularOrbitRadius(altitude, bodyRadius);
+  const speed = Math.sqrt(mu / radius);
+  const meanMotion = speed / radius;
+  const u = (options.argumentOfLatitude ?? 0) + meanMotion * time;
+  const inclination = (inclinationDeg * Math.PI) / 180;
+  const cosI = Math.cos(inclination);
+  const sinI = Math.sin(inclination);
+  const cosU = Math.cos(u);
+  const sinU = Math.sin(u);
+
+  return {
+    position: { x: radius * cosU, y: radius * sinU * cosI, z: radius * sinU * sinI },
+    velocity: { x: -speed * sinU, y: speed * cosU * cosI, z: speed * cosU * sinI },
+  };
+}
+
+// The scene is Y-up; ECI is Z-up (north). Map ECI (X, Y, Z) to scene (X, Z, -Y),
+// which keeps the frame right-handed.
+function eciToScene(vector) {
+  return { x: vector.x, y: vector.z, z: -vector.y };
+}
+
+function sceneToEci(vector) {
+  return { x: vector.x, y: -vector.z, z: vector.y };
+}
+
+function pointMassAcceleration(x, y, z, mu = EARTH_MU) {
+  const rSq = x * x + y * y + z * z;
+  if (rSq === 0) {
+    return { x: 0, y: 0, z: 0 };
+  }
+  const factor = -mu / (rSq * Math.sqrt(rSq));
+  return { x: x * factor, y: y * factor, z: z * factor };
+}
+
+// Acceleration of a body at `offset` from a freely falling reference point,
+// relative to that point: g(ref + offset) - g(ref). Integrating fragments with
+// this in a non-rotating frame that rides the reference orbit is exactly
+// point-mass gravity, but keeps coordinates small enough for rendering.
+function tidalAcceleration(offset, reference, mu = EARTH_MU) {
+  const body = pointMassAcceleration(
+    reference.x + offset.x,
+    reference.y + offset.y,
+    reference.z + offset.z,
+    mu
+  );
+  const ref = pointMassAcceleration(reference.x, reference.y, reference.z, mu);
+  return { x: body.x - ref.x, y: body.y - ref.y, z: body.z - ref.z };
+}
+
+// Classical elements from an ECI state. Altitudes are measured from the body
+// radius; unbound states report Infinity for period and apogee.
+function stateToOrbitalElements(position, velocity, options = {}) {
+  const mu = options.mu ?? EARTH_MU;
+  const bodyRadius = options.bodyRadius ?? EARTH_RADIUS;
+  const r = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+  const vSq = velocity.x * velocity.x + velocity.y * velocity.y + velocity.z * velocity.z;
+
+  const hx = position.y * velocity.z - position.z * velocity.y;
+  const hy = position.z * velocity.x - position.x * velocity.z;
+  const hz = position.x * velocity.y - position.y * velocity.x;
+  const h = Math.sqrt(hx * hx + hy * hy + hz * hz);
+
+  // e = (v × h) / mu - r̂
+  const ex = (velocity.y * hz - velocity.z * hy) / mu - position.x / r;
+  const ey = (velocity.z * hx - velocity.x * hz) / mu - position.y / r;
+  const ez = (velocity.x * hy - velocity.y * hx) / mu - position.z / r;
+  const eccentricity = Math.sqrt(ex * ex + ey * ey + ez * ez);
+
+  const specificEnergy = vSq / 2 - mu / r;
+  const bound = specificEnergy < 0;
+  const semiMajorAxis = -mu / (2 * specificEnergy);
+  const inclination = h > 0 ? (Math.acos(Math.max(-1, Math.min(1, hz / h))) * 180) / Math.PI : 0;
+  const perigeeRadius = (h * h) / mu / (1 + eccentricity);
+  const apogeeRadius = bound ? semiMajorAxis * (1 + eccentricity) : Infinity;
+  const period = bound
+    ? 2 * Math.PI * Math.sqrt((semiMajorAxis * semiMajorAxis * semiMajorAxis) / mu)
+    : Infinity;
+
+  return {
+    semiMajorAxis,
+    eccentricity,
+    inclination,
+    period,
+    perigeeAltitude: perigeeRadius - bodyRadius,
+    apogeeAltitude: apogeeRadius - bodyRadius,
+    specificEnergy,
+    bound,
+  };
+}
+
+// ECI state of a fragment given its offset and velocity in the scene-axis frame
+// that rides along with the parent.
+function fragmentStateInOrbit(localPosition, localVelocity, parentState) {
+  const offset = sceneToEci(localPosition);
+  const deltaV = sceneToEci(localVelocity);
+  return {
+    position: {
+      x: parentState.position.x + offset.x,
+      y: parentState.position.y + offset.y,
+      z: parentState.position.z + offset.z,
+    },
+    velocity: {
+      x: parentState.velocity.x + deltaV.x,
+      y: parentState.velocity.y + deltaV.y,
+      z: parentState.velocity.z + deltaV.z,
+    },
+  };
+}
+
+module.exports = {
+  EARTH_MU,
+  EARTH_RADIUS,
+  circularOrbitRadius,
+  circularOrbitSpeed,
+  circularOrbitPeriod,
+  circularOrbitState,
+  eciToScene,
+  sceneToEci,
+  pointMassAcceleration,
+  tidalAcceleration,
+  stateToOrbitalElements,
+  fragmentStateInOrbit,
+};
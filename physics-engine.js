@@ -0,0 +1,1990 @@
+const { computeGravitationalPotentialEnergy, computeGravityAccelerations } = require('./gravity.js');
+const { findContacts, mergeBodies, pairKey, resolveContact } = require('./collisions.js');
+const {
+  circularOrbitState,
+  eciToScene,
+  fragmentStateInOrbit,
+  stateToOrbitalElements,
+  tidalAcceleration,
+} = require('./orbital-mechanics.js');
+const { DEFAULT_INTEGRATOR, integrateStep, lerp } = require('./simulation-utils.js');
+const { centerMesh, meshVolume, voxelFracture } = require('./mesh-import.js');
+const { partsVolume, sampleSites, shapeParts, voronoiFracture } = require('./voronoi-fracture.js');
+const {
+  DEFAULT_BREAKUP_OPTIONS,
+  breakupPowerLaw,
+  effectiveMinLength,
+  generateBreakup,
+  sampleDeltaV,
+  sizeHistogram,
+} = require('./breakup-model.js');
+const {
+  IDENTITY_QUATERNION,
+  angularVelocity,
+  conjugateQuaternion,
+  inertiaTensor,
+  integrateOrientation,
+  invertMatrix3,
+  meshCentroid,
+  multiplyMatrixVector,
+  pointInertia,
+  rotateTensor,
+  rotationalEnergy,
+  slerpQuaternions,
+} = require('./rigid-body.js');
+const {
+  GAS_END_EXPANSION,
+  DEFAULT_GAS_OPTIONS,
+  createGasCloud,
+  gasCloudKineticEnergy,
+  gasExpansion,
+  projectedArea,
+  stepGasCloud,
+  tracerPositions,
+} = require('./gas-dynamics.js');
+const { DEFAULT_BIN_COUNT, speedDistribution } = require('./speed-distribution.js');
+const { DEFAULT_ENERGY_FRACTION, firstContact, projectileRadius, shareImpactMomentum } = require('./impact.js');
+
+const PHYS_SCALE = 14.43; // m/s per current sim velocity unit
+const DEFAULT_GAS_MASS_FRACTION = 0.01; // of the chunk mass, without a yield
+const MAX_ORBIT_SUBSTEP = 2; // s of simulated time per integration substep in orbital mode
+const TNT_JOULES_PER_KG = 4.184e6;
+const MAX_SPIN_FRACTION = 0.9;
+const CHARGE_JITTER = 0.25; // random spread added to directional charge directions
+const CONE_SIDE_SPEED = 0.2; // speed of fragments outside a cone jet, relative to those inside
+
+// How the charge throws fragments. Directional modes push each fragment away
+// from options.detonationPoint, faster the closer it sits.
+const CHARGE_MODES = {
+  isotropic: 'Isotropic',
+  offset: 'Off-centre',
+  hemisphere: 'Hemisphere',
+  cone: 'Cone jet',
+};
+
+// Default dimensions are in metres
+const SHAPES = {
+  cube: { pieces: 216, description: '216 cubic pieces (6×6×6)', dimensions: { edge: 8 } },
+  sphere: { pieces: 72, description: '72 wedge pieces (6 lat × 12 lon)', dimensions: { radius: 5 } },
+  cone: { pieces: 60, description: '60 frustum segments (10 layers × 6 radial)', dimensions: { radius: 5, height: 10 } },
+  cylinder: {
+    pieces: 80,
+    description: '80 cylindrical segments (10 layers × 8 radial)',
+    dimensions: { radius: 4, height: 10 },
+  },
+  ring: {
+    pieces: 96,
+    description: '96 torus segments (16 major × 6 minor)',
+    dimensions: { majorRadius: 5, minorRadius: 1.5 },
+  },
+};
+
+// Imported meshes (shape 'mesh', with the mesh in options.mesh). `scale` converts
+// file units to metres; `pieces` is the voxel fracture's target.
+const MESH_SHAPE = {
+  pieces: 160,
+  description: 'Imported mesh, fractured on a voxel grid',
+  dimensions: { scale: 1 },
+};
+
+// Densities in kg/m³
+const MATERIALS = {
+  aluminium: { label: 'Aluminium', density: 2700 },
+  titanium: { label: 'Titanium', density: 4430 },
+  steel: { label: 'Steel', density: 7850 },
+  cfrp: { label: 'CFRP', density: 1600 },
+  // Smeared-out density of a spacecraft bus: mostly empty volume
+  spacecraft: { label: 'Spacecraft bus', density: 150 },
+};
+
+const DEFAULT_SCENARIO_OPTIONS = {
+  shape: 'sphere',
+  dimensions: {}, // overrides for SHAPES[shape].dimensions, m
+  mesh: null, // { positions, indices } for shape 'mesh' (mesh-import.js)
+  fracture: 'lattice', // or 'voronoi' (voronoi-fracture.js) or 'sbm' (breakup-model.js)
+  fragmentCount: 60, // Voronoi sites
+  clustering: 0, // 0-1, packs Voronoi sites toward the detonation point
+  breakup: DEFAULT_BREAKUP_OPTIONS, // NASA Standard Breakup Model event, for fracture 'sbm'
+  detonationPoint: { x: 0, y: 0, z: 0 }, // m, object frame; the charge and the Voronoi clustering centre
+  charge: { mode: 'isotropic', coneAngleDeg: 30 }, // see CHARGE_MODES
+  density: MATERIALS.aluminium.density, // kg/m³
+  explosionSpeed: 10,
+  explosionEnergy: null, // J in the CoM frame; null keeps the legacy temperature scaling
+  // Share of the yield given to the gas, which accelerates the chunks from
+  // rest through drag; the rest launches them at detonation
+  gasEnergyFraction: 1,
+  gasMassFraction: null, // of the chunk mass; null takes the TNT-equivalent mass of a yield
+  gasGamma: 1.3,
+  gasDragCoefficient: DEFAULT_GAS_OPTIONS.dragCoefficient,
+  spinEnergyFraction: 0.05, // share of the chunks' energy drawn as spin, at most MAX_SPIN_FRACTION
+  seed: 12345,
+  useSeed: false,
+  enableGas: true,
+  gasCount: 10000, // tracer particles drawn riding the gas flow
+  frameIsCoM: true,
+  integrator: DEFAULT_INTEGRATOR,
+  comVelocity: { x: 0, y: 0, z: 0 },
+  gravity: { enabled: false, gravitationalConstant: 10, softening: 0.5 },
+  collisions: { enabled: false, restitution: 0.5, mergeSpeed: 0 },
+  orbit: { enabled: false, altitudeKm: 400, inclinationDeg: 51.6 },
+  // A projectile aimed at the detonation point instead of a charge (impact.js).
+  // enabled, projectileMass and projectileDensity shape it on createScenario.
+  impact: {
+    enabled: false,
+    projectileMass: 100, // kg
+    projectileDensity: MATERIALS.aluminium.density, // kg/m³
+    speed: 3000, // m/s, relative to the target
+    direction: { x: -1, y: 0, z: 0 }, // of the projectile's travel
+    standoff: 10, // m, gap to the target at launch
+    energyFraction: DEFAULT_ENERGY_FRACTION, // of the collision energy kept as fragment motion
+    couplingLength: null, // m, reach of the plug; null takes 2 projectile radii plus the struck chunk's
+  },
+};
+
+// Seeded random number generator (LCG)
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed;
+  }
+
+  next() {
+    this.seed = (this.seed * 1664525 + 1013904223) % 4294967296;
+    return this.seed / 4294967296;
+  }
+
+  reset(seed) {
+    this.seed = seed;
+  }
+}
+
+function createRandomSource(seed, useSeed) {
+  if (!useSeed) {
+    return Math.random;
+  }
+  const rng = new SeededRandom(seed);
+  return () => rng.next();
+}
+
+// Maxwell-Boltzmann velocity distribution (simplified)
+function maxwellBoltzmannSpeed(temperature, random = Math.random) {
+  // Box-Muller transform for normal distribution
+  const u1 = random();
+  const u2 = random();
+  const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  const z1 = Math.sqrt(-2 * Math.log(u1)) * Math.sin(2 * Math.PI * u2);
+
+  const u3 = random();
+  const u4 = random();
+  const z2 = Math.sqrt(-2 * Math.log(u3)) * Math.cos(2 * Math.PI * u4);
+
+  // Speed from 3D Maxwell-Boltzmann
+  return Math.sqrt(z0 * z0 + z1 * z1 + z2 * z2) * temperature;
+}
+
+// Maxwell-Boltzmann scale at which speeds hold `energy` over `mass` on
+// average: ½ M <v²> with <v²> = 3a²
+function maxwellBoltzmannScale(energy, mass) {
+  return mass > 0 ? Math.sqrt(Math.max(0, (2 * energy) / (3 * mass))) : 0;
+}
+
+// Isotropic direction from uniform theta and cos(phi)
+function randomDirection(random = Math.random) {
+  const theta = random() * Math.PI * 2;
+  const phi = Math.acos(2 * random() - 1);
+  return {
+    x: Math.sin(phi) * Math.cos(theta),
+    y: Math.sin(phi) * Math.sin(theta),
+    z: Math.cos(phi),
+  };
+}
+
+function vec(x = 0, y = 0, z = 0) {
+  return { x, y, z };
+}
+
+function copyVec(v) {
+  return { x: v.x, y: v.y, z: v.z };
+}
+
+// Triangles of a hexahedron whose corners are listed by bits, corner
+// 4a + 2b + c, wound outward when the a, b, c edges make a right-handed frame
+const HEXAHEDRON_INDICES = [
+  0, 1, 3, 0, 3, 2, // a = 0
+  4, 6, 7, 4, 7, 5, // a = 1
+  0, 4, 5, 0, 5, 1, // b = 0
+  2, 3, 7, 2, 7, 6, // b = 1
+  0, 2, 6, 0, 6, 4, // c = 0
+  1, 5, 7, 1, 7, 3, // c = 1
+];
+
+// HEXAHEDRON_INDICES for `vertices`, flipped when its corners come in
+// left-handed so the faces point outward either way
+function hexahedronIndices(vertices) {
+  let volume = 0;
+  for (let t = 0; t < HEXAHEDRON_INDICES.length; t += 3) {
+    const [a, b, c] = [0, 1, 2].map((k) => HEXAHEDRON_INDICES[t + k] * 3);
+    volume += vertices[a] * (vertices[b + 1] * vertices[c + 2] - vertices[b + 2] * vertices[c + 1])
+      - vertices[a + 1] * (vertices[b] * vertices[c + 2] - vertices[b + 2] * vertices[c])
+      + vertices[a + 2] * (vertices[b] * vertices[c + 1] - vertices[b + 1] * vertices[c]);
+  }
+  if (volume >= 0) return HEXAHEDRON_INDICES.slice();
+  return HEXAHEDRON_INDICES.map((_, i) => HEXAHEDRON_INDICES[i - (i % 3) + (3 - (i % 3)) % 3]);
+}
+
+// Chunk built from an explicit mesh. Vertices are given in object space and
+// stored relative to the chunk position: the solid's centroid for a closed
+// mesh, `center` for an open one. `volume` (m³) is the exact volume of the
+// piece the mesh approximates.
+function meshChunk(vertices, indices, center, colorIndex, cell, volume) {
+  const around = [];
+  for (let i = 0; i < vertices.length; i += 3) {
+    around.push(vertices[i] - center.x, vertices[i + 1] - center.y, vertices[i + 2] - center.z);
+  }
+  const shift = meshCentroid(around, indices) || vec();
+  const position = vec(center.x + shift.x, center.y + shift.y, center.z + shift.z);
+
+  const local = [];
+  let minX = Infinity;
+  let minY = Infinity;
+  let minZ = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let maxZ = -Infinity;
+  for (let i = 0; i < around.length; i += 3) {
+    const x = around[i] - shift.x;
+    const y = around[i + 1] - shift.y;
+    const z = around[i + 2] - shift.z;
+    local.push(x, y, z);
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    minZ = Math.min(minZ, z);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+    maxZ = Math.max(maxZ, z);
+  }
+
+  // Bounding sphere about the box centre, then widened to the chunk origin
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  const cz = (minZ + maxZ) / 2;
+  let radiusSq = 0;
+  for (let i = 0; i < local.length; i += 3) {
+    radiusSq = Math.max(radiusSq, (local[i] - cx) ** 2 + (local[i + 1] - cy) ** 2 + (local[i + 2] - cz) ** 2);
+  }
+  const radius = Math.sqrt(radiusSq) + Math.sqrt(cx * cx + cy * cy + cz * cz);
+
+  return {
+    cell,
+    colorIndex,
+    position,
+    volume,
+    radius,
+    geometry: { type: 'mesh', vertices: local, indices },
+  };
+}
+
+function createCubeChunks({ edge }) {
+  // Break cube into 6x6x6 = 216 smaller cubes that perfectly tile
+  const chunks = [];
+  const divisions = 6;
+  const totalSize = edge;
+  const pieceSize = totalSize / divisions;
+  const offset = -totalSize / 2 + pieceSize / 2;
+  const side = pieceSize * 0.98;
+
+  for (let x = 0; x < divisions; x++) {
+    for (let y = 0; y < divisions; y++) {
+      for (let z = 0; z < divisions; z++) {
+        chunks.push({
+          cell: { x, y, z },
+          colorIndex: x + y + z,
+          position: vec(offset + x * pieceSize, offset + y * pieceSize, offset + z * pieceSize),
+          volume: side * side * side,
+          radius: (side * Math.sqrt(3)) / 2,
+          geometry: { type: 'box', size: [side, side, side] },
+        });
+      }
+    }
+  }
+  return chunks;
+}
+
+function createSphereChunks({ radius }) {
+  // Break sphere into 72 wedge pieces (like an orange)
+  const chunks = [];
+  const latSegments = 6; // vertical divisions
+  const lonSegments = 12; // horizontal divisions
+
+  for (let lat = 0; lat < latSegments; lat++) {
+    const phi1 = (lat / latSegments) * Math.PI;
+    const phi2 = ((lat + 1) / latSegments) * Math.PI;
+
+    for (let lon = 0; lon < lonSegments; lon++) {
+      const theta1 = (lon / lonSegments) * Math.PI * 2;
+      const theta2 = ((lon + 1) / lonSegments) * Math.PI * 2;
+      const centerPhi = (phi1 + phi2) / 2;
+      const centerTheta = (theta1 + theta2) / 2;
+
+      // Simplified wedge: 4 outer and 4 inner corners
+      const r1 = radius * 0.98;
+      const r2 = radius * 0.5;
+      const vertices = [];
+      [r1, r2].forEach((r) => {
+        vertices.push(
+          r * Math.sin(phi1) * Math.cos(theta1), r * Math.cos(phi1), r * Math.sin(phi1) * Math.sin(theta1),
+          r * Math.sin(phi1) * Math.cos(theta2), r * Math.cos(phi1), r * Math.sin(phi1) * Math.sin(theta2),
+          r * Math.sin(phi2) * Math.cos(theta1), r * Math.cos(phi2), r * Math.sin(phi2) * Math.sin(theta1),
+          r * Math.sin(phi2) * Math.cos(theta2), r * Math.cos(phi2), r * Math.sin(phi2) * Math.sin(theta2)
+        );
+      });
+
+      const indices = hexahedronIndices(vertices);
+
+      const center = vec(
+        r1 * 0.65 * Math.sin(centerPhi) * Math.cos(centerTheta),
+        r1 * 0.65 * Math.cos(centerPhi),
+        r1 * 0.65 * Math.sin(centerPhi) * Math.sin(centerTheta)
+      );
+      // Spherical shell wedge between r2 and r1
+      const volume = ((r1 ** 3 - r2 ** 3) / 3) * (theta2 - theta1) * (Math.cos(phi1) - Math.cos(phi2));
+      chunks.push(meshChunk(vertices, indices, center, lat + lon, { lat, lon }, volume));
+    }
+  }
+  return chunks;
+}
+
+function createConeChunks({ radius: baseRadius, height }) {
+  // Break cone into 60 pieces (10 vertical layers × 6 radial segments)
+  const chunks = [];
+  const layers = 10;
+  const segments = 6;
+  const innerScale = 0.8;
+
+  for (let layer = 0; layer < layers; layer++) {
+    const y1 = -height / 2 + (layer / layers) * height;
+    const y2 = -height / 2 + ((layer + 1) / layers) * height;
+    const r1 = baseRadius * (1 - layer / layers);
+    const r2 = baseRadius * (1 - (layer + 1) / layers);
+
+    for (let seg = 0; seg < segments; seg++) {
+      const theta1 = (seg / segments) * Math.PI * 2;
+      const theta2 = ((seg + 1) / segments) * Math.PI * 2;
+
+      const vertices = [
+        // Bottom ring
+        r1 * Math.cos(theta1), y1, r1 * Math.sin(theta1),
+        r1 * Math.cos(theta2), y1, r1 * Math.sin(theta2),
+        // Top ring (smaller)
+        r2 * Math.cos(theta1), y2, r2 * Math.sin(theta1),
+        r2 * Math.cos(theta2), y2, r2 * Math.sin(theta2),
+        // Inner points (create thickness)
+        r1 * innerScale * Math.cos(theta1), y1, r1 * innerScale * Math.sin(theta1),
+        r1 * innerScale * Math.cos(theta2), y1, r1 * innerScale * Math.sin(theta2),
+        r2 * innerScale * Math.cos(theta1), y2, r2 * innerScale * Math.sin(theta1),
+        r2 * innerScale * Math.cos(theta2), y2, r2 * innerScale * Math.sin(theta2),
+      ];
+      const indices = hexahedronIndices(vertices);
+
+      const centerTheta = (theta1 + theta2) / 2;
+      const centerR = (r1 + r2) / 2;
+      const center = vec(centerR * 0.9 * Math.cos(centerTheta), (y1 + y2) / 2, centerR * 0.9 * Math.sin(centerTheta));
+      // Annular frustum sector between the outer surface and innerScale of it
+      const volume = (theta2 - theta1) * ((1 - innerScale * innerScale) / 2)
+        * (y2 - y1) * ((r1 * r1 + r1 * r2 + r2 * r2) / 3);
+      chunks.push(meshChunk(vertices, indices, center, layer + seg, { layer, segment: seg }, volume));
+    }
+  }
+  return chunks;
+}
+
+function createCylinderChunks({ radius, height }) {
+  // Break cylinder into 80 pieces (10 layers × 8 radial segments)
+  const chunks = [];
+  const layers = 10;
+  const segments = 8;
+  const outerR = radius * 0.98;
+  const innerR = radius * 0.6;
+
+  for (let layer = 0; layer < layers; layer++) {
+    const y1 = -height / 2 + (layer / layers) * height;
+    const y2 = -height / 2 + ((layer + 1) / layers) * height;
+
+    for (let seg = 0; seg < segments; seg++) {
+      const theta1 = (seg / segments) * Math.PI * 2;
+      const theta2 = ((seg + 1) / segments) * Math.PI * 2;
+
+      const vertices = [
+        // Outer ring bottom
+        outerR * Math.cos(theta1), y1, outerR * Math.sin(theta1),
+        outerR * Math.cos(theta2), y1, outerR * Math.sin(theta2),
+        // Outer ring top
+        outerR * Math.cos(theta1), y2, outerR * Math.sin(theta1),
+        outerR * Math.cos(theta2), y2, outerR * Math.sin(theta2),
+        // Inner ring bottom
+        innerR * Math.cos(theta1), y1, innerR * Math.sin(theta1),
+        innerR * Math.cos(theta2), y1, innerR * Math.sin(theta2),
+        // Inner ring top
+        innerR * Math.cos(theta1), y2, innerR * Math.sin(theta1),
+        innerR * Math.cos(theta2), y2, innerR * Math.sin(theta2),
+      ];
+      const indices = hexahedronIndices(vertices);
+
+      const centerTheta = (theta1 + theta2) / 2;
+      const centerR = (outerR + innerR) / 2;
+      const center = vec(centerR * Math.cos(centerTheta), (y1 + y2) / 2, centerR * Math.sin(centerTheta));
+      const volume = (theta2 - theta1) * ((outerR * outerR - innerR * innerR) / 2) * (y2 - y1);
+      chunks.push(meshChunk(vertices, indices, center, layer + seg, { layer, segment: seg }, volume));
+    }
+  }
+  return chunks;
+}
+
+function createRingChunks({ majorRadius, minorRadius }) {
+  // Break torus into 96 pieces (6 around minor × 16 around major)
+  // TorusGeometry is oriented in XZ plane (ring horizontal), so chunks must match
+  const chunks = [];
+  const majorSegments = 16;
+  const minorSegments = 6;
+  const innerMinR = minorRadius * 0.6;
+
+  for (let maj = 0; maj < majorSegments; maj++) {
+    const majorAngle1 = (maj / majorSegments) * Math.PI * 2;
+    const majorAngle2 = ((maj + 1) / majorSegments) * Math.PI * 2;
+
+    for (let min = 0; min < minorSegments; min++) {
+      const minorAngle1 = (min / minorSegments) * Math.PI * 2;
+      const minorAngle2 = ((min + 1) / minorSegments) * Math.PI * 2;
+
+      // Torus in XZ plane: x = (R + r*cos(v)) * cos(u), y = r*sin(v), z = (R + r*cos(v)) * sin(u)
+      const vertices = [];
+      [
+        [majorAngle1, minorAngle1],
+        [majorAngle1, minorAngle2],
+        [majorAngle2, minorAngle1],
+        [majorAngle2, minorAngle2],
+      ].forEach(([majA, minA]) => {
+        vertices.push(
+          (majorRadius + minorRadius * Math.cos(minA)) * Math.cos(majA),
+          minorRadius * Math.sin(minA),
+          (majorRadius + minorRadius * Math.cos(minA)) * Math.sin(majA)
+        );
+        // Inner vertices (create thickness)
+        vertices.push(
+          (majorRadius + innerMinR * Math.cos(minA)) * Math.cos(majA),
+          innerMinR * Math.sin(minA),
+          (majorRadius + innerMinR * Math.cos(minA)) * Math.sin(majA)
+        );
+      });
+      const indices = hexahedronIndices(vertices);
+
+      const centerMajorAngle = (majorAngle1 + majorAngle2) / 2;
+      const centerMinorAngle = (minorAngle1 + minorAngle2) / 2;
+      const center = vec(
+        (majorRadius + minorRadius * 0.8 * Math.cos(centerMinorAngle)) * Math.cos(centerMajorAngle),
+        minorRadius * 0.8 * Math.sin(centerMinorAngle),
+        (majorRadius + minorRadius * 0.8 * Math.cos(centerMinorAngle)) * Math.sin(centerMajorAngle)
+      );
+      // Torus tube shell sector: ∫∫ (R + ρ cos v) ρ dρ dv over the sector
+      const volume = (majorAngle2 - majorAngle1) * (
+        majorRadius * ((minorRadius ** 2 - innerMinR ** 2) / 2) * (minorAngle2 - minorAngle1)
+        + ((minorRadius ** 3 - innerMinR ** 3) / 3) * (Math.sin(minorAngle2) - Math.sin(minorAngle1))
+      );
+      chunks.push(meshChunk(vertices, indices, center, maj + min, { major: maj, minor: min }, volume));
+    }
+  }
+  return chunks;
+}
+
+function shapeInfo(shape) {
+  const info = shape === 'mesh' ? MESH_SHAPE : SHAPES[shape];
+  if (!info) {
+    throw new Error(`Unknown shape: ${shape}`);
+  }
+  return info;
+}
+
+function resolveDimensions(shape, dimensions = {}) {
+  return { ...shapeInfo(shape).dimensions, ...dimensions };
+}
+
+// Seeded Voronoi cells of the shape's solid; the cell is the Voronoi site.
+// Imported meshes are cut as voxel boxes, so their fragment volumes are scaled
+// to add up to the mesh's own volume.
+function createVoronoiChunks(shape, size, { mesh, fragmentCount, clustering, detonationPoint, random }) {
+  const parts = shapeParts(shape, size, { mesh, count: fragmentCount });
+  const fragments = voronoiFracture(parts, { count: fragmentCount, clustering, detonationPoint }, random);
+  const volumeScale = mesh ? meshVolume(mesh).volume / partsVolume(parts) : 1;
+  return fragments.map(({ site, vertices, indices, volume, centroid }) => (
+    meshChunk(vertices, indices, centroid, site, { site }, volume * volumeScale)
+  ));
+}
+
+// Square plate of volume `volume` whose mean extent (2 sides + thickness) / 3
+// is `length`; fragments too heavy for a plate become cubes
+function plateSize(length, volume) {
+  if (volume >= length ** 3) {
+    const side = Math.cbrt(volume);
+    return [side, side, side];
+  }
+  let low = length;
+  let high = 1.5 * length;
+  for (let i = 0; i < 50; i++) {
+    const side = (low + high) / 2;
+    if (side * side * (3 * length - 2 * side) > volume) low = side;
+    else high = side;
+  }
+  const side = (low + high) / 2;
+  return [side, Math.max(3 * length - 2 * side, 0), side];
+}
+
+function boxChunk(size, position, colorIndex, cell) {
+  const [a, b, c] = size;
+  return {
+    cell,
+    colorIndex,
+    position,
+    volume: a * b * c,
+    radius: Math.sqrt(a * a + b * b + c * c) / 2,
+    geometry: { type: 'box', size },
+  };
+}
+
+// Volume, mass and characteristic length (mean bounding-box extent) of the
+// parent, with its convex parts to place fragments in
+function breakupParent(shape, size, density, mesh) {
+  const parts = shapeParts(shape, size, { mesh });
+  const { bounds } = sampleSites(parts, 0, 0, vec(), Math.random);
+  const parentVolume = mesh ? meshVolume(mesh).volume : partsVolume(parts);
+  return {
+    parts,
+    parentVolume,
+    parentMass: parentVolume * density,
+    parentLength: [0, 1, 2].reduce((sum, k) => sum + bounds.max[k] - bounds.min[k], 0) / 3,
+  };
+}
+
+// Standard Breakup Model fragments as plates scattered through the parent,
+// coloured by size decade, plus a remnant at the centre holding whatever mass
+// the model leaves over. The cell keeps each fragment's Lc and A/M.
+function createBreakupChunks(shape, size, density, { mesh, breakup, random }) {
+  const { parts, parentVolume, parentMass, parentLength } = breakupParent(shape, size, density, mesh);
+  const { fragments, mass, minLength } = generateBreakup(breakup, parentMass, parentLength, random);
+  const { sites } = sampleSites(parts, fragments.length, 0, vec(), random);
+  const chunks = fragments.map((fragment, i) => {
+    const { characteristicLength, areaToMass } = fragment;
+    const [x, y, z] = sites[i] || [0, 0, 0];
+    return boxChunk(
+      plateSize(characteristicLength, fragment.mass / density),
+      vec(x, y, z),
+      Math.floor(3 * Math.log10(characteristicLength / minLength)),
+      { fragment: i, characteristicLength, areaToMass }
+    );
+  });
+
+  const remnantVolume = (parentMass - mass) / density;
+  if (remnantVolume > parentVolume * 1e-9) {
+    const side = Math.cbrt(remnantVolume);
+    chunks.push(boxChunk([side, side, side], vec(), 0, { remnant: true }));
+  }
+  return chunks;
+}
+
+function createLatticeChunks(shape, size, mesh) {
+  switch (shape) {
+    case 'mesh':
+      return voxelFracture(mesh, MESH_SHAPE.pieces);
+    case 'cube':
+      return createCubeChunks(size);
+    case 'sphere':
+      return createSphereChunks(size);
+    case 'cone':
+      return createConeChunks(size);
+    case 'cylinder':
+      return createCylinderChunks(size);
+    case 'ring':
+      return createRingChunks(size);
+  }
+}
+
+// Chunk descriptors that tile the shape: id, source cell, position, volume
+// (m³), mass (kg), bounding radius (m) and the geometry to draw. `fracture`
+// picks the fixed lattice, seeded Voronoi cells or Standard Breakup Model
+// fragments (which don't tile, but add up to the parent's mass); imported
+// meshes come in `mesh`.
+function createShapeChunks(shape, dimensions, density = DEFAULT_SCENARIO_OPTIONS.density, options = {}) {
+  const {
+    mesh = null,
+    fracture = DEFAULT_SCENARIO_OPTIONS.fracture,
+    fragmentCount = DEFAULT_SCENARIO_OPTIONS.fragmentCount,
+    clustering = DEFAULT_SCENARIO_OPTIONS.clustering,
+    detonationPoint = DEFAULT_SCENARIO_OPTIONS.detonationPoint,
+    breakup = DEFAULT_SCENARIO_OPTIONS.breakup,
+    random = Math.random,
+  } = options;
+  const size = resolveDimensions(shape, dimensions);
+  if (shape === 'mesh' && !mesh) {
+    throw new Error('Shape "mesh" needs an imported mesh');
+  }
+  const object = shape === 'mesh' ? centerMesh(mesh, size.scale) : null;
+
+  let chunks;
+  if (fracture === 'lattice') {
+    chunks = createLatticeChunks(shape, size, object);
+  } else if (fracture === 'voronoi') {
+    chunks = createVoronoiChunks(shape, size, { mesh: object, fragmentCount, clustering, detonationPoint, random });
+  } else if (fracture === 'sbm') {
+    chunks = createBreakupChunks(shape, size, density, { mesh: object, breakup, random });
+  } else {
+    throw new Error(`Unknown fracture: ${fracture}`);
+  }
+  return chunks.map((chunk, id) => ({ id, ...chunk, mass: chunk.volume * density }));
+}
+
+function mergeOptions(base, overrides = {}) {
+  const merged = { ...base, ...overrides };
+  const nested = ['dimensions', 'comVelocity', 'gravity', 'collisions', 'orbit', 'detonationPoint', 'charge', 'breakup', 'impact'];
+  nested.forEach((key) => {
+    merged[key] = { ...base[key], ...(overrides[key] || {}) };
+  });
+  return merged;
+}
+
+// Standard Breakup Model event for the scenario: an impact breaks the target
+// up as a collision with the projectile's mass and speed
+function breakupEvent({ breakup, impact }) {
+  return impact.enabled
+    ? { ...breakup, event: 'collision', projectileMass: impact.projectileMass, impactSpeed: impact.speed }
+    : breakup;
+}
+
+// The projectile as a lattice sphere of its density, its pieces' masses
+// scaled to add up to projectileMass. Positions start about the origin;
+// `projectileOffset` keeps each piece's place in the projectile.
+function createProjectileChunks({ projectileMass, projectileDensity }, firstId) {
+  const radius = projectileRadius(projectileMass, projectileDensity);
+  const pieces = createShapeChunks('sphere', { radius }, projectileDensity);
+  const scale = projectileMass / pieces.reduce((sum, piece) => sum + piece.mass, 0);
+  return {
+    radius,
+    chunks: pieces.map((piece) => ({
+      ...piece,
+      id: firstId + piece.id,
+      cell: { ...piece.cell, projectile: true },
+      mass: piece.mass * scale,
+      projectileOffset: copyVec(piece.position),
+    })),
+  };
+}
+
+function createScenario(options = {}) {
+  const resolved = mergeOptions(DEFAULT_SCENARIO_OPTIONS, options);
+  const descriptors = createShapeChunks(
+    resolved.shape,
+    resolved.dimensions,
+    resolved.density,
+    {
+      mesh: resolved.mesh,
+      fracture: resolved.fracture,
+      fragmentCount: resolved.fragmentCount,
+      clustering: resolved.clustering,
+      detonationPoint: resolved.detonationPoint,
+      breakup: breakupEvent(resolved),
+      random: createRandomSource(resolved.seed, resolved.useSeed),
+    }
+  );
+  let projectile = null;
+  if (resolved.impact.enabled) {
+    const { radius, chunks: pieces } = createProjectileChunks(resolved.impact, descriptors.length);
+    projectile = { mass: resolved.impact.projectileMass, radius };
+    descriptors.push(...pieces);
+  }
+  const chunks = descriptors.map((descriptor) => ({
+    ...descriptor,
+    baseMass: descriptor.mass,
+    baseRadius: descriptor.radius,
+    baseDragArea: projectedArea(descriptor.geometry),
+    dragArea: projectedArea(descriptor.geometry),
+    initialPosition: copyVec(descriptor.position),
+    previousPosition: copyVec(descriptor.position),
+    velocity: vec(),
+    explosionVelocity: vec(),
+    mergedInto: null,
+    ...restingRotation(inertiaTensor(descriptor.geometry, descriptor.mass)),
+  }));
+
+  const scenario = {
+    options: resolved,
+    chunks,
+    projectile,
+    impact: null,
+    activeChunks: [],
+    gas: null,
+    exploded: false,
+    time: 0,
+    orbitTime: 0,
+    lastStep: 0,
+    initialContacts: new Set(),
+    mergedCount: 0,
+    frameVelocity: vec(),
+    ventedGas: null,
+    chunkSpeedScale: null,
+  };
+  placeProjectile(scenario);
+  return scenario;
+}
+
+// Rotation state of an unexploded chunk. `inertia` is about the chunk origin in
+// its body frame (rigid-body.js); angularMomentum is world-frame, about the
+// chunk's own centre.
+function restingRotation(inertia) {
+  return {
+    baseInertia: inertia,
+    inertia,
+    inverseInertia: invertMatrix3(inertia),
+    orientation: { ...IDENTITY_QUATERNION },
+    previousOrientation: { ...IDENTITY_QUATERNION },
+    angularMomentum: vec(),
+  };
+}
+
+function impactDirection({ direction }) {
+  const length = Math.sqrt(direction.x ** 2 + direction.y ** 2 + direction.z ** 2);
+  return length > 1e-9 ? vec(direction.x / length, direction.y / length, direction.z / length) : vec(-1, 0, 0);
+}
+
+// Put the projectile on its launch point, back along its path from the aim
+// point (the detonation point) far enough to clear every target chunk's
+// bounding sphere by the standoff. Returns the launch point, or null without
+// a projectile.
+function placeProjectile(scenario) {
+  if (!scenario.projectile) return null;
+  const { detonationPoint: aim, impact } = scenario.options;
+  const reach = scenario.chunks.reduce((largest, { cell, initialPosition: p, radius }) => {
+    if (cell.projectile) return largest;
+    return Math.max(largest, Math.sqrt((p.x - aim.x) ** 2 + (p.y - aim.y) ** 2 + (p.z - aim.z) ** 2) + radius);
+  }, 0);
+  const distance = reach + scenario.projectile.radius + Math.max(0, impact.standoff);
+  const direction = impactDirection(impact);
+  const start = vec(aim.x - direction.x * distance, aim.y - direction.y * distance, aim.z - direction.z * distance);
+  scenario.chunks.forEach((chunk) => {
+    if (!chunk.cell.projectile) return;
+    const { x, y, z } = chunk.projectileOffset;
+    chunk.initialPosition = vec(start.x + x, start.y + y, start.z + z);
+    chunk.position = copyVec(chunk.initialPosition);
+    chunk.previousPosition = copyVec(chunk.initialPosition);
+  });
+  return start;
+}
+
+function updateScenarioOptions(scenario, options) {
+  const orbitChanged = options.orbit && ['enabled', 'altitudeKm', 'inclinationDeg']
+    .some((key) => key in options.orbit && options.orbit[key] !== scenario.options.orbit[key]);
+  scenario.options = mergeOptions(scenario.options, options);
+  if (orbitChanged) {
+    scenario.orbitTime = 0;
+  }
+  return scenario;
+}
+
+function resetScenario(scenario) {
+  scenario.chunks.forEach((chunk) => {
+    chunk.position = copyVec(chunk.initialPosition);
+    chunk.previousPosition = copyVec(chunk.initialPosition);
+    chunk.velocity = vec();
+    chunk.explosionVelocity = vec();
+    chunk.mass = chunk.baseMass;
+    chunk.radius = chunk.baseRadius;
+    chunk.dragArea = chunk.baseDragArea;
+    chunk.mergedInto = null;
+    Object.assign(chunk, restingRotation(chunk.baseInertia));
+  });
+  scenario.activeChunks = [];
+  scenario.gas = null;
+  scenario.exploded = false;
+  scenario.time = 0;
+  scenario.lastStep = 0;
+  scenario.initialContacts = new Set();
+  scenario.mergedCount = 0;
+  scenario.frameVelocity = vec();
+  scenario.ventedGas = null;
+  scenario.chunkSpeedScale = null;
+  scenario.impact = null;
+  return scenario;
+}
+
+function contactBodies(chunks) {
+  return chunks.map((chunk) => ({ position: chunk.position, radius: chunk.radius }));
+}
+
+// Remove a population's net momentum; returns the kinetic energy left.
+// Velocities are flat xyz, updated in place.
+function removePopulationMomentum(velocities, masses) {
+  let totalMass = 0;
+  const momentum = vec();
+  masses.forEach((mass, i) => {
+    totalMass += mass;
+    momentum.x += velocities[i * 3] * mass;
+    momentum.y += velocities[i * 3 + 1] * mass;
+    momentum.z += velocities[i * 3 + 2] * mass;
+  });
+  if (totalMass === 0) return 0;
+
+  let kinetic = 0;
+  masses.forEach((mass, i) => {
+    velocities[i * 3] -= momentum.x / totalMass;
+    velocities[i * 3 + 1] -= momentum.y / totalMass;
+    velocities[i * 3 + 2] -= momentum.z / totalMass;
+    kinetic += 0.5 * mass * (velocities[i * 3] ** 2 + velocities[i * 3 + 1] ** 2 + velocities[i * 3 + 2] ** 2);
+  });
+  return kinetic;
+}
+
+// Remove a population's net momentum and scale what is left so its kinetic
+// energy is exactly `energy`; returns the factor applied
+function setPopulationEnergy(velocities, masses, energy) {
+  const kinetic = removePopulationMomentum(velocities, masses);
+  const scale = kinetic > 0 ? Math.sqrt(Math.max(0, energy) / kinetic) : 0;
+  for (let i = 0; i < velocities.length; i++) {
+    velocities[i] *= scale;
+  }
+  return scale;
+}
+
+// Kinetic energy of the chunks' motion relative to `frame`
+function frameKineticEnergy(chunks, frame) {
+  return chunks.reduce((sum, { mass, velocity: v }) => {
+    const vx = v.x - frame.x;
+    const vy = v.y - frame.y;
+    const vz = v.z - frame.z;
+    return sum + 0.5 * mass * (vx * vx + vy * vy + vz * vz);
+  }, 0);
+}
+
+// Spin every chunk about a random axis. Rotational energies are random shares
+// of `energy` (J), weighted by each chunk's translational energy in `frame`.
+function drawSpins(chunks, energy, frame, random) {
+  const weights = chunks.map((chunk) => {
+    const vx = chunk.velocity.x - frame.x;
+    const vy = chunk.velocity.y - frame.y;
+    const vz = chunk.velocity.z - frame.z;
+    return 0.5 * chunk.mass * (vx * vx + vy * vy + vz * vz) * random();
+  });
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  chunks.forEach((chunk, i) => {
+    const axis = randomDirection(random);
+    if (!(totalWeight > 0)) return;
+    const spinEnergy = (energy * weights[i]) / totalWeight;
+    // E = ½ ω² (n·I n) about axis n, and L = I ω in the unrotated body frame
+    const I = chunk.inertia;
+    const moment = axis.x * (I[0] * axis.x + I[1] * axis.y + I[2] * axis.z)
+      + axis.y * (I[3] * axis.x + I[4] * axis.y + I[5] * axis.z)
+      + axis.z * (I[6] * axis.x + I[7] * axis.y + I[8] * axis.z);
+    const rate = Math.sqrt((2 * spinEnergy) / moment);
+    chunk.angularMomentum = vec(
+      rate * (I[0] * axis.x + I[1] * axis.y + I[2] * axis.z),
+      rate * (I[3] * axis.x + I[4] * axis.y + I[5] * axis.z),
+      rate * (I[6] * axis.x + I[7] * axis.y + I[8] * axis.z)
+    );
+  });
+}
+
+// Take the chunks' net spin out as one angular velocity shared by every chunk,
+// the spin counterpart of removePopulationMomentum, then scale the spins back
+// to `energy` (J). Chunks are still unrotated, so body and world frames agree.
+function removeNetSpin(chunks, energy) {
+  const net = vec();
+  const inertia = new Array(9).fill(0);
+  chunks.forEach((chunk) => {
+    net.x += chunk.angularMomentum.x;
+    net.y += chunk.angularMomentum.y;
+    net.z += chunk.angularMomentum.z;
+    chunk.inertia.forEach((value, k) => {
+      inertia[k] += value;
+    });
+  });
+  if (chunks.length < 2) return;
+
+  const rate = multiplyMatrixVector(invertMatrix3(inertia), net);
+  let remaining = 0;
+  chunks.forEach((chunk) => {
+    const share = multiplyMatrixVector(chunk.inertia, rate);
+    const l = chunk.angularMomentum;
+    chunk.angularMomentum = vec(l.x - share.x, l.y - share.y, l.z - share.z);
+    remaining += rotationalEnergy(chunk.orientation, chunk.inverseInertia, chunk.angularMomentum);
+  });
+  const scale = remaining > 0 ? Math.sqrt(Math.max(0, energy) / remaining) : 0;
+  chunks.forEach((chunk) => {
+    const l = chunk.angularMomentum;
+    chunk.angularMomentum = vec(l.x * scale, l.y * scale, l.z * scale);
+  });
+}
+
+// Take the net orbital angular momentum of chunks and gas about the origin out
+// of the chunk velocities as one rotation about the chunks' centre of mass,
+// which leaves their momentum alone and costs the least energy. Velocities are
+// relative to `frame`. Fewer than three chunks can't carry such a rotation.
+function removeOrbitalAngularMomentum(chunks, gas, frame) {
+  if (chunks.length < 3) return;
+  const relative = (velocity) => vec(velocity.x - frame.x, velocity.y - frame.y, velocity.z - frame.z);
+  const scaled = (v, m) => vec(v.x * m, v.y * m, v.z * m);
+  let mass = 0;
+  const center = vec();
+  const net = gas ? cross(gas.center, scaled(relative(gas.velocity), gas.mass)) : vec();
+  chunks.forEach(({ position: p, velocity, mass: m }) => {
+    mass += m;
+    center.x += p.x * m;
+    center.y += p.y * m;
+    center.z += p.z * m;
+    const l = cross(p, scaled(relative(velocity), m));
+    net.x += l.x;
+    net.y += l.y;
+    net.z += l.z;
+  });
+  center.x /= mass;
+  center.y /= mass;
+  center.z /= mass;
+
+  const inertia = new Array(9).fill(0);
+  chunks.forEach(({ position: p, mass: m }) => {
+    pointInertia(m, vec(p.x - center.x, p.y - center.y, p.z - center.z)).forEach((value, k) => {
+      inertia[k] += value;
+    });
+  });
+  const rate = multiplyMatrixVector(invertMatrix3(inertia), net);
+  chunks.forEach((chunk) => {
+    const { position: p, velocity: v } = chunk;
+    const swirl = cross(rate, vec(p.x - center.x, p.y - center.y, p.z - center.z));
+    chunk.velocity = vec(v.x - swirl.x, v.y - swirl.y, v.z - swirl.z);
+  });
+}
+
+// Blast direction of a surface charge: from the charge into the object. A
+// charge at the centre fires upwards.
+function chargeAxis(point) {
+  const length = Math.sqrt(point.x * point.x + point.y * point.y + point.z * point.z);
+  return length > 1e-9 ? vec(-point.x / length, -point.y / length, -point.z / length) : vec(0, 1, 0);
+}
+
+// Unit direction and relative speed for every chunk under a directional charge.
+// Directions run from the charge to the chunk (folded into the blast side for
+// a hemisphere); speeds fall off with distance from the charge, a cone jet
+// throws the chunks inside its half-angle hardest, and the speeds average one.
+function chargeProfile(chunks, point, { mode, coneAngleDeg }) {
+  if (!CHARGE_MODES[mode]) {
+    throw new Error(`Unknown charge mode: ${mode}`);
+  }
+  const axis = chargeAxis(point);
+  const reach = Math.max(...chunks.map(({ initialPosition: p }) => Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z)), 1e-9);
+  const coneCos = Math.cos((coneAngleDeg * Math.PI) / 180);
+
+  const profile = chunks.map(({ initialPosition: p }) => {
+    let direction = vec(p.x - point.x, p.y - point.y, p.z - point.z);
+    const distance = Math.sqrt(direction.x ** 2 + direction.y ** 2 + direction.z ** 2);
+    direction = distance > 1e-9
+      ? vec(direction.x / distance, direction.y / distance, direction.z / distance)
+      : copyVec(axis);
+    const along = direction.x * axis.x + direction.y * axis.y + direction.z * axis.z;
+    let scale = reach / (distance + reach / 4);
+    if (mode === 'hemisphere' && along < 0) {
+      direction = vec(direction.x - 2 * along * axis.x, direction.y - 2 * along * axis.y, direction.z - 2 * along * axis.z);
+    }
+    if (mode === 'cone' && along < coneCos) {
+      scale *= CONE_SIDE_SPEED;
+    }
+    return { direction, scale };
+  });
+
+  const meanScale = profile.reduce((sum, { scale }) => sum + scale, 0) / profile.length;
+  profile.forEach((entry) => {
+    entry.scale /= meanScale;
+  });
+  return profile;
+}
+
+// The detonation products (gas-dynamics.js): a sphere about the charge that
+// just encloses the object, at rest, holding gasEnergyFraction of a yield as
+// internal energy. Without a yield it is as hot as legacy gas drawn at twice
+// the explosion temperature. Tracer particles start on random chunks. Returns
+// null when the gas has no mass.
+function createExplosionGas(scenario, chunkMass, hasYield, random) {
+  const { options, chunks } = scenario;
+  let mass;
+  if (options.gasMassFraction !== null && options.gasMassFraction !== undefined) {
+    mass = Math.max(0, options.gasMassFraction) * chunkMass;
+  } else {
+    mass = hasYield ? options.explosionEnergy / TNT_JOULES_PER_KG : DEFAULT_GAS_MASS_FRACTION * chunkMass;
+  }
+  if (!(mass > 0)) return null;
+
+  const center = copyVec(options.detonationPoint);
+  const radius = chunks.reduce((largest, { initialPosition: p, radius: r }) => (
+    Math.max(largest, Math.sqrt((p.x - center.x) ** 2 + (p.y - center.y) ** 2 + (p.z - center.z) ** 2) + r)
+  ), 0);
+  const legacySpeed = 2 * options.explosionSpeed * PHYS_SCALE;
+  const energy = hasYield
+    ? options.explosionEnergy * Math.max(0, Math.min(1, options.gasEnergyFraction))
+    : 1.5 * mass * legacySpeed * legacySpeed; // ½ M <v²> of a Maxwell-Boltzmann draw
+
+  const count = options.gasCount;
+  const offsets = new Float64Array(count * 3);
+  const colorRolls = new Float64Array(count * 2);
+  for (let i = 0; i < count; i++) {
+    const source = chunks[Math.floor(random() * chunks.length)].initialPosition;
+    const jitterScale = 0.5;
+    offsets[i * 3] = source.x + (random() - 0.5) * jitterScale - center.x;
+    offsets[i * 3 + 1] = source.y + (random() - 0.5) * jitterScale - center.y;
+    offsets[i * 3 + 2] = source.z + (random() - 0.5) * jitterScale - center.z;
+
+    // Colour rolls (temperature band and brightness) for the renderer
+    colorRolls[i * 2] = random();
+    colorRolls[i * 2 + 1] = random();
+  }
+
+  return {
+    ...createGasCloud({
+      mass,
+      energy,
+      center,
+      velocity: vec(),
+      radius,
+      gamma: options.gasGamma,
+      dragCoefficient: options.gasDragCoefficient,
+    }),
+    // Legacy gas comes out at exactly twice the explosion temperature
+    speedScale: maxwellBoltzmannScale(energy, mass),
+    count,
+    offsets,
+    positions: tracerPositions(offsets, center, 1, new Float64Array(count * 3)),
+    colorRolls,
+    age: 0,
+    previousCenter: copyVec(center),
+    previousExpansion: 1,
+  };
+}
+
+// Break the object apart with Maxwell-Boltzmann chunk velocities, shaped by
+// options.charge (chargeProfile), and release the gas, which keeps pushing
+// the chunks as it expands. Standard Breakup Model fragments instead take
+// isotropic delta-Vs from the model, and an explosionEnergy only sets the
+// gas; the remnant only takes up the recoil. With an explosionEnergy, the
+// chunks are made momentum-free and scaled to what the gas leaves of the
+// yield (spin gets spinEnergyFraction of that). Otherwise a global momentum
+// correction over chunks and gas brings the legacy temperature-scaled
+// velocities to zero total momentum and spin adds spinEnergyFraction on top.
+// Either way the lab frame then adds the CoM velocity, and the net orbital and
+// spin angular momentum the draws leave is removed. A scenario with a
+// projectile launches it instead (launchProjectile).
+function explodeScenario(scenario) {
+  if (scenario.exploded) return null;
+  resetScenario(scenario);
+  if (scenario.projectile) return launchProjectile(scenario);
+
+  const { options } = scenario;
+  const random = createRandomSource(options.seed, options.useSeed);
+  const chunks = scenario.chunks;
+
+  // Temperature parameter for Maxwell-Boltzmann
+  const temperature = options.explosionSpeed;
+
+  const breakup = options.fracture === 'sbm';
+  const profile = breakup || options.charge.mode === 'isotropic'
+    ? null
+    : chargeProfile(chunks, options.detonationPoint, options.charge);
+  const chunkVelocities = chunks.map((chunk, i) => {
+    if (breakup) {
+      if (chunk.cell.remnant) return vec();
+      const speed = sampleDeltaV(chunk.cell.areaToMass, options.breakup.event, random);
+      const dir = randomDirection(random);
+      return vec(dir.x * speed, dir.y * speed, dir.z * speed);
+    }
+    const speed = maxwellBoltzmannSpeed(temperature, random) * PHYS_SCALE;
+    const dir = randomDirection(random);
+    if (!profile) {
+      return vec(dir.x * speed, dir.y * speed, dir.z * speed);
+    }
+    const { direction, scale } = profile[i];
+    const jittered = vec(
+      direction.x + dir.x * CHARGE_JITTER,
+      direction.y + dir.y * CHARGE_JITTER,
+      direction.z + dir.z * CHARGE_JITTER
+    );
+    const length = Math.sqrt(jittered.x ** 2 + jittered.y ** 2 + jittered.z ** 2);
+    const jetSpeed = (speed * scale) / length;
+    return vec(jittered.x * jetSpeed, jittered.y * jetSpeed, jittered.z * jetSpeed);
+  });
+
+  const chunkMass = chunks.reduce((sum, chunk) => sum + chunk.mass, 0);
+  const hasYield = options.explosionEnergy !== null && options.explosionEnergy !== undefined;
+  const gas = options.enableGas ? createExplosionGas(scenario, chunkMass, hasYield, random) : null;
+  const totalSystemMass = chunkMass + (gas ? gas.mass : 0);
+
+  // Momentum of the raw draw, before any correction; the gas starts at rest
+  const totalMomentum = vec();
+  chunks.forEach((chunk, i) => {
+    totalMomentum.x += chunkVelocities[i].x * chunk.mass;
+    totalMomentum.y += chunkVelocities[i].y * chunk.mass;
+    totalMomentum.z += chunkVelocities[i].z * chunk.mass;
+  });
+
+  const frameVelocity = options.frameIsCoM ? vec() : copyVec(options.comVelocity);
+  const spinShare = Math.max(0, Math.min(MAX_SPIN_FRACTION, options.spinEnergyFraction));
+  let momentumCorrection;
+  let spinEnergy = null;
+
+  if (hasYield) {
+    const chunkEnergy = options.explosionEnergy - (gas ? gas.internalEnergy : 0);
+    const flatChunkVelocities = new Float64Array(chunks.length * 3);
+    chunkVelocities.forEach((v, i) => flatChunkVelocities.set([v.x, v.y, v.z], i * 3));
+    if (breakup) {
+      removePopulationMomentum(flatChunkVelocities, chunks.map((chunk) => chunk.mass));
+    } else {
+      setPopulationEnergy(flatChunkVelocities, chunks.map((chunk) => chunk.mass), chunkEnergy * (1 - spinShare));
+      spinEnergy = chunkEnergy * spinShare;
+    }
+    chunkVelocities.forEach((v, i) => {
+      v.x = flatChunkVelocities[i * 3];
+      v.y = flatChunkVelocities[i * 3 + 1];
+      v.z = flatChunkVelocities[i * 3 + 2];
+    });
+    momentumCorrection = frameVelocity;
+  } else {
+    // GLOBAL MOMENTUM CORRECTION over chunks + gas: the total momentum hits its
+    // target, zero in the CoM frame and total mass × CoM velocity in the lab frame
+    momentumCorrection = vec(
+      frameVelocity.x - totalMomentum.x / totalSystemMass,
+      frameVelocity.y - totalMomentum.y / totalSystemMass,
+      frameVelocity.z - totalMomentum.z / totalSystemMass
+    );
+  }
+
+  chunks.forEach((chunk, i) => {
+    chunk.velocity = vec(
+      chunkVelocities[i].x + momentumCorrection.x,
+      chunkVelocities[i].y + momentumCorrection.y,
+      chunkVelocities[i].z + momentumCorrection.z
+    );
+  });
+  if (gas) {
+    gas.velocity = copyVec(momentumCorrection);
+  }
+
+  // Random directions and spin axes leave a net angular momentum, taken out
+  // the way the momentum correction takes out net momentum. A yield's chunks
+  // are momentum-free in the frame, so scaling them back to their energy keeps
+  // both at zero.
+  const drawnKinetic = frameKineticEnergy(chunks, frameVelocity);
+  removeOrbitalAngularMomentum(chunks, gas, frameVelocity);
+  if (hasYield && !breakup) {
+    const kinetic = frameKineticEnergy(chunks, frameVelocity);
+    const restore = kinetic > 0 ? Math.sqrt(drawnKinetic / kinetic) : 0;
+    chunks.forEach((chunk) => {
+      const { velocity: v } = chunk;
+      chunk.velocity = vec(
+        frameVelocity.x + (v.x - frameVelocity.x) * restore,
+        frameVelocity.y + (v.y - frameVelocity.y) * restore,
+        frameVelocity.z + (v.z - frameVelocity.z) * restore
+      );
+    });
+  }
+  chunks.forEach((chunk) => {
+    chunk.explosionVelocity = copyVec(chunk.velocity);
+  });
+  // The temperature the chunks are released at: a breakup's from the
+  // delta-Vs it drew, a yield's the one at which their translation holds all
+  // of it bar the spin (the gas share brings them up towards it) and
+  // otherwise the draw's own
+  if (breakup) {
+    scenario.chunkSpeedScale = maxwellBoltzmannScale(frameKineticEnergy(chunks, frameVelocity), chunkMass);
+  } else if (hasYield) {
+    scenario.chunkSpeedScale = maxwellBoltzmannScale(options.explosionEnergy - spinEnergy, chunkMass);
+  } else {
+    scenario.chunkSpeedScale = temperature * PHYS_SCALE;
+  }
+
+  if (spinEnergy === null) {
+    spinEnergy = (frameKineticEnergy(chunks, frameVelocity) * spinShare) / (1 - spinShare);
+  }
+  drawSpins(chunks, spinEnergy, frameVelocity, random);
+  removeNetSpin(chunks, spinEnergy);
+
+  scenario.gas = gas;
+  scenario.frameVelocity = frameVelocity;
+  scenario.activeChunks = chunks.slice();
+  scenario.exploded = true;
+  scenario.initialContacts = new Set(
+    findContacts(contactBodies(chunks)).map(({ a, b }) => pairKey(chunks[a].id, chunks[b].id))
+  );
+
+  return { totalMomentum, momentumCorrection, totalSystemMass };
+}
+
+// Send the projectile at the intact target from its launch point. The pair's
+// centre of mass moves at the frame velocity: at rest in the CoM frame, and
+// in the lab frame the target moves at the CoM velocity and the projectile
+// brings its momentum on top. No charge or gas takes part.
+function launchProjectile(scenario) {
+  const { options, chunks, projectile } = scenario;
+  placeProjectile(scenario);
+  const direction = impactDirection(options.impact);
+  const { speed } = options.impact;
+  const closing = vec(direction.x * speed, direction.y * speed, direction.z * speed);
+  const totalSystemMass = chunks.reduce((sum, chunk) => sum + chunk.mass, 0);
+  const share = projectile.mass / totalSystemMass;
+  const targetVelocity = options.frameIsCoM
+    ? vec(-closing.x * share, -closing.y * share, -closing.z * share)
+    : copyVec(options.comVelocity);
+  const projectileVelocity = vec(targetVelocity.x + closing.x, targetVelocity.y + closing.y, targetVelocity.z + closing.z);
+
+  chunks.forEach((chunk) => {
+    chunk.velocity = copyVec(chunk.cell.projectile ? projectileVelocity : targetVelocity);
+    chunk.explosionVelocity = copyVec(chunk.velocity);
+  });
+  scenario.impact = {
+    time: Infinity,
+    chunkId: null,
+    // ½ μ v² with μ the reduced mass
+    collisionEnergy: 0.5 * projectile.mass * (1 - share) * speed * speed,
+    struck: false,
+    point: null,
+    couplingLength: null,
+    coupledMass: null,
+    energy: null,
+  };
+
+  const frameVelocity = vec(
+    targetVelocity.x + closing.x * share,
+    targetVelocity.y + closing.y * share,
+    targetVelocity.z + closing.z * share
+  );
+  scenario.frameVelocity = frameVelocity;
+  // The temperature at which the fragments hold what they keep of the collision
+  scenario.chunkSpeedScale = maxwellBoltzmannScale(
+    options.impact.energyFraction * scenario.impact.collisionEnergy,
+    totalSystemMass
+  );
+  scenario.activeChunks = chunks.slice();
+  scenario.exploded = true;
+  scenario.initialContacts = new Set(
+    findContacts(contactBodies(chunks)).map(({ a, b }) => pairKey(chunks[a].id, chunks[b].id))
+  );
+  predictImpact(scenario);
+  const totalMomentum = vec(
+    frameVelocity.x * totalSystemMass,
+    frameVelocity.y * totalSystemMass,
+    frameVelocity.z * totalSystemMass
+  );
+  return { totalMomentum, momentumCorrection: vec(), totalSystemMass };
+}
+
+// When and where the projectile will strike, from where it and the target are
+// now and how they move (impact.js firstContact): impact.time is Infinity on
+// a miss. The sweep runs in straight lines, so stepScenario repeats it every
+// step while gravity or tides bend the paths.
+function predictImpact(scenario) {
+  const { impact, projectile } = scenario;
+  const position = vec();
+  const velocity = vec();
+  const target = [];
+  scenario.activeChunks.forEach((chunk) => {
+    if (!chunk.cell.projectile) {
+      target.push(chunk);
+      return;
+    }
+    const share = chunk.mass / projectile.mass;
+    position.x += chunk.position.x * share;
+    position.y += chunk.position.y * share;
+    position.z += chunk.position.z * share;
+    velocity.x += chunk.velocity.x * share;
+    velocity.y += chunk.velocity.y * share;
+    velocity.z += chunk.velocity.z * share;
+  });
+  const contact = firstContact(
+    { position, velocity, radius: projectile.radius },
+    target.map(({ position: p, velocity: v, radius }) => ({ position: p, velocity: v, radius }))
+  );
+  impact.time = contact ? scenario.time + contact.time : Infinity;
+  impact.chunkId = contact ? target[contact.index].id : null;
+}
+
+// Both bodies break up where they touch (impact.js shareImpactMomentum). The
+// scatter is Maxwell-Boltzmann, or for breakup fragments the model's
+// collision delta-V, with the projectile pieces' A/M from their drag area.
+// Breakup delta-Vs are kept as drawn; otherwise the fragments keep
+// energyFraction of the collision energy. Nothing spins up.
+function strikeTarget(scenario) {
+  const { options, impact, projectile } = scenario;
+  const random = createRandomSource(options.seed, options.useSeed);
+  const chunks = scenario.activeChunks;
+  const breakup = options.fracture === 'sbm';
+
+  const center = vec();
+  chunks.forEach((chunk) => {
+    if (!chunk.cell.projectile) return;
+    center.x += (chunk.position.x * chunk.mass) / projectile.mass;
+    center.y += (chunk.position.y * chunk.mass) / projectile.mass;
+    center.z += (chunk.position.z * chunk.mass) / projectile.mass;
+  });
+  const direction = impactDirection(options.impact);
+  const point = vec(
+    center.x + direction.x * projectile.radius,
+    center.y + direction.y * projectile.radius,
+    center.z + direction.z * projectile.radius
+  );
+
+  const scatter = chunks.map((chunk) => {
+    let speed;
+    if (breakup) {
+      if (chunk.cell.remnant) return vec();
+      const areaToMass = chunk.cell.projectile ? chunk.baseDragArea / chunk.baseMass : chunk.cell.areaToMass;
+      speed = sampleDeltaV(areaToMass, 'collision', random);
+    } else {
+      speed = maxwellBoltzmannSpeed(options.explosionSpeed, random) * PHYS_SCALE;
+    }
+    const dir = randomDirection(random);
+    return vec(dir.x * speed, dir.y * speed, dir.z * speed);
+  });
+  const { couplingLength: length } = options.impact;
+  const couplingLength = length !== null && length !== undefined
+    ? length
+    : 2 * projectile.radius + scenario.chunks[impact.chunkId].radius;
+  const result = shareImpactMomentum(
+    chunks.map((chunk) => ({
+      mass: chunk.mass,
+      position: chunk.position,
+      velocity: chunk.velocity,
+      projectile: Boolean(chunk.cell.projectile),
+    })),
+    { point, couplingLength, scatter, energyFraction: breakup ? null : options.impact.energyFraction }
+  );
+
+  chunks.forEach((chunk, i) => {
+    chunk.velocity = result.velocities[i];
+    chunk.explosionVelocity = copyVec(chunk.velocity);
+  });
+  Object.assign(impact, {
+    struck: true,
+    point,
+    couplingLength,
+    coupledMass: result.coupledMass,
+    energy: result.energy,
+  });
+}
+
+function referenceOrbitPosition(scenario, time = scenario.orbitTime) {
+  const { altitudeKm, inclinationDeg } = scenario.options.orbit;
+  const { position } = circularOrbitState(altitudeKm * 1000, inclinationDeg, time);
+  return eciToScene(position);
+}
+
+// Mutual gravity (Barnes-Hut) plus, in orbital mode, the central body's pull
+// expressed in the non-rotating frame that rides the reference orbit (tidal
+// acceleration relative to its origin). Internal forces sum to zero, so the
+// total momentum fixed by explodeScenario() is left untouched.
+function createAccelerationFunction(scenario) {
+  const { gravity, orbit } = scenario.options;
+  const chunks = scenario.activeChunks;
+  const masses = new Float64Array(chunks.length);
+  chunks.forEach((chunk, i) => {
+    masses[i] = chunk.mass;
+  });
+  const gravityOptions = {
+    gravitationalConstant: gravity.gravitationalConstant,
+    softening: gravity.softening,
+  };
+  const gravityAccelerations = new Float64Array(chunks.length * 3);
+
+  return (positions, velocities, time, out) => {
+    out.fill(0);
+    if (gravity.enabled) {
+      computeGravityAccelerations(positions, masses, gravityOptions, gravityAccelerations);
+      out.set(gravityAccelerations);
+    }
+    if (orbit.enabled) {
+      const reference = referenceOrbitPosition(scenario, time);
+      const offset = vec();
+      for (let i = 0; i < positions.length; i += 3) {
+        offset.x = positions[i];
+        offset.y = positions[i + 1];
+        offset.z = positions[i + 2];
+        const acc = tidalAcceleration(offset, reference);
+        out[i] += acc.x;
+        out[i + 1] += acc.y;
+        out[i + 2] += acc.z;
+      }
+    }
+    return out;
+  };
+}
+
+function driftChunks(chunks, dt) {
+  chunks.forEach((chunk) => {
+    chunk.position.x += chunk.velocity.x * dt;
+    chunk.position.y += chunk.velocity.y * dt;
+    chunk.position.z += chunk.velocity.z * dt;
+  });
+}
+
+// One integrator step for every active chunk. Without forces all schemes reduce
+// to a straight drift, so that case skips the state packing.
+function integrateChunks(scenario, dt, time) {
+  const chunks = scenario.activeChunks;
+  const { gravity, orbit } = scenario.options;
+  if (!gravity.enabled && !orbit.enabled) {
+    driftChunks(chunks, dt);
+    return;
+  }
+
+  const state = {
+    positions: new Float64Array(chunks.length * 3),
+    velocities: new Float64Array(chunks.length * 3),
+    time,
+  };
+  chunks.forEach((chunk, i) => {
+    state.positions.set([chunk.position.x, chunk.position.y, chunk.position.z], i * 3);
+    state.velocities.set([chunk.velocity.x, chunk.velocity.y, chunk.velocity.z], i * 3);
+  });
+
+  integrateStep(scenario.options.integrator, state, dt, createAccelerationFunction(scenario));
+
+  chunks.forEach((chunk, i) => {
+    chunk.position = vec(state.positions[i * 3], state.positions[i * 3 + 1], state.positions[i * 3 + 2]);
+    chunk.velocity = vec(state.velocities[i * 3], state.velocities[i * 3 + 1], state.velocities[i * 3 + 2]);
+  });
+}
+
+// Free rotation: no force acts off a chunk's centre, so each keeps its angular
+// momentum and only turns
+function rotateChunks(scenario, dt) {
+  scenario.activeChunks.forEach((chunk) => {
+    const { x, y, z } = chunk.angularMomentum;
+    if (x === 0 && y === 0 && z === 0) return;
+    chunk.orientation = integrateOrientation(chunk.orientation, chunk.inverseInertia, chunk.angularMomentum, dt);
+  });
+}
+
+function cross(a, b) {
+  return vec(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+}
+
+// Perfectly inelastic merge. The offsets (from the new common centre of mass)
+// let a renderer glue the absorbed piece onto the survivor. The merged body
+// keeps the survivor's orientation; the pair's relative motion becomes spin.
+function mergeChunks(scenario, survivor, absorbed) {
+  const combined = mergeBodies(survivor, absorbed);
+  const survivorOffset = vec(
+    survivor.position.x - combined.position.x,
+    survivor.position.y - combined.position.y,
+    survivor.position.z - combined.position.z
+  );
+  const absorbedOffset = vec(
+    absorbed.position.x - combined.position.x,
+    absorbed.position.y - combined.position.y,
+    absorbed.position.z - combined.position.z
+  );
+  const length = (v) => Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+
+  const worldInertia = [survivor, absorbed].reduce((sum, chunk, i) => {
+    const offset = i === 0 ? survivorOffset : absorbedOffset;
+    const own = rotateTensor(chunk.orientation, chunk.inertia);
+    const shift = pointInertia(chunk.mass, offset);
+    return sum.map((value, k) => value + own[k] + shift[k]);
+  }, new Array(9).fill(0));
+  const angularMomentum = [[survivor, survivorOffset], [absorbed, absorbedOffset]].reduce((sum, [chunk, offset]) => {
+    const orbital = cross(offset, vec(
+      (chunk.velocity.x - combined.velocity.x) * chunk.mass,
+      (chunk.velocity.y - combined.velocity.y) * chunk.mass,
+      (chunk.velocity.z - combined.velocity.z) * chunk.mass
+    ));
+    return vec(
+      sum.x + chunk.angularMomentum.x + orbital.x,
+      sum.y + chunk.angularMomentum.y + orbital.y,
+      sum.z + chunk.angularMomentum.z + orbital.z
+    );
+  }, vec());
+  survivor.inertia = rotateTensor(conjugateQuaternion(survivor.orientation), worldInertia);
+  survivor.inverseInertia = invertMatrix3(survivor.inertia);
+  survivor.angularMomentum = angularMomentum;
+  survivor.previousOrientation = { ...survivor.orientation };
+
+  survivor.radius = Math.max(
+    survivor.radius + length(survivorOffset),
+    absorbed.radius + length(absorbedOffset)
+  );
+  // Keeps the area-to-mass scaling of similar shapes
+  survivor.dragArea = (survivor.dragArea ** 1.5 + absorbed.dragArea ** 1.5) ** (2 / 3);
+  survivor.mass = combined.mass;
+  survivor.position = combined.position;
+  // The merged body starts fresh; interpolating from the old origin would jump
+  survivor.previousPosition = copyVec(combined.position);
+  survivor.velocity = combined.velocity;
+  absorbed.mergedInto = survivor.id;
+
+  return { survivorId: survivor.id, absorbedId: absorbed.id, survivorOffset, absorbedOffset };
+}
+
+// The active chunk a piece has ended up in after any merges
+function mergeRoot(scenario, chunk) {
+  let root = chunk;
+  while (root.mergedInto !== null) {
+    root = scenario.chunks[root.mergedInto];
+  }
+  return root;
+}
+
+// Fragment-fragment contacts: bounding-sphere broad/narrow phase, restitution
+// impulses, and optional sticking on slow impacts. All momentum-conserving.
+function applyFragmentCollisions(scenario) {
+  const { restitution, mergeSpeed } = scenario.options.collisions;
+  const chunks = scenario.activeChunks;
+  const touching = new Set();
+  const merges = [];
+
+  findContacts(contactBodies(chunks)).forEach((contact) => {
+    const chunkA = chunks[contact.a];
+    const chunkB = chunks[contact.b];
+    const key = pairKey(chunkA.id, chunkB.id);
+    touching.add(key);
+    if (scenario.initialContacts.has(key) || chunkA.mergedInto !== null || chunkB.mergedInto !== null) return;
+
+    const result = resolveContact(chunkA, chunkB, contact, { restitution, mergeSpeed });
+    if (result === 'merge') {
+      const [survivor, absorbed] = chunkA.mass >= chunkB.mass ? [chunkA, chunkB] : [chunkB, chunkA];
+      merges.push(mergeChunks(scenario, survivor, absorbed));
+    }
+  });
+
+  // Pre-fractured neighbours start out touching; only collide once they have separated
+  scenario.initialContacts.forEach((key) => {
+    if (!touching.has(key)) scenario.initialContacts.delete(key);
+  });
+
+  if (merges.length > 0) {
+    scenario.activeChunks = chunks.filter((chunk) => chunk.mergedInto === null);
+    scenario.mergedCount += merges.length;
+  }
+  return merges;
+}
+
+function stepGas(scenario, dt) {
+  const { gas, ventedGas } = scenario;
+  if (ventedGas) {
+    ventedGas.center = vec(
+      ventedGas.center.x + ventedGas.velocity.x * dt,
+      ventedGas.center.y + ventedGas.velocity.y * dt,
+      ventedGas.center.z + ventedGas.velocity.z * dt
+    );
+  }
+  if (!gas) return;
+
+  gas.age += dt;
+  gas.previousCenter = copyVec(gas.center);
+  gas.previousExpansion = gasExpansion(gas);
+  stepGasCloud(gas, scenario.activeChunks, dt);
+  tracerPositions(gas.offsets, gas.center, gasExpansion(gas), gas.positions);
+
+  // Gas stops interacting once it has dispersed, but coasts on the books so
+  // its mass, momentum, energy and angular momentum are still counted
+  if (gasExpansion(gas) >= GAS_END_EXPANSION) {
+    scenario.ventedGas = gas;
+    scenario.gas = null;
+  }
+}
+
+// The gas cloud, live or dispersed, or null
+function bookedGas(scenario) {
+  return scenario.gas || scenario.ventedGas;
+}
+
+// Advance the scenario by one step of dt seconds of simulated time with the
+// configured integrator. Orbital mode substeps so large warped steps stay well
+// inside the orbital period. Returns the merges that happened.
+function stepScenario(scenario, dt) {
+  const merges = [];
+  if (!(dt > 0)) {
+    return { merges };
+  }
+
+  const { collisions, orbit } = scenario.options;
+  if (scenario.exploded) {
+    scenario.activeChunks.forEach((chunk) => {
+      chunk.previousPosition = copyVec(chunk.position);
+      chunk.previousOrientation = chunk.orientation;
+    });
+
+    // A projectile striking within this step, going by where the bodies are
+    // now, breaks them up at the contact time. Drifting there and back along
+    // the new velocities lets the whole step land every chunk where a
+    // mid-step breakup would (exactly so in free flight).
+    const { impact } = scenario;
+    if (impact && !impact.struck) predictImpact(scenario);
+    if (impact && !impact.struck && scenario.time + dt >= impact.time) {
+      const lead = impact.time - scenario.time;
+      driftChunks(scenario.activeChunks, lead);
+      strikeTarget(scenario);
+      driftChunks(scenario.activeChunks, -lead);
+    }
+
+    const substeps = orbit.enabled ? Math.max(1, Math.ceil(dt / MAX_ORBIT_SUBSTEP)) : 1;
+    const stepDelta = dt / substeps;
+
+    for (let step = 0; step < substeps; step++) {
+      integrateChunks(scenario, stepDelta, scenario.orbitTime + step * stepDelta);
+      rotateChunks(scenario, stepDelta);
+
+      if (collisions.enabled) {
+        merges.push(...applyFragmentCollisions(scenario));
+      }
+    }
+
+    stepGas(scenario, dt);
+    scenario.time += dt;
+    scenario.lastStep = dt;
+  }
+
+  if (orbit.enabled) {
+    scenario.orbitTime += dt;
+  }
+  return { merges };
+}
+
+// Render positions between the last two steps; alpha is the leftover fraction
+// of a step reported by the fixed stepper.
+function interpolateChunkPosition(chunk, alpha) {
+  return vec(
+    lerp(chunk.previousPosition.x, chunk.position.x, alpha),
+    lerp(chunk.previousPosition.y, chunk.position.y, alpha),
+    lerp(chunk.previousPosition.z, chunk.position.z, alpha)
+  );
+}
+
+function interpolateChunkOrientation(chunk, alpha) {
+  return slerpQuaternions(chunk.previousOrientation, chunk.orientation, alpha);
+}
+
+// Tracers are placed by the cloud's centre and expansion, so those two are
+// interpolated and the tracers rebuilt from their offsets
+function interpolateGasPositions(scenario, alpha, out) {
+  const { gas } = scenario;
+  if (!gas) return out;
+  const center = vec(
+    lerp(gas.previousCenter.x, gas.center.x, alpha),
+    lerp(gas.previousCenter.y, gas.center.y, alpha),
+    lerp(gas.previousCenter.z, gas.center.z, alpha)
+  );
+  return tracerPositions(gas.offsets, center, lerp(gas.previousExpansion, gasExpansion(gas), alpha), out);
+}
+
+function computeTotalMass(scenario) {
+  const gas = bookedGas(scenario);
+  return scenario.activeChunks.reduce((sum, chunk) => sum + chunk.mass, 0) + (gas ? gas.mass : 0);
+}
+
+// Centre of mass of the chunks and the gas
+function computeCenterOfMass(scenario) {
+  const com = vec();
+  let totalMass = 0;
+  const add = (position, mass) => {
+    totalMass += mass;
+    com.x += position.x * mass;
+    com.y += position.y * mass;
+    com.z += position.z * mass;
+  };
+  scenario.activeChunks.forEach((chunk) => add(chunk.position, chunk.mass));
+  const gas = bookedGas(scenario);
+  if (gas) add(gas.center, gas.mass);
+  if (totalMass > 0) {
+    com.x /= totalMass;
+    com.y /= totalMass;
+    com.z /= totalMass;
+  }
+  return com;
+}
+
+function computeTotalMomentum(scenario) {
+  const momentum = vec();
+  scenario.activeChunks.forEach((chunk) => {
+    momentum.x += chunk.velocity.x * chunk.mass;
+    momentum.y += chunk.velocity.y * chunk.mass;
+    momentum.z += chunk.velocity.z * chunk.mass;
+  });
+  const gas = bookedGas(scenario);
+  if (gas) {
+    momentum.x += gas.velocity.x * gas.mass;
+    momentum.y += gas.velocity.y * gas.mass;
+    momentum.z += gas.velocity.z * gas.mass;
+  }
+  return momentum;
+}
+
+function centerOfMassVelocity(scenario) {
+  const momentum = computeTotalMomentum(scenario);
+  const totalMass = computeTotalMass(scenario);
+  return totalMass > 0
+    ? vec(momentum.x / totalMass, momentum.y / totalMass, momentum.z / totalMass)
+    : vec();
+}
+
+// Angular momentum about the explosion point, in the frame that carries it
+// along at the explosion's frame velocity (zero in the CoM frame)
+function frameRelativeMomentum(scenario, position, velocity, mass) {
+  const { frameVelocity: frame, time } = scenario;
+  return cross(
+    vec(position.x - frame.x * time, position.y - frame.y * time, position.z - frame.z * time),
+    vec((velocity.x - frame.x) * mass, (velocity.y - frame.y) * mass, (velocity.z - frame.z) * mass)
+  );
+}
+
+// The cloud's bulk motion plus the swirl it picked up from drag; the
+// symmetric expansion carries none
+function gasAngularMomentum(scenario, gas) {
+  const bulk = frameRelativeMomentum(scenario, gas.center, gas.velocity, gas.mass);
+  return vec(bulk.x + gas.spin.x, bulk.y + gas.spin.y, bulk.z + gas.spin.z);
+}
+
+// Angular momentum (kg·m²/s) of the debris: `orbital` from the chunks' motion,
+// `spin` about their own centres, and `gas`, including gas that has dispersed.
+// The explosion starts `total` at zero, and gravity, collision impulses,
+// merges and gas drag keep it there; pushing overlapping chunks apart nudges it slightly and
+// tidal forces in orbital mode change it.
+function computeAngularMomentum(scenario) {
+  const orbital = vec();
+  const spin = vec();
+  scenario.activeChunks.forEach((chunk) => {
+    const l = frameRelativeMomentum(scenario, chunk.position, chunk.velocity, chunk.mass);
+    orbital.x += l.x;
+    orbital.y += l.y;
+    orbital.z += l.z;
+    spin.x += chunk.angularMomentum.x;
+    spin.y += chunk.angularMomentum.y;
+    spin.z += chunk.angularMomentum.z;
+  });
+  const gas = bookedGas(scenario) ? gasAngularMomentum(scenario, bookedGas(scenario)) : vec();
+  return {
+    orbital,
+    spin,
+    gas,
+    total: vec(orbital.x + spin.x + gas.x, orbital.y + spin.y + gas.y, orbital.z + spin.z + gas.z),
+  };
+}
+
+function gravitationalPotential(chunks, positionKey, massKey, gravity) {
+  const positions = new Float64Array(chunks.length * 3);
+  const masses = new Float64Array(chunks.length);
+  chunks.forEach((chunk, i) => {
+    positions.set([chunk[positionKey].x, chunk[positionKey].y, chunk[positionKey].z], i * 3);
+    masses[i] = chunk[massKey];
+  });
+  return computeGravitationalPotentialEnergy(positions, masses, {
+    gravitationalConstant: gravity.gravitationalConstant,
+    softening: gravity.softening,
+  });
+}
+
+// Energy in the CoM frame (J); chunkKinetic includes the chunks' spin, also
+// given as spinKinetic, and gasInternal is the heat and pressure left in the
+// gas. Gas that has dispersed is still counted.
+// With self-gravity on, potentialChange is measured from the intact object;
+// `unaccounted` is whatever the yield lost to collisions, merges and, in
+// orbital mode, tidal work. After a launch the collision energy stands in
+// for the yield, and what the impact turns into heat is unaccounted.
+function computeEnergyBudget(scenario) {
+  const frame = centerOfMassVelocity(scenario);
+  const translationalKinetic = scenario.activeChunks.reduce((sum, chunk) => {
+    const vx = chunk.velocity.x - frame.x;
+    const vy = chunk.velocity.y - frame.y;
+    const vz = chunk.velocity.z - frame.z;
+    return sum + 0.5 * chunk.mass * (vx * vx + vy * vy + vz * vz);
+  }, 0);
+  const spinKinetic = scenario.activeChunks.reduce((sum, chunk) => (
+    sum + rotationalEnergy(chunk.orientation, chunk.inverseInertia, chunk.angularMomentum)
+  ), 0);
+  const chunkKinetic = translationalKinetic + spinKinetic;
+  const gas = bookedGas(scenario);
+  const gasKinetic = gas ? gasCloudKineticEnergy(gas, frame) : 0;
+  const gasInternal = gas ? gas.internalEnergy : 0;
+  const kinetic = chunkKinetic + gasKinetic;
+
+  const { gravity, explosionEnergy } = scenario.options;
+  const potentialChange = gravity.enabled && scenario.exploded
+    ? gravitationalPotential(scenario.activeChunks, 'position', 'mass', gravity)
+      - gravitationalPotential(scenario.chunks, 'initialPosition', 'baseMass', gravity)
+    : 0;
+  const total = kinetic + gasInternal + potentialChange;
+  let energyIn = null;
+  if (scenario.impact) {
+    energyIn = scenario.impact.collisionEnergy;
+  } else if (scenario.exploded && explosionEnergy !== null && explosionEnergy !== undefined) {
+    energyIn = explosionEnergy;
+  }
+
+  return {
+    chunkKinetic,
+    spinKinetic,
+    gasKinetic,
+    gasInternal,
+    kinetic,
+    potentialChange,
+    total,
+    yield: energyIn,
+    unaccounted: energyIn === null ? null : energyIn - total,
+  };
+}
+
+// CoM-frame speed histograms (speed-distribution.js) of the chunks and of the
+// gas tracers' flow speeds, each against Maxwell-Boltzmann at the temperature
+// it was released at (`scale`) and fitted. massWeighted weights the chunks.
+function computeSpeedDistributions(scenario, { massWeighted = false, binCount = DEFAULT_BIN_COUNT } = {}) {
+  if (!scenario.exploded) return null;
+  const frame = centerOfMassVelocity(scenario);
+  const chunks = scenario.activeChunks;
+  const chunkSpeeds = chunks.map(({ velocity: v }) => Math.sqrt(
+    (v.x - frame.x) ** 2 + (v.y - frame.y) ** 2 + (v.z - frame.z) ** 2
+  ));
+  const distributions = {
+    chunks: speedDistribution(chunkSpeeds, {
+      weights: massWeighted ? chunks.map((chunk) => chunk.mass) : null,
+      scale: scenario.chunkSpeedScale,
+      binCount,
+    }),
+    gas: null,
+  };
+
+  // The gas model has no molecular velocities, only the homologous flow its
+  // tracers ride on, so that flow is what the gas histogram shows
+  const { gas } = scenario;
+  if (gas && gas.count > 0) {
+    const rate = gas.expansionRate / gas.initialRadius;
+    const speeds = new Float64Array(gas.count);
+    for (let i = 0; i < gas.count; i++) {
+      const vx = gas.velocity.x - frame.x + rate * gas.offsets[i * 3];
+      const vy = gas.velocity.y - frame.y + rate * gas.offsets[i * 3 + 1];
+      const vz = gas.velocity.z - frame.z + rate * gas.offsets[i * 3 + 2];
+      speeds[i] = Math.sqrt(vx * vx + vy * vy + vz * vz);
+    }
+    distributions.gas = speedDistribution(speeds, { scale: gas.speedScale, binCount });
+  }
+  return distributions;
+}
+
+// Orbital elements of every fragment about the parent orbit. With the orbit
+// enabled the current propagated state is used; otherwise the explosion-time
+// state (initial position plus ejection velocity) at the parent's reference point.
+function computeDebrisElements(scenario, parentOrbit = scenario.options.orbit) {
+  if (!scenario.exploded) return [];
+
+  const useCurrentState = scenario.options.orbit.enabled;
+  const parent = circularOrbitState(
+    parentOrbit.altitudeKm * 1000,
+    parentOrbit.inclinationDeg,
+    useCurrentState ? scenario.orbitTime : 0
+  );
+
+  return scenario.activeChunks.map((chunk) => {
+    const state = useCurrentState
+      ? fragmentStateInOrbit(chunk.position, chunk.velocity, parent)
+      : fragmentStateInOrbit(chunk.initialPosition, chunk.explosionVelocity, parent);
+    return {
+      id: chunk.id,
+      mass: chunk.mass,
+      ...stateToOrbitalElements(state.position, state.velocity),
+    };
+  });
+}
+
+// Fragment counts per logarithmic Lc bin against the Standard Breakup Model's
+// expectation, or null unless the scenario uses fracture 'sbm'
+function computeBreakupHistogram(scenario, binsPerDecade = 4) {
+  const { shape, dimensions, density, mesh, fracture } = scenario.options;
+  if (fracture !== 'sbm') return null;
+  const breakup = breakupEvent(scenario.options);
+  const size = resolveDimensions(shape, dimensions);
+  const object = shape === 'mesh' ? centerMesh(mesh, size.scale) : null;
+  const { parentMass, parentLength } = breakupParent(shape, size, density, object);
+  const powerLaw = breakupPowerLaw(breakup, parentMass);
+  const minLength = effectiveMinLength(powerLaw, breakup.minLength, parentLength);
+  const lengths = scenario.chunks
+    .filter((chunk) => !chunk.cell.remnant && !chunk.cell.projectile)
+    .map((chunk) => chunk.cell.characteristicLength);
+  return {
+    powerLaw,
+    minLength,
+    maxLength: parentLength,
+    fragmentCount: lengths.length,
+    remnantMass: scenario.chunks.filter((chunk) => chunk.cell.remnant).reduce((sum, chunk) => sum + chunk.baseMass, 0),
+    bins: sizeHistogram(lengths, powerLaw, minLength, parentLength, binsPerDecade),
+  };
+}
+
+// Plain-data snapshot of the scenario for scripting and tests
+function getScenarioState(scenario) {
+  const { gas } = scenario;
+  return {
+    time: scenario.time,
+    orbitTime: scenario.orbitTime,
+    exploded: scenario.exploded,
+    centerOfMass: computeCenterOfMass(scenario),
+    totalMomentum: computeTotalMomentum(scenario),
+    angularMomentum: computeAngularMomentum(scenario).total,
+    mergedCount: scenario.mergedCount,
+    impact: scenario.impact
+      ? { ...scenario.impact, point: scenario.impact.point && copyVec(scenario.impact.point) }
+      : null,
+    chunks: scenario.activeChunks.map((chunk) => ({
+      id: chunk.id,
+      cell: { ...chunk.cell },
+      mass: chunk.mass,
+      position: copyVec(chunk.position),
+      velocity: copyVec(chunk.velocity),
+      orientation: { ...chunk.orientation },
+      angularVelocity: angularVelocity(chunk.orientation, chunk.inverseInertia, chunk.angularMomentum),
+    })),
+    gas: gas
+      ? {
+        count: gas.count,
+        mass: gas.mass,
+        age: gas.age,
+        radius: gas.radius,
+        center: copyVec(gas.center),
+        velocity: copyVec(gas.velocity),
+        positions: gas.positions.slice(),
+      }
+      : null,
+  };
+}
+
+module.exports = {
+  PHYS_SCALE,
+  TNT_JOULES_PER_KG,
+  SHAPES,
+  MESH_SHAPE,
+  MATERIALS,
+  CHARGE_MODES,
+  DEFAULT_SCENARIO_OPTIONS,
+  SeededRandom,
+  createRandomSource,
+  maxwellBoltzmannSpeed,
+  randomDirection,
+  shapeInfo,
+  resolveDimensions,
+  createShapeChunks,
+  createScenario,
+  updateScenarioOptions,
+  resetScenario,
+  placeProjectile,
+  explodeScenario,
+  stepScenario,
+  interpolateChunkPosition,
+  interpolateChunkOrientation,
+  interpolateGasPositions,
+  mergeRoot,
+  referenceOrbitPosition,
+  computeTotalMass,
+  computeCenterOfMass,
+  computeTotalMomentum,
+  computeAngularMomentum,
+  computeEnergyBudget,
+  computeDebrisElements,
+  computeSpeedDistributions,
+  computeBreakupHistogram,
+  getScenarioState,
+};
@@ -0,0 +1,135 @@
+const DEFAULT_RECORDING_OPTIONS = {
+  interval: 1 / 60, // s of simulated time between frames
+  capacity: 2000, // frames kept before the buffer is thinned out
+};
+
+// Frame buffer for a run. Each frame holds the time, flat xyz `positions` and
+// xyzw `quaternions` for every body, plus any extra arrays (velocities, ...) or
+// scalars (orbit clock, gas expansion, ...) the caller wants back. When full, every
+// other frame is dropped and the interval doubles, so the whole run stays
+// available at a coarser grain.
+function createRecording(options = {}) {
+  const { interval, capacity } = { ...DEFAULT_RECORDING_OPTIONS, ...options };
+  return { interval, capacity, frames: [] };
+}
+
+function clearRecording(recording, options = {}) {
+  const { interval } = { ...DEFAULT_RECORDING_OPTIONS, ...options };
+  recording.interval = interval;
+  recording.frames = [];
+  return recording;
+}
+
+function recordingDuration(recording) {
+  const { frames } = recording;
+  return frames.length > 0 ? frames[frames.length - 1].time : 0;
+}
+
+// Store a frame unless it is closer than the interval to the previous one.
+// The arrays are copied. Returns whether the frame was kept.
+function appendFrame(recording, frame, force = false) {
+  const { frames } = recording;
+  const last = frames[frames.length - 1];
+  if (last && frame.time <= last.time) {
+    return false;
+  }
+  if (last && !force && frame.time - last.time < recording.interval) {
+    return false;
+  }
+
+  const stored = { ...frame };
+  Object.keys(stored).forEach((key) => {
+    if (isArrayField(stored[key])) {
+      stored[key] = Float32Array.from(stored[key]);
+    }
+  });
+  frames.push(stored);
+
+  if (frames.length > recording.capacity) {
+    // Keep the first and the newest frame so the run's extent never shrinks
+    const newest = frames[frames.length - 1];
+    recording.frames = frames.filter((_, i) => i % 2 === 0);
+    if (recording.frames[recording.frames.length - 1] !== newest) {
+      recording.frames.push(newest);
+    }
+    recording.interval *= 2;
+  }
+  return true;
+}
+
+function isArrayField(value) {
+  return Array.isArray(value) || ArrayBuffer.isView(value);
+}
+
+// Index of the last frame at or before `time`, by binary search
+function findFrameIndex(recording, time) {
+  const { frames } = recording;
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (frames[mid].time <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// State at any instant: positions, other arrays and scalars are interpolated
+// linearly, quaternions by normalised lerp along the shorter arc. Times outside the
+// recording clamp to its ends.
+function sampleRecording(recording, time) {
+  const { frames } = recording;
+  if (frames.length === 0) return null;
+
+  const index = findFrameIndex(recording, time);
+  const a = frames[index];
+  const b = frames[Math.min(index + 1, frames.length - 1)];
+  const span = b.time - a.time;
+  const alpha = span > 0 ? Math.max(0, Math.min(1, (time - a.time) / span)) : 0;
+
+  const quaternions = new Float32Array(a.quaternions.length);
+  for (let i = 0; i < quaternions.length; i += 4) {
+    const dot = a.quaternions[i] * b.quaternions[i]
+      + a.quaternions[i + 1] * b.quaternions[i + 1]
+      + a.quaternions[i + 2] * b.quaternions[i + 2]
+      + a.quaternions[i + 3] * b.quaternions[i + 3];
+    const sign = dot < 0 ? -1 : 1;
+    let length = 0;
+    for (let k = 0; k < 4; k++) {
+      quaternions[i + k] = a.quaternions[i + k] * (1 - alpha) + sign * b.quaternions[i + k] * alpha;
+      length += quaternions[i + k] * quaternions[i + k];
+    }
+    length = Math.sqrt(length) || 1;
+    for (let k = 0; k < 4; k++) {
+      quaternions[i + k] /= length;
+    }
+  }
+
+  const sample = { time: Math.max(a.time, Math.min(recordingDuration(recording), time)), quaternions };
+  Object.keys(a).forEach((key) => {
+    if (key === 'time' || key === 'quaternions') return;
+    if (typeof a[key] === 'number') {
+      sample[key] = a[key] + (b[key] - a[key]) * alpha;
+    } else if (isArrayField(a[key])) {
+      const values = new Float32Array(a[key].length);
+      for (let i = 0; i < values.length; i++) {
+        values[i] = a[key][i] + (b[key][i] - a[key][i]) * alpha;
+      }
+      sample[key] = values;
+    }
+  });
+  return sample;
+}
+
+module.exports = {
+  DEFAULT_RECORDING_OPTIONS,
+  createRecording,
+  clearRecording,
+  recordingDuration,
+  appendFrame,
+  findFrameIndex,
+  sampleRecording,
+};
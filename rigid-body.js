@@ -0,0 +1,284 @@
+// Rigid-body rotation for fragments. Inertia tensors are row-major 3×3 arrays
+// in the body frame about the body origin; orientations are unit quaternions
+// { x, y, z, w } taking body coordinates to world coordinates. Torque-free
+// bodies keep their world angular momentum L, so orientation is the only state
+// that needs integrating: ω = R I⁻¹ Rᵀ L.
+
+// Largest rotation per orientation substep, rad
+const MAX_ROTATION_STEP = 0.2;
+
+const IDENTITY_QUATERNION = Object.freeze({ x: 0, y: 0, z: 0, w: 1 });
+
+function fromCovariance(c, scale) {
+  const trace = c[0] + c[4] + c[8];
+  return [
+    (trace - c[0]) * scale, -c[1] * scale, -c[2] * scale,
+    -c[3] * scale, (trace - c[4]) * scale, -c[5] * scale,
+    -c[6] * scale, -c[7] * scale, (trace - c[8]) * scale,
+  ];
+}
+
+function boxInertia([a, b, c], mass) {
+  return [
+    (mass * (b * b + c * c)) / 12, 0, 0,
+    0, (mass * (a * a + c * c)) / 12, 0,
+    0, 0, (mass * (a * a + b * b)) / 12,
+  ];
+}
+
+// Volume, first and second moments of a closed triangle mesh, from the signed
+// tetrahedra it makes with the origin. Null for open or inside-out surfaces,
+// whose tetrahedra don't add up to a solid.
+function meshMoments(vertices, indices) {
+  const first = [0, 0, 0];
+  const covariance = new Array(9).fill(0);
+  const areaSum = [0, 0, 0];
+  let areaTotal = 0;
+  let volume = 0;
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [0, 1, 2].map((k) => {
+      const i = indices[t + k] * 3;
+      return [vertices[i], vertices[i + 1], vertices[i + 2]];
+    });
+    const cross = [
+      b[1] * c[2] - b[2] * c[1],
+      b[2] * c[0] - b[0] * c[2],
+      b[0] * c[1] - b[1] * c[0],
+    ];
+    const det = a[0] * cross[0] + a[1] * cross[1] + a[2] * cross[2];
+    volume += det / 6;
+
+    // ∫ x dV and ∫ x xᵀ dV over the tetrahedron (0, a, b, c)
+    const s = [a[0] + b[0] + c[0], a[1] + b[1] + c[1], a[2] + b[2] + c[2]];
+    for (let i = 0; i < 3; i++) {
+      first[i] += (det / 24) * s[i];
+      for (let j = 0; j < 3; j++) {
+        covariance[i * 3 + j] += (det / 120) * (s[i] * s[j] + a[i] * a[j] + b[i] * b[j] + c[i] * c[j]);
+      }
+    }
+
+    const area = [0, 1, 2].map((k) => {
+      const [i, j] = [(k + 1) % 3, (k + 2) % 3];
+      return (b[i] - a[i]) * (c[j] - a[j]) - (b[j] - a[j]) * (c[i] - a[i]);
+    });
+    area.forEach((value, k) => {
+      areaSum[k] += value;
+    });
+    areaTotal += Math.hypot(...area);
+  }
+
+  // A closed surface's face areas cancel as vectors
+  if (!(volume > 0) || Math.hypot(...areaSum) > areaTotal * 1e-6) {
+    return null;
+  }
+  return { volume, first, covariance };
+}
+
+// Volume centroid of a closed triangle mesh, or null as for meshMoments
+function meshCentroid(vertices, indices) {
+  const moments = meshMoments(vertices, indices);
+  if (!moments) return null;
+  const [x, y, z] = moments.first.map((value) => value / moments.volume);
+  return { x, y, z };
+}
+
+// Solid inertia of a closed triangle mesh about the origin, or null as for
+// meshMoments
+function meshInertia(vertices, indices, mass) {
+  const moments = meshMoments(vertices, indices);
+  return moments ? fromCovariance(moments.covariance, mass / moments.volume) : null;
+}
+
+// Fallback for open meshes: the vertices' second moment, scaled by a third so
+// that a box's corners give the solid box.
+function vertexInertia(vertices, mass) {
+  const covariance = new Array(9).fill(0);
+  const count = vertices.length / 3;
+  for (let v = 0; v < vertices.length; v += 3) {
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        covariance[i * 3 + j] += (vertices[v + i] * vertices[v + j]) / (3 * count);
+      }
+    }
+  }
+  return fromCovariance(covariance, mass);
+}
+
+// Inertia tensor (kg·m²) about the chunk origin for an engine chunk geometry
+function inertiaTensor(geometry, mass) {
+  if (geometry.type === 'box') {
+    return boxInertia(geometry.size, mass);
+  }
+  return meshInertia(geometry.vertices, geometry.indices, mass) || vertexInertia(geometry.vertices, mass);
+}
+
+function invertMatrix3(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (!(Math.abs(det) > 0)) {
+    throw new Error('Inertia tensor is singular');
+  }
+  return [
+    A / det, (c * h - b * i) / det, (b * f - c * e) / det,
+    B / det, (a * i - c * g) / det, (c * d - a * f) / det,
+    C / det, (b * g - a * h) / det, (a * e - b * d) / det,
+  ];
+}
+
+function multiplyMatrixVector(m, v) {
+  return {
+    x: m[0] * v.x + m[1] * v.y + m[2] * v.z,
+    y: m[3] * v.x + m[4] * v.y + m[5] * v.z,
+    z: m[6] * v.x + m[7] * v.y + m[8] * v.z,
+  };
+}
+
+function multiplyQuaternions(a, b) {
+  return {
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+  };
+}
+
+function conjugateQuaternion(q) {
+  return { x: -q.x, y: -q.y, z: -q.z, w: q.w };
+}
+
+function normalizeQuaternion(q) {
+  const length = Math.hypot(q.x, q.y, q.z, q.w);
+  return { x: q.x / length, y: q.y / length, z: q.z / length, w: q.w / length };
+}
+
+function rotateVector(q, v) {
+  const rotated = multiplyQuaternions(multiplyQuaternions(q, { x: v.x, y: v.y, z: v.z, w: 0 }), conjugateQuaternion(q));
+  const { x, y, z } = rotated;
+  return { x, y, z };
+}
+
+// Rotation matrix of a unit quaternion, row-major
+function quaternionMatrix(q) {
+  const { x, y, z, w } = q;
+  return [
+    1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w),
+    2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w),
+    2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y),
+  ];
+}
+
+// R M Rᵀ, taking a body-frame tensor to the world frame
+function rotateTensor(q, m) {
+  const r = quaternionMatrix(q);
+  const out = new Array(9).fill(0);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      let sum = 0;
+      for (let k = 0; k < 3; k++) {
+        for (let l = 0; l < 3; l++) {
+          sum += r[i * 3 + k] * m[k * 3 + l] * r[j * 3 + l];
+        }
+      }
+      out[i * 3 + j] = sum;
+    }
+  }
+  return out;
+}
+
+// World angular velocity (rad/s) from world angular momentum
+function angularVelocity(orientation, inverseInertia, angularMomentum) {
+  const r = quaternionMatrix(orientation);
+  const { x, y, z } = angularMomentum;
+  const body = multiplyMatrixVector(inverseInertia, {
+    x: r[0] * x + r[3] * y + r[6] * z,
+    y: r[1] * x + r[4] * y + r[7] * z,
+    z: r[2] * x + r[5] * y + r[8] * z,
+  });
+  return multiplyMatrixVector(r, body);
+}
+
+function rotationalEnergy(orientation, inverseInertia, angularMomentum) {
+  const w = angularVelocity(orientation, inverseInertia, angularMomentum);
+  return 0.5 * (w.x * angularMomentum.x + w.y * angularMomentum.y + w.z * angularMomentum.z);
+}
+
+// Torque-free rotation over dt: RK4 on q̇ = ½ (0, ω) q with L held fixed, in
+// substeps of at most MAX_ROTATION_STEP radians. Euler's equations follow from
+// ω depending on the orientation.
+function integrateOrientation(orientation, inverseInertia, angularMomentum, dt) {
+  const derivative = (q) => {
+    const w = angularVelocity(q, inverseInertia, angularMomentum);
+    const dq = multiplyQuaternions({ x: w.x, y: w.y, z: w.z, w: 0 }, q);
+    return { x: dq.x / 2, y: dq.y / 2, z: dq.z / 2, w: dq.w / 2 };
+  };
+  const add = (q, dq, h) => ({ x: q.x + dq.x * h, y: q.y + dq.y * h, z: q.z + dq.z * h, w: q.w + dq.w * h });
+
+  const w = angularVelocity(orientation, inverseInertia, angularMomentum);
+  const rate = Math.hypot(w.x, w.y, w.z);
+  const steps = Math.max(1, Math.ceil((rate * Math.abs(dt)) / MAX_ROTATION_STEP));
+  const h = dt / steps;
+
+  let q = orientation;
+  for (let step = 0; step < steps; step++) {
+    const k1 = derivative(q);
+    const k2 = derivative(normalizeQuaternion(add(q, k1, h / 2)));
+    const k3 = derivative(normalizeQuaternion(add(q, k2, h / 2)));
+    const k4 = derivative(normalizeQuaternion(add(q, k3, h)));
+    q = normalizeQuaternion({
+      x: q.x + (h / 6) * (k1.x + 2 * k2.x + 2 * k3.x + k4.x),
+      y: q.y + (h / 6) * (k1.y + 2 * k2.y + 2 * k3.y + k4.y),
+      z: q.z + (h / 6) * (k1.z + 2 * k2.z + 2 * k3.z + k4.z),
+      w: q.w + (h / 6) * (k1.w + 2 * k2.w + 2 * k3.w + k4.w),
+    });
+  }
+  return q;
+}
+
+function slerpQuaternions(a, b, t) {
+  let cos = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+  const sign = cos < 0 ? -1 : 1;
+  cos *= sign;
+  if (cos > 0.9995) {
+    return normalizeQuaternion({
+      x: a.x + (b.x * sign - a.x) * t,
+      y: a.y + (b.y * sign - a.y) * t,
+      z: a.z + (b.z * sign - a.z) * t,
+      w: a.w + (b.w * sign - a.w) * t,
+    });
+  }
+  const angle = Math.acos(cos);
+  const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+  const wb = (Math.sin(t * angle) / Math.sin(angle)) * sign;
+  return { x: a.x * wa + b.x * wb, y: a.y * wa + b.y * wb, z: a.z * wa + b.z * wb, w: a.w * wa + b.w * wb };
+}
+
+// Inertia of a point mass at offset d about the origin: m (|d|² E − d dᵀ)
+function pointInertia(mass, d) {
+  return fromCovariance([
+    d.x * d.x, d.x * d.y, d.x * d.z,
+    d.y * d.x, d.y * d.y, d.y * d.z,
+    d.z * d.x, d.z * d.y, d.z * d.z,
+  ], mass);
+}
+
+module.exports = {
+  IDENTITY_QUATERNION,
+  boxInertia,
+  meshCentroid,
+  meshInertia,
+  inertiaTensor,
+  invertMatrix3,
+  multiplyMatrixVector,
+  multiplyQuaternions,
+  conjugateQuaternion,
+  rotateVector,
+  rotateTensor,
+  pointInertia,
+  angularVelocity,
+  rotationalEnergy,
+  integrateOrientation,
+  slerpQuaternions,
+};
@@ -0,0 +1,141 @@
+// Shareable scenarios: the simulator's settings as a versioned JSON document,
+// either downloaded as a file or packed into the page's URL hash. Loading
+// merges a document over the current settings one field at a time; fields
+// that are missing, of the wrong type or not among the allowed choices keep
+// their current value and are reported, so links from older or newer
+// versions still load what they can.
+
+const SCENARIO_FORMAT = 'explosion-scenario';
+const SCENARIO_VERSION = 1;
+const HASH_KEY = 'scenario';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Document for a settings object. An imported mesh only fits in a file, so it
+// is embedded when given.
+function serializeScenario(settings, { mesh = null } = {}) {
+  const document = { format: SCENARIO_FORMAT, version: SCENARIO_VERSION, settings };
+  if (mesh) {
+    document.mesh = {
+      name: mesh.name,
+      positions: Array.from(mesh.positions),
+      indices: Array.from(mesh.indices),
+    };
+  }
+  return document;
+}
+
+function scenarioToJSON(settings, options = {}) {
+  return `${JSON.stringify(serializeScenario(settings, options), null, 2)}\n`;
+}
+
+// A loaded value replaces the current one when both have the same type
+// (finite numbers only); null may stand in for, or be replaced by, anything.
+// Nested objects merge key by key. `path` names the field in `ignored`.
+function mergeSetting(current, loaded, path, choices, ignored) {
+  if (loaded === undefined) return current;
+  const allowed = choices[path];
+  if (allowed && !allowed.includes(loaded)) {
+    ignored.push(path);
+    return current;
+  }
+  if (isPlainObject(current) && isPlainObject(loaded)) {
+    const merged = { ...current };
+    Object.keys(current).forEach((key) => {
+      merged[key] = mergeSetting(current[key], loaded[key], `${path}.${key}`, choices, ignored);
+    });
+    return merged;
+  }
+  const sameType = typeof loaded === typeof current && !isPlainObject(loaded) && !Array.isArray(loaded);
+  const valid = loaded === null || current === null || sameType;
+  if (!valid || (typeof loaded === 'number' && !Number.isFinite(loaded))) {
+    ignored.push(path);
+    return current;
+  }
+  return loaded;
+}
+
+function parseMesh(mesh) {
+  if (!isPlainObject(mesh)) return null;
+  const { name, positions, indices } = mesh;
+  const numbers = (values) => Array.isArray(values) && values.every((value) => Number.isFinite(value));
+  if (!numbers(positions) || !numbers(indices) || positions.length % 3 !== 0 || indices.length % 3 !== 0) {
+    throw new Error('Scenario file has an invalid mesh');
+  }
+  return { name: typeof name === 'string' ? name : 'mesh', positions, indices };
+}
+
+// Settings from a document (or its JSON text) merged over `current`.
+// `choices` maps a field path such as 'shape' or 'breakup.event' to its
+// allowed values. Returns { settings, mesh, ignored }.
+function parseScenario(input, current, { choices = {} } = {}) {
+  let document = input;
+  if (typeof input === 'string') {
+    try {
+      document = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Scenario file is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!isPlainObject(document) || document.format !== SCENARIO_FORMAT) {
+    throw new Error('Not a scenario file');
+  }
+  if (!(document.version <= SCENARIO_VERSION)) {
+    throw new Error(`Scenario version ${document.version} is newer than this simulator supports (${SCENARIO_VERSION})`);
+  }
+  if (!isPlainObject(document.settings)) {
+    throw new Error('Scenario file has no settings');
+  }
+
+  const ignored = [];
+  const settings = { ...current };
+  Object.keys(current).forEach((key) => {
+    settings[key] = mergeSetting(current[key], document.settings[key], key, choices, ignored);
+  });
+  return { settings, mesh: parseMesh(document.mesh), ignored };
+}
+
+// URL-safe base64 of the UTF-8 JSON
+function encodeBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+// `#scenario=...` for a settings object; the mesh never goes in a link
+function encodeScenarioHash(settings) {
+  return `#${HASH_KEY}=${encodeBase64Url(JSON.stringify(serializeScenario(settings)))}`;
+}
+
+// The document in a location hash, or null when the hash carries none
+function decodeScenarioHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(HASH_KEY);
+  if (!encoded) return null;
+  try {
+    return JSON.parse(decodeBase64Url(encoded));
+  } catch (error) {
+    throw new Error('Scenario link is damaged');
+  }
+}
+
+module.exports = {
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  serializeScenario,
+  scenarioToJSON,
+  parseScenario,
+  encodeScenarioHash,
+  decodeScenarioHash,
+};
@@ -1,8 +1,9 @@
+// Negative scales play the recording backwards; NaN and ±Infinity become 0
 function clampTimeScale(timeScale) {
-  if (Number.isNaN(timeScale)) {
+  if (!Number.isFinite(timeScale)) {
     return 0;
   }
-  return Math.max(0, timeScale);
+  return timeScale;
 }
 
 function computeSimulationDelta(rawDelta, timeScale, isPlaying) {
@@ -23,8 +24,131 @@ function resolveTimeStep(isPlaying, simulationDelta, rawDelta) {
   return Math.max(0, rawDelta);
 }
 
+const INTEGRATORS = {
+  'symplectic-euler': 'Symplectic Euler',
+  'velocity-verlet': 'Velocity Verlet',
+  rk4: 'RK4',
+};
+const DEFAULT_INTEGRATOR = 'symplectic-euler';
+const DEFAULT_FIXED_STEP = 1 / 120;
+const DEFAULT_MAX_SUBSTEPS = 8;
+
+// Accumulator for a fixed simulation step: frame time goes in, whole steps come
+// out, and the leftover fraction of a step is the render interpolation factor.
+// Time beyond maxSubsteps is dropped so one slow frame cannot snowball.
+function createFixedStepper(fixedStep = DEFAULT_FIXED_STEP, maxSubsteps = DEFAULT_MAX_SUBSTEPS) {
+  return { fixedStep, maxSubsteps, accumulator: 0 };
+}
+
+function advanceFixedStepper(stepper, delta) {
+  stepper.accumulator += Math.max(0, delta);
+  // The epsilon keeps sums like 3 × (1/120) from landing just short of a step
+  let steps = Math.floor(stepper.accumulator / stepper.fixedStep + 1e-9);
+  if (steps > stepper.maxSubsteps) {
+    steps = stepper.maxSubsteps;
+    stepper.accumulator = 0;
+  } else {
+    stepper.accumulator = Math.max(0, stepper.accumulator - steps * stepper.fixedStep);
+  }
+  return { steps, alpha: stepper.accumulator / stepper.fixedStep };
+}
+
+function resetFixedStepper(stepper) {
+  stepper.accumulator = 0;
+  return stepper;
+}
+
+function lerp(a, b, alpha) {
+  return a + (b - a) * alpha;
+}
+
+// Advance one step of dt in place. `state` holds flat xyz `positions` and
+// `velocities` plus the current `time`; accelerationAt(positions, velocities,
+// time, out) writes the accelerations into `out`.
+function integrateStep(scheme, state, dt, accelerationAt) {
+  const { positions, velocities } = state;
+  const n = positions.length;
+  const time = state.time ?? 0;
+  const acc = new Float64Array(n);
+
+  switch (scheme) {
+    case 'symplectic-euler': {
+      // Kick, then drift with the updated velocity
+      accelerationAt(positions, velocities, time, acc);
+      for (let i = 0; i < n; i++) {
+        velocities[i] += acc[i] * dt;
+        positions[i] += velocities[i] * dt;
+      }
+      break;
+    }
+
+    case 'velocity-verlet': {
+      accelerationAt(positions, velocities, time, acc);
+      const predicted = new Float64Array(n);
+      for (let i = 0; i < n; i++) {
+        positions[i] += velocities[i] * dt + 0.5 * acc[i] * dt * dt;
+        predicted[i] = velocities[i] + acc[i] * dt;
+      }
+      // Velocity-dependent forces see the Euler-predicted velocity
+      const next = new Float64Array(n);
+      accelerationAt(positions, predicted, time + dt, next);
+      for (let i = 0; i < n; i++) {
+        velocities[i] += 0.5 * (acc[i] + next[i]) * dt;
+      }
+      break;
+    }
+
+    case 'rk4': {
+      const x = new Float64Array(n);
+      const v = new Float64Array(n);
+      const dx = new Float64Array(n);
+      const dv = new Float64Array(n);
+      const stage = (weight, h, t) => {
+        accelerationAt(x, v, t, acc);
+        for (let i = 0; i < n; i++) {
+          const kx = v[i];
+          const kv = acc[i];
+          dx[i] += weight * kx;
+          dv[i] += weight * kv;
+          if (h > 0) {
+            x[i] = positions[i] + kx * h;
+            v[i] = velocities[i] + kv * h;
+          }
+        }
+      };
+
+      x.set(positions);
+      v.set(velocities);
+      stage(1, dt / 2, time);
+      stage(2, dt / 2, time + dt / 2);
+      stage(2, dt, time + dt / 2);
+      stage(1, 0, time + dt);
+      for (let i = 0; i < n; i++) {
+        positions[i] += (dt / 6) * dx[i];
+        velocities[i] += (dt / 6) * dv[i];
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown integrator: ${scheme}`);
+  }
+
+  state.time = time + dt;
+  return state;
+}
+
 module.exports = {
+  INTEGRATORS,
+  DEFAULT_INTEGRATOR,
+  DEFAULT_FIXED_STEP,
+  DEFAULT_MAX_SUBSTEPS,
   clampTimeScale,
   computeSimulationDelta,
   resolveTimeStep,
+  createFixedStepper,
+  advanceFixedStepper,
+  resetFixedStepper,
+  lerp,
+  integrateStep,
 };
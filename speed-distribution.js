@@ -0,0 +1,81 @@
+// Speed histograms against the Maxwell-Boltzmann distribution. A speed drawn
+// by maxwellBoltzmannSpeed(T) is the length of a 3D normal vector with
+// standard deviation `scale` = T per axis, i.e. a chi distribution with three
+// degrees of freedom scaled by T.
+
+const DEFAULT_BIN_COUNT = 30;
+
+// f(v) = √(2/π) v² / a³ · exp(-v² / 2a²), in 1/(m/s)
+function maxwellBoltzmannPdf(speed, scale) {
+  if (!(scale > 0) || speed < 0) return 0;
+  const x = speed / scale;
+  return (Math.sqrt(2 / Math.PI) * x * x * Math.exp(-0.5 * x * x)) / scale;
+}
+
+// Maximum-likelihood scale: a² = Σ w v² / (3 Σ w). Weights default to one.
+function fitMaxwellBoltzmann(speeds, weights = null) {
+  let total = 0;
+  let sumSquares = 0;
+  speeds.forEach((speed, i) => {
+    const weight = weights ? weights[i] : 1;
+    total += weight;
+    sumSquares += weight * speed * speed;
+  });
+  return total > 0 ? Math.sqrt(sumSquares / (3 * total)) : 0;
+}
+
+function largest(values) {
+  return values.reduce((max, value) => Math.max(max, value), 0);
+}
+
+// Equal-width bins from 0 to maxSpeed with `density` normalised like a PDF
+// (bars integrate to one), so they overlay maxwellBoltzmannPdf directly.
+// Speeds past maxSpeed land in the last bin.
+function speedHistogram(speeds, weights = null, binCount = DEFAULT_BIN_COUNT, maxSpeed = null) {
+  const top = maxSpeed || largest(speeds) || 1;
+  const width = top / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    lower: i * width,
+    upper: (i + 1) * width,
+    count: 0,
+    weight: 0,
+    density: 0,
+  }));
+  let total = 0;
+  speeds.forEach((speed, i) => {
+    const weight = weights ? weights[i] : 1;
+    const bin = bins[Math.max(0, Math.min(binCount - 1, Math.floor(speed / width)))];
+    bin.count += 1;
+    bin.weight += weight;
+    total += weight;
+  });
+  if (total > 0) {
+    bins.forEach((bin) => {
+      bin.density = bin.weight / (total * width);
+    });
+  }
+  return bins;
+}
+
+// Histogram, fitted scale and, when known, the scale the speeds were drawn
+// with. The range covers the sample and the bulk of both curves. Without
+// `fit` the speeds aren't expected to be Maxwellian and fitScale is null.
+function speedDistribution(speeds, { weights = null, scale = null, fit = true, binCount = DEFAULT_BIN_COUNT } = {}) {
+  const fitScale = fit ? fitMaxwellBoltzmann(speeds, weights) : null;
+  const maxSpeed = Math.max(largest(speeds), 4 * (fitScale || 0), 4 * (scale || 0)) || 1;
+  return {
+    count: speeds.length,
+    scale,
+    fitScale,
+    maxSpeed,
+    bins: speedHistogram(speeds, weights, binCount, maxSpeed),
+  };
+}
+
+module.exports = {
+  DEFAULT_BIN_COUNT,
+  maxwellBoltzmannPdf,
+  fitMaxwellBoltzmann,
+  speedHistogram,
+  speedDistribution,
+};
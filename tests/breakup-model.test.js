@@ -0,0 +1,178 @@
+const assert = require('assert');
+const {
+  MAX_BREAKUP_FRAGMENTS,
+  collisionMass,
+  breakupPowerLaw,
+  cumulativeCount,
+  expectedCount,
+  effectiveMinLength,
+  sampleCharacteristicLength,
+  crossSectionArea,
+  areaToMassDistribution,
+  sampleAreaToMass,
+  deltaVDistribution,
+  sampleDeltaV,
+  generateBreakup,
+  sizeHistogram,
+} = require('../breakup-model.js');
+const {
+  SeededRandom,
+  createScenario,
+  explodeScenario,
+  computeTotalMomentum,
+  computeBreakupHistogram,
+} = require('../physics-engine.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function seeded(seed) {
+  const rng = new SeededRandom(seed);
+  return () => rng.next();
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Power laws: 6 S Lc^-1.6 for explosions, 0.1 M^0.75 Lc^-1.71 for collisions
+(() => {
+  const explosion = breakupPowerLaw({ event: 'explosion', scale: 2 }, 1000);
+  approxEqual(cumulativeCount(explosion, 0.1), 12 * 0.1 ** -1.6);
+
+  // 40 J/g splits catastrophic from cratering collisions
+  const threshold = Math.sqrt((2 * 40000 * 1000) / 10); // m/s for 10 kg into 1000 kg
+  assert.deepStrictEqual(collisionMass(1000, 10, threshold * 1.01), { catastrophic: true, mass: 1010 });
+  const cratering = collisionMass(1000, 10, threshold * 0.99);
+  assert.strictEqual(cratering.catastrophic, false);
+  approxEqual(cratering.mass, 10 * (threshold * 0.99 / 1000) ** 2);
+  const collision = breakupPowerLaw({ event: 'collision', projectileMass: 10, impactSpeed: 10000 }, 1000);
+  approxEqual(cumulativeCount(collision, 1), 0.1 * 1010 ** 0.75);
+  assert.throws(() => breakupPowerLaw({ event: 'implosion' }, 1), /Unknown breakup event/);
+
+  // The minimum size is raised so the expected count stays under the cap
+  const huge = breakupPowerLaw({ event: 'collision', projectileMass: 1e4, impactSpeed: 10000 }, 1e6);
+  const minLength = effectiveMinLength(huge, 0.01, 10);
+  approxEqual(expectedCount(huge, minLength, 10), MAX_BREAKUP_FRAGMENTS, 1e-6);
+  approxEqual(effectiveMinLength(explosion, 0.5, 10), 0.5);
+})();
+
+// Characteristic lengths follow the truncated power law
+(() => {
+  const powerLaw = breakupPowerLaw({ event: 'explosion' }, 1);
+  const random = seeded(11);
+  const lengths = Array.from({ length: 20000 }, () => sampleCharacteristicLength(powerLaw, 0.05, 5, random));
+  assert(lengths.every((length) => length >= 0.05 && length <= 5));
+  [0.1, 0.3, 1].forEach((length) => {
+    const fraction = lengths.filter((l) => l > length).length / lengths.length;
+    approxEqual(fraction, expectedCount(powerLaw, length, 5) / expectedCount(powerLaw, 0.05, 5), 0.01);
+  });
+})();
+
+// Area and A/M distributions
+(() => {
+  approxEqual(crossSectionArea(0.00167), 0.540424 * 0.00167 ** 2, 1e-9);
+  approxEqual(crossSectionArea(1), 0.556945);
+
+  [0.001, 0.05, 0.09, 0.1, 0.5, 3].forEach((length) => {
+    ['spacecraft', 'rocketBody'].forEach((bodyType) => {
+      const components = areaToMassDistribution(length, bodyType);
+      approxEqual(components.reduce((sum, c) => sum + c.weight, 0), 1, 1e-12);
+      components.forEach((c) => assert(c.sigma > 0 && c.weight >= 0));
+    });
+  });
+  assert.strictEqual(areaToMassDistribution(0.05).length, 1);
+  assert.strictEqual(areaToMassDistribution(0.095).length, 3);
+  assert.throws(() => areaToMassDistribution(1, 'asteroid'), /Unknown body type/);
+
+  // Small fragments: one log-normal, μ = -1 and σ = 0.2 + 0.1333 (λ + 3.5) at 6 cm
+  const random = seeded(5);
+  const chis = Array.from({ length: 20000 }, () => Math.log10(sampleAreaToMass(0.06, 'spacecraft', random)));
+  approxEqual(mean(chis), -1, 0.01);
+  const sigma = 0.2 + 0.1333 * (Math.log10(0.06) + 3.5);
+  approxEqual(Math.sqrt(mean(chis.map((chi) => (chi + 1) ** 2))), sigma, 0.01);
+
+  // Large spacecraft fragments are bimodal: the mixture mean matches
+  const big = areaToMassDistribution(2, 'spacecraft').reduce((sum, c) => sum + c.weight * c.mean, 0);
+  const bigChis = Array.from({ length: 20000 }, () => Math.log10(sampleAreaToMass(2, 'spacecraft', random)));
+  approxEqual(mean(bigChis), big, 0.01);
+})();
+
+// Delta-V is log-normal about a line in log10(A/M); collisions throw harder
+(() => {
+  approxEqual(deltaVDistribution(0.1, 'explosion').mean, 1.65);
+  approxEqual(deltaVDistribution(0.1, 'collision').mean, 2.0);
+  const random = seeded(8);
+  const logs = Array.from({ length: 20000 }, () => Math.log10(sampleDeltaV(0.1, 'explosion', random)));
+  approxEqual(mean(logs), 1.65, 0.01);
+  approxEqual(Math.sqrt(mean(logs.map((v) => (v - 1.65) ** 2))), 0.4, 0.01);
+})();
+
+// Whole breakups stay under the mass budget and bin against the power law
+(() => {
+  const cratering = generateBreakup(
+    { event: 'collision', projectileMass: 1, impactSpeed: 5000, minLength: 0.02 },
+    5000,
+    3,
+    seeded(4)
+  );
+  assert(cratering.mass <= 25 && cratering.droppedCount > 0);
+  const lengths = cratering.fragments.map((f) => f.characteristicLength);
+  assert.deepStrictEqual(lengths, lengths.slice().sort((a, b) => a - b));
+  cratering.fragments.forEach((f) => approxEqual(f.mass, f.area / f.areaToMass, f.mass * 1e-12));
+
+  const explosion = generateBreakup({ event: 'explosion', minLength: 0.05 }, 1e5, 4, seeded(2));
+  assert.strictEqual(explosion.droppedCount, 0);
+  approxEqual(explosion.fragments.length, expectedCount(explosion.powerLaw, 0.05, 4), 1);
+  const bins = sizeHistogram(explosion.fragments.map((f) => f.characteristicLength), explosion.powerLaw, 0.05, 4, 4);
+  assert.strictEqual(bins.length, 8);
+  assert.strictEqual(bins.reduce((sum, bin) => sum + bin.count, 0), explosion.fragments.length);
+  approxEqual(bins.reduce((sum, bin) => sum + bin.expected, 0), expectedCount(explosion.powerLaw, 0.05, 4), 1e-9);
+  approxEqual(bins[0].count, bins[0].expected, 4 * Math.sqrt(bins[0].expected));
+})();
+
+// The engine builds SBM fragments plus a remnant holding the parent's mass,
+// and throws them with momentum-free model delta-Vs
+(() => {
+  const options = {
+    shape: 'cube',
+    dimensions: { edge: 4 },
+    density: 150,
+    fracture: 'sbm',
+    breakup: { event: 'explosion', minLength: 0.1 },
+    useSeed: true,
+    seed: 7,
+    enableGas: false,
+  };
+  const scenario = createScenario(options);
+  const totalMass = scenario.chunks.reduce((sum, chunk) => sum + chunk.mass, 0);
+  approxEqual(totalMass, 64 * 150, 1e-6);
+  const remnant = scenario.chunks.filter((chunk) => chunk.cell.remnant);
+  assert.strictEqual(remnant.length, 1);
+  scenario.chunks.filter((chunk) => !chunk.cell.remnant).forEach((chunk) => {
+    // Plates have Lc as their mean extent; fragments too dense for that are cubes
+    const [a, b, c] = chunk.geometry.size;
+    if (a === b && b === c) {
+      assert(a >= chunk.cell.characteristicLength);
+    } else {
+      approxEqual((a + b + c) / 3, chunk.cell.characteristicLength, 1e-9);
+    }
+  });
+
+  const histogram = computeBreakupHistogram(scenario);
+  assert.strictEqual(histogram.fragmentCount, scenario.chunks.length - 1);
+  approxEqual(histogram.remnantMass, remnant[0].mass);
+  assert.strictEqual(computeBreakupHistogram(createScenario({ shape: 'cube' })), null);
+
+  explodeScenario(scenario);
+  const momentum = computeTotalMomentum(scenario);
+  approxEqual(Math.hypot(momentum.x, momentum.y, momentum.z), 0, totalMass * 1e-9);
+
+  // A yield sets the gas only; the fragments keep the model's speeds
+  const withYield = createScenario({ ...options, enableGas: true, gasCount: 100, explosionEnergy: 1e6 });
+  explodeScenario(withYield);
+  assert.deepStrictEqual(withYield.chunks[3].velocity, scenario.chunks[3].velocity);
+})();
+
+console.log('All breakup model tests passed.');
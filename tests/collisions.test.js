@@ -0,0 +1,132 @@
+const assert = require('assert');
+const {
+  pairKey,
+  findCandidatePairs,
+  findContacts,
+  resolveContact,
+  mergeBodies,
+} = require('../collisions.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function body(mass, position, velocity, radius = 1) {
+  return {
+    mass,
+    radius,
+    position: { x: position[0], y: position[1], z: position[2] },
+    velocity: { x: velocity[0], y: velocity[1], z: velocity[2] },
+  };
+}
+
+function momentum(bodies) {
+  return bodies.reduce((sum, b) => ({
+    x: sum.x + b.mass * b.velocity.x,
+    y: sum.y + b.mass * b.velocity.y,
+    z: sum.z + b.mass * b.velocity.z,
+  }), { x: 0, y: 0, z: 0 });
+}
+
+// pairKey is order independent
+(() => {
+  assert.strictEqual(pairKey(3, 1), pairKey(1, 3));
+})();
+
+// Sweep and prune finds every overlapping pair that brute force finds
+(() => {
+  let state = 42;
+  const next = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+  const bodies = [];
+  for (let i = 0; i < 150; i++) {
+    bodies.push(body(1, [next() * 30, next() * 30, next() * 30], [0, 0, 0], 0.5 + next()));
+  }
+
+  const brute = new Set();
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      const dx = bodies[i].position.x - bodies[j].position.x;
+      const dy = bodies[i].position.y - bodies[j].position.y;
+      const dz = bodies[i].position.z - bodies[j].position.z;
+      const reach = bodies[i].radius + bodies[j].radius;
+      if (dx * dx + dy * dy + dz * dz < reach * reach) {
+        brute.add(pairKey(i, j));
+      }
+    }
+  }
+
+  const found = new Set(findContacts(bodies).map(({ a, b }) => pairKey(a, b)));
+  assert.deepStrictEqual([...found].sort(), [...brute].sort());
+  assert(findCandidatePairs(bodies).length < (bodies.length * (bodies.length - 1)) / 2);
+})();
+
+// Elastic head-on collision of equal masses swaps velocities
+(() => {
+  const a = body(2, [0, 0, 0], [1, 0, 0]);
+  const b = body(2, [1.5, 0, 0], [-1, 0, 0]);
+  const [contact] = findContacts([a, b]);
+  assert.strictEqual(resolveContact(a, b, contact, { restitution: 1 }), 'bounce');
+  approxEqual(a.velocity.x, -1);
+  approxEqual(b.velocity.x, 1);
+})();
+
+// Unequal masses with partial restitution conserve momentum and shrink the approach speed
+(() => {
+  const a = body(5, [0, 0, 0], [3, 1, 0]);
+  const b = body(1, [1, 1, 0], [-2, 0, 0.5]);
+  const before = momentum([a, b]);
+  const [contact] = findContacts([a, b]);
+  resolveContact(a, b, contact, { restitution: 0.3 });
+  const after = momentum([a, b]);
+  approxEqual(after.x, before.x);
+  approxEqual(after.y, before.y);
+  approxEqual(after.z, before.z);
+
+  const separation = (b.velocity.x - a.velocity.x) * contact.normal.x
+    + (b.velocity.y - a.velocity.y) * contact.normal.y
+    + (b.velocity.z - a.velocity.z) * contact.normal.z;
+  assert(separation > 0, 'bodies should separate after the impulse');
+})();
+
+// Positional correction keeps the centre of mass fixed
+(() => {
+  const a = body(3, [0, 0, 0], [1, 0, 0]);
+  const b = body(1, [1, 0, 0], [0, 0, 0]);
+  const comBefore = (a.position.x * 3 + b.position.x) / 4;
+  const [contact] = findContacts([a, b]);
+  resolveContact(a, b, contact, { restitution: 0.5 });
+  approxEqual((a.position.x * 3 + b.position.x) / 4, comBefore);
+  approxEqual(b.position.x - a.position.x, 2, 1e-9);
+})();
+
+// Separating bodies are left alone; slow impacts ask to merge
+(() => {
+  const a = body(1, [0, 0, 0], [-1, 0, 0]);
+  const b = body(1, [1, 0, 0], [1, 0, 0]);
+  const [contact] = findContacts([a, b]);
+  assert.strictEqual(resolveContact(a, b, contact), 'separating');
+  approxEqual(a.velocity.x, -1);
+
+  const c = body(1, [0, 0, 0], [0.1, 0, 0]);
+  const d = body(1, [1, 0, 0], [0, 0, 0]);
+  const [slow] = findContacts([c, d]);
+  assert.strictEqual(resolveContact(c, d, slow, { mergeSpeed: 0.5 }), 'merge');
+})();
+
+// Merging conserves mass, momentum and the centre of mass
+(() => {
+  const a = body(2, [0, 0, 0], [1, 2, 0]);
+  const b = body(6, [4, 0, 0], [-1, 0, 3]);
+  const merged = mergeBodies(a, b);
+  approxEqual(merged.mass, 8);
+  approxEqual(merged.position.x, 3);
+  const before = momentum([a, b]);
+  approxEqual(merged.velocity.x * merged.mass, before.x);
+  approxEqual(merged.velocity.y * merged.mass, before.y);
+  approxEqual(merged.velocity.z * merged.mass, before.z);
+})();
+
+console.log('All collision tests passed.');
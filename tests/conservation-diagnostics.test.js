@@ -0,0 +1,161 @@
+const assert = require('assert');
+const {
+  DEFAULT_TOLERANCES,
+  captureConservationBaseline,
+  computeConservationDiagnostics,
+} = require('../conservation-diagnostics.js');
+const {
+  createScenario,
+  explodeScenario,
+  stepScenario,
+  computeTotalMass,
+  computeTotalMomentum,
+  computeCenterOfMass,
+} = require('../physics-engine.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function explode(options) {
+  const scenario = createScenario({ shape: 'cube', useSeed: true, seed: 3, ...options });
+  const baseline = captureConservationBaseline(scenario, explodeScenario(scenario));
+  return { scenario, baseline };
+}
+
+function rowsByKey(diagnostics) {
+  return Object.fromEntries(diagnostics.rows.map((row) => [row.key, row]));
+}
+
+// The baseline is the pre-explosion state: the whole system, gas included,
+// moving at the frame velocity. The blast's draw and correction are kept.
+(() => {
+  const { scenario, baseline } = explode({
+    frameIsCoM: false,
+    comVelocity: { x: 3, y: 1, z: 0 },
+    detonationPoint: { x: 1, y: 0.5, z: 0 },
+    charge: { mode: 'hemisphere' },
+  });
+  assert(scenario.gas);
+  approxEqual(baseline.mass, computeTotalMass(scenario));
+  approxEqual(baseline.momentum.x, 3 * baseline.mass, 1e-6);
+  approxEqual(baseline.momentum.y, baseline.mass, 1e-6);
+  const momentum = computeTotalMomentum(scenario);
+  approxEqual(momentum.x, baseline.momentum.x, 1e-6);
+  assert.deepStrictEqual(baseline.centerOfMassVelocity, { x: 3, y: 1, z: 0 });
+  assert(baseline.drawnMomentum && baseline.momentumCorrection);
+  assert(baseline.momentumScale > 0 && baseline.lengthScale > 0);
+
+  // Free flight through the gas and past its dispersal conserves everything
+  for (let i = 0; i < 300; i++) stepScenario(scenario, 1 / 60);
+  assert.strictEqual(scenario.gas, null);
+  const diagnostics = computeConservationDiagnostics(scenario, baseline);
+  assert.strictEqual(diagnostics.alarm, false);
+  diagnostics.rows.forEach((row) => {
+    assert(row.conserved);
+    assert(row.drift < 1e-9, `${row.key} drifted by ${row.drift}`);
+  });
+  // The centre of mass coasts at the frame velocity
+  const { centerOfMass } = rowsByKey(diagnostics);
+  approxEqual(centerOfMass.reference.x, baseline.centerOfMass.x + 3 * scenario.time, 1e-9);
+})();
+
+// A stray kick trips the momentum and CoM velocity alarms; the tolerances can
+// be overridden
+(() => {
+  const { scenario, baseline } = explode({ enableGas: false });
+  stepScenario(scenario, 0.01);
+  const chunk = scenario.activeChunks[0];
+  chunk.velocity.x += 1;
+  const rows = rowsByKey(computeConservationDiagnostics(scenario, baseline));
+  assert(rows.momentum.alarm && rows.centerOfMassVelocity.alarm);
+  approxEqual(rows.momentum.drift, rows.centerOfMassVelocity.drift, 1e-12);
+  approxEqual(rows.momentum.drift, chunk.mass / baseline.momentumScale, 1e-9);
+  assert.strictEqual(rows.momentum.tolerance, DEFAULT_TOLERANCES.momentum);
+  assert.strictEqual(rows.centerOfMass.alarm, false);
+
+  const relaxed = computeConservationDiagnostics(scenario, baseline, { momentum: 1, centerOfMassVelocity: 1, energy: 1, angularMomentum: 1 });
+  assert.strictEqual(relaxed.alarm, false);
+
+  // Teleporting a chunk moves the centre of mass off its line
+  chunk.velocity.x -= 1;
+  chunk.position.y += 2;
+  const moved = rowsByKey(computeConservationDiagnostics(scenario, baseline));
+  assert(moved.centerOfMass.alarm && moved.angularMomentum.alarm);
+  assert.strictEqual(moved.momentum.alarm, false);
+})();
+
+// The references are the intact object's: angular momentum the blast itself
+// leaves behind, or a centre of mass it shifts, is reported from the start
+(() => {
+  const scenario = createScenario({
+    shape: 'sphere', useSeed: true, seed: 1, charge: { mode: 'offset' }, detonationPoint: { x: 1, y: 0.5, z: 0 },
+  });
+  const blast = explodeScenario(scenario);
+  const clean = captureConservationBaseline(scenario, blast);
+  assert.deepStrictEqual(clean.angularMomentum, { x: 0, y: 0, z: 0 });
+  assert.deepStrictEqual(clean.spin, { x: 0, y: 0, z: 0 });
+  approxEqual(clean.centerOfMass.x, computeCenterOfMass(scenario).x, 1e-12);
+  assert.strictEqual(computeConservationDiagnostics(scenario, clean).alarm, false);
+
+  scenario.activeChunks[0].angularMomentum.z += 1e-3 * clean.momentumScale * clean.lengthScale;
+  scenario.activeChunks[1].position.x += 1e-3 * clean.lengthScale;
+  const rows = rowsByKey(computeConservationDiagnostics(scenario, captureConservationBaseline(scenario, blast)));
+  assert(rows.angularMomentum.alarm && rows.spin.alarm && rows.centerOfMass.alarm);
+})();
+
+// With collisions on, losing energy is expected but gaining it is not
+(() => {
+  const { scenario, baseline } = explode({ enableGas: false, collisions: { enabled: true } });
+  scenario.activeChunks.forEach((chunk) => {
+    chunk.velocity.x *= 0.9;
+    chunk.velocity.y *= 0.9;
+    chunk.velocity.z *= 0.9;
+  });
+  const lossy = computeConservationDiagnostics(scenario, baseline);
+  assert(lossy.dissipative && lossy.energyChange < 0);
+  assert.strictEqual(rowsByKey(lossy).energy.alarm, false);
+
+  scenario.activeChunks.forEach((chunk) => {
+    chunk.velocity.x *= 1.2;
+    chunk.velocity.y *= 1.2;
+    chunk.velocity.z *= 1.2;
+  });
+  assert(rowsByKey(computeConservationDiagnostics(scenario, baseline)).energy.alarm);
+})();
+
+// Tidal forces are external in orbital mode, so only the spin they never
+// torque is still checked, and a stray spin still raises an alarm
+(() => {
+  const { scenario, baseline } = explode({ orbit: { enabled: true } });
+  for (let i = 0; i < 10; i++) stepScenario(scenario, 10);
+  const diagnostics = computeConservationDiagnostics(scenario, baseline);
+  assert(diagnostics.external);
+  assert.strictEqual(diagnostics.alarm, false);
+  const rows = rowsByKey(diagnostics);
+  assert(rows.centerOfMass.drift > DEFAULT_TOLERANCES.centerOfMass);
+  diagnostics.rows.forEach((row) => assert.strictEqual(row.conserved, row.key === 'spin'));
+  assert(rows.spin.drift < 1e-12);
+
+  scenario.activeChunks[0].angularMomentum.y += 1e-3 * baseline.momentumScale * baseline.lengthScale;
+  const kicked = computeConservationDiagnostics(scenario, baseline);
+  assert(kicked.alarm && rowsByKey(kicked).spin.alarm);
+})();
+
+// A projectile's launch is the baseline; the impact keeps momentum and angular
+// momentum and may only lose energy
+(() => {
+  const { scenario, baseline } = explode({
+    impact: { enabled: true, direction: { x: 0, y: -1, z: 0 } },
+    detonationPoint: { x: 1, y: 4, z: 0 },
+  });
+  approxEqual(baseline.energy, scenario.impact.collisionEnergy, 1e-6 * baseline.energy);
+  for (let i = 0; i < 20; i++) stepScenario(scenario, 1 / 600);
+  assert(scenario.impact.struck);
+  const diagnostics = computeConservationDiagnostics(scenario, baseline);
+  assert(diagnostics.dissipative && diagnostics.energyChange < 0);
+  assert.strictEqual(rowsByKey(diagnostics).spin.conserved, false);
+  assert.strictEqual(diagnostics.alarm, false);
+})();
+
+console.log('All conservation diagnostics tests passed.');
@@ -0,0 +1,138 @@
+const assert = require('assert');
+const {
+  collectFragments,
+  collectRecordedFragments,
+  inspectFragment,
+  formatCell,
+  formatSnapshot,
+  toCSV,
+  toJSON,
+  toOEM,
+} = require('../fragment-export.js');
+const { circularOrbitState } = require('../orbital-mechanics.js');
+const { createScenario, explodeScenario, stepScenario } = require('../physics-engine.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function explodedScenario(options = {}) {
+  const scenario = createScenario({ shape: 'sphere', useSeed: true, seed: 8, enableGas: false, ...options });
+  explodeScenario(scenario);
+  stepScenario(scenario, 0.5);
+  return scenario;
+}
+
+// Nothing to export before the explosion
+(() => {
+  const scenario = createScenario({ shape: 'cube' });
+  assert.deepStrictEqual(collectFragments(scenario).fragments, []);
+})();
+
+// Current fragments carry their source cell, mass and state
+(() => {
+  const scenario = explodedScenario();
+  const snapshot = collectFragments(scenario);
+  assert.strictEqual(snapshot.frame, 'CoM');
+  approxEqual(snapshot.time, 0.5);
+  assert.strictEqual(snapshot.fragments.length, 72);
+
+  const fragment = snapshot.fragments[13];
+  const chunk = scenario.chunks[13];
+  assert.deepStrictEqual(fragment.cell, { lat: 1, lon: 1 });
+  assert.deepStrictEqual(fragment.pieces, [13]);
+  approxEqual(fragment.mass, chunk.mass);
+  approxEqual(fragment.position.x, chunk.position.x);
+  approxEqual(fragment.velocity.z, chunk.velocity.z);
+  assert.strictEqual(formatCell(fragment.cell), 'lat=1 lon=1');
+})();
+
+// Recorded samples list every piece
+(() => {
+  const scenario = explodedScenario({ shape: 'cube' });
+  const positions = new Float32Array(216 * 3).fill(2);
+  const velocities = new Float32Array(216 * 3).fill(-1);
+  const snapshot = collectRecordedFragments(scenario, { time: 0.25, orbitTime: 3, positions, velocities });
+  assert.strictEqual(snapshot.fragments.length, 216);
+  approxEqual(snapshot.orbitTime, 3);
+  assert.deepStrictEqual(snapshot.fragments[1].cell, { x: 0, y: 0, z: 1 });
+  approxEqual(snapshot.fragments[1].position.y, 2);
+  approxEqual(snapshot.fragments[1].velocity.x, -1);
+})();
+
+// The inspector finds a piece's fragment, merged or not, and sizes it up
+(() => {
+  const snapshot = {
+    frame: 'lab',
+    time: 2,
+    fragments: [
+      { id: 0, cell: { x: 0 }, pieces: [0], mass: 1, position: { x: 0, y: 0, z: 0 }, velocity: { x: 1, y: 0, z: 0 } },
+      { id: 1, cell: { x: 1 }, pieces: [1, 4], mass: 4, position: { x: 3, y: 4, z: 0 }, velocity: { x: 0, y: 3, z: -4 } },
+    ],
+  };
+  const inspected = inspectFragment(snapshot, 4, { x: 0, y: 0, z: 0 });
+  assert.strictEqual(inspected.id, 1);
+  assert.strictEqual(inspected.frame, 'lab');
+  assert.strictEqual(inspected.time, 2);
+  assert.deepStrictEqual(inspected.cell, { x: 1 });
+  approxEqual(inspected.speed, 5);
+  approxEqual(inspected.kineticEnergy, 50);
+  approxEqual(inspected.distance, 5);
+  approxEqual(inspectFragment(snapshot, 0, { x: 0, y: 0, z: 12 }).distance, 12);
+  assert.strictEqual(inspectFragment(snapshot, 7, { x: 0, y: 0, z: 0 }), null);
+})();
+
+// CSV and JSON hold one row per fragment
+(() => {
+  const snapshot = collectFragments(explodedScenario());
+  const lines = toCSV(snapshot).trim().split('\n');
+  assert.strictEqual(lines.length, 73);
+  assert(lines[0].startsWith('id,time_s,cell,pieces,mass_kg'));
+  const columns = lines[1].split(',');
+  assert.strictEqual(columns.length, 11);
+  assert.strictEqual(columns[2], 'lat=0 lon=0');
+  approxEqual(Number(columns[5]), snapshot.fragments[0].position.x);
+
+  const parsed = JSON.parse(toJSON(snapshot));
+  assert.strictEqual(parsed.fragments.length, 72);
+  assert.strictEqual(parsed.units.position, 'm');
+  assert.strictEqual(formatSnapshot('json', snapshot), toJSON(snapshot));
+  assert.throws(() => formatSnapshot('xml', snapshot), /Unknown export format/);
+})();
+
+// OEM states are the parent's ECI state plus the fragment offset, in km and km/s
+(() => {
+  const snapshot = {
+    frame: 'CoM',
+    time: 1,
+    orbitTime: 60,
+    fragments: [{
+      id: 7,
+      cell: { layer: 2, segment: 3 },
+      pieces: [7],
+      mass: 12.5,
+      position: { x: 100, y: 0, z: 0 },
+      velocity: { x: 0, y: 2, z: 0 },
+    }],
+  };
+  const text = toOEM(snapshot, {
+    parentOrbit: { altitudeKm: 400, inclinationDeg: 51.6 },
+    epoch: Date.UTC(2026, 0, 1),
+    creationDate: Date.UTC(2026, 0, 2),
+  });
+  const lines = text.split('\n');
+  assert.strictEqual(lines[0], 'CCSDS_OEM_VERS = 2.0');
+  assert(lines.includes('CREATION_DATE = 2026-01-02T00:00:00.000'));
+  assert(lines.includes('REF_FRAME = EME2000'));
+  assert(lines.includes('OBJECT_NAME = FRAGMENT-007'));
+  assert(lines.includes('START_TIME = 2026-01-01T00:01:00.000'));
+
+  const state = lines.find((line) => line.startsWith('2026-01-01T00:01:00.000 ')).split(' ').map(Number);
+  const parent = circularOrbitState(400e3, 51.6, 60);
+  // Scene +x is ECI +x; scene +y is ECI +z
+  approxEqual(state[1], (parent.position.x + 100) / 1000, 1e-6);
+  approxEqual(state[2], parent.position.y / 1000, 1e-6);
+  approxEqual(state[6], (parent.velocity.z + 2) / 1000, 1e-9);
+})();
+
+console.log('All fragment export tests passed.');
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const {
+  GAS_END_EXPANSION,
+  createGasCloud,
+  gasCloudKineticEnergy,
+  gasDensity,
+  expansionAcceleration,
+  projectedArea,
+  applyGasDrag,
+  stepGasCloud,
+  gasExpansion,
+  gasDispersal,
+  tracerPositions,
+} = require('../gas-dynamics.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function cloud(overrides = {}) {
+  return createGasCloud({
+    mass: 10,
+    energy: 1e6,
+    center: { x: 0, y: 0, z: 0 },
+    velocity: { x: 0, y: 0, z: 0 },
+    radius: 2,
+    ...overrides,
+  });
+}
+
+function bodyEnergy(bodies) {
+  return bodies.reduce((sum, { mass, velocity: v }) => sum + 0.5 * mass * (v.x * v.x + v.y * v.y + v.z * v.z), 0);
+}
+
+function totals(gas, bodies) {
+  const momentum = { x: gas.mass * gas.velocity.x, y: gas.mass * gas.velocity.y, z: gas.mass * gas.velocity.z };
+  // Angular momentum about the origin
+  const angular = {
+    x: gas.spin.x + gas.mass * (gas.center.y * gas.velocity.z - gas.center.z * gas.velocity.y),
+    y: gas.spin.y + gas.mass * (gas.center.z * gas.velocity.x - gas.center.x * gas.velocity.z),
+    z: gas.spin.z + gas.mass * (gas.center.x * gas.velocity.y - gas.center.y * gas.velocity.x),
+  };
+  bodies.forEach(({ mass, position: p, velocity: v }) => {
+    momentum.x += mass * v.x;
+    momentum.y += mass * v.y;
+    momentum.z += mass * v.z;
+    angular.x += mass * (p.y * v.z - p.z * v.y);
+    angular.y += mass * (p.z * v.x - p.x * v.z);
+    angular.z += mass * (p.x * v.y - p.y * v.x);
+  });
+  const energy = gas.internalEnergy + gasCloudKineticEnergy(gas) + bodyEnergy(bodies);
+  return { momentum, angular, energy };
+}
+
+// A uniform sphere: density, pressure-driven acceleration and mean projected area
+(() => {
+  const gas = cloud({ gamma: 1.4 });
+  approxEqual(gasDensity(gas), 10 / ((4 / 3) * Math.PI * 8));
+  approxEqual(expansionAcceleration(gas), (5 * 0.4 * 1e6) / (10 * 2));
+  approxEqual(gasCloudKineticEnergy(gas), 0);
+
+  approxEqual(projectedArea({ type: 'box', size: [1, 1, 1] }), 1.5);
+  // A unit tetrahedron has surface 1.5 + √3/2
+  const tetrahedron = { type: 'mesh', vertices: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1], indices: [0, 2, 1, 0, 1, 3, 0, 3, 2, 1, 2, 3] };
+  approxEqual(projectedArea(tetrahedron), (1.5 + Math.sqrt(3) / 2) / 4, 1e-12);
+})();
+
+// Free expansion turns internal energy into expansion along the adiabat,
+// keeping the total exactly; the expansion rate tends to √(E / 0.3 M)
+(() => {
+  const gas = cloud({ gamma: 5 / 3 });
+  stepGasCloud(gas, [], 0.5);
+  assert(gas.expansionRate > 0 && gas.radius > 2);
+  approxEqual(gas.internalEnergy, 1e6 * (2 / gas.radius) ** 2, 1e-3);
+  approxEqual(gas.internalEnergy + gasCloudKineticEnergy(gas), 1e6, 1e-6);
+  assert(gas.expansionRate < Math.sqrt(1e6 / 3) && gas.expansionRate > 0.9 * Math.sqrt(1e6 / 3));
+
+  // A moving cloud drifts as a whole
+  const moving = cloud({ velocity: { x: 5, y: 0, z: 0 } });
+  stepGasCloud(moving, [], 0.2);
+  approxEqual(moving.center.x, 1, 1e-12);
+  approxEqual(gasCloudKineticEnergy(moving, { x: 5, y: 0, z: 0 }) + moving.internalEnergy, 1e6, 1e-6);
+})();
+
+// Drag speeds up bodies caught in the flow while momentum, energy and
+// angular momentum all stay exact
+(() => {
+  const gas = cloud({ velocity: { x: 1, y: -2, z: 0.5 } });
+  const bodies = [
+    { x: 1, y: 0, z: 0 },
+    { x: -0.5, y: 1, z: 0.3 },
+    { x: 0.2, y: -0.4, z: -1.2 },
+    { x: 5, y: 0, z: 0 }, // outside the cloud for now
+  ].map((position) => ({ position, velocity: { x: 0, y: 0, z: 0 }, mass: 2, dragArea: 0.3 }));
+  stepGasCloud(gas, bodies, 0.001);
+  const before = totals(gas, bodies);
+
+  for (let i = 0; i < 50; i++) {
+    stepGasCloud(gas, bodies, 0.001);
+    bodies.forEach((body) => {
+      body.position = {
+        x: body.position.x + body.velocity.x * 0.001,
+        y: body.position.y + body.velocity.y * 0.001,
+        z: body.position.z + body.velocity.z * 0.001,
+      };
+    });
+  }
+  // Drifting the bodies changes neither momentum nor energy; it moves their
+  // angular momentum only by r × p along p, which is zero
+  const after = totals(gas, bodies);
+  ['x', 'y', 'z'].forEach((axis) => {
+    approxEqual(after.momentum[axis], before.momentum[axis], 1e-9);
+    approxEqual(after.angular[axis], before.angular[axis], 1e-6);
+  });
+  approxEqual(after.energy / before.energy, 1, 1e-12);
+
+  assert(bodyEnergy(bodies.slice(0, 3)) > 0);
+
+  // In a cloud at rest a light drag blows the bodies straight out
+  const still = cloud({ dragCoefficient: 1 });
+  const ring = [0, 1, 2, 3].map((k) => ({
+    position: { x: Math.cos(k), y: Math.sin(k), z: 0.2 * k },
+    velocity: { x: 0, y: 0, z: 0 },
+    mass: 2,
+    dragArea: 0.3,
+  }));
+  stepGasCloud(still, ring, 0.01);
+  ring.forEach(({ position: p, velocity: v }) => {
+    const speed = Math.hypot(v.x, v.y, v.z);
+    approxEqual((p.x * v.x + p.y * v.y + p.z * v.z) / (speed * Math.hypot(p.x, p.y, p.z)), 1, 1e-3);
+  });
+
+  // The default coupling locks the bodies to the flow, which they load in turn
+  // and take far more of its energy than a light drag passes on
+  const heavyRing = () => ring.map(({ position }) => ({ position, velocity: { x: 0, y: 0, z: 0 }, mass: 200, dragArea: 0.3 }));
+  const locked = cloud();
+  const heavy = heavyRing();
+  stepGasCloud(locked, heavy, 0.01);
+  heavy.forEach(({ position: p, velocity: v }) => {
+    const flow = ['x', 'y', 'z'].map((axis) => locked.velocity[axis] + (locked.expansionRate * p[axis]) / locked.radius);
+    approxEqual(Math.hypot(v.x - flow[0], v.y - flow[1], v.z - flow[2]) / Math.hypot(...flow), 0, 0.05);
+  });
+  const slipping = heavyRing();
+  stepGasCloud(cloud({ dragCoefficient: 1 }), slipping, 0.01);
+  assert(bodyEnergy(heavy) > 10 * bodyEnergy(slipping));
+
+  // Very light bodies are carried with the flow, not flung past it
+  const dust = { position: { x: 1, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 }, mass: 1e-9, dragArea: 1 };
+  const fresh = cloud({ radius: 2 });
+  fresh.expansionRate = 100;
+  applyGasDrag(fresh, [dust], 1);
+  approxEqual(dust.velocity.x, 50, 1e-3);
+})();
+
+// Tracers scale with the expansion about the moving centre; the cloud counts
+// as dispersed at GAS_END_EXPANSION
+(() => {
+  const gas = cloud();
+  const offsets = new Float64Array([1, 0, 0, 0, -0.5, 0.25]);
+  gas.radius = 6;
+  gas.center = { x: 10, y: 0, z: 0 };
+  const positions = tracerPositions(offsets, gas.center, gasExpansion(gas));
+  assert.deepStrictEqual(Array.from(positions), [13, 0, 0, 10, -1.5, 0.75]);
+
+  approxEqual(gasDispersal(1), 0);
+  approxEqual(gasDispersal(Math.sqrt(GAS_END_EXPANSION)), 0.5, 1e-12);
+  approxEqual(gasDispersal(GAS_END_EXPANSION * 2), 1);
+})();
+
+console.log('All gas dynamics tests passed.');
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const {
+  buildBarnesHutTree,
+  computeDirectGravity,
+  computeGravityAccelerations,
+  computeGravitationalPotentialEnergy,
+} = require('../gravity.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+// Deterministic pseudo-random cloud so the tests do not depend on Math.random
+function makeCloud(count, seed = 1) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+  const positions = new Float64Array(count * 3);
+  const masses = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    positions[i * 3] = (next() - 0.5) * 20;
+    positions[i * 3 + 1] = (next() - 0.5) * 20;
+    positions[i * 3 + 2] = (next() - 0.5) * 20;
+    masses[i] = 0.5 + next() * 2;
+  }
+  return { positions, masses };
+}
+
+function netForce(accelerations, masses) {
+  const total = [0, 0, 0];
+  for (let i = 0; i < masses.length; i++) {
+    total[0] += accelerations[i * 3] * masses[i];
+    total[1] += accelerations[i * 3 + 1] * masses[i];
+    total[2] += accelerations[i * 3 + 2] * masses[i];
+  }
+  return total;
+}
+
+// Two bodies attract each other along the separation with G*m/r^2
+(() => {
+  const positions = [0, 0, 0, 2, 0, 0];
+  const masses = [3, 1];
+  const acc = computeDirectGravity(positions, masses, { gravitationalConstant: 2, softening: 0 });
+  approxEqual(acc[0], 2 * 1 / 4);
+  approxEqual(acc[3], -2 * 3 / 4);
+  approxEqual(acc[1], 0);
+  approxEqual(acc[4], 0);
+})();
+
+// Softening caps the force at small separations
+(() => {
+  const positions = [0, 0, 0, 0.001, 0, 0];
+  const masses = [1, 1];
+  const acc = computeDirectGravity(positions, masses, { gravitationalConstant: 1, softening: 1 });
+  assert(Math.abs(acc[0]) < 0.002, 'softened force should stay small for near-coincident bodies');
+})();
+
+// Tree root holds the total mass at the centre of mass
+(() => {
+  const { positions, masses } = makeCloud(216);
+  const root = buildBarnesHutTree(positions, masses);
+  let totalMass = 0;
+  let comX = 0;
+  for (let i = 0; i < masses.length; i++) {
+    totalMass += masses[i];
+    comX += positions[i * 3] * masses[i];
+  }
+  approxEqual(root.mass, totalMass, 1e-9);
+  approxEqual(root.comX, comX / totalMass, 1e-9);
+})();
+
+// Barnes-Hut agrees with direct summation and leaves no net force
+(() => {
+  const { positions, masses } = makeCloud(216, 7);
+  const options = { gravitationalConstant: 1, softening: 0.5, openingAngle: 0.5 };
+  const direct = computeDirectGravity(positions, masses, options);
+  const tree = computeGravityAccelerations(positions, masses, options);
+
+  let errorSq = 0;
+  let normSq = 0;
+  for (let i = 0; i < direct.length; i++) {
+    errorSq += (tree[i] - direct[i]) ** 2;
+    normSq += direct[i] ** 2;
+  }
+  assert(Math.sqrt(errorSq / normSq) < 0.02, 'tree accelerations should be within 2% of direct summation');
+
+  netForce(tree, masses).forEach((component) => approxEqual(component, 0, 1e-9));
+})();
+
+// Coincident bodies do not break the tree build
+(() => {
+  const positions = new Float64Array(64 * 3);
+  const masses = new Float64Array(64).fill(1);
+  const acc = computeGravityAccelerations(positions, masses, { softening: 0.1, directSumThreshold: 0 });
+  assert(Array.from(acc).every(Number.isFinite), 'accelerations should stay finite');
+})();
+
+// Potential energy of a pair is -G m1 m2 / r
+(() => {
+  const energy = computeGravitationalPotentialEnergy([0, 0, 0, 0, 4, 0], [2, 3], {
+    gravitationalConstant: 1,
+    softening: 0,
+  });
+  approxEqual(energy, -6 / 4);
+})();
+
+console.log('All gravity tests passed.');
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const {
+  DEFAULT_ENERGY_FRACTION,
+  projectileRadius,
+  firstContact,
+  shareImpactMomentum,
+} = require('../impact.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function sum(bodies, velocities, pick) {
+  return bodies.reduce((total, body, i) => total + body.mass * pick(velocities[i], body), 0);
+}
+
+// A 1 m³ sphere of unit density weighs 1 kg
+(() => {
+  approxEqual((4 / 3) * Math.PI * projectileRadius(1, 1) ** 3, 1);
+  approxEqual(projectileRadius(8, 1), 2 * projectileRadius(1, 1));
+})();
+
+// The sweep finds the first sphere the path touches, including moving and
+// already-touching ones, and misses what lies off the path or behind
+(() => {
+  const projectile = { position: { x: -10, y: 0, z: 0 }, velocity: { x: 2, y: 0, z: 0 }, radius: 0.5 };
+  const rest = { x: 0, y: 0, z: 0 };
+  const bodies = [
+    { position: { x: 5, y: 0, z: 0 }, velocity: rest, radius: 1 },
+    { position: { x: 0, y: 1, z: 0 }, velocity: rest, radius: 1 },
+    { position: { x: 0, y: 5, z: 0 }, velocity: rest, radius: 1 },
+  ];
+  const contact = firstContact(projectile, bodies);
+  assert.strictEqual(contact.index, 1);
+  // Centres 1.5 apart at x = -√(1.5² - 1)
+  approxEqual(contact.time, (10 - Math.sqrt(1.25)) / 2);
+
+  const oncoming = [{ position: { x: 10, y: 0, z: 0 }, velocity: { x: -2, y: 0, z: 0 }, radius: 1 }];
+  approxEqual(firstContact(projectile, oncoming).time, 18.5 / 4);
+  assert.strictEqual(firstContact(projectile, [bodies[2]]), null);
+  assert.strictEqual(firstContact({ ...projectile, velocity: { x: -2, y: 0, z: 0 } }, [bodies[0]]), null);
+  assert.strictEqual(firstContact({ ...projectile, position: { x: 4, y: 0, z: 0 } }, [bodies[0]]).time, 0);
+})();
+
+// A target row hit off-centre: momentum, angular momentum and the energy share
+// come out exactly, and the pieces by the impact point take the most of the push
+(() => {
+  const bodies = [];
+  for (let i = 0; i < 5; i++) {
+    for (let j = 0; j < 5; j++) {
+      bodies.push({ mass: 10, position: { x: 0, y: i - 2, z: j - 2 }, velocity: { x: 0.5, y: 0, z: 0 }, projectile: false });
+    }
+  }
+  bodies.push({ mass: 1, position: { x: -1, y: 1.5, z: 0 }, velocity: { x: 300, y: 0, z: 0 }, projectile: true });
+  bodies.push({ mass: 1, position: { x: -1.2, y: 1.5, z: 0.1 }, velocity: { x: 300, y: 0, z: 0 }, projectile: true });
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296 - 0.5;
+  };
+  const scatter = bodies.map(() => ({ x: random() * 40, y: random() * 40, z: random() * 40 }));
+
+  const point = { x: -0.5, y: 1.5, z: 0 };
+  const result = shareImpactMomentum(bodies, { point, couplingLength: 1, scatter });
+  const before = bodies.map((body) => body.velocity);
+  ['x', 'y', 'z'].forEach((axis) => {
+    approxEqual(sum(bodies, result.velocities, (v) => v[axis]), sum(bodies, before, (v) => v[axis]), 1e-9);
+  });
+  const angular = (velocities) => ['x', 'y', 'z'].map((axis, k) => sum(bodies, velocities, (v, { position: p }) => [
+    p.y * v.z - p.z * v.y,
+    p.z * v.x - p.x * v.z,
+    p.x * v.y - p.y * v.x,
+  ][k]));
+  angular(result.velocities).forEach((value, k) => approxEqual(value, angular(before)[k], 1e-8));
+
+  const totalMass = 252;
+  const centreVelocity = sum(bodies, before, (v) => v.x) / totalMass;
+  const reduced = (250 * 2) / totalMass;
+  approxEqual(result.collisionEnergy, 0.5 * reduced * 299.5 ** 2, 1e-6);
+  approxEqual(result.energy, DEFAULT_ENERGY_FRACTION * result.collisionEnergy, 1e-6);
+  const relativeEnergy = sum(bodies, result.velocities, (v) => 0.5 * ((v.x - centreVelocity) ** 2 + v.y ** 2 + v.z ** 2));
+  approxEqual(relativeEnergy, result.energy, 1e-6);
+  assert(result.coupledMass > 2 && result.coupledMass < 250);
+  assert(result.plugVelocity.x > 0.5 && result.plugVelocity.x < 300);
+
+  // Without scatter the push falls off away from the impact point
+  const still = bodies.map(() => ({ x: 0, y: 0, z: 0 }));
+  const plug = shareImpactMomentum(bodies, { point, couplingLength: 1, scatter: still, energyFraction: null });
+  assert.strictEqual(plug.scatterScale, 1);
+  const near = plug.velocities[bodies.findIndex(({ position: p }) => p.y === 2 && p.z === 0)].x;
+  const far = plug.velocities[bodies.findIndex(({ position: p }) => p.y === -2 && p.z === 2)].x;
+  assert(near > 5 * far);
+  approxEqual(plug.energy, shareImpactMomentum(bodies, { point, couplingLength: 1, scatter: still }).energy, 1e-6);
+})();
+
+console.log('All impact tests passed.');
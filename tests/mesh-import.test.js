@@ -0,0 +1,201 @@
+const assert = require('assert');
+const {
+  parseOBJ,
+  parseSTL,
+  parseGLTF,
+  parseMeshFile,
+  meshBounds,
+  meshVolume,
+  centerMesh,
+  voxelFracture,
+} = require('../mesh-import.js');
+const { createScenario, createShapeChunks, resolveDimensions } = require('../physics-engine.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+// Box from (0, 0, 0) to (2, 3, 4) as an OBJ with outward-facing quads
+const BOX_OBJ = `
+# box
+v 0 0 0
+v 2 0 0
+v 2 3 0
+v 0 3 0
+v 0 0 4
+v 2 0 4
+v 2 3 4
+v 0 3 4
+f 1 4 3 2
+f 5 6 7 8
+f 1 2 6 5
+f 4 8 7 3
+f 1 5 8 4
+f 2/1/1 3/2/1 7/3/1 6/4/1
+`;
+
+function toArrayBuffer(buffer) {
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+function boxTriangles() {
+  const mesh = parseOBJ(BOX_OBJ);
+  const triangles = [];
+  for (let t = 0; t < mesh.indices.length / 3; t++) {
+    triangles.push([0, 1, 2].map((k) => mesh.indices[t * 3 + k]).map((i) => mesh.positions.slice(i * 3, i * 3 + 3)));
+  }
+  return { mesh, triangles };
+}
+
+// OBJ quads are fanned into triangles; volume and centroid follow from the surface
+(() => {
+  const mesh = parseOBJ(BOX_OBJ);
+  assert.strictEqual(mesh.indices.length, 36);
+  const { volume, centroid } = meshVolume(mesh);
+  approxEqual(volume, 24);
+  approxEqual(centroid.x, 1);
+  approxEqual(centroid.y, 1.5);
+  approxEqual(centroid.z, 2);
+
+  // Negative indices count back from the latest vertex
+  const relative = parseOBJ('v 0 0 0\nv 1 0 0\nv 0 1 0\nf -3 -2 -1\n');
+  assert.deepStrictEqual(relative.indices, [0, 1, 2]);
+
+  const centred = centerMesh(mesh, 0.5);
+  const bounds = meshBounds(centred);
+  approxEqual(bounds.min.x, -0.5);
+  approxEqual(bounds.max.z, 1);
+  approxEqual(meshVolume(centred).volume, 3);
+})();
+
+// ASCII and binary STL give the same triangles
+(() => {
+  const { triangles } = boxTriangles();
+  const ascii = ['solid box', ...triangles.flatMap((triangle) => [
+    'facet normal 0 0 0',
+    'outer loop',
+    ...triangle.map(([x, y, z]) => `vertex ${x} ${y} ${z}`),
+    'endloop',
+    'endfacet',
+  ]), 'endsolid box'].join('\n');
+  approxEqual(meshVolume(parseSTL(ascii)).volume, 24);
+
+  const binary = Buffer.alloc(84 + triangles.length * 50);
+  binary.write('solid but actually binary', 0);
+  binary.writeUInt32LE(triangles.length, 80);
+  triangles.forEach((triangle, t) => {
+    triangle.flat().forEach((value, k) => binary.writeFloatLE(value, 84 + t * 50 + 12 + k * 4));
+  });
+  const mesh = parseMeshFile('Box.STL', toArrayBuffer(binary));
+  assert.strictEqual(mesh.indices.length, 36);
+  approxEqual(meshVolume(mesh).volume, 24, 1e-5);
+
+  // Trailing bytes after the last triangle are skipped, and ASCII read from a
+  // buffer stays ASCII
+  const padded = parseMeshFile('Box.stl', toArrayBuffer(Buffer.concat([binary, Buffer.alloc(37)])));
+  assert.deepStrictEqual(padded.positions, mesh.positions);
+  approxEqual(meshVolume(parseMeshFile('box.stl', toArrayBuffer(Buffer.from(ascii)))).volume, 24);
+})();
+
+// glTF with an embedded buffer and node transforms, and the same model as GLB
+(() => {
+  const { mesh } = boxTriangles();
+  const positions = Buffer.from(new Float32Array(mesh.positions).buffer);
+  const indices = Buffer.from(new Uint16Array(mesh.indices).buffer);
+  const data = Buffer.concat([positions, indices]);
+  const gltf = (buffer) => ({
+    asset: { version: '2.0' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ children: [1], translation: [10, 0, 0] }, { mesh: 0, scale: [2, 2, 2] }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1 }] }],
+    buffers: [buffer],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positions.length },
+      { buffer: 0, byteOffset: positions.length, byteLength: indices.length },
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 8, type: 'VEC3' },
+      { bufferView: 1, componentType: 5123, count: 36, type: 'SCALAR' },
+    ],
+  });
+
+  const embedded = JSON.stringify(gltf({
+    byteLength: data.length,
+    uri: `data:application/octet-stream;base64,${data.toString('base64')}`,
+  }));
+  const parsed = parseGLTF(embedded);
+  const bounds = meshBounds(parsed);
+  approxEqual(bounds.min.x, 10);
+  approxEqual(bounds.max.x, 14);
+  approxEqual(meshVolume(parsed).volume, 24 * 8, 1e-6);
+
+  const json = Buffer.from(JSON.stringify(gltf({ byteLength: data.length })));
+  const jsonChunk = Buffer.concat([json, Buffer.alloc((4 - (json.length % 4)) % 4, 0x20)]);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  const chunkHeader = (length, type) => {
+    const chunk = Buffer.alloc(8);
+    chunk.writeUInt32LE(length, 0);
+    chunk.writeUInt32LE(type, 4);
+    return chunk;
+  };
+  const glb = Buffer.concat([
+    header,
+    chunkHeader(jsonChunk.length, 0x4e4f534a), jsonChunk,
+    chunkHeader(data.length, 0x004e4942), data,
+  ]);
+  header.writeUInt32LE(glb.length, 8);
+  const fromGlb = parseMeshFile('model.glb', toArrayBuffer(glb));
+  approxEqual(meshVolume(fromGlb).volume, 24 * 8, 1e-6);
+
+  assert.throws(() => parseGLTF(JSON.stringify(gltf({ byteLength: 1, uri: 'model.bin' }))), /External glTF buffers/);
+  const zeroFilled = gltf({ byteLength: 0, uri: 'data:application/octet-stream;base64,' });
+  delete zeroFilled.accessors[0].bufferView;
+  assert.throws(() => parseGLTF(JSON.stringify(zeroFilled)), /accessor 0: sparse or zero-filled/);
+  const sparse = JSON.parse(embedded);
+  sparse.accessors[1].sparse = { count: 1, indices: { bufferView: 1, componentType: 5123 }, values: { bufferView: 0 } };
+  assert.throws(() => parseGLTF(JSON.stringify(sparse)), /accessor 1: sparse or zero-filled/);
+})();
+
+// Bad input is reported
+(() => {
+  assert.throws(() => parseMeshFile('model.fbx', new ArrayBuffer(4)), /Unsupported mesh file/);
+  assert.throws(() => parseOBJ('v 0 0 0\n'), /no usable triangles/);
+  assert.throws(() => voxelFracture(parseOBJ('v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\n'), 50), /closed surface/);
+})();
+
+// Voxel fracture fills the interior and shares out the exact volume
+(() => {
+  const mesh = centerMesh(parseOBJ(BOX_OBJ));
+  const chunks = voxelFracture(mesh, 160);
+  assert(chunks.length >= 80 && chunks.length <= 320, `${chunks.length} pieces`);
+  approxEqual(chunks.reduce((sum, chunk) => sum + chunk.volume, 0), 24, 1e-9);
+  chunks.forEach(({ position }) => {
+    assert(Math.abs(position.x) < 1 && Math.abs(position.y) < 1.5 && Math.abs(position.z) < 2);
+  });
+  const cells = new Set(chunks.map(({ cell }) => `${cell.x},${cell.y},${cell.z}`));
+  assert.strictEqual(cells.size, chunks.length);
+})();
+
+// Thin parts refine the grid rather than vanishing between cell centres
+(() => {
+  const plate = centerMesh(parseOBJ(BOX_OBJ.replace(/^(v .*) 4$/gm, '$1 0.2')));
+  approxEqual(meshVolume(plate).volume, 1.2, 1e-9);
+  assert(voxelFracture(plate, 160).length >= 80);
+})();
+
+// The engine fractures imported meshes with mass from the mesh volume
+(() => {
+  const mesh = parseOBJ(BOX_OBJ);
+  assert.deepStrictEqual(resolveDimensions('mesh'), { scale: 1 });
+  const chunks = createShapeChunks('mesh', { scale: 0.5 }, 1000, { mesh });
+  approxEqual(chunks.reduce((sum, chunk) => sum + chunk.mass, 0), 3000, 1e-6);
+  assert.throws(() => createShapeChunks('mesh', {}, 1000), /needs an imported mesh/);
+
+  const scenario = createScenario({ shape: 'mesh', mesh, density: 100 });
+  approxEqual(scenario.chunks.reduce((sum, chunk) => sum + chunk.mass, 0), 2400, 1e-6);
+})();
+
+console.log('All mesh import tests passed.');
@@ -0,0 +1,110 @@
+const assert = require('assert');
+const {
+  DEFAULT_TRAIL_OPTIONS,
+  overlayFrameVelocity,
+  trailVertexCount,
+  buildTrails,
+  fragmentArrows,
+} = require('../motion-overlays.js');
+const { createRecording, appendFrame } = require('../recording.js');
+const { createScenario, explodeScenario, stepScenario } = require('../physics-engine.js');
+const { collectFragments } = require('../fragment-export.js');
+
+function approxEqual(actual, expected, tolerance = 1e-6) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+// Two pieces, one drifting along x at 2 m/s and one at rest, recorded every 0.1 s
+function drift(duration) {
+  const recording = createRecording({ interval: 0.1 });
+  for (let i = 0; i <= duration * 10; i++) {
+    const time = i / 10;
+    appendFrame(recording, { time, positions: [2 * time, 0, 0, 5, 5, 5], quaternions: [0, 0, 0, 1, 0, 0, 0, 1] }, true);
+  }
+  return recording;
+}
+
+// The lab moves at -V in a CoM scene; the CoM moves at the frame velocity
+(() => {
+  const comVelocity = { x: 3, y: 2, z: -1 };
+  assert.deepStrictEqual(
+    overlayFrameVelocity('lab', { frameIsCoM: true, comVelocity, frameVelocity: { x: 0, y: 0, z: 0 } }),
+    { x: -3, y: -2, z: 1 }
+  );
+  assert.deepStrictEqual(
+    overlayFrameVelocity('lab', { frameIsCoM: false, comVelocity, frameVelocity: comVelocity }),
+    { x: 0, y: 0, z: 0 }
+  );
+  assert.deepStrictEqual(
+    overlayFrameVelocity('com', { frameIsCoM: false, comVelocity, frameVelocity: comVelocity }),
+    comVelocity
+  );
+  assert.throws(() => overlayFrameVelocity('ship', { frameIsCoM: true, comVelocity, frameVelocity: comVelocity }), /Unknown overlay frame/);
+})();
+
+// Trails run from `duration` ago up to the head, fading out towards the tail
+(() => {
+  const recording = drift(3);
+  const count = 2;
+  const positions = new Float32Array(trailVertexCount(count) * 3);
+  const fades = new Float32Array(trailVertexCount(count));
+  const head = [6.1, 0, 0, 5, 5, 5];
+  const still = { x: 0, y: 0, z: 0 };
+  const written = buildTrails(recording, { time: 3.05, head, frameVelocity: still, ...DEFAULT_TRAIL_OPTIONS }, positions, fades);
+  // Frames at 1.1 s ... 3.0 s, then the head
+  assert.strictEqual(written, count * 2 * 20);
+  approxEqual(positions[0], 2.2);
+  approxEqual(fades[0], 1 - 1.95 / 2);
+  approxEqual(positions[(written / 2 - 1) * 3], 6.1);
+  assert.strictEqual(fades[written / 2 - 1], 1);
+  approxEqual(positions[(written / 2) * 3 + 1], 5);
+
+  // Long runs are thinned to maxPoints, and nothing is drawn before the run
+  const thinned = buildTrails(recording, { time: 3, head, frameVelocity: still, duration: 3, maxPoints: 8 }, positions, fades);
+  assert(thinned <= count * 2 * 7);
+  assert.strictEqual(buildTrails(recording, { time: -1, head, frameVelocity: still, duration: 2, maxPoints: 8 }, positions, fades), 0);
+})();
+
+// In a frame moving with the drifting piece its trail shrinks to a point,
+// while the resting piece's trail points along the frame's motion
+(() => {
+  const recording = drift(2);
+  const positions = new Float32Array(trailVertexCount(2) * 3);
+  const fades = new Float32Array(trailVertexCount(2));
+  const head = [4, 0, 0, 5, 5, 5];
+  const written = buildTrails(recording, {
+    time: 2, head, frameVelocity: { x: 2, y: 0, z: 0 }, ...DEFAULT_TRAIL_OPTIONS,
+  }, positions, fades);
+  for (let vertex = 0; vertex < written / 2; vertex++) {
+    approxEqual(positions[vertex * 3], 4, 1e-5);
+  }
+  approxEqual(positions[(written / 2) * 3], 5 + 2 * 2, 1e-5);
+})();
+
+// Fragment momenta cancel in the CoM frame but add up to M V in the lab frame
+(() => {
+  const comVelocity = { x: 4, y: 0, z: 0 };
+  const scenario = createScenario({ shape: 'cube', useSeed: true, seed: 2, enableGas: false, frameIsCoM: true, comVelocity });
+  explodeScenario(scenario);
+  stepScenario(scenario, 0.1);
+  const { fragments } = collectFragments(scenario);
+  const center = { x: 0, y: 0, z: 0 };
+  const frame = (name) => overlayFrameVelocity(name, { frameIsCoM: true, comVelocity, frameVelocity: scenario.frameVelocity });
+  const totalMass = fragments.reduce((sum, { mass }) => sum + mass, 0);
+
+  const com = fragmentArrows(fragments, { quantity: 'momentum', frameVelocity: frame('com'), center, maxLength: 5 });
+  assert.strictEqual(com.arrows.length, fragments.length);
+  approxEqual(Math.max(...com.arrows.map(({ vector: v }) => Math.hypot(v.x, v.y, v.z))), 5);
+  assert(com.sum.magnitude < 1e-6 * totalMass);
+
+  const lab = fragmentArrows(fragments, { quantity: 'momentum', frameVelocity: frame('lab'), center, maxLength: 5 });
+  approxEqual(lab.sum.magnitude, 4 * totalMass, 1e-6 * totalMass);
+  approxEqual(lab.sum.vector.x, lab.sum.magnitude * lab.scale, 1e-6 * totalMass);
+
+  const velocities = fragmentArrows(fragments, { quantity: 'velocity', frameVelocity: frame('lab'), center, maxLength: 5 });
+  approxEqual(velocities.sum.magnitude, 4, 1e-6);
+  assert.deepStrictEqual(velocities.sum.origin, center);
+  assert.throws(() => fragmentArrows(fragments, { quantity: 'spin', frameVelocity: center, center, maxLength: 5 }), /Unknown arrow quantity/);
+})();
+
+console.log('All motion overlay tests passed.');
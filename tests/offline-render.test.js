@@ -0,0 +1,76 @@
+const assert = require('assert');
+const {
+  DEFAULT_RENDER_OPTIONS,
+  renderFrameCount,
+  renderFrameStep,
+  frameFileName,
+  crc32,
+  createZip,
+} = require('../offline-render.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function concat(parts) {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+// Frames cover the duration at the output rate, each advancing speed / fps
+(() => {
+  assert.strictEqual(renderFrameCount(DEFAULT_RENDER_OPTIONS), 150);
+  assert.strictEqual(renderFrameCount({ fps: 24, duration: 0.01 }), 1);
+  approxEqual(renderFrameStep({ fps: 30, speed: 0.25 }), 1 / 120);
+  assert.strictEqual(frameFileName(42, 150), 'frame-0042.png');
+  assert.strictEqual(frameFileName(7, 12001, 'jpg'), 'frame-00007.jpg');
+})();
+
+// The standard CRC-32 check value
+(() => {
+  assert.strictEqual(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+  assert.strictEqual(crc32(new Uint8Array(0)), 0);
+})();
+
+// Stored entries, a central directory that points back at them, and the same
+// bytes for the same files
+(() => {
+  const files = [
+    { name: 'frame-0000.png', data: new Uint8Array([1, 2, 3]) },
+    { name: 'frame-0001.png', data: new TextEncoder().encode('hello') },
+  ];
+  const zip = concat(createZip(files));
+  assert.deepStrictEqual(zip, concat(createZip(files)));
+  const view = new DataView(zip.buffer);
+
+  const end = zip.length - 22;
+  assert.strictEqual(view.getUint32(end, true), 0x06054b50);
+  assert.strictEqual(view.getUint16(end + 10, true), 2);
+  const centralOffset = view.getUint32(end + 16, true);
+  assert.strictEqual(centralOffset + view.getUint32(end + 12, true), end);
+
+  let entry = centralOffset;
+  files.forEach(({ name, data }) => {
+    assert.strictEqual(view.getUint32(entry, true), 0x02014b50);
+    assert.strictEqual(view.getUint16(entry + 10, true), 0);
+    assert.strictEqual(view.getUint32(entry + 16, true), crc32(data));
+    const nameLength = view.getUint16(entry + 28, true);
+    assert.strictEqual(new TextDecoder().decode(zip.subarray(entry + 46, entry + 46 + nameLength)), name);
+
+    const local = view.getUint32(entry + 42, true);
+    assert.strictEqual(view.getUint32(local, true), 0x04034b50);
+    assert.strictEqual(view.getUint32(local + 18, true), data.length);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    assert.deepStrictEqual(zip.subarray(start, start + data.length), data);
+    entry += 46 + nameLength;
+  });
+
+  assert.throws(() => createZip(new Array(0x10000).fill(files[0])), /at most 65535 files/);
+})();
+
+console.log('All offline render tests passed.');
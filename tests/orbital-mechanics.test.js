@@ -0,0 +1,124 @@
+const assert = require('assert');
+const {
+  EARTH_MU,
+  EARTH_RADIUS,
+  circularOrbitPeriod,
+  circularOrbitSpeed,
+  circularOrbitState,
+  eciToScene,
+  sceneToEci,
+  pointMassAcceleration,
+  tidalAcceleration,
+  stateToOrbitalElements,
+  fragmentStateInOrbit,
+} = require('../orbital-mechanics.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function length(v) {
+  return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+// LEO at 400 km: ~7.67 km/s and ~92.6 minute period
+(() => {
+  approxEqual(circularOrbitSpeed(400e3), 7668.6, 1);
+  approxEqual(circularOrbitPeriod(400e3) / 60, 92.56, 0.05);
+})();
+
+// Circular state has the right radius, speed and inclination, and repeats after one period
+(() => {
+  const altitude = 550e3;
+  const state = circularOrbitState(altitude, 53, 1234);
+  approxEqual(length(state.position), EARTH_RADIUS + altitude, 1e-6);
+  approxEqual(length(state.velocity), circularOrbitSpeed(altitude), 1e-9);
+
+  const radialDotVelocity = state.position.x * state.velocity.x
+    + state.position.y * state.velocity.y
+    + state.position.z * state.velocity.z;
+  approxEqual(radialDotVelocity, 0, 1e-3);
+
+  // Angular momentum points 53° away from the pole
+  const h = {
+    x: state.position.y * state.velocity.z - state.position.z * state.velocity.y,
+    y: state.position.z * state.velocity.x - state.position.x * state.velocity.z,
+    z: state.position.x * state.velocity.y - state.position.y * state.velocity.x,
+  };
+  approxEqual(Math.acos(h.z / length(h)) * 180 / Math.PI, 53, 1e-9);
+
+  const later = circularOrbitState(altitude, 53, 1234 + circularOrbitPeriod(altitude));
+  approxEqual(later.position.x, state.position.x, 1e-3);
+  approxEqual(later.position.z, state.position.z, 1e-3);
+})();
+
+// Scene mapping is a proper rotation and round-trips
+(() => {
+  const v = { x: 1, y: 2, z: 3 };
+  const scene = eciToScene(v);
+  assert.deepStrictEqual(scene, { x: 1, y: 3, z: -2 });
+  assert.deepStrictEqual(sceneToEci(scene), v);
+})();
+
+// Point-mass acceleration is mu / r^2 toward the centre
+(() => {
+  const acc = pointMassAcceleration(EARTH_RADIUS, 0, 0);
+  approxEqual(acc.x, -EARTH_MU / (EARTH_RADIUS * EARTH_RADIUS), 1e-12);
+  approxEqual(acc.y, 0);
+})();
+
+// Tidal acceleration matches the Hill approximation for small offsets
+(() => {
+  const radius = EARTH_RADIUS + 400e3;
+  const nSq = EARTH_MU / (radius * radius * radius);
+  const reference = { x: radius, y: 0, z: 0 };
+
+  const radial = tidalAcceleration({ x: 100, y: 0, z: 0 }, reference);
+  approxEqual(radial.x, 2 * nSq * 100, 1e-7);
+
+  const alongTrack = tidalAcceleration({ x: 0, y: 100, z: 0 }, reference);
+  approxEqual(alongTrack.y, -nSq * 100, 1e-7);
+})();
+
+// Circular orbit elements: e = 0, a = r, apogee = perigee = altitude
+(() => {
+  const altitude = 400e3;
+  const state = circularOrbitState(altitude, 51.6, 300);
+  const elements = stateToOrbitalElements(state.position, state.velocity);
+  approxEqual(elements.semiMajorAxis, EARTH_RADIUS + altitude, 1e-3);
+  approxEqual(elements.eccentricity, 0, 1e-9);
+  approxEqual(elements.inclination, 51.6, 1e-9);
+  approxEqual(elements.apogeeAltitude, altitude, 1e-3);
+  approxEqual(elements.perigeeAltitude, altitude, 1e-3);
+  approxEqual(elements.period, circularOrbitPeriod(altitude), 1e-6);
+  assert.strictEqual(elements.bound, true);
+})();
+
+// A prograde kick raises the apogee and keeps the perigee at the kick point
+(() => {
+  const altitude = 400e3;
+  const parent = circularOrbitState(altitude, 0, 0);
+  // Parent moves along +Y in ECI, which is -Z in scene axes
+  const fragment = fragmentStateInOrbit({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -100 }, parent);
+  approxEqual(fragment.velocity.y, parent.velocity.y + 100, 1e-9);
+
+  const elements = stateToOrbitalElements(fragment.position, fragment.velocity);
+  approxEqual(elements.perigeeAltitude, altitude, 1e-3);
+  assert(elements.apogeeAltitude > altitude + 300e3, 'apogee should rise by several hundred km');
+  assert(elements.period > circularOrbitPeriod(altitude));
+})();
+
+// Escape-speed fragments are reported as unbound
+(() => {
+  const parent = circularOrbitState(400e3, 0, 0);
+  const elements = stateToOrbitalElements(parent.position, {
+    x: parent.velocity.x * 1.5,
+    y: parent.velocity.y * 1.5,
+    z: parent.velocity.z * 1.5,
+  });
+  assert.strictEqual(elements.bound, false);
+  assert.strictEqual(elements.period, Infinity);
+  assert.strictEqual(elements.apogeeAltitude, Infinity);
+})();
+
+console.log('All orbital mechanics tests passed.');
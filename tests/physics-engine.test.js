@@ -0,0 +1,706 @@
+const assert = require('assert');
+const {
+  PHYS_SCALE,
+  TNT_JOULES_PER_KG,
+  SHAPES,
+  MATERIALS,
+  CHARGE_MODES,
+  SeededRandom,
+  resolveDimensions,
+  createShapeChunks,
+  createScenario,
+  explodeScenario,
+  stepScenario,
+  interpolateChunkPosition,
+  interpolateChunkOrientation,
+  interpolateGasPositions,
+  mergeRoot,
+  resetScenario,
+  updateScenarioOptions,
+  computeCenterOfMass,
+  computeTotalMomentum,
+  computeAngularMomentum,
+  computeEnergyBudget,
+  computeDebrisElements,
+  computeBreakupHistogram,
+  getScenarioState,
+  placeProjectile,
+} = require('../physics-engine.js');
+const { inertiaTensor, meshCentroid, meshInertia } = require('../rigid-body.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function totalMass(scenario) {
+  const chunkMass = scenario.activeChunks.reduce((sum, chunk) => sum + chunk.mass, 0);
+  return chunkMass + (scenario.gas ? scenario.gas.mass : 0);
+}
+
+// SeededRandom is the same LCG the simulator has always used
+(() => {
+  const rng = new SeededRandom(1);
+  approxEqual(rng.next(), 1015568748 / 4294967296);
+  rng.reset(1);
+  approxEqual(rng.next(), 1015568748 / 4294967296);
+})();
+
+// Every shape tiles into the advertised number of chunks with positive masses
+(() => {
+  Object.entries(SHAPES).forEach(([shape, info]) => {
+    const chunks = createShapeChunks(shape);
+    assert.strictEqual(chunks.length, info.pieces, `${shape} piece count`);
+    chunks.forEach((chunk, id) => {
+      assert.strictEqual(chunk.id, id);
+      assert(chunk.mass > 0, `${shape} chunk ${id} should have mass`);
+      assert(chunk.radius > 0, `${shape} chunk ${id} should have a bounding radius`);
+    });
+  });
+  assert.throws(() => createShapeChunks('teapot'), /Unknown shape/);
+
+  const cube = createShapeChunks('cube');
+  assert.deepStrictEqual(cube[0].cell, { x: 0, y: 0, z: 0 });
+  approxEqual(cube[0].volume, Math.pow((8 / 6) * 0.98, 3));
+  approxEqual(cube[0].mass, cube[0].volume * MATERIALS.aluminium.density, 1e-9);
+})();
+
+// Lattice meshes are closed and outward-facing, centred on their centroid, so
+// each chunk's inertia tensor is the exact one about its centre of mass
+(() => {
+  ['sphere', 'cone', 'cylinder', 'ring'].forEach((shape) => {
+    createShapeChunks(shape).forEach((chunk) => {
+      const { vertices, indices } = chunk.geometry;
+      const centroid = meshCentroid(vertices, indices);
+      assert(centroid, `${shape} chunk ${chunk.id} should be a closed mesh`);
+      [centroid.x, centroid.y, centroid.z].forEach((value) => approxEqual(value, 0, 1e-9));
+      assert.deepStrictEqual(inertiaTensor(chunk.geometry, chunk.mass), meshInertia(vertices, indices, chunk.mass));
+    });
+  });
+})();
+
+// Chunk volumes add up to the solid they tile; dimensions and density set the mass
+(() => {
+  const totalVolume = (chunks) => chunks.reduce((sum, chunk) => sum + chunk.volume, 0);
+  approxEqual(totalVolume(createShapeChunks('sphere', { radius: 2 })), (4 / 3) * Math.PI * (1.96 ** 3 - 1 ** 3), 1e-9);
+  approxEqual(
+    totalVolume(createShapeChunks('cylinder', { radius: 1, height: 3 })),
+    Math.PI * (0.98 ** 2 - 0.6 ** 2) * 3,
+    1e-9
+  );
+  approxEqual(totalVolume(createShapeChunks('cone')), (Math.PI * 25 * 10 / 3) * (1 - 0.8 ** 2), 1e-9);
+  approxEqual(
+    totalVolume(createShapeChunks('ring', { majorRadius: 3, minorRadius: 0.5 })),
+    2 * Math.PI * 3 * Math.PI * (0.5 ** 2 - 0.3 ** 2),
+    1e-9
+  );
+
+  const small = createShapeChunks('cube', { edge: 1 }, 1000);
+  const large = createShapeChunks('cube', { edge: 2 }, 1000);
+  approxEqual(large[0].mass / small[0].mass, 8, 1e-9);
+  approxEqual(totalVolume(small) * 1000, 1000 * 0.98 ** 3, 1e-9);
+
+  const scenario = createScenario({ shape: 'cube', dimensions: { edge: 2 }, density: MATERIALS.steel.density });
+  approxEqual(scenario.chunks[0].mass, large[0].volume * 7850, 1e-9);
+  assert.throws(() => resolveDimensions('teapot'), /Unknown shape/);
+  assert.deepStrictEqual(resolveDimensions('cone', { height: 4 }), { radius: 5, height: 4 });
+})();
+
+// Seeded explosions are reproducible
+(() => {
+  const options = { shape: 'cube', useSeed: true, seed: 99, gasCount: 200 };
+  const a = createScenario(options);
+  const b = createScenario(options);
+  explodeScenario(a);
+  explodeScenario(b);
+  a.chunks.forEach((chunk, i) => {
+    assert.deepStrictEqual(chunk.velocity, b.chunks[i].velocity);
+  });
+  assert.deepStrictEqual(Array.from(a.gas.positions), Array.from(b.gas.positions));
+
+  const c = createScenario({ ...options, seed: 100 });
+  explodeScenario(c);
+  assert.notDeepStrictEqual(c.chunks[0].velocity, a.chunks[0].velocity);
+})();
+
+// CoM frame: total momentum (chunks + gas) is zero
+(() => {
+  const scenario = createScenario({ shape: 'sphere', useSeed: true, seed: 5, gasCount: 500 });
+  const summary = explodeScenario(scenario);
+  const momentum = computeTotalMomentum(scenario);
+  const scale = summary.totalSystemMass * 10 * PHYS_SCALE;
+  approxEqual(momentum.x / scale, 0, 1e-12);
+  approxEqual(momentum.y / scale, 0, 1e-12);
+  approxEqual(momentum.z / scale, 0, 1e-12);
+})();
+
+// Lab frame: total momentum is total mass × CoM velocity
+(() => {
+  const scenario = createScenario({
+    shape: 'ring',
+    useSeed: true,
+    seed: 8,
+    gasCount: 100,
+    frameIsCoM: false,
+    comVelocity: { x: 7700, y: 0, z: 0 },
+  });
+  explodeScenario(scenario);
+  const momentum = computeTotalMomentum(scenario);
+  approxEqual(momentum.x / totalMass(scenario), 7700, 1e-6);
+  approxEqual(momentum.y / totalMass(scenario), 0, 1e-6);
+})();
+
+// A yield in joules is split between chunks and gas, each with zero momentum;
+// the gas holds its share as internal energy
+(() => {
+  const yieldJoules = 2 * TNT_JOULES_PER_KG;
+  const scenario = createScenario({
+    shape: 'cube',
+    useSeed: true,
+    seed: 12,
+    gasCount: 300,
+    explosionEnergy: yieldJoules,
+    gasEnergyFraction: 0.25,
+  });
+  explodeScenario(scenario);
+  // Detonation products weigh as much as the TNT equivalent
+  approxEqual(scenario.gas.mass, 2, 1e-12);
+  const budget = computeEnergyBudget(scenario);
+  approxEqual(budget.chunkKinetic / yieldJoules, 0.75, 1e-12);
+  approxEqual(budget.gasKinetic, 0);
+  approxEqual(budget.gasInternal / yieldJoules, 0.25, 1e-12);
+  approxEqual(budget.unaccounted / yieldJoules, 0, 1e-12);
+  const momentum = computeTotalMomentum(scenario);
+  approxEqual(momentum.x / totalMass(scenario), 0, 1e-9);
+
+  // Expansion and drag keep the budget, even after the gas has dispersed
+  for (let i = 0; i < 100 && scenario.gas; i++) {
+    stepScenario(scenario, 0.5);
+  }
+  assert.strictEqual(scenario.gas, null);
+  approxEqual(computeEnergyBudget(scenario).total / yieldJoules, 1, 1e-9);
+})();
+
+// By default the gas takes the whole yield: the chunks start at rest and the
+// gas's work on them accelerates them until it has handed on most of it
+(() => {
+  const scenario = createScenario({ shape: 'sphere', useSeed: true, seed: 5, gasCount: 100, explosionEnergy: 1e9 });
+  explodeScenario(scenario);
+  assert(scenario.chunks.every(({ velocity: v }) => v.x === 0 && v.y === 0 && v.z === 0));
+  approxEqual(computeEnergyBudget(scenario).gasInternal / 1e9, 1, 1e-12);
+
+  let previous = 0;
+  for (let i = 0; i < 12; i++) {
+    stepScenario(scenario, 0.25);
+    const budget = computeEnergyBudget(scenario);
+    assert(budget.chunkKinetic > previous);
+    approxEqual(budget.total / 1e9, 1, 1e-9);
+    previous = budget.chunkKinetic;
+  }
+  assert(previous > 0.8e9);
+})();
+
+// Without gas the whole yield goes to the chunks; the lab frame only adds a boost
+(() => {
+  const options = { shape: 'ring', useSeed: true, seed: 3, enableGas: false, explosionEnergy: 1e6 };
+  const com = createScenario(options);
+  const lab = createScenario({ ...options, frameIsCoM: false, comVelocity: { x: 0, y: 500, z: 0 } });
+  explodeScenario(com);
+  explodeScenario(lab);
+  approxEqual(computeEnergyBudget(com).chunkKinetic / 1e6, 1, 1e-12);
+  approxEqual(computeEnergyBudget(lab).chunkKinetic / 1e6, 1, 1e-12);
+  approxEqual(lab.chunks[5].velocity.y, com.chunks[5].velocity.y + 500, 1e-9);
+})();
+
+// Self-gravity converts kinetic into potential energy without losing any
+(() => {
+  const scenario = createScenario({
+    shape: 'sphere',
+    useSeed: true,
+    seed: 9,
+    enableGas: false,
+    explosionEnergy: 50,
+    integrator: 'rk4',
+    gravity: { enabled: true, gravitationalConstant: 6.674e-11, softening: 0.5 },
+  });
+  explodeScenario(scenario);
+  for (let i = 0; i < 50; i++) {
+    stepScenario(scenario, 0.01);
+  }
+  const budget = computeEnergyBudget(scenario);
+  assert(budget.potentialChange > 0, 'expanding debris climbs out of its own potential well');
+  approxEqual(budget.total / 50, 1, 1e-4);
+})();
+
+// Without forces chunks coast and the CoM stays put in the CoM frame
+(() => {
+  const scenario = createScenario({ shape: 'cone', useSeed: true, seed: 3, enableGas: false });
+  explodeScenario(scenario);
+  const comBefore = computeCenterOfMass(scenario);
+  const chunk = scenario.chunks[7];
+  const start = { ...chunk.position };
+  const velocity = { ...chunk.velocity };
+  for (let i = 0; i < 10; i++) {
+    stepScenario(scenario, 0.1);
+  }
+  approxEqual(chunk.position.x, start.x + velocity.x, 1e-9);
+  approxEqual(chunk.position.z, start.z + velocity.z, 1e-9);
+  approxEqual(scenario.time, 1, 1e-12);
+
+  const comAfter = computeCenterOfMass(scenario);
+  approxEqual(comAfter.x, comBefore.x, 1e-9);
+  approxEqual(comAfter.y, comBefore.y, 1e-9);
+})();
+
+// Self-gravity pulls slow fragments together and keeps momentum at zero
+(() => {
+  const base = { shape: 'cube', density: 1, useSeed: true, seed: 11, enableGas: false, explosionSpeed: 0.05 };
+  const free = createScenario(base);
+  const bound = createScenario({ ...base, gravity: { enabled: true, gravitationalConstant: 1, softening: 0.5 } });
+  explodeScenario(free);
+  explodeScenario(bound);
+  for (let i = 0; i < 20; i++) {
+    stepScenario(free, 0.01);
+    stepScenario(bound, 0.01);
+  }
+  const spread = (scenario) => {
+    const com = computeCenterOfMass(scenario);
+    return scenario.activeChunks.reduce((sum, chunk) => sum
+      + (chunk.position.x - com.x) ** 2 + (chunk.position.y - com.y) ** 2 + (chunk.position.z - com.z) ** 2, 0);
+  };
+  assert(spread(bound) < spread(free), 'gravity should keep the cloud tighter');
+  const momentum = computeTotalMomentum(bound);
+  approxEqual(momentum.x / totalMass(bound), 0, 1e-9);
+})();
+
+// Every integrator keeps momentum at zero; higher-order schemes agree closely
+(() => {
+  const run = (integrator) => {
+    const scenario = createScenario({
+      shape: 'sphere',
+      density: 1,
+      useSeed: true,
+      seed: 17,
+      enableGas: false,
+      explosionSpeed: 0.2,
+      integrator,
+      gravity: { enabled: true, gravitationalConstant: 1, softening: 0.5 },
+    });
+    explodeScenario(scenario);
+    for (let i = 0; i < 40; i++) {
+      stepScenario(scenario, 0.01);
+    }
+    const momentum = computeTotalMomentum(scenario);
+    approxEqual(momentum.x / totalMass(scenario), 0, 1e-9);
+    return scenario.chunks.map((chunk) => chunk.position);
+  };
+  const rk4 = run('rk4');
+  const deviation = (positions) => positions.reduce((sum, p, i) => sum
+    + Math.hypot(p.x - rk4[i].x, p.y - rk4[i].y, p.z - rk4[i].z), 0);
+  assert(deviation(run('velocity-verlet')) < deviation(run('symplectic-euler')), 'Verlet should track RK4 more closely than Euler');
+  assert.throws(() => run('leapfrog'), /Unknown integrator/);
+})();
+
+// Interpolated render positions sit between the last two steps
+(() => {
+  const scenario = createScenario({ shape: 'cube', useSeed: true, seed: 6, enableGas: false });
+  explodeScenario(scenario);
+  const chunk = scenario.chunks[0];
+  approxEqual(interpolateChunkPosition(chunk, 0.5).x, chunk.initialPosition.x);
+
+  stepScenario(scenario, 0.1);
+  const midway = interpolateChunkPosition(chunk, 0.5);
+  approxEqual(midway.x, chunk.initialPosition.x + chunk.velocity.x * 0.05, 1e-9);
+
+  // Gas tracers follow the cloud's centre and expansion from their offsets
+  const gassy = createScenario({ shape: 'cube', useSeed: true, seed: 6, gasCount: 20 });
+  explodeScenario(gassy);
+  stepScenario(gassy, 0.01);
+  const { gas } = gassy;
+  const gasNow = interpolateGasPositions(gassy, 1, new Float64Array(60));
+  approxEqual(gasNow[0], gas.positions[0]);
+  approxEqual(gasNow[0], gas.center.x + gas.offsets[0] * gas.radius / gas.initialRadius, 1e-9);
+  const gasBefore = interpolateGasPositions(gassy, 0, new Float64Array(60));
+  approxEqual(gasBefore[3], gassy.options.detonationPoint.x + gas.offsets[3], 1e-9);
+})();
+
+// Collisions with merging conserve momentum and report merges
+(() => {
+  const scenario = createScenario({
+    shape: 'cube',
+    density: 1,
+    useSeed: true,
+    seed: 21,
+    enableGas: false,
+    explosionSpeed: 0.5,
+    gravity: { enabled: true, gravitationalConstant: 200, softening: 0.5 },
+    collisions: { enabled: true, restitution: 0.2, mergeSpeed: 50 },
+  });
+  explodeScenario(scenario);
+  let merges = 0;
+  for (let i = 0; i < 60; i++) {
+    merges += stepScenario(scenario, 0.05).merges.length;
+  }
+  assert(merges > 0, 'slow, self-gravitating debris should stick together');
+  assert.strictEqual(scenario.activeChunks.length, 216 - merges);
+  approxEqual(totalMass(scenario), createShapeChunks('cube', {}, 1).reduce((sum, c) => sum + c.mass, 0), 1e-9);
+  const momentum = computeTotalMomentum(scenario);
+  approxEqual(momentum.x / totalMass(scenario), 0, 1e-9);
+
+  // Every piece resolves to the active chunk that carries it
+  scenario.chunks.forEach((chunk) => {
+    assert(scenario.activeChunks.includes(mergeRoot(scenario, chunk)));
+  });
+})();
+
+// Spin takes its share of the chunks' energy and tumbles each chunk about its
+// own inertia tensor; orbital plus spin plus gas angular momentum is conserved
+// through collisions, merges, gas drag and the gas dispersing
+(() => {
+  const yieldJoules = 1e6;
+  const scenario = createScenario({
+    shape: 'cube',
+    useSeed: true,
+    seed: 3,
+    gasCount: 300,
+    explosionEnergy: yieldJoules,
+    gasEnergyFraction: 0.1,
+    gasDragCoefficient: 1, // loose enough to disperse within the run
+    spinEnergyFraction: 0.05,
+    collisions: { enabled: true, restitution: 0.3, mergeSpeed: 50 },
+  });
+  const chunk = scenario.chunks[0];
+  const side = SHAPES.cube.dimensions.edge / 6 * 0.98;
+  approxEqual(chunk.inertia[0], chunk.mass * side * side / 6, 1e-9);
+  approxEqual(chunk.inertia[1], 0);
+
+  explodeScenario(scenario);
+  const budget = computeEnergyBudget(scenario);
+  approxEqual(budget.chunkKinetic / yieldJoules, 0.9, 1e-12);
+  approxEqual(budget.spinKinetic / yieldJoules, 0.9 * 0.05, 1e-12);
+  assert(scenario.chunks.every(({ angularMomentum: l }) => l.x !== 0 || l.y !== 0 || l.z !== 0));
+
+  // The blast itself leaves no net angular momentum
+  const before = computeAngularMomentum(scenario).total;
+  const scale = Math.sqrt(2 * budget.chunkKinetic * totalMass(scenario)) * SHAPES.cube.dimensions.edge;
+  assert(Math.hypot(before.x, before.y, before.z) < 1e-12 * scale);
+  let merges = 0;
+  for (let i = 0; i < 360; i++) {
+    merges += stepScenario(scenario, 1 / 120).merges.length;
+  }
+  assert(merges > 0);
+  assert.strictEqual(scenario.gas, null);
+  const after = computeAngularMomentum(scenario);
+  approxEqual(after.total.x / scale, before.x / scale, 1e-9);
+  approxEqual(after.total.y / scale, before.y / scale, 1e-9);
+  approxEqual(after.total.z / scale, before.z / scale, 1e-9);
+  assert(computeEnergyBudget(scenario).spinKinetic > 0);
+
+  // Orientations are unit quaternions, interpolated between steps
+  const moved = scenario.activeChunks[0];
+  const q = interpolateChunkOrientation(moved, 0.5);
+  approxEqual(Math.hypot(q.x, q.y, q.z, q.w), 1, 1e-12);
+  assert.notDeepStrictEqual(moved.orientation, { x: 0, y: 0, z: 0, w: 1 });
+
+  resetScenario(scenario);
+  assert.deepStrictEqual(scenario.chunks[0].orientation, { x: 0, y: 0, z: 0, w: 1 });
+  assert.deepStrictEqual(scenario.chunks[0].inertia, chunk.baseInertia);
+})();
+
+// Random throws and spin axes are corrected like the momentum: the debris
+// starts with no net angular momentum, whatever the charge or frame
+(() => {
+  [
+    {},
+    { explosionEnergy: 5e8, gasEnergyFraction: 0.5 },
+    { frameIsCoM: false, comVelocity: { x: 3, y: 1, z: 0 } },
+    { charge: { mode: 'offset' }, detonationPoint: { x: 1, y: 0.5, z: 0 } },
+    { fracture: 'sbm' },
+  ].forEach((options) => {
+    const scenario = createScenario({ shape: 'sphere', useSeed: true, seed: 1, ...options });
+    explodeScenario(scenario);
+    const { total, spin } = computeAngularMomentum(scenario);
+    const { chunkKinetic } = computeEnergyBudget(scenario);
+    const momentumScale = Math.sqrt(2 * chunkKinetic * totalMass(scenario));
+    const scale = momentumScale * SHAPES.sphere.dimensions.radius;
+    assert(Math.hypot(total.x, total.y, total.z) < 1e-12 * scale, `${JSON.stringify(options)} total L`);
+    assert(Math.hypot(spin.x, spin.y, spin.z) < 1e-12 * scale, `${JSON.stringify(options)} net spin`);
+
+    // Momentum is left as it was
+    const momentum = computeTotalMomentum(scenario);
+    const expected = options.frameIsCoM === false ? totalMass(scenario) * 3 : 0;
+    approxEqual(momentum.x, expected, 1e-9 * momentumScale);
+  });
+})();
+
+// Directional charges push fragments away from the detonation point and still
+// hit the momentum target
+(() => {
+  const base = { shape: 'cube', dimensions: { edge: 10 }, useSeed: true, seed: 8, enableGas: false, frameIsCoM: false, comVelocity: { x: 3, y: 0, z: -1 } };
+  const point = { x: 0, y: -5, z: 0 };
+  const isotropic = createScenario(base);
+  explodeScenario(isotropic);
+  Object.keys(CHARGE_MODES).forEach((mode) => {
+    const scenario = createScenario({ ...base, detonationPoint: point, charge: { mode } });
+    explodeScenario(scenario);
+    const momentum = computeTotalMomentum(scenario);
+    const mass = totalMass(scenario);
+    approxEqual(momentum.x, mass * 3, mass * 1e-9);
+    approxEqual(momentum.y, 0, mass * 1e-9);
+    approxEqual(momentum.z, -mass, mass * 1e-9);
+  });
+  assert.throws(() => explodeScenario(createScenario({ ...base, charge: { mode: 'shaped' } })), /Unknown charge mode/);
+
+  // Off-centre: velocities point away from the charge (the momentum correction
+  // takes back the net push, so not all of them), and the chunks next to it
+  // fly fastest
+  const offset = createScenario({ ...base, frameIsCoM: true, detonationPoint: point, charge: { mode: 'offset' } });
+  explodeScenario(offset);
+  const outward = offset.chunks.filter((chunk) => {
+    const p = chunk.initialPosition;
+    const v = chunk.velocity;
+    return (p.x - point.x) * v.x + (p.y - point.y) * v.y + (p.z - point.z) * v.z > 0;
+  });
+  assert(outward.length > offset.chunks.length * 0.75, `${outward.length} of ${offset.chunks.length} outward`);
+  const meanSpeed = (chunks) => chunks.reduce((sum, { velocity: v }) => sum + Math.hypot(v.x, v.y, v.z), 0) / chunks.length;
+  const near = offset.chunks.filter((chunk) => chunk.initialPosition.y < -2);
+  const far = offset.chunks.filter((chunk) => chunk.initialPosition.y > 2);
+  assert(meanSpeed(near) > meanSpeed(far));
+
+  // Hemisphere: the debris flies out as a half shell, flattened along the axis
+  const variance = (values) => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  };
+  const flattening = (scenario) => variance(scenario.chunks.map((chunk) => chunk.velocity.y))
+    / variance(scenario.chunks.map((chunk) => chunk.velocity.x));
+  const hemisphere = createScenario({ ...base, frameIsCoM: true, detonationPoint: point, charge: { mode: 'hemisphere' } });
+  explodeScenario(hemisphere);
+  assert(flattening(hemisphere) < 0.6, `flattening ${flattening(hemisphere)}`);
+
+  // Cone jet: the chunks inside the cone carry most of the kinetic energy
+  const cone = createScenario({ ...base, frameIsCoM: true, detonationPoint: point, charge: { mode: 'cone', coneAngleDeg: 20 } });
+  explodeScenario(cone);
+  const inside = cone.chunks.filter(({ initialPosition: p }) => {
+    const d = Math.hypot(p.x - point.x, p.y - point.y, p.z - point.z);
+    return (p.y - point.y) / d > Math.cos((20 * Math.PI) / 180);
+  });
+  const insideSpeed = meanSpeed(inside);
+  assert(inside.length > 0 && insideSpeed > 2 * meanSpeed(cone.chunks.filter((chunk) => !inside.includes(chunk))));
+
+  // A charge at the centre of a hemisphere fires along y
+  const centred = createScenario({ ...base, frameIsCoM: true, charge: { mode: 'hemisphere' } });
+  explodeScenario(centred);
+  assert(flattening(centred) < 0.6, `flattening ${flattening(centred)}`);
+})();
+
+// Without a yield, spin adds its share on top of the legacy translational energy
+(() => {
+  const options = { shape: 'ring', useSeed: true, seed: 6, enableGas: false };
+  const still = createScenario({ ...options, spinEnergyFraction: 0 });
+  const spinning = createScenario({ ...options, spinEnergyFraction: 0.2 });
+  explodeScenario(still);
+  explodeScenario(spinning);
+  assert.deepStrictEqual(spinning.chunks[4].velocity, still.chunks[4].velocity);
+  const budget = computeEnergyBudget(spinning);
+  approxEqual(budget.spinKinetic / budget.chunkKinetic, 0.2, 1e-12);
+  assert.strictEqual(computeEnergyBudget(still).spinKinetic, 0);
+})();
+
+// Gas expands on its own pressure, pushes the chunks and is dropped once
+// dispersed, with its energy kept on the books
+(() => {
+  const legacy = createScenario({ shape: 'cube', useSeed: true, seed: 2, gasCount: 10 });
+  explodeScenario(legacy);
+  const chunkMass = legacy.chunks.reduce((sum, chunk) => sum + chunk.mass, 0);
+  approxEqual(legacy.gas.mass / chunkMass, 0.01, 1e-12);
+
+  // The whole yield in the gas: the chunks start at rest and are blown outwards
+  const scenario = createScenario({
+    shape: 'cube',
+    density: 150,
+    useSeed: true,
+    seed: 2,
+    gasCount: 10,
+    explosionEnergy: 1e8,
+    gasEnergyFraction: 1,
+    gasMassFraction: 0.2,
+  });
+  explodeScenario(scenario);
+  const start = computeEnergyBudget(scenario);
+  assert.strictEqual(start.chunkKinetic, 0);
+
+  stepScenario(scenario, 0.05);
+  assert(scenario.gas);
+  approxEqual(scenario.gas.age, 0.05);
+  assert(scenario.gas.radius > scenario.gas.initialRadius && scenario.gas.expansionRate > 0);
+  const pushed = computeEnergyBudget(scenario);
+  assert(pushed.chunkKinetic > 0 && pushed.gasInternal < start.gasInternal);
+  scenario.activeChunks.forEach(({ position: p, velocity: v }) => {
+    assert(p.x * v.x + p.y * v.y + p.z * v.z > 0, 'chunks should move away from the charge');
+  });
+
+  for (let i = 0; i < 40 && scenario.gas; i++) {
+    stepScenario(scenario, 0.25);
+  }
+  assert.strictEqual(scenario.gas, null);
+  const end = computeEnergyBudget(scenario);
+  assert(end.gasInternal > 0);
+  approxEqual(end.total / start.total, 1, 1e-9);
+
+  // A set mass fraction overrides the TNT equivalent
+  const heavy = createScenario({ shape: 'cube', gasMassFraction: 0.05, explosionEnergy: 1e6 });
+  explodeScenario(heavy);
+  approxEqual(heavy.gas.mass / chunkMass, 0.05, 1e-12);
+  const none = createScenario({ shape: 'cube', gasMassFraction: 0, explosionEnergy: 1e6 });
+  explodeScenario(none);
+  assert.strictEqual(none.gas, null);
+  approxEqual(computeEnergyBudget(none).chunkKinetic, 1e6, 1e-3);
+})();
+
+// Orbit changes reset the orbit clock; debris elements come from the parent orbit
+(() => {
+  const scenario = createScenario({ shape: 'sphere', useSeed: true, seed: 4, enableGas: false, explosionSpeed: 1 });
+  updateScenarioOptions(scenario, { orbit: { enabled: true } });
+  stepScenario(scenario, 100);
+  approxEqual(scenario.orbitTime, 100);
+  updateScenarioOptions(scenario, { orbit: { altitudeKm: 500 } });
+  approxEqual(scenario.orbitTime, 0);
+
+  explodeScenario(scenario);
+  const elements = computeDebrisElements(scenario);
+  assert.strictEqual(elements.length, 72);
+  elements.forEach((row) => {
+    assert(row.bound);
+    assert(Math.abs(row.semiMajorAxis - (6378137 + 500e3)) < 100e3);
+  });
+})();
+
+// State snapshots are plain copies and reset restores the intact object
+(() => {
+  const scenario = createScenario({ shape: 'cylinder', useSeed: true, seed: 1, gasCount: 5 });
+  explodeScenario(scenario);
+  const state = getScenarioState(scenario);
+  assert.strictEqual(state.exploded, true);
+  assert.strictEqual(state.chunks.length, 80);
+  assert.strictEqual(state.gas.count, 5);
+  state.chunks[0].position.x = 1e9;
+  assert.notStrictEqual(scenario.chunks[0].position.x, 1e9);
+
+  resetScenario(scenario);
+  assert.strictEqual(scenario.exploded, false);
+  assert.deepStrictEqual(scenario.chunks[0].position, scenario.chunks[0].initialPosition);
+  assert.strictEqual(getScenarioState(scenario).chunks.length, 0);
+})();
+
+// A projectile flies at the intact target, strikes at the predicted time and
+// breaks both up with the pair's momentum; the lab frame's CoM carries the
+// projectile's momentum on top of the target's
+(() => {
+  const impact = { enabled: true, projectileMass: 50, speed: 2000, direction: { x: 0, y: 0, z: 1 }, standoff: 4 };
+  const options = { shape: 'cube', useSeed: true, seed: 9, impact, frameIsCoM: false, comVelocity: { x: 1, y: 0, z: 0 } };
+  const scenario = createScenario({ ...options, detonationPoint: { x: 1, y: 2, z: 0 } });
+  const projectile = scenario.chunks.filter((chunk) => chunk.cell.projectile);
+  assert.strictEqual(scenario.chunks.length, SHAPES.cube.pieces + SHAPES.sphere.pieces);
+  approxEqual(projectile.reduce((sum, chunk) => sum + chunk.mass, 0), 50, 1e-9);
+  // Launched clear of the target, straight behind the aim point
+  const start = placeProjectile(scenario);
+  approxEqual(start.x, 1);
+  approxEqual(start.y, 2);
+  assert(start.z < -4 - 4 - scenario.projectile.radius);
+
+  explodeScenario(scenario);
+  const mass = totalMass(scenario);
+  const momentum = computeTotalMomentum(scenario);
+  approxEqual(momentum.x, mass, 1e-6);
+  approxEqual(momentum.z, 50 * 2000, 1e-6);
+  approxEqual(scenario.frameVelocity.z, (50 * 2000) / mass, 1e-12);
+  assert.strictEqual(scenario.gas, null);
+  assert(scenario.impact.time > 0 && scenario.impact.time < 0.01);
+  approxEqual(computeEnergyBudget(scenario).unaccounted, 0, 1e-3);
+
+  // Nothing breaks before contact
+  stepScenario(scenario, scenario.impact.time / 2);
+  assert.strictEqual(scenario.impact.struck, false);
+  const target = scenario.activeChunks.filter((chunk) => !chunk.cell.projectile);
+  assert(target.every((chunk) => chunk.velocity.x === 1 && chunk.velocity.z === 0));
+
+  const before = computeAngularMomentum(scenario).total;
+  stepScenario(scenario, 0.01);
+  const { impact: strike } = scenario;
+  assert(strike.struck);
+  // Both drift with the target's 1 m/s along x until then
+  approxEqual(strike.point.x, 1 + strike.time, 1e-9);
+  approxEqual(strike.point.y, 2, 1e-9);
+  const after = computeTotalMomentum(scenario);
+  approxEqual(after.x, momentum.x, 1e-6);
+  approxEqual(after.z, momentum.z, 1e-6);
+  const angular = computeAngularMomentum(scenario).total;
+  approxEqual(angular.x, before.x, 1e-6 * Math.abs(before.x));
+  const budget = computeEnergyBudget(scenario);
+  approxEqual(budget.yield, strike.collisionEnergy);
+  approxEqual(budget.total, 0.3 * strike.collisionEnergy, 1e-3);
+  // The fragments by the impact point are driven along the projectile's path
+  const hit = scenario.chunks[strike.chunkId];
+  const spread = target.reduce((sum, chunk) => sum + chunk.velocity.z, 0) / target.length;
+  assert(hit.velocity.z > spread);
+  assert.deepStrictEqual(getScenarioState(scenario).impact.point, strike.point);
+
+  // Missing the target leaves both whole
+  const miss = createScenario({ ...options, detonationPoint: { x: 1, y: 9, z: 0 } });
+  explodeScenario(miss);
+  assert.strictEqual(miss.impact.time, Infinity);
+  stepScenario(miss, 0.1);
+  assert.strictEqual(miss.impact.struck, false);
+
+  // Breakup fragments take the collision model sized by the projectile
+  const sbm = createScenario({ ...options, fracture: 'sbm', breakup: { minLength: 0.3 } });
+  assert.strictEqual(sbm.options.breakup.event, 'explosion');
+  const { powerLaw } = computeBreakupHistogram(sbm);
+  assert.strictEqual(powerLaw.event, 'collision');
+  // Far short of 40 J/g, so a cratering event of m_p (v / km/s)²
+  assert.strictEqual(powerLaw.catastrophic, false);
+  approxEqual(powerLaw.mass, 50 * 2 ** 2, 1e-9);
+  explodeScenario(sbm);
+  stepScenario(sbm, 0.01);
+  assert(sbm.impact.struck);
+  approxEqual(computeTotalMomentum(sbm).z, 50 * 2000, 1e-6);
+
+  resetScenario(scenario);
+  assert.strictEqual(scenario.impact, null);
+  assert.deepStrictEqual(projectile[0].position, projectile[0].initialPosition);
+})();
+
+// Self-gravity bends the projectile's path, so contact is re-checked against
+// where the bodies are each step. Aimed just past the target, a strong pull
+// draws the projectile in; a weak one looks like a graze for a while, then
+// swings it clear without a strike
+(() => {
+  const impact = { enabled: true, projectileMass: 50, speed: 20, direction: { x: 0, y: 0, z: 1 }, standoff: 4 };
+  const launch = (gravitationalConstant) => {
+    const scenario = createScenario({
+      shape: 'cube', useSeed: true, seed: 9, impact,
+      detonationPoint: { x: 0, y: 4.6, z: 0 },
+      gravity: { enabled: true, gravitationalConstant, softening: 0.5 },
+    });
+    explodeScenario(scenario);
+    assert.strictEqual(scenario.impact.time, Infinity);
+    return scenario;
+  };
+
+  const pulled = launch(1e-2);
+  for (let i = 0; i < 240 && !pulled.impact.struck; i++) stepScenario(pulled, 1 / 240);
+  assert(pulled.impact.struck);
+  assert(pulled.impact.time > 0 && pulled.impact.time < 1);
+
+  const deflected = launch(1e-3);
+  let grazing = false;
+  for (let i = 0; i < 480; i++) {
+    stepScenario(deflected, 1 / 240);
+    grazing = grazing || Number.isFinite(deflected.impact.time);
+  }
+  assert(grazing);
+  assert.strictEqual(deflected.impact.struck, false);
+  assert.strictEqual(deflected.impact.time, Infinity);
+})();
+
+console.log('All physics engine tests passed.');
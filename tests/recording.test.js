@@ -0,0 +1,91 @@
+const assert = require('assert');
+const {
+  createRecording,
+  clearRecording,
+  recordingDuration,
+  appendFrame,
+  findFrameIndex,
+  sampleRecording,
+} = require('../recording.js');
+
+function approxEqual(actual, expected, tolerance = 1e-6) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function frame(time, x, quaternion = [0, 0, 0, 1], extra = {}) {
+  return { time, positions: [x, 0, 0], quaternions: quaternion, ...extra };
+}
+
+// Frames closer than the interval are skipped unless forced; time never runs backwards
+(() => {
+  const recording = createRecording({ interval: 0.1 });
+  assert.strictEqual(appendFrame(recording, frame(0, 0)), true);
+  assert.strictEqual(appendFrame(recording, frame(0.05, 1)), false);
+  assert.strictEqual(appendFrame(recording, frame(0.05, 1), true), true);
+  assert.strictEqual(appendFrame(recording, frame(0.02, 1), true), false);
+  assert.strictEqual(appendFrame(recording, frame(0.2, 2)), true);
+  assert.strictEqual(recording.frames.length, 3);
+  approxEqual(recordingDuration(recording), 0.2);
+
+  // Stored arrays are copies
+  const source = frame(0.4, 5);
+  appendFrame(recording, source);
+  source.positions[0] = 99;
+  approxEqual(recording.frames[3].positions[0], 5);
+
+  clearRecording(recording);
+  assert.strictEqual(recording.frames.length, 0);
+  assert.strictEqual(sampleRecording(recording, 1), null);
+  approxEqual(recordingDuration(recording), 0);
+})();
+
+// Sampling interpolates positions and extra scalars and clamps to the ends
+(() => {
+  const recording = createRecording({ interval: 0 });
+  appendFrame(recording, frame(0, 0, [0, 0, 0, 1], { orbitTime: 10, velocities: [1, 0, 0] }));
+  appendFrame(recording, frame(1, 4, [0, 0, 0, 1], { orbitTime: 20, velocities: [3, 0, 0] }));
+  appendFrame(recording, frame(3, 8, [0, 0, 0, 1], { orbitTime: 40, velocities: [5, 0, 0] }));
+
+  assert.strictEqual(findFrameIndex(recording, 0.5), 0);
+  assert.strictEqual(findFrameIndex(recording, 1), 1);
+  assert.strictEqual(findFrameIndex(recording, 10), 2);
+
+  const middle = sampleRecording(recording, 2);
+  approxEqual(middle.positions[0], 6);
+  approxEqual(middle.orbitTime, 30);
+  approxEqual(middle.velocities[0], 4);
+  approxEqual(middle.time, 2);
+
+  approxEqual(sampleRecording(recording, -5).positions[0], 0);
+  approxEqual(sampleRecording(recording, 50).positions[0], 8);
+  approxEqual(sampleRecording(recording, 50).time, 3);
+})();
+
+// Quaternions blend along the shorter arc and stay normalised
+(() => {
+  const recording = createRecording({ interval: 0 });
+  const half = Math.SQRT1_2;
+  appendFrame(recording, frame(0, 0, [0, 0, 0, 1]));
+  // Same rotation as (0, 0, half, half) but on the far hemisphere
+  appendFrame(recording, frame(1, 0, [0, 0, -half, -half]));
+  const q = sampleRecording(recording, 0.5).quaternions;
+  approxEqual(Math.hypot(q[0], q[1], q[2], q[3]), 1);
+  // 45° about z
+  approxEqual(q[2], Math.sin(Math.PI / 8), 1e-6);
+  approxEqual(q[3], Math.cos(Math.PI / 8), 1e-6);
+})();
+
+// A full buffer halves its resolution but keeps the first and newest frames
+(() => {
+  const recording = createRecording({ interval: 1, capacity: 10 });
+  for (let t = 0; t <= 20; t++) {
+    appendFrame(recording, frame(t, t));
+  }
+  assert(recording.frames.length <= 10);
+  assert(recording.interval > 1);
+  approxEqual(recording.frames[0].time, 0);
+  approxEqual(recordingDuration(recording), 20);
+  approxEqual(sampleRecording(recording, 7).positions[0], 7);
+})();
+
+console.log('All recording tests passed.');
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const {
+  IDENTITY_QUATERNION,
+  boxInertia,
+  meshCentroid,
+  meshInertia,
+  inertiaTensor,
+  invertMatrix3,
+  rotateVector,
+  rotateTensor,
+  pointInertia,
+  angularVelocity,
+  rotationalEnergy,
+  integrateOrientation,
+  slerpQuaternions,
+} = require('../rigid-body.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function approxTensor(actual, expected, tolerance = 1e-9) {
+  actual.forEach((value, i) => approxEqual(value, expected[i], tolerance));
+}
+
+// Box from min to max as a closed, outward-facing triangle mesh
+function boxMesh([x0, y0, z0], [x1, y1, z1]) {
+  const vertices = [
+    x0, y0, z0, x1, y0, z0, x1, y1, z0, x0, y1, z0,
+    x0, y0, z1, x1, y0, z1, x1, y1, z1, x0, y1, z1,
+  ];
+  const quads = [[0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4], [3, 7, 6, 2], [0, 4, 7, 3], [1, 2, 6, 5]];
+  const indices = quads.flatMap(([a, b, c, d]) => [a, b, c, a, c, d]);
+  return { vertices, indices };
+}
+
+// The tetrahedral integral reproduces the analytic box, about any origin
+(() => {
+  const { vertices, indices } = boxMesh([-1, -2, -3], [1, 2, 3]);
+  approxTensor(meshInertia(vertices, indices, 12), boxInertia([2, 4, 6], 12));
+
+  // Off-centre: the parallel-axis term appears
+  const shifted = boxMesh([0, -2, -3], [2, 2, 3]);
+  const expected = boxInertia([2, 4, 6], 12).map((value, i) => value + pointInertia(12, { x: 1, y: 0, z: 0 })[i]);
+  approxTensor(meshInertia(shifted.vertices, shifted.indices, 12), expected);
+  assert.deepStrictEqual(meshCentroid(shifted.vertices, shifted.indices), { x: 1, y: 0, z: 0 });
+
+  // Open or inside-out surfaces are refused; inertiaTensor falls back to the corners
+  assert.strictEqual(meshInertia(vertices, indices.slice(6), 12), null);
+  const reversed = indices.slice();
+  for (let t = 0; t < reversed.length; t += 3) [reversed[t + 1], reversed[t + 2]] = [reversed[t + 2], reversed[t + 1]];
+  assert.strictEqual(meshInertia(vertices, reversed, 12), null);
+  assert.strictEqual(meshCentroid(vertices, indices.slice(6)), null);
+  approxTensor(inertiaTensor({ type: 'mesh', vertices, indices: indices.slice(6) }, 12), boxInertia([2, 4, 6], 12));
+  approxTensor(inertiaTensor({ type: 'box', size: [2, 4, 6] }, 12), boxInertia([2, 4, 6], 12));
+})();
+
+// Tensor algebra
+(() => {
+  const tensor = [4, 1, 0, 1, 3, 0.5, 0, 0.5, 2];
+  const inverse = invertMatrix3(tensor);
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      let sum = 0;
+      for (let k = 0; k < 3; k++) sum += tensor[i * 3 + k] * inverse[k * 3 + j];
+      approxEqual(sum, i === j ? 1 : 0, 1e-12);
+    }
+  }
+  assert.throws(() => invertMatrix3(new Array(9).fill(0)), /singular/);
+
+  // A quarter turn about z swaps the x and y moments
+  const quarter = { x: 0, y: 0, z: Math.SQRT1_2, w: Math.SQRT1_2 };
+  const turned = rotateTensor(quarter, boxInertia([2, 4, 6], 12));
+  approxTensor(turned, boxInertia([4, 2, 6], 12), 1e-12);
+  const v = rotateVector(quarter, { x: 1, y: 0, z: 0 });
+  approxEqual(v.y, 1, 1e-12);
+})();
+
+// Spin about a principal axis is steady: the angle grows as ω t
+(() => {
+  const inertia = boxInertia([1, 2, 3], 6);
+  const inverse = invertMatrix3(inertia);
+  const rate = 2;
+  const L = { x: 0, y: 0, z: inertia[8] * rate };
+  const q = integrateOrientation(IDENTITY_QUATERNION, inverse, L, 1.25);
+  approxEqual(2 * Math.atan2(q.z, q.w), rate * 1.25, 1e-5);
+  approxEqual(angularVelocity(q, inverse, L).z, rate, 1e-12);
+  approxEqual(rotationalEnergy(q, inverse, L), 0.5 * inertia[8] * rate * rate, 1e-9);
+})();
+
+// Spin near the intermediate axis tumbles (the tennis-racket flip); near the
+// largest axis it stays put. Energy is kept either way.
+(() => {
+  const inertia = boxInertia([1, 2, 4], 1); // x largest, y intermediate, z smallest
+  const inverse = invertMatrix3(inertia);
+  const intermediate = { x: 0.001, y: inertia[4] * 5, z: 0.001 };
+  let q = IDENTITY_QUATERNION;
+  let lowest = 1;
+  for (let t = 0; t < 40; t += 0.05) {
+    q = integrateOrientation(q, inverse, intermediate, 0.05);
+    lowest = Math.min(lowest, rotateVector(q, { x: 0, y: 1, z: 0 }).y);
+  }
+  assert(lowest < -0.9, `body y axis should flip over, got ${lowest}`);
+  const energy = rotationalEnergy(IDENTITY_QUATERNION, inverse, intermediate);
+  approxEqual(rotationalEnergy(q, inverse, intermediate), energy, energy * 1e-4);
+
+  const major = { x: inertia[0] * 5, y: 0.001, z: 0.001 };
+  let p = IDENTITY_QUATERNION;
+  for (let t = 0; t < 40; t += 0.05) {
+    p = integrateOrientation(p, inverse, major, 0.05);
+    assert(rotateVector(p, { x: 1, y: 0, z: 0 }).x > 0.99);
+  }
+})();
+
+// Slerp keeps unit length and takes the short way round
+(() => {
+  const a = IDENTITY_QUATERNION;
+  const b = { x: 0, y: Math.sin(0.5), z: 0, w: Math.cos(0.5) };
+  const half = slerpQuaternions(a, b, 0.5);
+  approxEqual(Math.hypot(half.x, half.y, half.z, half.w), 1, 1e-12);
+  approxEqual(half.y, Math.sin(0.25), 1e-12);
+  const flipped = slerpQuaternions(a, { x: -b.x, y: -b.y, z: -b.z, w: -b.w }, 0.5);
+  approxEqual(Math.abs(flipped.y), Math.sin(0.25), 1e-12);
+})();
+
+console.log('All rigid body tests passed.');
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const {
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  serializeScenario,
+  scenarioToJSON,
+  parseScenario,
+  encodeScenarioHash,
+  decodeScenarioHash,
+} = require('../scenario-file.js');
+const {
+  createScenario,
+  explodeScenario,
+  stepScenario,
+  getScenarioState,
+} = require('../physics-engine.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+const defaults = {
+  shape: 'sphere',
+  dimensions: { radius: 5, height: 10 },
+  material: 'aluminium',
+  density: 2700,
+  gasMassPercent: null,
+  seed: 12345,
+  useSeed: false,
+  comVelocity: { x: 0, y: 0, z: 0 },
+  camera: { offset: { x: 0, y: 0, z: 30 }, distance: 30, manual: false },
+};
+
+const shared = {
+  ...defaults,
+  shape: 'cube',
+  dimensions: { radius: 2.5, height: 4 },
+  material: null,
+  density: 150,
+  gasMassPercent: 5,
+  seed: 77,
+  useSeed: true,
+  comVelocity: { x: 3, y: -1, z: 0.5 },
+  camera: { offset: { x: 12, y: 4, z: -20 }, distance: 24, manual: true },
+};
+
+// Settings survive a file and a link unchanged
+(() => {
+  const document = serializeScenario(shared);
+  assert.strictEqual(document.format, SCENARIO_FORMAT);
+  assert.strictEqual(document.version, SCENARIO_VERSION);
+  assert.strictEqual(document.mesh, undefined);
+
+  const fromFile = parseScenario(scenarioToJSON(shared), defaults);
+  assert.deepStrictEqual(fromFile.settings, shared);
+  assert.deepStrictEqual(fromFile.ignored, []);
+  assert.strictEqual(fromFile.mesh, null);
+
+  const hash = encodeScenarioHash(shared);
+  assert(/^#scenario=[A-Za-z0-9_-]+$/.test(hash));
+  assert.deepStrictEqual(parseScenario(decodeScenarioHash(hash), defaults).settings, shared);
+  assert.strictEqual(decodeScenarioHash(''), null);
+  assert.strictEqual(decodeScenarioHash('#other=1'), null);
+  assert.throws(() => decodeScenarioHash('#scenario=%%%'), /damaged/);
+})();
+
+// Only the mesh's name and triangles go into a file
+(() => {
+  const mesh = { name: 'tétraèdre.obj', positions: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1]), indices: [0, 2, 1, 0, 1, 3, 0, 3, 2, 1, 2, 3] };
+  const { mesh: loaded } = parseScenario(scenarioToJSON({ ...shared, shape: 'mesh' }, { mesh }), defaults);
+  assert.deepStrictEqual(loaded, { name: mesh.name, positions: Array.from(mesh.positions), indices: mesh.indices });
+
+  const broken = serializeScenario(shared, { mesh });
+  broken.mesh.indices.push(4);
+  assert.throws(() => parseScenario(broken, defaults), /invalid mesh/);
+})();
+
+// Missing, mistyped and unknown fields keep the current value and are reported
+(() => {
+  const document = serializeScenario({
+    shape: 'dodecahedron',
+    dimensions: { radius: 'big', height: 8 },
+    density: Infinity,
+    gasMassPercent: 2,
+    useSeed: 1,
+    extra: true,
+  });
+  const { settings, ignored } = parseScenario(document, defaults, { choices: { shape: ['sphere', 'cube'] } });
+  assert.deepStrictEqual(settings, {
+    ...defaults,
+    dimensions: { radius: 5, height: 8 },
+    gasMassPercent: 2,
+  });
+  assert.deepStrictEqual(ignored.sort(), ['density', 'dimensions.radius', 'shape', 'useSeed']);
+
+  assert.throws(() => parseScenario('{', defaults), /not valid JSON/);
+  assert.throws(() => parseScenario({ format: 'other' }, defaults), /Not a scenario file/);
+  assert.throws(() => parseScenario({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION + 1, settings: {} }, defaults), /newer/);
+})();
+
+// A shared seeded scenario explodes identically
+(() => {
+  const { settings } = parseScenario(decodeScenarioHash(encodeScenarioHash(shared)), defaults);
+  const run = (seed = settings.seed) => {
+    const scenario = createScenario({
+      shape: settings.shape,
+      density: settings.density,
+      seed,
+      useSeed: settings.useSeed,
+      frameIsCoM: false,
+      comVelocity: settings.comVelocity,
+    });
+    explodeScenario(scenario);
+    for (let i = 0; i < 20; i++) stepScenario(scenario, 1 / 60);
+    return getScenarioState(scenario);
+  };
+  const first = run();
+  assert.deepStrictEqual(run(), first);
+  assert.notDeepStrictEqual(run(settings.seed + 1).chunks, first.chunks);
+  approxEqual(first.time, 20 / 60, 1e-12);
+})();
+
+console.log('All scenario file tests passed.');
@@ -1,11 +1,23 @@
 const assert = require('assert');
-const { clampTimeScale, computeSimulationDelta, resolveTimeStep } = require('../simulation-utils.js');
+const {
+  INTEGRATORS,
+  clampTimeScale,
+  computeSimulationDelta,
+  resolveTimeStep,
+  createFixedStepper,
+  advanceFixedStepper,
+  lerp,
+  integrateStep,
+} = require('../simulation-utils.js');
 
-// clampTimeScale should clamp to non-negative numbers and coerce NaN to 0
+// clampTimeScale should pass negative scales through (reverse playback) and coerce NaN to 0
 (() => {
   assert.strictEqual(clampTimeScale(1.5), 1.5);
-  assert.strictEqual(clampTimeScale(-2), 0);
+  assert.strictEqual(clampTimeScale(-2), -2);
   assert.strictEqual(clampTimeScale(Number.NaN), 0);
+  assert.strictEqual(clampTimeScale(Infinity), 0);
+  assert.strictEqual(clampTimeScale(-Infinity), 0);
+  assert.strictEqual(computeSimulationDelta(0.016, Infinity, true), 0);
 })();
 
 // Helper to compare floating point values with tolerance
@@ -21,7 +33,7 @@ function approxEqual(actual, expected, tolerance = 1e-9) {
   approxEqual(result, rawDelta * scale);
 })();
 
-// Test computeSimulationDelta clamps negative scale and pause behaviour
+// Test computeSimulationDelta with a negative scale runs backwards, and pausing still stops time
 (() => {
   const rawDelta = 0.02;
   const negativeScale = -1;
@@ -29,7 +41,10 @@ function approxEqual(actual, expected, tolerance = 1e-9) {
   approxEqual(pausedResult, 0);
 
   const playingResult = computeSimulationDelta(rawDelta, negativeScale, true);
-  approxEqual(playingResult, 0);
+  approxEqual(playingResult, -0.02);
+
+  // A negative raw delta is still clamped
+  approxEqual(computeSimulationDelta(-0.5, 1, true), 0);
 })();
 
 // resolveTimeStep should fall back to raw delta when paused
@@ -46,4 +61,67 @@ function approxEqual(actual, expected, tolerance = 1e-9) {
   approxEqual(resolveTimeStep(true, simDelta, rawDelta), simDelta);
 })();
 
+// The fixed stepper hands out whole steps and keeps the remainder for interpolation
+(() => {
+  const stepper = createFixedStepper(0.01, 4);
+  let result = advanceFixedStepper(stepper, 0.025);
+  assert.strictEqual(result.steps, 2);
+  approxEqual(result.alpha, 0.5);
+
+  result = advanceFixedStepper(stepper, 0.005);
+  assert.strictEqual(result.steps, 1);
+  approxEqual(result.alpha, 0);
+
+  result = advanceFixedStepper(stepper, 0);
+  assert.strictEqual(result.steps, 0);
+
+  // A long stall is capped and the backlog dropped
+  result = advanceFixedStepper(stepper, 1);
+  assert.strictEqual(result.steps, 4);
+  approxEqual(result.alpha, 0);
+  approxEqual(lerp(2, 4, 0.25), 2.5);
+})();
+
+// Same frame time gives the same step count regardless of how it is sliced
+(() => {
+  const coarse = createFixedStepper(1 / 120, 100);
+  const fine = createFixedStepper(1 / 120, 100);
+  let coarseSteps = 0;
+  let fineSteps = 0;
+  for (let i = 0; i < 30; i++) coarseSteps += advanceFixedStepper(coarse, 1 / 30).steps;
+  for (let i = 0; i < 144; i++) fineSteps += advanceFixedStepper(fine, 1 / 144).steps;
+  assert.strictEqual(coarseSteps, 120);
+  assert.strictEqual(fineSteps, 120);
+})();
+
+// Harmonic oscillator (a = -x) over one period: every scheme returns close to the
+// start, with RK4 the most accurate and Verlet beating symplectic Euler
+(() => {
+  const oscillator = (positions, velocities, time, out) => {
+    for (let i = 0; i < positions.length; i++) out[i] = -positions[i];
+  };
+  const errors = {};
+  Object.keys(INTEGRATORS).forEach((scheme) => {
+    const state = { positions: new Float64Array([1, 0, 0]), velocities: new Float64Array([0, 0, 0]), time: 0 };
+    const steps = 200;
+    const dt = (2 * Math.PI) / steps;
+    for (let i = 0; i < steps; i++) integrateStep(scheme, state, dt, oscillator);
+    approxEqual(state.time, 2 * Math.PI, 1e-9);
+    errors[scheme] = Math.hypot(state.positions[0] - 1, state.velocities[0]);
+  });
+  assert(errors['symplectic-euler'] < 0.05);
+  assert(errors['velocity-verlet'] < errors['symplectic-euler']);
+  assert(errors.rk4 < 1e-6);
+  assert.throws(() => integrateStep('leapfrog', { positions: [], velocities: [] }, 0.1, oscillator), /Unknown integrator/);
+})();
+
+// Time-dependent forcing is sampled at the right stage times: a = t gives v = t²/2
+(() => {
+  const ramp = (positions, velocities, time, out) => out.fill(time);
+  const state = { positions: new Float64Array(1), velocities: new Float64Array(1), time: 0 };
+  for (let i = 0; i < 10; i++) integrateStep('rk4', state, 0.1, ramp);
+  approxEqual(state.velocities[0], 0.5, 1e-12);
+  approxEqual(state.positions[0], 1 / 6, 1e-12);
+})();
+
 console.log('All simulation util tests passed.');
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const {
+  maxwellBoltzmannPdf,
+  fitMaxwellBoltzmann,
+  speedHistogram,
+  speedDistribution,
+} = require('../speed-distribution.js');
+const {
+  PHYS_SCALE,
+  SeededRandom,
+  maxwellBoltzmannSpeed,
+  createScenario,
+  explodeScenario,
+  stepScenario,
+  computeSpeedDistributions,
+} = require('../physics-engine.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+// The PDF integrates to one and peaks at √2 a
+(() => {
+  const scale = 3;
+  let integral = 0;
+  let peak = 0;
+  for (let v = 0.0005; v < 40; v += 0.001) {
+    const f = maxwellBoltzmannPdf(v, scale);
+    integral += f * 0.001;
+    if (f > maxwellBoltzmannPdf(peak, scale)) peak = v;
+  }
+  approxEqual(integral, 1, 1e-6);
+  approxEqual(peak, Math.SQRT2 * scale, 1e-3);
+  assert.strictEqual(maxwellBoltzmannPdf(-1, scale), 0);
+  assert.strictEqual(maxwellBoltzmannPdf(1, 0), 0);
+})();
+
+// Speeds from maxwellBoltzmannSpeed histogram onto the PDF, and the fit
+// recovers the temperature
+(() => {
+  const rng = new SeededRandom(21);
+  const random = () => rng.next();
+  const speeds = Array.from({ length: 40000 }, () => maxwellBoltzmannSpeed(5, random));
+  approxEqual(fitMaxwellBoltzmann(speeds), 5, 0.05);
+
+  const { bins, fitScale, maxSpeed } = speedDistribution(speeds, { scale: 5, binCount: 20 });
+  assert(maxSpeed >= 20);
+  approxEqual(bins.reduce((sum, bin) => sum + bin.density * (bin.upper - bin.lower), 0), 1, 1e-12);
+  assert.strictEqual(bins.reduce((sum, bin) => sum + bin.count, 0), speeds.length);
+  bins.forEach((bin) => {
+    const expected = maxwellBoltzmannPdf((bin.lower + bin.upper) / 2, fitScale);
+    approxEqual(bin.density, expected, 0.01);
+  });
+})();
+
+// Weights count mass, not members; out-of-range speeds land in the last bin
+(() => {
+  const bins = speedHistogram([1, 3, 9], [1, 3, 1], 2, 4);
+  assert.deepStrictEqual(bins.map((bin) => bin.count), [1, 2]);
+  approxEqual(bins[0].density, 1 / (5 * 2));
+  approxEqual(bins[1].density, 4 / (5 * 2));
+  approxEqual(fitMaxwellBoltzmann([1, 3], [1, 3]), Math.sqrt(28 / 12));
+})();
+
+// Both histograms carry the Maxwell-Boltzmann curve of the temperature they
+// were released at: the chunks' draw or yield and the gas's own energy
+(() => {
+  const legacy = createScenario({ shape: 'cube', useSeed: true, seed: 4 });
+  assert.strictEqual(computeSpeedDistributions(legacy), null);
+  explodeScenario(legacy);
+  const drawn = computeSpeedDistributions(legacy, { binCount: 12 });
+  approxEqual(drawn.chunks.scale, 10 * PHYS_SCALE);
+  assert.strictEqual(drawn.chunks.count, 216);
+  assert.strictEqual(drawn.chunks.bins.length, 12);
+  approxEqual(drawn.chunks.fitScale / drawn.chunks.scale, 1, 0.15);
+  // Legacy gas is released at twice the explosion temperature
+  approxEqual(drawn.gas.scale, 20 * PHYS_SCALE);
+  assert(drawn.gas.fitScale >= 0);
+  const gasless = createScenario({ shape: 'cube', useSeed: true, seed: 4, enableGas: false });
+  explodeScenario(gasless);
+  assert.strictEqual(computeSpeedDistributions(gasless).gas, null);
+
+  const options = { shape: 'cube', useSeed: true, seed: 4, gasCount: 2000, explosionEnergy: 1e9, gasEnergyFraction: 0.2 };
+  const scenario = createScenario(options);
+  explodeScenario(scenario);
+  const distributions = computeSpeedDistributions(scenario, { massWeighted: true });
+  const { chunks, gas } = distributions;
+  // ½ M <v²> with <v²> = 3a²: the chunks' curve is the one holding the yield
+  // bar the spin, the gas's the one holding its own share
+  const mass = scenario.chunks.reduce((sum, chunk) => sum + chunk.mass, 0);
+  approxEqual(chunks.scale, Math.sqrt((2 * 1e9 * (1 - 0.8 * 0.05)) / (3 * mass)), 1e-9 * chunks.scale);
+  approxEqual(gas.scale, Math.sqrt((2 * 0.2e9) / (3 * scenario.gas.mass)), 1e-9 * gas.scale);
+  // The draw launches the chunks with the rest of it
+  approxEqual(chunks.fitScale / Math.sqrt((2 * 1e9 * 0.8 * 0.95) / (3 * mass)), 1, 0.15);
+  // Before it expands the gas doesn't move
+  assert.strictEqual(gas.count, 2000);
+  assert(gas.fitScale < 1e-9 * gas.scale);
+  assert.strictEqual(gas.bins[0].count, 2000);
+
+  // The flow is the same on every call and grows with the distance from the
+  // charge, on top of the cloud's bulk drift, once the cloud expands
+  stepScenario(scenario, 0.002);
+  const later = computeSpeedDistributions(scenario).gas;
+  assert.deepStrictEqual(computeSpeedDistributions(scenario).gas, later);
+  const { expansionRate, initialRadius, offsets, velocity } = scenario.gas;
+  const frame = scenario.frameVelocity;
+  const rate = expansionRate / initialRadius;
+  const fastest = Math.max(...Array.from({ length: 2000 }, (_, i) => Math.hypot(
+    velocity.x - frame.x + rate * offsets[i * 3],
+    velocity.y - frame.y + rate * offsets[i * 3 + 1],
+    velocity.z - frame.z + rate * offsets[i * 3 + 2]
+  )));
+  assert(fastest > 0);
+  approxEqual(later.bins.reduce((sum, bin) => sum + bin.count, 0), 2000);
+  assert(later.fitScale > 0);
+  assert(later.maxSpeed >= fastest);
+
+  // Directional throws and breakup delta-Vs carry the yield's curve too
+  const cone = createScenario({ ...options, charge: { mode: 'cone' }, detonationPoint: { x: 0, y: -4, z: 0 } });
+  explodeScenario(cone);
+  const coneChunks = computeSpeedDistributions(cone).chunks;
+  approxEqual(coneChunks.scale, chunks.scale, 1e-9 * chunks.scale);
+  assert(coneChunks.fitScale > 0);
+  const breakup = createScenario({ ...options, fracture: 'sbm' });
+  explodeScenario(breakup);
+  const breakupDistributions = computeSpeedDistributions(breakup);
+  assert(breakupDistributions.chunks.scale > 0);
+  assert(breakupDistributions.chunks.fitScale > 0);
+  assert(breakupDistributions.gas.scale > 0);
+})();
+
+console.log('All speed distribution tests passed.');
@@ -0,0 +1,84 @@
+const assert = require('assert');
+const {
+  VENDOR_DEPENDENCIES,
+  parseImportMap,
+  resolveSources,
+  sourceKind,
+  withTimeout,
+  loadWithFallback,
+  loadDependencies,
+} = require('../vendor-loader.js');
+
+function dependency(name) {
+  return VENDOR_DEPENDENCIES.find((candidate) => candidate.name === name);
+}
+
+// Import map entries come first, then the vendored copy, then the CDN
+(() => {
+  const three = dependency('three');
+  assert.deepStrictEqual(resolveSources(three), ['./vendor/three.module.js', three.cdn]);
+  const importMap = parseImportMap('{ "imports": { "three": "/mirror/three.module.js", "react": "./vendor/react.production.min.js" } }');
+  assert.deepStrictEqual(resolveSources(three, importMap), ['/mirror/three.module.js', './vendor/three.module.js', three.cdn]);
+  assert.deepStrictEqual(resolveSources(dependency('react'), importMap), ['./vendor/react.production.min.js', dependency('react').cdn]);
+
+  assert.deepStrictEqual(parseImportMap(''), {});
+  assert.deepStrictEqual(parseImportMap('{ "scopes": {} }'), {});
+  assert.throws(() => parseImportMap('{ imports: }'), /Invalid import map/);
+  assert.throws(() => parseImportMap('{ "imports": [] }'), /"imports" must be an object/);
+
+  assert.strictEqual(sourceKind('./vendor/babel.min.js', 'http://lab.local'), 'local');
+  assert.strictEqual(sourceKind('http://lab.local/vendor/babel.min.js', 'http://lab.local'), 'local');
+  assert.strictEqual(sourceKind(dependency('@babel/standalone').cdn, 'http://lab.local'), 'remote');
+})();
+
+(async () => {
+  // A failed or hanging source falls through to the next, reporting each step
+  const events = [];
+  const value = await loadWithFallback(dependency('three'), ['/missing.js', '/hangs.js', '/three.js'], {
+    load: (_, source) => {
+      if (source === '/missing.js') throw new Error('404');
+      return source === '/hangs.js' ? new Promise(() => {}) : { source };
+    },
+    onProgress: (event) => events.push(`${event.status} ${event.source}`),
+    timeout: 20,
+  });
+  assert.deepStrictEqual(value, { source: '/three.js' });
+  assert.deepStrictEqual(events, [
+    'loading /missing.js', 'failed-source /missing.js',
+    'loading /hangs.js', 'failed-source /hangs.js',
+    'loading /three.js', 'loaded /three.js',
+  ]);
+  await assert.rejects(withTimeout(new Promise(() => {}), 5, 'too slow'), /too slow/);
+
+  // ReactDOM waits for React; when React cannot be found anywhere ReactDOM is
+  // skipped, while Babel and three.js still load
+  const order = [];
+  const loaded = await loadDependencies(VENDOR_DEPENDENCIES, {
+    load: async ({ name }, source) => {
+      order.push(name);
+      if (name === 'react') await new Promise((resolve) => setTimeout(resolve, 5));
+      return `${name}@${source}`;
+    },
+  });
+  assert(order.indexOf('react-dom') > order.indexOf('react'));
+  assert.strictEqual(loaded.three, 'three@./vendor/three.module.js');
+
+  const statuses = {};
+  await assert.rejects(
+    loadDependencies(VENDOR_DEPENDENCIES, {
+      load: ({ name }) => {
+        if (name === 'react') throw new Error('offline');
+        return name;
+      },
+      onProgress: ({ name, status }) => { statuses[name] = status; },
+    }),
+    (error) => /Could not load React from \.\/vendor\/react\.production\.min\.js \(offline\), https:/.test(error.message)
+      && /ReactDOM was not loaded/.test(error.message)
+  );
+  assert.deepStrictEqual(statuses, { react: 'failed', 'react-dom': 'blocked', '@babel/standalone': 'loaded', three: 'loaded' });
+
+  console.log('All vendor loader tests passed.');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
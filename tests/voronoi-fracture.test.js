@@ -0,0 +1,145 @@
+const assert = require('assert');
+const {
+  clipPolyhedron,
+  polyhedronVolume,
+  shapeParts,
+  partsVolume,
+  voronoiFracture,
+} = require('../voronoi-fracture.js');
+const { parseOBJ } = require('../mesh-import.js');
+const { SeededRandom, createScenario, createShapeChunks } = require('../physics-engine.js');
+
+function approxEqual(actual, expected, tolerance = 1e-9) {
+  assert(Math.abs(actual - expected) <= tolerance, `Expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function seeded(seed) {
+  const rng = new SeededRandom(seed);
+  return () => rng.next();
+}
+
+function totalVolume(fragments) {
+  return fragments.reduce((sum, fragment) => sum + fragment.volume, 0);
+}
+
+// Signed volume of an indexed triangle mesh; zero leakage means it is closed
+function meshVolume(vertices, indices) {
+  let volume = 0;
+  for (let t = 0; t < indices.length; t += 3) {
+    const [a, b, c] = [0, 1, 2].map((k) => vertices.slice(indices[t + k] * 3, indices[t + k] * 3 + 3));
+    volume += (a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+  }
+  return volume;
+}
+
+// Clipping a cube along a diagonal halves it and caps the cut
+(() => {
+  const [cube] = shapeParts('cube', { edge: 2 });
+  approxEqual(polyhedronVolume(cube.faces).volume, 8);
+  const half = clipPolyhedron(cube.faces, { n: [1, 1, 0], d: 0 }, 1e-9);
+  assert.strictEqual(half.length, 5); // a triangular prism
+  const { volume, centroid } = polyhedronVolume(half);
+  approxEqual(volume, 4);
+  approxEqual(centroid[0], centroid[1]);
+  assert(centroid[0] < 0);
+  assert.deepStrictEqual(clipPolyhedron(cube.faces, { n: [0, 0, 1], d: -2 }, 1e-9), []);
+})();
+
+// Fragment volumes add up to the parent exactly, and each fragment is closed
+(() => {
+  const shapes = [
+    ['cube', { edge: 8 }, 512],
+    ['sphere', { radius: 5 }],
+    ['cylinder', { radius: 4, height: 10 }],
+    ['cone', { radius: 5, height: 10 }],
+    ['ring', { majorRadius: 5, minorRadius: 1.5 }],
+  ];
+  shapes.forEach(([shape, size, expected]) => {
+    const parts = shapeParts(shape, size);
+    const parent = partsVolume(parts);
+    if (expected) approxEqual(parent, expected);
+    const fragments = voronoiFracture(parts, { count: 40, clustering: 0.3 }, seeded(3));
+    assert(fragments.length >= 35 && fragments.length <= 40, `${shape}: ${fragments.length} fragments`);
+    approxEqual(totalVolume(fragments), parent, parent * 1e-9);
+    fragments.forEach(({ vertices, indices, volume }) => {
+      assert(volume > 0);
+      approxEqual(meshVolume(vertices, indices), volume, volume * 1e-9);
+    });
+  });
+
+  // The polyhedral parents approach the analytic solids
+  approxEqual(partsVolume(shapeParts('cylinder', { radius: 4, height: 10 })), Math.PI * 160, Math.PI * 160 * 0.01);
+  approxEqual(partsVolume(shapeParts('cone', { radius: 5, height: 10 })), Math.PI * 250 / 3, Math.PI * 250 / 3 * 0.01);
+})();
+
+// Convex parents give convex fragments: every vertex lies behind every face
+(() => {
+  const fragments = voronoiFracture(shapeParts('cube', { edge: 4 }), { count: 12 }, seeded(9));
+  fragments.forEach(({ vertices, indices }) => {
+    const points = [];
+    for (let i = 0; i < vertices.length; i += 3) points.push(vertices.slice(i, i + 3));
+    for (let t = 0; t < indices.length; t += 3) {
+      const [a, b, c] = [0, 1, 2].map((k) => points[indices[t + k]]);
+      const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+      const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+      const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+      points.forEach((p) => {
+        assert((p[0] - a[0]) * n[0] + (p[1] - a[1]) * n[1] + (p[2] - a[2]) * n[2] <= 1e-9);
+      });
+    }
+  });
+})();
+
+// The seed fixes the fragments; clustering packs them around the detonation point
+(() => {
+  const parts = shapeParts('cube', { edge: 10 });
+  const a = voronoiFracture(parts, { count: 30 }, seeded(5));
+  const b = voronoiFracture(parts, { count: 30 }, seeded(5));
+  assert.deepStrictEqual(a.map(({ centroid }) => centroid), b.map(({ centroid }) => centroid));
+
+  const detonationPoint = { x: 4, y: 4, z: 4 };
+  const meanDistance = (clustering) => {
+    const fragments = voronoiFracture(parts, { count: 60, clustering, detonationPoint }, seeded(5));
+    const distances = fragments.map(({ centroid: c }) => Math.hypot(c.x - 4, c.y - 4, c.z - 4));
+    return distances.reduce((sum, d) => sum + d, 0) / distances.length;
+  };
+  const smallestNearCorner = (clustering) => {
+    const fragments = voronoiFracture(parts, { count: 60, clustering, detonationPoint }, seeded(5));
+    const near = fragments.filter(({ centroid: c }) => Math.hypot(c.x - 4, c.y - 4, c.z - 4) < 4);
+    return totalVolume(near) / near.length;
+  };
+  assert(meanDistance(0.8) < meanDistance(0));
+  assert(smallestNearCorner(0.8) < smallestNearCorner(0));
+})();
+
+// The engine builds Voronoi chunks whose masses add up to the parent
+(() => {
+  const parts = shapeParts('sphere', { radius: 2 });
+  const scenario = createScenario({
+    shape: 'sphere',
+    dimensions: { radius: 2 },
+    density: 500,
+    fracture: 'voronoi',
+    fragmentCount: 25,
+    useSeed: true,
+    seed: 4,
+  });
+  approxEqual(scenario.chunks.reduce((sum, chunk) => sum + chunk.mass, 0), partsVolume(parts) * 500, 1e-6);
+  assert(scenario.chunks.every((chunk) => chunk.geometry.type === 'mesh' && 'site' in chunk.cell));
+
+  const again = createScenario({ ...scenario.options, mesh: null });
+  assert.deepStrictEqual(again.chunks.map((chunk) => chunk.position), scenario.chunks.map((chunk) => chunk.position));
+  assert.throws(() => createShapeChunks('cube', {}, 1, { fracture: 'shatter' }), /Unknown fracture/);
+
+  // Imported meshes are split along voxel parts
+  const box = parseOBJ('v -1 -1 -1\nv 1 -1 -1\nv 1 1 -1\nv -1 1 -1\nv -1 -1 1\nv 1 -1 1\nv 1 1 1\nv -1 1 1\n'
+    + 'f 1 4 3 2\nf 5 6 7 8\nf 1 2 6 5\nf 4 8 7 3\nf 1 5 8 4\nf 2 3 7 6\n');
+  const chunks = createShapeChunks('mesh', {}, 1000, { mesh: box, fracture: 'voronoi', fragmentCount: 10, random: seeded(2) });
+  approxEqual(chunks.reduce((sum, chunk) => sum + chunk.mass, 0), 8000, 1e-6);
+  const octahedron = parseOBJ('v 1 0 0\nv -1 0 0\nv 0 1 0\nv 0 -1 0\nv 0 0 1\nv 0 0 -1\n'
+    + 'f 1 3 5\nf 3 2 5\nf 2 4 5\nf 4 1 5\nf 3 1 6\nf 2 3 6\nf 4 2 6\nf 1 4 6\n');
+  const pieces = createShapeChunks('mesh', {}, 1000, { mesh: octahedron, fracture: 'voronoi', fragmentCount: 10, random: seeded(2) });
+  approxEqual(pieces.reduce((sum, chunk) => sum + chunk.mass, 0), 4000 / 3, 1e-6);
+})();
+
+console.log('All Voronoi fracture tests passed.');
@@ -0,0 +1,165 @@
+// Third-party libraries the page needs before the simulator can start, and
+// where to find them. Each one is tried from the page's import map first, then
+// from its vendored copy under ./vendor, then from the CDN, so an air-gapped
+// machine only needs the files dropped into ./vendor:
+//
+//   vendor/react.production.min.js      react@18 umd/react.production.min.js
+//   vendor/react-dom.production.min.js  react-dom@18 umd/react-dom.production.min.js
+//   vendor/babel.min.js                 @babel/standalone babel.min.js
+//   vendor/three.module.js              three@0.160.0 build/three.module.js
+//
+// A <script type="importmap"> entry keyed by the package name points a library
+// somewhere else, such as a lab mirror. The actual loading (script tags, module
+// imports) is up to the caller; this module only orders the attempts.
+
+const VENDOR_DEPENDENCIES = [
+  {
+    name: 'react',
+    label: 'React',
+    type: 'script',
+    global: 'React',
+    local: './vendor/react.production.min.js',
+    cdn: 'https://unpkg.com/react@18/umd/react.production.min.js',
+  },
+  {
+    name: 'react-dom',
+    label: 'ReactDOM',
+    type: 'script',
+    global: 'ReactDOM',
+    after: ['react'],
+    local: './vendor/react-dom.production.min.js',
+    cdn: 'https://unpkg.com/react-dom@18/umd/react-dom.production.min.js',
+  },
+  {
+    name: '@babel/standalone',
+    label: 'Babel',
+    type: 'script',
+    global: 'Babel',
+    local: './vendor/babel.min.js',
+    cdn: 'https://unpkg.com/@babel/standalone/babel.min.js',
+  },
+  {
+    name: 'three',
+    label: 'three.js',
+    type: 'module',
+    local: './vendor/three.module.js',
+    cdn: 'https://unpkg.com/three@0.160.0/build/three.module.js?module',
+  },
+];
+const DEFAULT_SOURCE_TIMEOUT = 20000; // ms before giving up on one source
+
+// The `imports` of an import map's JSON text; empty when there is none
+function parseImportMap(text) {
+  if (!text || !text.trim()) return {};
+  let map;
+  try {
+    map = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid import map: ${error.message}`);
+  }
+  const imports = map && map.imports;
+  if (imports === undefined) return {};
+  if (!imports || typeof imports !== 'object' || Array.isArray(imports)) {
+    throw new Error('Invalid import map: "imports" must be an object');
+  }
+  return imports;
+}
+
+// Sources to try for `dependency`, in order, without repeats
+function resolveSources(dependency, importMap = {}) {
+  const mapped = importMap[dependency.name];
+  const candidates = [
+    typeof mapped === 'string' ? mapped : null,
+    dependency.local,
+    dependency.cdn,
+  ];
+  return candidates.filter((source, i) => source && candidates.indexOf(source) === i);
+}
+
+// Where a source lives, for progress messages
+function sourceKind(source, origin) {
+  if (!/^[a-z][a-z\d+.-]*:/i.test(source)) return 'local';
+  try {
+    return new URL(source).origin === origin ? 'local' : 'remote';
+  } catch (error) {
+    return 'remote';
+  }
+}
+
+// `promise`, or a rejection once `ms` have passed without it settling
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Load one dependency with `load(dependency, source)`, falling back through
+// `sources` until one succeeds. Reports { name, label, status, source,
+// attempt, attempts, error } to onProgress as it goes, status being
+// 'loading', 'failed-source', 'loaded' or 'failed'.
+async function loadWithFallback(dependency, sources, { load, onProgress = () => {}, timeout = DEFAULT_SOURCE_TIMEOUT }) {
+  const { name, label } = dependency;
+  const failures = [];
+  for (let i = 0; i < sources.length; i++) {
+    const source = sources[i];
+    const report = (status, extra) => onProgress({ name, label, status, source, attempt: i + 1, attempts: sources.length, ...extra });
+    report('loading');
+    try {
+      const value = await withTimeout(
+        Promise.resolve().then(() => load(dependency, source)),
+        timeout,
+        `timed out after ${Math.round(timeout / 1000)}s`
+      );
+      report('loaded');
+      return value;
+    } catch (error) {
+      failures.push(`${source} (${error.message})`);
+      report(i + 1 < sources.length ? 'failed-source' : 'failed', { error: error.message });
+    }
+  }
+  throw new Error(`Could not load ${label} from ${failures.join(', ') || 'any source'}`);
+}
+
+// Load every dependency, each once the ones it comes `after` have loaded and
+// the rest side by side. Resolves to the loaded values by name; rejects once
+// everything has settled, naming every library that could not be loaded.
+async function loadDependencies(dependencies, { importMap = {}, ...options }) {
+  const { onProgress = () => {} } = options;
+  const pending = new Map();
+  const start = (dependency) => {
+    if (!pending.has(dependency.name)) {
+      const before = (dependency.after || []).map((name) => {
+        const required = dependencies.find((candidate) => candidate.name === name);
+        if (!required) throw new Error(`${dependency.label} needs unknown dependency ${name}`);
+        return start(required);
+      });
+      pending.set(dependency.name, Promise.all(before).then(
+        () => loadWithFallback(dependency, resolveSources(dependency, importMap), options),
+        () => {
+          onProgress({ name: dependency.name, label: dependency.label, status: 'blocked' });
+          throw new Error(`${dependency.label} was not loaded because a library it needs failed`);
+        }
+      ));
+    }
+    return pending.get(dependency.name);
+  };
+  const results = await Promise.allSettled(dependencies.map(start));
+  const failures = results.filter(({ status }) => status === 'rejected');
+  if (failures.length > 0) {
+    throw new Error(failures.map(({ reason }) => reason.message).join('. '));
+  }
+  return Object.fromEntries(dependencies.map(({ name }, i) => [name, results[i].value]));
+}
+
+module.exports = {
+  VENDOR_DEPENDENCIES,
+  DEFAULT_SOURCE_TIMEOUT,
+  parseImportMap,
+  resolveSources,
+  sourceKind,
+  withTimeout,
+  loadWithFallback,
+  loadDependencies,
+};
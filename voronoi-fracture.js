@@ -0,0 +1,327 @@
+// Voronoi fracture. The parent solid is a union of convex parts, each an
+// intersection of half-spaces; every Voronoi cell is clipped against every
+// part it overlaps, so fragments of a convex parent are single convex
+// polyhedra. Volumes come from signed tetrahedra of the clipped polyhedra, so
+// fragment volumes add up to the parent's polyhedral volume exactly.
+const { meshBounds, voxelize } = require('./mesh-import.js');
+
+const ROUND_SEGMENTS = 32; // facets around cylinders and cones
+const SPHERE_FACETS = 96;
+const RING_SEGMENTS = 24; // convex parts around a torus
+const RING_TUBE_SEGMENTS = 12;
+const MESH_PARTS_PER_FRAGMENT = 8; // voxel boxes per fragment for imported meshes
+
+const DEFAULT_VORONOI_OPTIONS = {
+  count: 60,
+  clustering: 0, // 0 = uniform sites, 1 = strongly packed around the detonation point
+  detonationPoint: { x: 0, y: 0, z: 0 },
+};
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = (a) => Math.sqrt(dot(a, a));
+
+// Half-space n·x ≤ d
+function plane(normal, point) {
+  const scale = 1 / length(normal);
+  const n = normal.map((value) => value * scale);
+  return { n, d: dot(n, point) };
+}
+
+// Plane through three points, facing away from `inside`
+function planeThrough(a, b, c, inside) {
+  const result = plane(cross(sub(b, a), sub(c, a)), a);
+  return dot(result.n, inside) > result.d ? { n: result.n.map((v) => -v), d: -result.d } : result;
+}
+
+function boxPlanes(min, max) {
+  return [
+    { n: [1, 0, 0], d: max[0] }, { n: [-1, 0, 0], d: -min[0] },
+    { n: [0, 1, 0], d: max[1] }, { n: [0, -1, 0], d: -min[1] },
+    { n: [0, 0, 1], d: max[2] }, { n: [0, 0, -1], d: -min[2] },
+  ];
+}
+
+// Polyhedra are lists of faces; each face lists its corners counter-clockwise
+// seen from outside.
+function boxPolyhedron(min, max) {
+  const [x0, y0, z0] = min;
+  const [x1, y1, z1] = max;
+  return [
+    [[x1, y0, z0], [x1, y1, z0], [x1, y1, z1], [x1, y0, z1]],
+    [[x0, y0, z0], [x0, y0, z1], [x0, y1, z1], [x0, y1, z0]],
+    [[x0, y1, z0], [x0, y1, z1], [x1, y1, z1], [x1, y1, z0]],
+    [[x0, y0, z0], [x1, y0, z0], [x1, y0, z1], [x0, y0, z1]],
+    [[x0, y0, z1], [x1, y0, z1], [x1, y1, z1], [x0, y1, z1]],
+    [[x0, y0, z0], [x0, y1, z0], [x1, y1, z0], [x1, y0, z0]],
+  ];
+}
+
+// Keep the part of a convex polyhedron with n·x ≤ d and close the cut with a cap
+function clipPolyhedron(faces, { n, d }, epsilon) {
+  const kept = [];
+  const cap = [];
+  let cut = false;
+  faces.forEach((face) => {
+    const output = [];
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length];
+      const da = dot(n, a) - d;
+      const db = dot(n, b) - d;
+      if (da <= epsilon) output.push(a);
+      if (da > epsilon) cut = true;
+      if (Math.abs(da) <= epsilon) cap.push(a);
+      if ((da < -epsilon && db > epsilon) || (da > epsilon && db < -epsilon)) {
+        const t = da / (da - db);
+        const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+        output.push(point);
+        cap.push(point);
+      }
+    });
+    if (output.length >= 3) kept.push(output);
+  });
+  if (!cut) return faces;
+
+  // Order the cap's corners by angle about its centre, counter-clockwise about n
+  const unique = [];
+  cap.forEach((point) => {
+    if (!unique.some((other) => length(sub(point, other)) <= epsilon)) unique.push(point);
+  });
+  if (unique.length >= 3) {
+    const centre = unique.reduce((sum, p) => [sum[0] + p[0], sum[1] + p[1], sum[2] + p[2]], [0, 0, 0])
+      .map((value) => value / unique.length);
+    const helper = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const u = cross(helper, n);
+    const w = cross(n, u);
+    const angle = (p) => Math.atan2(dot(sub(p, centre), w), dot(sub(p, centre), u));
+    kept.push(unique.sort((a, b) => angle(a) - angle(b)));
+  }
+  return kept.length >= 4 ? kept : [];
+}
+
+// Signed-tetrahedron volume and centroid of a closed polyhedron
+function polyhedronVolume(faces) {
+  let volume = 0;
+  const centroid = [0, 0, 0];
+  faces.forEach((face) => {
+    for (let i = 1; i < face.length - 1; i++) {
+      const [a, b, c] = [face[0], face[i], face[i + 1]];
+      const signed = dot(a, cross(b, c)) / 6;
+      volume += signed;
+      for (let k = 0; k < 3; k++) {
+        centroid[k] += (signed * (a[k] + b[k] + c[k])) / 4;
+      }
+    }
+  });
+  return { volume, centroid: volume > 0 ? centroid.map((value) => value / volume) : centroid };
+}
+
+function polyhedronBounds(faces) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  faces.forEach((face) => face.forEach((p) => {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], p[k]);
+      max[k] = Math.max(max[k], p[k]);
+    }
+  }));
+  return { min, max };
+}
+
+// Convex part bounded by `planes` inside the box min..max
+function convexPart(planes, min, max) {
+  const epsilon = length(sub(max, min)) * 1e-9;
+  const faces = planes.reduce((current, half) => clipPolyhedron(current, half, epsilon), boxPolyhedron(min, max));
+  return { planes, faces, ...polyhedronBounds(faces) };
+}
+
+function fibonacciDirections(count) {
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  return Array.from({ length: count }, (_, i) => {
+    const y = 1 - (2 * (i + 0.5)) / count;
+    const r = Math.sqrt(1 - y * y);
+    return [Math.cos(golden * i) * r, y, Math.sin(golden * i) * r];
+  });
+}
+
+// Convex parts of each shape's solid, in the object frame used by the chunkers
+// (Y up, centred on the origin). Curved surfaces become flat facets. Imported
+// meshes (already centred and scaled) are voxelized into boxes, about
+// MESH_PARTS_PER_FRAGMENT for each of `count` fragments.
+function shapeParts(shape, size, { mesh = null, count = DEFAULT_VORONOI_OPTIONS.count } = {}) {
+  switch (shape) {
+    case 'cube': {
+      const half = size.edge / 2;
+      return [convexPart(boxPlanes([-half, -half, -half], [half, half, half]), [-half, -half, -half], [half, half, half])];
+    }
+    case 'sphere': {
+      const r = size.radius;
+      // Tangent planes; the box is a little larger than the circumscribed polyhedron
+      const planes = fibonacciDirections(SPHERE_FACETS).map((direction) => plane(direction, direction.map((v) => v * r)));
+      return [convexPart(planes, [-2 * r, -2 * r, -2 * r], [2 * r, 2 * r, 2 * r])];
+    }
+    case 'cylinder':
+    case 'cone': {
+      const { radius: r, height: h } = size;
+      const apex = [0, h / 2, 0];
+      const planes = [{ n: [0, -1, 0], d: h / 2 }, { n: [0, 1, 0], d: h / 2 }];
+      for (let i = 0; i < ROUND_SEGMENTS; i++) {
+        const theta = (i / ROUND_SEGMENTS) * Math.PI * 2;
+        const [c, s] = [Math.cos(theta), Math.sin(theta)];
+        planes.push(shape === 'cylinder' ? plane([c, 0, s], [r * c, 0, r * s]) : plane([c * h, r, s * h], apex));
+      }
+      return [convexPart(planes, [-2 * r, -h / 2, -2 * r], [2 * r, h / 2, 2 * r])];
+    }
+    case 'ring': {
+      const { majorRadius: R, minorRadius: r } = size;
+      const point = (u, v) => [(R + r * Math.cos(v)) * Math.cos(u), r * Math.sin(v), (R + r * Math.cos(v)) * Math.sin(u)];
+      const parts = [];
+      for (let i = 0; i < RING_SEGMENTS; i++) {
+        const u1 = (i / RING_SEGMENTS) * Math.PI * 2;
+        const u2 = ((i + 1) / RING_SEGMENTS) * Math.PI * 2;
+        const um = (u1 + u2) / 2;
+        const inside = [R * Math.cos(um), 0, R * Math.sin(um)];
+        const planes = [
+          plane([Math.sin(u1), 0, -Math.cos(u1)], [0, 0, 0]),
+          plane([-Math.sin(u2), 0, Math.cos(u2)], [0, 0, 0]),
+        ];
+        for (let j = 0; j < RING_TUBE_SEGMENTS; j++) {
+          const v1 = (j / RING_TUBE_SEGMENTS) * Math.PI * 2;
+          const v2 = ((j + 1) / RING_TUBE_SEGMENTS) * Math.PI * 2;
+          planes.push(planeThrough(point(u1, v1), point(u2, v1), point(u1, v2), inside));
+        }
+        const extent = R + r;
+        parts.push(convexPart(planes, [-extent, -r, -extent], [extent, r, extent]));
+      }
+      return parts;
+    }
+    case 'mesh': {
+      if (!mesh) {
+        throw new Error('Shape "mesh" needs an imported mesh');
+      }
+      // Voxel boxes, trimmed to the mesh bounds so flat sides stay flush
+      const target = Math.min(2000, count * MESH_PARTS_PER_FRAGMENT);
+      const { cellSize, cells } = voxelize(mesh, target);
+      const bounds = meshBounds(mesh);
+      const lower = [bounds.min.x, bounds.min.y, bounds.min.z];
+      const upper = [bounds.max.x, bounds.max.y, bounds.max.z];
+      const half = cellSize / 2;
+      return cells.map(({ position: { x, y, z } }) => {
+        const min = [x - half, y - half, z - half].map((v, k) => Math.max(v, lower[k]));
+        const max = [x + half, y + half, z + half].map((v, k) => Math.min(v, upper[k]));
+        return convexPart(boxPlanes(min, max), min, max);
+      });
+    }
+    default:
+      throw new Error(`Unknown shape: ${shape}`);
+  }
+}
+
+function insideParts(parts, point) {
+  return parts.some((part) => part.planes.every(({ n, d }) => dot(n, point) <= d));
+}
+
+// Sites inside the parent, drawn uniformly and then pulled toward the
+// detonation point: a site at distance s from it moves to s·(s / reach)^(2c).
+function sampleSites(parts, count, clustering, detonationPoint, random) {
+  const bounds = parts.reduce((box, part) => ({
+    min: box.min.map((v, k) => Math.min(v, part.min[k])),
+    max: box.max.map((v, k) => Math.max(v, part.max[k])),
+  }), { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] });
+  const origin = [detonationPoint.x, detonationPoint.y, detonationPoint.z];
+  const reach = Math.max(...[0, 1, 2, 3, 4, 5, 6, 7].map((corner) => length(sub(
+    [0, 1, 2].map((k) => ((corner >> k) & 1 ? bounds.max[k] : bounds.min[k])),
+    origin
+  ))));
+
+  const sites = [];
+  for (let attempt = 0; sites.length < count && attempt < count * 1000; attempt++) {
+    let site = [0, 1, 2].map((k) => bounds.min[k] + random() * (bounds.max[k] - bounds.min[k]));
+    if (clustering > 0) {
+      const offset = sub(site, origin);
+      const factor = Math.pow(length(offset) / reach, 2 * clustering);
+      site = [0, 1, 2].map((k) => origin[k] + offset[k] * factor);
+    }
+    if (insideParts(parts, site)) sites.push(site);
+  }
+  return { sites, bounds };
+}
+
+// Fragments of the parent: for every Voronoi site, the convex pieces of the
+// parts inside its cell, as { site, vertices, indices, volume, centroid } in
+// the object frame. Faces don't share vertices, so they shade flat.
+function voronoiFracture(parts, options = {}, random = Math.random) {
+  const { count, clustering, detonationPoint } = { ...DEFAULT_VORONOI_OPTIONS, ...options };
+  const { sites, bounds } = sampleSites(parts, Math.max(1, Math.round(count)), clustering, detonationPoint, random);
+  const epsilon = length(sub(bounds.max, bounds.min)) * 1e-9;
+
+  const fragments = [];
+  sites.forEach((site, index) => {
+    // The cell, clipped by bisectors nearest first; once the next site is more
+    // than twice the cell's reach away, no later bisector can cut it
+    let cell = boxPolyhedron(bounds.min, bounds.max);
+    const planes = [];
+    const others = sites
+      .map((other, j) => ({ other, distance: j === index ? Infinity : length(sub(other, site)) }))
+      .filter(({ distance }) => Number.isFinite(distance))
+      .sort((a, b) => a.distance - b.distance);
+    for (const { other, distance } of others) {
+      const reachSq = cell.reduce((max, face) => face.reduce((m, p) => Math.max(m, dot(sub(p, site), sub(p, site))), max), 0);
+      if (distance > 2 * Math.sqrt(reachSq)) break;
+      const bisector = plane(sub(other, site), [0, 1, 2].map((k) => (site[k] + other[k]) / 2));
+      planes.push(bisector);
+      cell = clipPolyhedron(cell, bisector, epsilon);
+      if (cell.length === 0) break;
+    }
+    if (cell.length === 0) return;
+
+    const { min, max } = polyhedronBounds(cell);
+    const pieces = parts
+      .filter((part) => [0, 1, 2].every((k) => part.min[k] <= max[k] && part.max[k] >= min[k]))
+      .map((part) => planes.reduce((faces, half) => clipPolyhedron(faces, half, epsilon), part.faces))
+      .filter((faces) => faces.length > 0);
+
+    let volume = 0;
+    const centroid = [0, 0, 0];
+    const vertices = [];
+    const indices = [];
+    pieces.forEach((faces) => {
+      const piece = polyhedronVolume(faces);
+      if (!(piece.volume > epsilon * epsilon * epsilon)) return;
+      volume += piece.volume;
+      for (let k = 0; k < 3; k++) centroid[k] += piece.centroid[k] * piece.volume;
+      faces.forEach((face) => {
+        const base = vertices.length / 3;
+        face.forEach((p) => vertices.push(p[0], p[1], p[2]));
+        for (let i = 1; i < face.length - 1; i++) {
+          indices.push(base, base + i, base + i + 1);
+        }
+      });
+    });
+    if (volume > 0) {
+      fragments.push({
+        site: index,
+        vertices,
+        indices,
+        volume,
+        centroid: { x: centroid[0] / volume, y: centroid[1] / volume, z: centroid[2] / volume },
+      });
+    }
+  });
+  return fragments;
+}
+
+function partsVolume(parts) {
+  return parts.reduce((sum, part) => sum + polyhedronVolume(part.faces).volume, 0);
+}
+
+module.exports = {
+  DEFAULT_VORONOI_OPTIONS,
+  clipPolyhedron,
+  polyhedronVolume,
+  shapeParts,
+  partsVolume,
+  sampleSites,
+  voronoiFracture,
+};